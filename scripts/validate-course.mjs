@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Validate one or more JSON course files
+ *
+ * Usage: node scripts/validate-course.mjs <course.json> [more.json ...] [--strict]
+ *
+ * Prints every problem with its hole number and field path. Exits with code 1 if any
+ * file has errors (or warnings, when --strict is given).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { formatProblem, validateCourse } from '../src/courses/CourseValidator.js';
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const files = args.filter(arg => arg !== '--strict');
+
+if (files.length === 0) {
+  console.error('Usage: node scripts/validate-course.mjs <course.json> [more.json ...] [--strict]');
+  process.exit(1);
+}
+
+let failed = false;
+
+files.forEach(file => {
+  const label = path.relative(process.cwd(), path.resolve(file));
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ ${label}: could not read course file (${error.message})`);
+    failed = true;
+    return;
+  }
+
+  const { valid, errors, warnings } = validateCourse(data);
+  const holeCount = Array.isArray(data.holes) ? data.holes.length : 0;
+
+  if (valid && (warnings.length === 0 || !strict)) {
+    console.log(`✅ ${label}: ${data.name} (${holeCount} holes)`);
+  } else {
+    console.log(`❌ ${label}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    failed = true;
+  }
+  errors.forEach(problem => console.log(`   error   ${formatProblem(problem)}`));
+  warnings.forEach(problem => console.log(`   warning ${formatProblem(problem)}`));
+});
+
+process.exit(failed ? 1 : 0);
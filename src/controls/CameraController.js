@@ -3,6 +3,12 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import { EventTypes } from '../events/EventTypes';
 import { debug } from '../utils/debug';
 
+// Camera views of the instant replay (see ReplayManager)
+export const REPLAY_VIEW = {
+  CHASE: 'chase', // Behind and above the ball, looking along its path
+  SIDE: 'side' // Level with the ball, off to the side of its path
+};
+
 /**
  * CameraController class
  * Handles camera initialization, positioning, and behavior for Mini Golf Break
@@ -37,6 +43,9 @@ export class CameraController {
     this.isInitialized = false;
 
     this.isTransitioning = false;
+    this.isReplaying = false; // An instant replay drives the camera
+    this.replayView = null; // REPLAY_VIEW shown by the replay
+    this.savedCameraState = null; // Camera to return to after the replay
     this._isRepositioning = false; // Flag to track camera repositioning
     this._userAdjustedCamera = false; // Flag to track if user manually adjusted camera
     this._lastManualControlTime = 0; // Track when user last manually adjusted camera
@@ -156,6 +165,15 @@ export class CameraController {
         this.game.eventManager.subscribe(EventTypes.BALL_HIT, this.handleBallHit, this)
       );
 
+      console.log('[CameraController.setupEventListeners] Subscribing to BALL_TELEPORTED...');
+      this.eventSubscriptions.push(
+        this.game.eventManager.subscribe(
+          EventTypes.BALL_TELEPORTED,
+          this.handleBallTeleported,
+          this
+        )
+      );
+
       console.log('[CameraController.setupEventListeners] Finished.');
     } catch (error) {
       console.error('[CameraController.setupEventListeners] Failed:', error);
@@ -216,6 +234,32 @@ export class CameraController {
     }
   }
 
+  /**
+   * Handle ball teleported event - carry the camera across with the ball
+   * so it keeps the same view instead of sweeping over the course
+   * @param {GameEvent} event - The ball teleported event
+   */
+  handleBallTeleported(event) {
+    const entryPosition = event.get('entryPosition');
+    const exitPosition = event.get('exitPosition');
+    if (!this.camera || !entryPosition || !exitPosition) {
+      return;
+    }
+
+    const dx = exitPosition.x - entryPosition.x;
+    const dy = exitPosition.y - entryPosition.y;
+    const dz = exitPosition.z - entryPosition.z;
+    this.camera.position.x += dx;
+    this.camera.position.y += dy;
+    this.camera.position.z += dz;
+    if (this.controls) {
+      this.controls.target.x += dx;
+      this.controls.target.y += dy;
+      this.controls.target.z += dz;
+      this.controls.update();
+    }
+  }
+
   /**
    * Handle window resize event
    */
@@ -276,6 +320,11 @@ export class CameraController {
    * @param {number} deltaTime - Time since last update in seconds
    */
   update(deltaTime) {
+    // The instant replay drives the camera itself (see updateReplayView)
+    if (this.isReplaying) {
+      return;
+    }
+
     // Update controls if they exist
     if (this.controls) {
       this.controls.update();
@@ -389,6 +438,75 @@ export class CameraController {
     this.isTransitioning = enabled;
   }
 
+  /**
+   * Take over the camera for an instant replay. The player's camera is restored by
+   * endReplay().
+   */
+  startReplay() {
+    if (this.isReplaying) {
+      return;
+    }
+    this.savedCameraState = {
+      position: this.camera.position.clone(),
+      target: this.controls?.target.clone() ?? null
+    };
+    if (this.controls) {
+      this.controls.enabled = false;
+    }
+    this.isReplaying = true;
+    this.replayView = null;
+  }
+
+  /**
+   * Frame the replayed ball. The first frame and every change of view cut to the view;
+   * otherwise the camera glides after the ball.
+   * @param {{x: number, y: number, z: number}} position - Replayed ball position
+   * @param {{x: number, z: number}} direction - Horizontal direction of travel (unit length)
+   * @param {string} view - A REPLAY_VIEW
+   */
+  updateReplayView(position, direction, view) {
+    if (!this.isReplaying) {
+      return;
+    }
+    const offset =
+      view === REPLAY_VIEW.SIDE
+        ? { x: -direction.z * 5, y: 1, z: direction.x * 5 }
+        : { x: -direction.x * 3, y: 2, z: -direction.z * 3 };
+    const cameraPosition = new THREE.Vector3(
+      position.x + offset.x,
+      position.y + offset.y,
+      position.z + offset.z
+    );
+    if (view !== this.replayView) {
+      this.camera.position.copy(cameraPosition);
+      this.replayView = view;
+    } else {
+      this.camera.position.lerp(cameraPosition, 0.2);
+    }
+    this.camera.lookAt(position.x, position.y, position.z);
+  }
+
+  /**
+   * Hand the camera back to the player after an instant replay
+   */
+  endReplay() {
+    if (!this.isReplaying) {
+      return;
+    }
+    this.isReplaying = false;
+    this.replayView = null;
+    const { position, target } = this.savedCameraState;
+    this.savedCameraState = null;
+    this.camera.position.copy(position);
+    if (this.controls) {
+      if (target) {
+        this.controls.target.copy(target);
+      }
+      this.controls.enabled = true;
+      this.controls.update();
+    }
+  }
+
   /**
    * Update camera position to follow the ball
    * @param {number} deltaTime - Time since last update in seconds
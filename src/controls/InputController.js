@@ -191,8 +191,13 @@ export class InputController {
    * Handle ball stopped event
    */
   handleBallStopped(_event) {
-    // Re-enable input when ball stops (if hole is not completed)
-    if (!this.game.stateManager.isHoleCompleted()) {
+    // Re-enable input when ball stops (if the hole is not completed, the ball is not in the cup
+    // and no player change is pending after a hole-out or pickup)
+    if (
+      !this.game.stateManager.isHoleCompleted() &&
+      !this.game.ballManager?.ball?.isHoleCompleted &&
+      !this.game.turnManager?.isWaitingForTurn()
+    ) {
       this.enableInput();
     }
   }
@@ -226,6 +231,11 @@ export class InputController {
   }
 
   onMouseDown(event) {
+    // No shots while paused, or while a round file being verified plays its recorded shots
+    if (this.game.pauseManager?.isPaused() || this.game.roundRecordManager?.isVerifying()) {
+      return;
+    }
+
     // Check if input is allowed and if the ball is stopped
     const ball = this.game.ballManager?.ball;
     if (!this.isInputEnabled || (ball && !ball.isStopped())) {
@@ -534,6 +544,11 @@ export class InputController {
   }
 
   onTouchStart(event) {
+    // No shots while paused, or while a round file being verified plays its recorded shots
+    if (this.game.pauseManager?.isPaused() || this.game.roundRecordManager?.isVerifying()) {
+      return;
+    }
+
     // Check if input is allowed and if the ball is stopped
     const ball = this.game.ballManager?.ball;
     if (!this.isInputEnabled || (ball && !ball.isStopped())) {
@@ -1020,7 +1035,7 @@ export class InputController {
   }
 
   /**
-   * Handles keydown events, primarily for toggling Ad Inspect mode.
+   * Handles keydown events: 'i' toggles Ad Inspect mode, 'c' shows or hides the scorecard.
    * @param {KeyboardEvent} event
    */
   onKeyDown(event) {
@@ -1054,6 +1069,27 @@ export class InputController {
         }
       }
     }
-    // Add other key handlers here if needed (e.g., pause)
+    if (event.key.toLowerCase() === 'c' && !this.isTextEntryTarget(event.target)) {
+      this.game.uiManager?.toggleScorecard();
+    }
+    // The level editor uses Escape to close itself
+    if (
+      event.key === 'Escape' &&
+      !event.defaultPrevented &&
+      !this.isTextEntryTarget(event.target) &&
+      !this.game.debugManager?.levelEditor?.isActive()
+    ) {
+      this.game.pauseManager?.togglePause();
+    }
+  }
+
+  /**
+   * Check whether a key event comes from a text field, such as the level editor's inputs,
+   * so that typing in it doesn't trigger the game's shortcuts
+   * @param {EventTarget} target - The key event's target
+   * @returns {boolean} True for input, textarea and contentEditable elements
+   */
+  isTextEntryTarget(target) {
+    return ['INPUT', 'TEXTAREA'].includes(target?.tagName) || target?.isContentEditable === true;
   }
 }
@@ -0,0 +1,380 @@
+import * as THREE from 'three';
+import { formatProblem, validateCourse } from './CourseValidator';
+import { debug } from '../utils/debug';
+
+/**
+ * Current version of the JSON course format.
+ *
+ * Format (version 1):
+ * {
+ *   formatVersion: 1,
+ *   id: 'space-nine',            // Unique course identifier
+ *   name, author, description,   // Course metadata
+ *   strokeCap: 10,               // Optional max strokes per hole: a number or { overPar: n }
+ *   holes: [
+ *     {
+ *       description: '1. Launch Pad',
+ *       par: 2,
+ *       boundaryShape: [[x, z], ...],          // Closed outline of the green
+ *       startPosition: [x, y, z],
+ *       holePosition: [x, y, z],
+ *       hazards: [{ type, shape, position: [x, y, z], size, depth, subShapes, coversCup }],
+ *       bumpers: [{ position: [x, y, z], size: [w, h, d], rotation: [x, y, z], material }],
+ *       surfaceZones: [                         // Optional painted surfaces (see SurfaceRegistry)
+ *         { surface: 'ice', polygon: [[x, z], ...] }
+ *       ],
+ *       terrain: [                              // Optional raised/sloped areas
+ *         { type: 'ramp', position, size: [w, l], rise, baseHeight, rotation },
+ *         { type: 'plateau', position, size: [w, l], height, rotation },
+ *         { type: 'hill', position, radius, height }
+ *       ],
+ *       obstacles: [                            // Optional moving obstacles
+ *         { type: 'rotatingArm', position, size: [l, h, t], rotationSpeed, phase, rotation },
+ *         { type: 'slider', position, size: [w, h, d], travel: [x, y, z], period, phase },
+ *         { type: 'windmill', position, bladeLength, bladeCount, rotationSpeed, phase, rotation }
+ *       ],
+ *       teleporters: [                          // Optional one-way portal pairs
+ *         { entry: { position, rotation }, exit: { position, rotation }, radius }
+ *       ],
+ *       gravityWells: [                         // Optional radial force fields
+ *         { position, strength, radius, falloff } // strength in m/s^2; negative repels
+ *       ],
+ *       boostPads: [                            // Optional speed-boost pads
+ *         { position, size: [w, l], rotation, boost } // boost in m/s
+ *       ],
+ *       conveyors: [                            // Optional conveyor strips
+ *         { position, size: [w, l], rotation, speed } // speed in m/s
+ *       ],
+ *       generator: { seed, difficulty }         // Set on holes built by HoleGenerator
+ *     }
+ *   ]
+ * }
+ *
+ * Rotations are stored in degrees so course files stay readable; the loader
+ * converts them to radians. Terrain, obstacle, portal, pad and conveyor rotation is a single
+ * angle about Y (pads and conveyors point down the hole, towards -z, at 0),
+ * and ramps rise along their local +z axis before rotation. Obstacle rotationSpeed is in
+ * degrees per second, period in seconds and phase is a fraction (0-1) of a motion cycle.
+ */
+export const COURSE_FORMAT_VERSION = 1;
+
+const DEG_TO_RAD = Math.PI / 180;
+const RAD_TO_DEG = 180 / Math.PI;
+
+/**
+ * Round a number to avoid float noise when converting back to JSON
+ * @param {number} value - The value to round
+ * @returns {number} The rounded value
+ */
+function roundForJson(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Convert a [x, y, z] array (or {x, y, z} object) into a THREE.Vector3
+ * @param {Array<number>|object} value - The serialized vector
+ * @returns {THREE.Vector3} The vector
+ */
+function toVector3(value) {
+  if (Array.isArray(value)) {
+    return new THREE.Vector3(value[0], value[1], value[2]);
+  }
+  return new THREE.Vector3(value.x, value.y, value.z);
+}
+
+/**
+ * Convert a [x, z] array (or {x, y} object) into a THREE.Vector2
+ * @param {Array<number>|object} value - The serialized point
+ * @returns {THREE.Vector2} The point
+ */
+function toVector2(value) {
+  if (Array.isArray(value)) {
+    return new THREE.Vector2(value[0], value[1]);
+  }
+  return new THREE.Vector2(value.x, value.y);
+}
+
+/**
+ * Convert a [x, y, z] rotation in degrees into a THREE.Euler in radians
+ * @param {Array<number>} value - The rotation in degrees
+ * @returns {THREE.Euler} The rotation
+ */
+function toEuler(value) {
+  const [x = 0, y = 0, z = 0] = value;
+  return new THREE.Euler(x * DEG_TO_RAD, y * DEG_TO_RAD, z * DEG_TO_RAD);
+}
+
+/**
+ * Convert a serialized hole definition into the runtime hole config used by HoleEntity
+ * @param {object} hole - Hole definition from a course file
+ * @param {number} index - 0-based index of the hole in the course
+ * @returns {object} Hole config with THREE vector/euler instances
+ */
+export function hydrateHoleConfig(hole, index) {
+  const config = { ...hole, index };
+
+  config.startPosition = toVector3(hole.startPosition);
+  config.holePosition = toVector3(hole.holePosition);
+
+  if (hole.boundaryShape) {
+    config.boundaryShape = hole.boundaryShape.map(toVector2);
+  }
+
+  if (hole.hazards) {
+    config.hazards = hole.hazards.map(hazard => ({
+      ...hazard,
+      position: toVector3(hazard.position)
+    }));
+  }
+
+  if (hole.bumpers) {
+    config.bumpers = hole.bumpers.map(bumper => ({
+      ...bumper,
+      position: toVector3(bumper.position),
+      size: toVector3(bumper.size),
+      rotation: toEuler(bumper.rotation || [0, 0, 0])
+    }));
+  }
+
+  if (hole.surfaceZones) {
+    config.surfaceZones = hole.surfaceZones.map(zone => ({
+      ...zone,
+      polygon: zone.polygon.map(toVector2)
+    }));
+  }
+
+  if (hole.terrain) {
+    config.terrain = hole.terrain.map(terrain => ({
+      ...terrain,
+      position: toVector3(terrain.position),
+      ...(terrain.rotation !== undefined && { rotation: terrain.rotation * DEG_TO_RAD })
+    }));
+  }
+
+  if (hole.obstacles) {
+    config.obstacles = hole.obstacles.map(obstacle => {
+      const hydrated = { ...obstacle, position: toVector3(obstacle.position) };
+      ['size', 'travel'].forEach(key => {
+        if (obstacle[key] !== undefined) {
+          hydrated[key] = toVector3(obstacle[key]);
+        }
+      });
+      ['rotation', 'rotationSpeed'].forEach(key => {
+        if (obstacle[key] !== undefined) {
+          hydrated[key] = obstacle[key] * DEG_TO_RAD;
+        }
+      });
+      return hydrated;
+    });
+  }
+
+  if (hole.teleporters) {
+    const hydratePortal = portal => {
+      const hydrated = { ...portal, position: toVector3(portal.position) };
+      if (portal.rotation !== undefined) {
+        hydrated.rotation = portal.rotation * DEG_TO_RAD;
+      }
+      return hydrated;
+    };
+    config.teleporters = hole.teleporters.map(teleporter => ({
+      ...teleporter,
+      entry: hydratePortal(teleporter.entry),
+      exit: hydratePortal(teleporter.exit)
+    }));
+  }
+
+  if (hole.gravityWells) {
+    config.gravityWells = hole.gravityWells.map(well => ({
+      ...well,
+      position: toVector3(well.position)
+    }));
+  }
+
+  ['boostPads', 'conveyors'].forEach(key => {
+    if (hole[key]) {
+      config[key] = hole[key].map(strip => ({
+        ...strip,
+        position: toVector3(strip.position),
+        ...(strip.rotation !== undefined && { rotation: strip.rotation * DEG_TO_RAD })
+      }));
+    }
+  });
+
+  return config;
+}
+
+/**
+ * Convert a runtime hole config back into its JSON course file representation
+ * @param {object} config - Hole config as produced by hydrateHoleConfig
+ * @returns {object} Plain, JSON-serializable hole definition
+ */
+export function serializeHoleConfig(config) {
+  const vector = v => [v.x, v.y, v.z];
+  const hole = { ...config };
+  delete hole.index;
+
+  hole.startPosition = vector(config.startPosition);
+  hole.holePosition = vector(config.holePosition);
+
+  if (config.boundaryShape) {
+    hole.boundaryShape = config.boundaryShape.map(point => [point.x, point.y]);
+  }
+
+  if (config.hazards) {
+    hole.hazards = config.hazards.map(hazard => ({
+      ...hazard,
+      position: vector(hazard.position)
+    }));
+  }
+
+  if (config.bumpers) {
+    hole.bumpers = config.bumpers.map(bumper => ({
+      ...bumper,
+      position: vector(bumper.position),
+      size: vector(bumper.size),
+      rotation: bumper.rotation
+        ? vector(bumper.rotation).map(r => roundForJson(r * RAD_TO_DEG))
+        : [0, 0, 0]
+    }));
+  }
+
+  if (config.surfaceZones) {
+    hole.surfaceZones = config.surfaceZones.map(zone => ({
+      ...zone,
+      polygon: zone.polygon.map(point => [point.x, point.y])
+    }));
+  }
+
+  if (config.terrain) {
+    hole.terrain = config.terrain.map(terrain => ({
+      ...terrain,
+      position: vector(terrain.position),
+      ...(terrain.rotation !== undefined && {
+        rotation: roundForJson(terrain.rotation * RAD_TO_DEG)
+      })
+    }));
+  }
+
+  if (config.obstacles) {
+    hole.obstacles = config.obstacles.map(obstacle => {
+      const serialized = { ...obstacle, position: vector(obstacle.position) };
+      ['size', 'travel'].forEach(key => {
+        if (obstacle[key] !== undefined) {
+          serialized[key] = vector(obstacle[key]);
+        }
+      });
+      ['rotation', 'rotationSpeed'].forEach(key => {
+        if (obstacle[key] !== undefined) {
+          serialized[key] = roundForJson(obstacle[key] * RAD_TO_DEG);
+        }
+      });
+      return serialized;
+    });
+  }
+
+  if (config.teleporters) {
+    const serializePortal = portal => {
+      const serialized = { ...portal, position: vector(portal.position) };
+      if (portal.rotation !== undefined) {
+        serialized.rotation = roundForJson(portal.rotation * RAD_TO_DEG);
+      }
+      return serialized;
+    };
+    hole.teleporters = config.teleporters.map(teleporter => ({
+      ...teleporter,
+      entry: serializePortal(teleporter.entry),
+      exit: serializePortal(teleporter.exit)
+    }));
+  }
+
+  if (config.gravityWells) {
+    hole.gravityWells = config.gravityWells.map(well => ({
+      ...well,
+      position: vector(well.position)
+    }));
+  }
+
+  ['boostPads', 'conveyors'].forEach(key => {
+    if (config[key]) {
+      hole[key] = config[key].map(strip => ({
+        ...strip,
+        position: vector(strip.position),
+        ...(strip.rotation !== undefined && {
+          rotation: roundForJson(strip.rotation * RAD_TO_DEG)
+        })
+      }));
+    }
+  });
+
+  return hole;
+}
+
+/**
+ * Load a course definition into runtime hole configs
+ * @param {object|string} source - Parsed course data or a JSON string
+ * @param {object} [options] - Load options
+ * @param {boolean} [options.validate=true] - Run CourseValidator and reject invalid courses
+ * @returns {{id: string, name: string, author: string, description: string, formatVersion: number, holeConfigs: Array<object>}}
+ * @throws {Error} If the data cannot be parsed, uses an unsupported format version or fails
+ *   validation. Validation errors are attached as `error.problems`.
+ */
+export function loadCourse(source, { validate = true } = {}) {
+  const data = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!data || typeof data !== 'object') {
+    throw new Error('[CourseLoader] Course data must be an object');
+  }
+
+  const formatVersion = data.formatVersion ?? COURSE_FORMAT_VERSION;
+  if (formatVersion > COURSE_FORMAT_VERSION) {
+    throw new Error(
+      `[CourseLoader] Unsupported course format version ${formatVersion} (max ${COURSE_FORMAT_VERSION})`
+    );
+  }
+
+  if (!Array.isArray(data.holes)) {
+    throw new Error('[CourseLoader] Course data must contain a holes array');
+  }
+
+  if (validate) {
+    const result = validateCourse(data);
+    result.warnings.forEach(problem => {
+      debug.log(`[CourseLoader] ${data.id}: ${formatProblem(problem)}`);
+    });
+    if (!result.valid) {
+      const error = new Error(
+        `[CourseLoader] Course "${data.id}" is invalid:\n${result.errors.map(formatProblem).join('\n')}`
+      );
+      error.problems = result.errors;
+      throw error;
+    }
+  }
+
+  return {
+    id: data.id,
+    name: data.name,
+    author: data.author,
+    description: data.description,
+    strokeCap: data.strokeCap ?? null,
+    formatVersion,
+    holeConfigs: data.holes.map((hole, index) => hydrateHoleConfig(hole, index))
+  };
+}
+
+/**
+ * Serialize runtime hole configs and course metadata into a JSON course file object
+ * @param {object} metadata - Course metadata ({ id, name, author, description })
+ * @param {Array<object>} holeConfigs - Runtime hole configs
+ * @returns {object} JSON-serializable course data
+ */
+export function serializeCourse(metadata, holeConfigs) {
+  return {
+    formatVersion: COURSE_FORMAT_VERSION,
+    id: metadata.id,
+    name: metadata.name,
+    author: metadata.author,
+    description: metadata.description,
+    ...(metadata.strokeCap ? { strokeCap: metadata.strokeCap } : {}),
+    holes: holeConfigs.map(serializeHoleConfig)
+  };
+}
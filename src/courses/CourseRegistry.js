@@ -0,0 +1,111 @@
+import spaceNineCourseData from './space-nine.json';
+import orbitalWarmupCourseData from './orbital-warmup.json';
+
+export const DEFAULT_COURSE_ID = 'space-nine';
+
+/**
+ * CourseRegistry - Keeps track of the playable JSON courses and their best scores
+ * Bundled courses are registered on construction; more can be added with register().
+ * Best scores are read from the player stats, which record every scored round.
+ */
+export class CourseRegistry {
+  /**
+   * @param {import('../game/PlayerStats').PlayerStats} [playerStats] - Source of the best scores
+   */
+  constructor(playerStats = null) {
+    this.courses = new Map();
+    this.playerStats = playerStats;
+    this.registerBundledCourses();
+  }
+
+  /**
+   * Register the courses that ship with the game
+   */
+  registerBundledCourses() {
+    this.register(spaceNineCourseData);
+    this.register(orbitalWarmupCourseData);
+  }
+
+  /**
+   * Register a course
+   * @param {object} courseData - JSON course data (see CourseLoader for the format)
+   * @returns {CourseRegistry} this, for chaining
+   */
+  register(courseData) {
+    if (!courseData || typeof courseData.id !== 'string' || !courseData.id) {
+      throw new Error('[CourseRegistry] Course data must have a string id');
+    }
+    if (this.courses.has(courseData.id)) {
+      console.warn(`[CourseRegistry] Replacing already registered course "${courseData.id}"`);
+    }
+    this.courses.set(courseData.id, courseData);
+    return this;
+  }
+
+  /**
+   * Remove a registered course
+   * @param {string} courseId - The course id
+   * @returns {boolean} True if a course was removed
+   */
+  unregister(courseId) {
+    return this.courses.delete(courseId);
+  }
+
+  /**
+   * Check if a course is registered
+   * @param {string} courseId - The course id
+   * @returns {boolean} Whether the course is registered
+   */
+  hasCourse(courseId) {
+    return this.courses.has(courseId);
+  }
+
+  /**
+   * Get the raw JSON data of a registered course
+   * @param {string} courseId - The course id
+   * @returns {object|null} The course data or null if not registered
+   */
+  getCourseData(courseId) {
+    return this.courses.get(courseId) || null;
+  }
+
+  /**
+   * Get a menu-friendly summary of a registered course
+   * @param {string} courseId - The course id
+   * @returns {object|null} {id, name, author, description, holeCount, totalPar, bestScore}
+   */
+  getCourseSummary(courseId) {
+    const data = this.getCourseData(courseId);
+    if (!data) {
+      return null;
+    }
+    const holes = Array.isArray(data.holes) ? data.holes : [];
+    return {
+      id: data.id,
+      name: data.name,
+      author: data.author || 'Unknown',
+      description: data.description || '',
+      holeCount: holes.length,
+      totalPar: holes.reduce((sum, hole) => sum + (hole.par || 0), 0),
+      bestScore: this.getBestScore(data.id)
+    };
+  }
+
+  /**
+   * List summaries of all registered courses in registration order
+   * @returns {Array<object>} Course summaries (see getCourseSummary)
+   */
+  listCourses() {
+    return Array.from(this.courses.keys()).map(courseId => this.getCourseSummary(courseId));
+  }
+
+  /**
+   * Get the best (lowest) total strokes recorded for a course
+   * @param {string} courseId - The course id
+   * @returns {number|null} The best score or null if the course was never completed
+   */
+  getBestScore(courseId) {
+    const score = this.playerStats?.getCourseStats(courseId)?.bestScore;
+    return Number.isFinite(score) ? score : null;
+  }
+}
@@ -0,0 +1,1162 @@
+/**
+ * CourseValidator - Checks JSON course data before it is loaded.
+ *
+ * Works on the serialized course format (see CourseLoader) and has no THREE/Cannon
+ * dependencies so it can run both in the game and from the `validate:courses` CLI.
+ * Every problem is reported with the hole index and the path of the offending field.
+ */
+
+export const KNOWN_HAZARD_TYPES = ['sand', 'water'];
+export const KNOWN_HAZARD_SHAPES = ['circle', 'rectangle', 'compound'];
+export const KNOWN_TERRAIN_TYPES = ['ramp', 'plateau', 'hill'];
+export const KNOWN_OBSTACLE_TYPES = ['rotatingArm', 'slider', 'windmill'];
+export const KNOWN_GRAVITY_WELL_FALLOFFS = ['linear', 'quadratic', 'none'];
+export const KNOWN_SURFACES = ['green', 'sand', 'ice', 'rubber', 'rough', 'sticky']; // Mirrors SurfaceRegistry
+
+// Mirrors Ball.js / HoleEntity.js dimensions
+const BALL_RADIUS = 0.2;
+const CUP_RADIUS = 0.35;
+const GREEN_SURFACE_HEIGHT = 0.2;
+
+// Mirrors the obstacle element defaults (RotatingArmElement, SliderElement, WindmillElement)
+const DEFAULT_ARM_SIZE = { x: 3, y: 0.4, z: 0.3 };
+const DEFAULT_SLIDER_SIZE = { x: 1.5, y: 0.5, z: 0.5 };
+const DEFAULT_SLIDER_TRAVEL = { x: 2, y: 0, z: 0 };
+const DEFAULT_BLADE_LENGTH = 1.2;
+const WINDMILL_POST_EXTENT = 0.5; // Blade tip to outer edge of the post
+const DEFAULT_TELEPORTER_RADIUS = 0.5; // Mirrors TeleporterElement
+const DEFAULT_GRAVITY_WELL_RADIUS = 3; // Mirrors GravityWellElement
+// Mirrors BoostPadElement and ConveyorElement
+const SURFACE_STRIP_KINDS = [
+  { key: 'boostPads', label: 'boost pad', amount: 'boost', defaultSize: [1.5, 1.5] },
+  { key: 'conveyors', label: 'conveyor', amount: 'speed', defaultSize: [2, 6] }
+];
+
+const MIN_PAR = 1;
+const MAX_PAR = 10;
+const MIN_TEE_TO_CUP_DISTANCE = 1;
+const REACHABILITY_GRID_STEP = 0.2;
+const MAX_REACHABILITY_CELLS = 250000;
+
+/**
+ * Read a serialized vector ([x, y, z] or {x, y, z})
+ * @param {*} value - The serialized value
+ * @returns {{x: number, y: number, z: number}|null} The vector or null if invalid
+ */
+function readVector3(value) {
+  let vector = null;
+  if (Array.isArray(value) && value.length === 3) {
+    vector = { x: value[0], y: value[1], z: value[2] };
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    vector = { x: value.x, y: value.y, z: value.z };
+  }
+  if (!vector || ![vector.x, vector.y, vector.z].every(Number.isFinite)) {
+    return null;
+  }
+  return vector;
+}
+
+/**
+ * Read a serialized boundary point ([x, z] or {x, y})
+ * @param {*} value - The serialized value
+ * @returns {{x: number, z: number}|null} The point or null if invalid
+ */
+function readPoint(value) {
+  let point = null;
+  if (Array.isArray(value) && value.length === 2) {
+    point = { x: value[0], z: value[1] };
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    point = { x: value.x, z: value.y };
+  }
+  if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.z)) {
+    return null;
+  }
+  return point;
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {number} x - Point x
+ * @param {number} z - Point z
+ * @param {Array<{x: number, z: number}>} polygon - Polygon points
+ * @returns {boolean} True if inside
+ */
+export function isPointInPolygon(x, z, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.z > z !== b.z > z && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Distance from a point to the closest polygon edge
+ * @param {number} x - Point x
+ * @param {number} z - Point z
+ * @param {Array<{x: number, z: number}>} polygon - Polygon points
+ * @returns {number} The distance
+ */
+function distanceToPolygonEdge(x, z, polygon) {
+  let minDistance = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[j];
+    const b = polygon[i];
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const lengthSq = dx * dx + dz * dz;
+    const t =
+      lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / lengthSq)) : 0;
+    const px = a.x + t * dx - x;
+    const pz = a.z + t * dz - z;
+    minDistance = Math.min(minDistance, Math.sqrt(px * px + pz * pz));
+  }
+  return minDistance;
+}
+
+/**
+ * Build ground footprints for a hazard so points can be tested against it
+ * @param {object} hazard - Serialized hazard config (already validated)
+ * @returns {Array<object>} Footprints ({kind: 'circle'|'rect', ...})
+ */
+function getHazardFootprints(hazard) {
+  const position = readVector3(hazard.position);
+  if (hazard.shape === 'circle') {
+    return [{ kind: 'circle', x: position.x, z: position.z, radius: hazard.size.radius }];
+  }
+  if (hazard.shape === 'rectangle') {
+    return [
+      {
+        kind: 'rect',
+        x: position.x,
+        z: position.z,
+        halfX: hazard.size.width / 2,
+        halfZ: hazard.size.length / 2,
+        angle: 0
+      }
+    ];
+  }
+  return hazard.subShapes.map(subShape => ({
+    kind: 'circle',
+    x: position.x + (subShape.position?.x || 0),
+    z: position.z + (subShape.position?.z || 0),
+    radius: subShape.radius
+  }));
+}
+
+/**
+ * Build the ground footprint of a bumper (rotation about Y only)
+ * @param {object} bumper - Serialized bumper config (already validated)
+ * @returns {object} Footprint
+ */
+function getBumperFootprint(bumper) {
+  const position = readVector3(bumper.position);
+  const size = readVector3(bumper.size);
+  const rotationY = Array.isArray(bumper.rotation) ? bumper.rotation[1] || 0 : 0;
+  return {
+    kind: 'rect',
+    x: position.x,
+    z: position.z,
+    halfX: size.x / 2,
+    halfZ: size.z / 2,
+    angle: (rotationY * Math.PI) / 180
+  };
+}
+
+/**
+ * Build the ground footprint of a terrain feature
+ * @param {object} terrain - Serialized terrain config (already validated)
+ * @returns {object} Footprint
+ */
+function getTerrainFootprint(terrain) {
+  const position = readVector3(terrain.position);
+  if (terrain.type === 'hill') {
+    return { kind: 'circle', x: position.x, z: position.z, radius: terrain.radius };
+  }
+  return {
+    kind: 'rect',
+    x: position.x,
+    z: position.z,
+    halfX: terrain.size[0] / 2,
+    halfZ: terrain.size[1] / 2,
+    angle: ((terrain.rotation || 0) * Math.PI) / 180
+  };
+}
+
+/**
+ * Build the ground footprint swept by a moving obstacle over its whole cycle
+ * @param {object} obstacle - Serialized obstacle config (already validated)
+ * @returns {object} Footprint
+ */
+function getObstacleFootprint(obstacle) {
+  const position = readVector3(obstacle.position);
+  if (obstacle.type === 'rotatingArm') {
+    const size = readVector3(obstacle.size) || DEFAULT_ARM_SIZE;
+    return { kind: 'circle', x: position.x, z: position.z, radius: size.x / 2 };
+  }
+  if (obstacle.type === 'slider') {
+    const size = readVector3(obstacle.size) || DEFAULT_SLIDER_SIZE;
+    const travel = readVector3(obstacle.travel) || DEFAULT_SLIDER_TRAVEL;
+    // Conservative for any orientation of the block
+    const reach = Math.hypot(size.x, size.z) / 2;
+    return {
+      kind: 'rect',
+      x: position.x + travel.x / 2,
+      z: position.z + travel.z / 2,
+      halfX: Math.abs(travel.x) / 2 + reach,
+      halfZ: Math.abs(travel.z) / 2 + reach,
+      angle: 0
+    };
+  }
+  const bladeLength = obstacle.bladeLength ?? DEFAULT_BLADE_LENGTH;
+  return {
+    kind: 'rect',
+    x: position.x,
+    z: position.z,
+    halfX: bladeLength + WINDMILL_POST_EXTENT,
+    halfZ: (obstacle.bladeThickness ?? 0.15) / 2 + WINDMILL_POST_EXTENT / 2,
+    angle: ((obstacle.rotation || 0) * Math.PI) / 180
+  };
+}
+
+/**
+ * Check whether a point lies within a footprint grown by a margin
+ * @param {number} x - Point x
+ * @param {number} z - Point z
+ * @param {object} footprint - Footprint from getHazardFootprints/getBumperFootprint
+ * @param {number} margin - Extra clearance around the footprint
+ * @returns {boolean} True if the point overlaps the footprint
+ */
+function isPointInFootprint(x, z, footprint, margin) {
+  const dx = x - footprint.x;
+  const dz = z - footprint.z;
+  if (footprint.kind === 'circle') {
+    return Math.sqrt(dx * dx + dz * dz) <= footprint.radius + margin;
+  }
+  // Rotate into the footprint's local frame (inverse of a THREE rotation about Y)
+  const cos = Math.cos(footprint.angle);
+  const sin = Math.sin(footprint.angle);
+  const localX = dx * cos - dz * sin;
+  const localZ = dx * sin + dz * cos;
+  return (
+    Math.abs(localX) <= footprint.halfX + margin && Math.abs(localZ) <= footprint.halfZ + margin
+  );
+}
+
+/**
+ * Flood fill a grid over the green to see if the ball can roll from the tee to the cup
+ * without crossing bumpers or water.
+ * @param {object} tee - Tee position {x, z}
+ * @param {object} cup - Cup position {x, z}
+ * @param {Array<object>} polygon - Boundary polygon
+ * @param {Array<object>} blockers - Footprints the ball cannot pass through
+ * @param {Array<object>} links - Teleporter links { entry: {x, z, radius}, exit: {x, z} }
+ * @returns {boolean|null} True if reachable, false if not, null if the check was skipped
+ *   (tee/cup outside the boundary or the grid would be too large)
+ */
+function isCupReachable(tee, cup, polygon, blockers, links = []) {
+  if (!isPointInPolygon(tee.x, tee.z, polygon) || !isPointInPolygon(cup.x, cup.z, polygon)) {
+    return null;
+  }
+
+  const xs = polygon.map(p => p.x);
+  const zs = polygon.map(p => p.z);
+  const minX = Math.min(...xs);
+  const minZ = Math.min(...zs);
+  const columns = Math.ceil((Math.max(...xs) - minX) / REACHABILITY_GRID_STEP) + 1;
+  const rows = Math.ceil((Math.max(...zs) - minZ) / REACHABILITY_GRID_STEP) + 1;
+  if (columns * rows > MAX_REACHABILITY_CELLS) {
+    return null;
+  }
+
+  const cellX = column => minX + column * REACHABILITY_GRID_STEP;
+  const cellZ = row => minZ + row * REACHABILITY_GRID_STEP;
+  const toCell = point => [
+    Math.round((point.x - minX) / REACHABILITY_GRID_STEP),
+    Math.round((point.z - minZ) / REACHABILITY_GRID_STEP)
+  ];
+  const isOpen = (x, z) =>
+    isPointInPolygon(x, z, polygon) &&
+    distanceToPolygonEdge(x, z, polygon) >= BALL_RADIUS &&
+    !blockers.some(footprint => isPointInFootprint(x, z, footprint, BALL_RADIUS));
+
+  const [startColumn, startRow] = toCell(tee);
+  const visited = new Uint8Array(columns * rows);
+  const queue = [[startColumn, startRow]];
+  visited[startRow * columns + startColumn] = 1;
+
+  while (queue.length > 0) {
+    const [column, row] = queue.shift();
+    const x = cellX(column);
+    const z = cellZ(row);
+    if (Math.hypot(x - cup.x, z - cup.z) <= CUP_RADIUS + REACHABILITY_GRID_STEP) {
+      return true;
+    }
+    // A ball rolling into a teleporter entry only comes out of its exit
+    const link = links.find(({ entry }) => Math.hypot(x - entry.x, z - entry.z) <= entry.radius);
+    let neighbours = [
+      [column + 1, row],
+      [column - 1, row],
+      [column, row + 1],
+      [column, row - 1]
+    ];
+    if (link) {
+      neighbours = [toCell(link.exit)];
+    }
+    for (const [nextColumn, nextRow] of neighbours) {
+      const index = nextRow * columns + nextColumn;
+      if (
+        nextColumn >= 0 &&
+        nextColumn < columns &&
+        nextRow >= 0 &&
+        nextRow < rows &&
+        !visited[index]
+      ) {
+        visited[index] = 1;
+        if (isOpen(cellX(nextColumn), cellZ(nextRow))) {
+          queue.push([nextColumn, nextRow]);
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Read and check a hole's boundary polygon
+ * @param {object} hole - Serialized hole definition
+ * @param {Function} error - error(path, message)
+ * @param {Function} warning - warning(path, message)
+ * @returns {Array<{x: number, z: number}>|null} The polygon, or null if missing/invalid
+ */
+function readBoundary(hole, error, warning) {
+  if (hole.boundaryShape !== undefined) {
+    if (!Array.isArray(hole.boundaryShape) || hole.boundaryShape.length < 3) {
+      error('boundaryShape', 'boundaryShape must be an array of at least 3 [x, z] points');
+    } else {
+      const points = hole.boundaryShape.map(readPoint);
+      points.forEach((point, pointIndex) => {
+        if (!point) {
+          error(
+            `boundaryShape[${pointIndex}]`,
+            'boundary point must be [x, z] with finite numbers'
+          );
+        }
+      });
+      if (points.every(Boolean)) {
+        return points;
+      }
+    }
+  } else if (!(hole.courseWidth > 0 && hole.courseLength > 0)) {
+    error('boundaryShape', 'hole needs a boundaryShape (or positive courseWidth/courseLength)');
+  } else {
+    warning(
+      'boundaryShape',
+      'no boundaryShape; HoleEntity falls back to a default boundary and geometry checks are skipped'
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Check that the tee and cup sit inside the boundary with room for the ball/cup
+ * @param {object|null} tee - Tee position {x, z}
+ * @param {object|null} cup - Cup position {x, z}
+ * @param {Array<object>} polygon - Boundary polygon
+ * @param {Function} error - error(path, message)
+ */
+function checkPointsInBoundary(tee, cup, polygon, error) {
+  [
+    ['startPosition', tee, BALL_RADIUS, 'tee'],
+    ['holePosition', cup, CUP_RADIUS, 'cup']
+  ].forEach(([field, point, clearance, label]) => {
+    if (!point) {
+      return;
+    }
+    if (!isPointInPolygon(point.x, point.z, polygon)) {
+      error(field, `${label} (${point.x}, ${point.z}) is outside boundaryShape`);
+    } else if (distanceToPolygonEdge(point.x, point.z, polygon) < clearance) {
+      error(field, `${label} (${point.x}, ${point.z}) is too close to the boundary wall`);
+    }
+  });
+}
+
+/**
+ * Check a hazard's type, shape and size fields
+ * @param {object} hazard - Serialized hazard config
+ * @param {string} path - Field path of the hazard within the hole
+ * @param {Function} error - error(path, message)
+ * @returns {boolean} True if the hazard can be used for geometry checks
+ */
+function checkHazardDefinition(hazard, path, error) {
+  let valid = true;
+  if (!KNOWN_HAZARD_TYPES.includes(hazard?.type)) {
+    error(
+      `${path}.type`,
+      `unknown hazard type "${hazard?.type}" (expected one of: ${KNOWN_HAZARD_TYPES.join(', ')})`
+    );
+    valid = false;
+  }
+  if (!KNOWN_HAZARD_SHAPES.includes(hazard?.shape)) {
+    error(
+      `${path}.shape`,
+      `unknown hazard shape "${hazard?.shape}" (expected one of: ${KNOWN_HAZARD_SHAPES.join(', ')})`
+    );
+    return false;
+  }
+  if (!readVector3(hazard.position)) {
+    error(`${path}.position`, 'position must be [x, y, z] with finite numbers');
+    valid = false;
+  }
+  if (hazard.shape === 'circle' && !(hazard.size?.radius > 0)) {
+    error(`${path}.size.radius`, 'circle hazards need a positive size.radius');
+    valid = false;
+  }
+  if (hazard.shape === 'rectangle') {
+    ['width', 'length'].forEach(key => {
+      if (!(hazard.size?.[key] > 0)) {
+        error(`${path}.size.${key}`, `rectangle hazards need a positive size.${key}`);
+        valid = false;
+      }
+    });
+  }
+  if (hazard.shape === 'compound') {
+    if (!Array.isArray(hazard.subShapes) || hazard.subShapes.length === 0) {
+      error(`${path}.subShapes`, 'compound hazards need a non-empty subShapes array');
+      valid = false;
+    } else {
+      hazard.subShapes.forEach((subShape, subIndex) => {
+        if (!(subShape?.radius > 0)) {
+          error(`${path}.subShapes[${subIndex}].radius`, 'sub-shape needs a positive radius');
+          valid = false;
+        }
+      });
+    }
+  }
+  if (hazard.depth !== undefined && !(hazard.depth > 0)) {
+    error(`${path}.depth`, 'depth must be a positive number');
+  }
+  if (hazard.coversCup !== undefined && typeof hazard.coversCup !== 'boolean') {
+    error(`${path}.coversCup`, 'coversCup must be true or false');
+  }
+  return valid;
+}
+
+/**
+ * Check a bumper's position, size and rotation fields
+ * @param {object} bumper - Serialized bumper config
+ * @param {string} path - Field path of the bumper within the hole
+ * @param {Function} error - error(path, message)
+ * @returns {boolean} True if the bumper can be used for geometry checks
+ */
+function checkBumperDefinition(bumper, path, error) {
+  let valid = true;
+  if (!readVector3(bumper?.position)) {
+    error(`${path}.position`, 'position must be [x, y, z] with finite numbers');
+    valid = false;
+  }
+  const size = readVector3(bumper?.size);
+  if (!size || size.x <= 0 || size.y <= 0 || size.z <= 0) {
+    error(`${path}.size`, 'size must be [width, height, depth] with positive numbers');
+    valid = false;
+  }
+  if (bumper?.rotation !== undefined && !readVector3(bumper.rotation)) {
+    error(`${path}.rotation`, 'rotation must be [x, y, z] in degrees');
+    valid = false;
+  }
+  if (bumper?.material !== undefined && !KNOWN_SURFACES.includes(bumper.material)) {
+    error(
+      `${path}.material`,
+      `unknown surface material "${bumper.material}" (expected one of ${KNOWN_SURFACES.join(', ')})`
+    );
+  }
+  return valid;
+}
+
+/**
+ * Check a terrain feature's type and dimension fields
+ * @param {object} terrain - Serialized terrain config
+ * @param {string} path - Field path of the terrain feature within the hole
+ * @param {Function} error - error(path, message)
+ * @returns {boolean} True if the terrain feature can be used for geometry checks
+ */
+function checkTerrainDefinition(terrain, path, error) {
+  if (!KNOWN_TERRAIN_TYPES.includes(terrain?.type)) {
+    error(
+      `${path}.type`,
+      `unknown terrain type "${terrain?.type}" (expected one of: ${KNOWN_TERRAIN_TYPES.join(', ')})`
+    );
+    return false;
+  }
+  let valid = true;
+  if (!readVector3(terrain.position)) {
+    error(`${path}.position`, 'position must be [x, y, z] with finite numbers');
+    valid = false;
+  }
+  const positive = (field, value, label = field) => {
+    if (!(value > 0)) {
+      error(`${path}.${field}`, `${terrain.type} needs a positive ${label}`);
+      valid = false;
+    }
+  };
+
+  if (terrain.type === 'hill') {
+    positive('radius', terrain.radius);
+    positive('height', terrain.height);
+    return valid;
+  }
+
+  if (!Array.isArray(terrain.size) || terrain.size.length !== 2 || !(terrain.size[0] > 0)) {
+    error(`${path}.size`, 'size must be [width, length] with positive numbers');
+    valid = false;
+  } else {
+    positive('size', terrain.size[1], 'length');
+  }
+  if (terrain.rotation !== undefined && !Number.isFinite(terrain.rotation)) {
+    error(`${path}.rotation`, 'rotation must be an angle about Y in degrees');
+    valid = false;
+  }
+  if (terrain.type === 'plateau') {
+    positive('height', terrain.height);
+  } else {
+    const baseHeight = terrain.baseHeight ?? 0;
+    if (!Number.isFinite(terrain.rise) || terrain.rise === 0) {
+      error(`${path}.rise`, 'ramp needs a non-zero rise (negative slopes down)');
+      valid = false;
+    } else if (!Number.isFinite(baseHeight) || baseHeight < 0 || baseHeight + terrain.rise < 0) {
+      error(`${path}.baseHeight`, 'ramp must not dip below the green (baseHeight + rise >= 0)');
+      valid = false;
+    }
+  }
+  return valid;
+}
+
+/**
+ * Check a hole's terrain list. Terrain is walkable for reachability, but the tee and cup
+ * must stay on the flat green.
+ * @param {object} hole - Serialized hole definition
+ * @param {object} points - { tee, cup, polygon } as read by validateHole (may be null)
+ * @param {Function} error - error(path, message)
+ * @param {Function} warning - warning(path, message)
+ */
+function checkTerrain(hole, { tee, cup, polygon }, error, warning) {
+  if (hole.terrain === undefined) {
+    return;
+  }
+  if (!Array.isArray(hole.terrain)) {
+    error('terrain', 'terrain must be an array');
+    return;
+  }
+  hole.terrain.forEach((terrain, terrainIndex) => {
+    const path = `terrain[${terrainIndex}]`;
+    if (!checkTerrainDefinition(terrain, path, error)) {
+      return;
+    }
+
+    const footprint = getTerrainFootprint(terrain);
+    if (tee && isPointInFootprint(tee.x, tee.z, footprint, BALL_RADIUS)) {
+      error(path, `${terrain.type} overlaps the tee (startPosition); tees must be on flat green`);
+    }
+    if (cup && isPointInFootprint(cup.x, cup.z, footprint, CUP_RADIUS)) {
+      error(path, `${terrain.type} overlaps the cup (holePosition); cups must be on flat green`);
+    }
+    if (polygon && !isPointInPolygon(footprint.x, footprint.z, polygon)) {
+      warning(path, 'terrain centre lies outside boundaryShape');
+    }
+  });
+}
+
+/**
+ * Check a moving obstacle's type and motion fields
+ * @param {object} obstacle - Serialized obstacle config
+ * @param {string} path - Field path of the obstacle within the hole
+ * @param {Function} error - error(path, message)
+ * @returns {boolean} True if the obstacle can be used for geometry checks
+ */
+function checkObstacleDefinition(obstacle, path, error) {
+  if (!KNOWN_OBSTACLE_TYPES.includes(obstacle?.type)) {
+    error(
+      `${path}.type`,
+      `unknown obstacle type "${obstacle?.type}" (expected one of: ${KNOWN_OBSTACLE_TYPES.join(', ')})`
+    );
+    return false;
+  }
+  let valid = true;
+  const fail = (field, message) => {
+    error(`${path}.${field}`, message);
+    valid = false;
+  };
+
+  if (!readVector3(obstacle.position)) {
+    fail('position', 'position must be [x, y, z] with finite numbers');
+  }
+  if (obstacle.size !== undefined) {
+    const size = readVector3(obstacle.size);
+    if (!size || size.x <= 0 || size.y <= 0 || size.z <= 0) {
+      fail('size', 'size must be [width, height, depth] with positive numbers');
+    }
+  }
+  if (obstacle.travel !== undefined && !readVector3(obstacle.travel)) {
+    fail('travel', 'travel must be [x, y, z] with finite numbers');
+  }
+  ['rotation', 'rotationSpeed'].forEach(field => {
+    if (obstacle[field] !== undefined && !Number.isFinite(obstacle[field])) {
+      fail(field, `${field} must be a number (degrees${field === 'rotationSpeed' ? '/s' : ''})`);
+    }
+  });
+  if (obstacle.phase !== undefined && !(obstacle.phase >= 0 && obstacle.phase < 1)) {
+    fail('phase', 'phase must be a fraction of a cycle between 0 (inclusive) and 1');
+  }
+  ['period', 'bladeLength', 'bladeWidth', 'bladeThickness'].forEach(field => {
+    if (obstacle[field] !== undefined && !(obstacle[field] > 0)) {
+      fail(field, `${field} must be a positive number`);
+    }
+  });
+  if (
+    obstacle.bladeCount !== undefined &&
+    !(Number.isInteger(obstacle.bladeCount) && obstacle.bladeCount > 0)
+  ) {
+    fail('bladeCount', 'bladeCount must be a positive integer');
+  }
+  return valid;
+}
+
+/**
+ * Check a hole's moving obstacles. Obstacles move, so they never block reachability, but
+ * the area they sweep must stay clear of the tee and cup.
+ * @param {object} hole - Serialized hole definition
+ * @param {object} points - { tee, cup, polygon } as read by validateHole (may be null)
+ * @param {Function} error - error(path, message)
+ * @param {Function} warning - warning(path, message)
+ */
+function checkObstacles(hole, { tee, cup, polygon }, error, warning) {
+  if (hole.obstacles === undefined) {
+    return;
+  }
+  if (!Array.isArray(hole.obstacles)) {
+    error('obstacles', 'obstacles must be an array');
+    return;
+  }
+  hole.obstacles.forEach((obstacle, obstacleIndex) => {
+    const path = `obstacles[${obstacleIndex}]`;
+    if (!checkObstacleDefinition(obstacle, path, error)) {
+      return;
+    }
+
+    const footprint = getObstacleFootprint(obstacle);
+    if (tee && isPointInFootprint(tee.x, tee.z, footprint, BALL_RADIUS)) {
+      error(path, `${obstacle.type} sweeps over the tee (startPosition)`);
+    }
+    if (cup && isPointInFootprint(cup.x, cup.z, footprint, CUP_RADIUS)) {
+      error(path, `${obstacle.type} sweeps over the cup (holePosition)`);
+    }
+    if (polygon && !isPointInPolygon(footprint.x, footprint.z, polygon)) {
+      warning(path, 'obstacle centre lies outside boundaryShape');
+    }
+    if (obstacle.type === 'windmill') {
+      const bladeLength = obstacle.bladeLength ?? DEFAULT_BLADE_LENGTH;
+      const lowestTip = readVector3(obstacle.position).y - bladeLength;
+      if (lowestTip > GREEN_SURFACE_HEIGHT + BALL_RADIUS * 2) {
+        warning(path, 'windmill blades pass above the ball; lower the hub or lengthen the blades');
+      }
+    }
+  });
+}
+
+/**
+ * Check a teleporter's portal positions, rotations and radius
+ * @param {object} teleporter - Serialized teleporter config
+ * @param {string} path - Field path of the teleporter within the hole
+ * @param {Function} error - error(path, message)
+ * @returns {boolean} True if the teleporter can be used for geometry checks
+ */
+function checkTeleporterDefinition(teleporter, path, error) {
+  let valid = true;
+  ['entry', 'exit'].forEach(end => {
+    const portal = teleporter?.[end];
+    if (!readVector3(portal?.position)) {
+      error(`${path}.${end}.position`, `${end}.position must be [x, y, z] with finite numbers`);
+      valid = false;
+    }
+    if (portal?.rotation !== undefined && !Number.isFinite(portal.rotation)) {
+      error(`${path}.${end}.rotation`, `${end}.rotation must be a number (degrees)`);
+      valid = false;
+    }
+  });
+  if (teleporter?.radius !== undefined && !(teleporter.radius > 0)) {
+    error(`${path}.radius`, 'radius must be a positive number');
+    valid = false;
+  }
+  return valid;
+}
+
+/**
+ * Check a hole's teleporters and collect the links they add for reachability
+ * @param {object} hole - Serialized hole definition
+ * @param {object} points - { tee, cup, polygon } as read by validateHole (may be null)
+ * @param {Function} error - error(path, message)
+ * @returns {Array<object>} Links { path, entry: {x, z, radius}, exit: {x, z} }
+ */
+function checkTeleporters(hole, { tee, cup, polygon }, error) {
+  if (hole.teleporters === undefined) {
+    return [];
+  }
+  if (!Array.isArray(hole.teleporters)) {
+    error('teleporters', 'teleporters must be an array');
+    return [];
+  }
+
+  const links = [];
+  hole.teleporters.forEach((teleporter, teleporterIndex) => {
+    const path = `teleporters[${teleporterIndex}]`;
+    if (!checkTeleporterDefinition(teleporter, path, error)) {
+      return;
+    }
+
+    const entry = readVector3(teleporter.entry.position);
+    const exit = readVector3(teleporter.exit.position);
+    const radius = teleporter.radius ?? DEFAULT_TELEPORTER_RADIUS;
+    if (tee && Math.hypot(tee.x - entry.x, tee.z - entry.z) < radius + BALL_RADIUS) {
+      error(path, 'teleporter entry overlaps the tee (startPosition)');
+    }
+    if (cup && Math.hypot(cup.x - entry.x, cup.z - entry.z) < radius + CUP_RADIUS) {
+      error(path, 'teleporter entry overlaps the cup (holePosition)');
+    }
+    if (cup && Math.hypot(cup.x - exit.x, cup.z - exit.z) < CUP_RADIUS + BALL_RADIUS) {
+      error(`${path}.exit.position`, 'teleporter exit drops the ball onto the cup (holePosition)');
+    }
+    if (polygon && !isPointInPolygon(entry.x, entry.z, polygon)) {
+      error(`${path}.entry.position`, 'teleporter entry lies outside boundaryShape');
+    }
+    if (polygon && !isPointInPolygon(exit.x, exit.z, polygon)) {
+      error(`${path}.exit.position`, 'teleporter exit lies outside boundaryShape');
+    }
+    links.push({ path, entry: { x: entry.x, z: entry.z, radius }, exit: { x: exit.x, z: exit.z } });
+  });
+
+  // An exit inside an entry would send the ball straight on to another portal every frame
+  links.forEach(link => {
+    const chained = links.some(
+      ({ entry }) => Math.hypot(link.exit.x - entry.x, link.exit.z - entry.z) <= entry.radius
+    );
+    if (chained) {
+      error(`${link.path}.exit.position`, 'teleporter exit lies inside a teleporter entry');
+    }
+  });
+  return links;
+}
+
+/**
+ * Check a gravity well's position, strength, radius and falloff
+ * @param {object} well - Serialized gravity well config
+ * @param {string} path - Field path of the well within the hole
+ * @param {Function} error - error(path, message)
+ * @returns {boolean} True if the well can be used for geometry checks
+ */
+function checkGravityWellDefinition(well, path, error) {
+  let valid = true;
+  if (!readVector3(well?.position)) {
+    error(`${path}.position`, 'position must be [x, y, z] with finite numbers');
+    valid = false;
+  }
+  if (well?.strength !== undefined && !Number.isFinite(well.strength)) {
+    error(`${path}.strength`, 'strength must be a number (m/s^2, negative repels)');
+    valid = false;
+  }
+  if (well?.radius !== undefined && !(well.radius > 0)) {
+    error(`${path}.radius`, 'radius must be a positive number');
+    valid = false;
+  }
+  if (well?.falloff !== undefined && !KNOWN_GRAVITY_WELL_FALLOFFS.includes(well.falloff)) {
+    error(
+      `${path}.falloff`,
+      `unknown falloff "${well.falloff}" (expected one of: ${KNOWN_GRAVITY_WELL_FALLOFFS.join(', ')})`
+    );
+    valid = false;
+  }
+  return valid;
+}
+
+/**
+ * Check a hole's gravity wells. Wells bend the ball's path but never block it, so they
+ * only need to leave the tee alone.
+ * @param {object} hole - Serialized hole definition
+ * @param {object} points - { tee, cup, polygon } as read by validateHole (may be null)
+ * @param {Function} error - error(path, message)
+ * @param {Function} warning - warning(path, message)
+ */
+function checkGravityWells(hole, { tee, cup, polygon }, error, warning) {
+  if (hole.gravityWells === undefined) {
+    return;
+  }
+  if (!Array.isArray(hole.gravityWells)) {
+    error('gravityWells', 'gravityWells must be an array');
+    return;
+  }
+  hole.gravityWells.forEach((well, wellIndex) => {
+    const path = `gravityWells[${wellIndex}]`;
+    if (!checkGravityWellDefinition(well, path, error)) {
+      return;
+    }
+
+    const centre = readVector3(well.position);
+    const radius = well.radius ?? DEFAULT_GRAVITY_WELL_RADIUS;
+    if (tee && Math.hypot(tee.x - centre.x, tee.z - centre.z) < radius) {
+      error(path, 'gravity well field covers the tee (startPosition); the ball would roll away');
+    }
+    if (
+      cup &&
+      well.strength < 0 &&
+      Math.hypot(cup.x - centre.x, cup.z - centre.z) < radius + CUP_RADIUS
+    ) {
+      warning(path, 'repelling gravity well pushes the ball away from the cup (holePosition)');
+    }
+    if (polygon && !isPointInPolygon(centre.x, centre.z, polygon)) {
+      warning(path, 'gravity well centre lies outside boundaryShape');
+    }
+  });
+}
+
+/**
+ * Check a boost pad's or conveyor's position, size, rotation and strength
+ * @param {object} strip - Serialized boost pad or conveyor config
+ * @param {string} path - Field path of the strip within the hole
+ * @param {string} amount - Name of the strength field ('boost' or 'speed', in m/s)
+ * @param {Function} error - error(path, message)
+ * @returns {boolean} True if the strip can be used for geometry checks
+ */
+function checkSurfaceStripDefinition(strip, path, amount, error) {
+  let valid = true;
+  const fail = (field, message) => {
+    error(`${path}.${field}`, message);
+    valid = false;
+  };
+
+  if (!readVector3(strip?.position)) {
+    fail('position', 'position must be [x, y, z] with finite numbers');
+  }
+  if (
+    strip?.size !== undefined &&
+    !(Array.isArray(strip.size) && strip.size.length === 2 && strip.size.every(v => v > 0))
+  ) {
+    fail('size', 'size must be [width, length] with positive numbers');
+  }
+  if (strip?.rotation !== undefined && !Number.isFinite(strip.rotation)) {
+    fail('rotation', 'rotation must be a number (degrees)');
+  }
+  if (strip?.[amount] !== undefined && !(strip[amount] > 0)) {
+    fail(amount, `${amount} must be a positive number (m/s)`);
+  }
+  return valid;
+}
+
+/**
+ * Check a hole's boost pads and conveyors. They speed the ball up or carry it along but
+ * never block it, so they only need to stay off the tee and cup.
+ * @param {object} hole - Serialized hole definition
+ * @param {object} points - { tee, cup, polygon } as read by validateHole (may be null)
+ * @param {Function} error - error(path, message)
+ * @param {Function} warning - warning(path, message)
+ */
+function checkSurfaceStrips(hole, { tee, cup, polygon }, error, warning) {
+  SURFACE_STRIP_KINDS.forEach(({ key, label, amount, defaultSize }) => {
+    if (hole[key] === undefined) {
+      return;
+    }
+    if (!Array.isArray(hole[key])) {
+      error(key, `${key} must be an array`);
+      return;
+    }
+    hole[key].forEach((strip, stripIndex) => {
+      const path = `${key}[${stripIndex}]`;
+      if (!checkSurfaceStripDefinition(strip, path, amount, error)) {
+        return;
+      }
+
+      const position = readVector3(strip.position);
+      const [width, length] = strip.size || defaultSize;
+      const footprint = {
+        kind: 'rect',
+        x: position.x,
+        z: position.z,
+        halfX: width / 2,
+        halfZ: length / 2,
+        angle: ((strip.rotation || 0) * Math.PI) / 180
+      };
+      if (tee && isPointInFootprint(tee.x, tee.z, footprint, BALL_RADIUS)) {
+        error(path, `${label} overlaps the tee (startPosition)`);
+      }
+      if (cup && isPointInFootprint(cup.x, cup.z, footprint, CUP_RADIUS)) {
+        error(path, `${label} overlaps the cup (holePosition)`);
+      }
+      if (polygon && !isPointInPolygon(position.x, position.z, polygon)) {
+        warning(path, `${label} centre lies outside boundaryShape`);
+      }
+    });
+  });
+}
+
+/**
+ * Check surface zones: a known surface painted over a polygon inside the boundary
+ * @param {object} hole - Serialized hole definition
+ * @param {object} geometry - { polygon } from the hole's boundary
+ * @param {Function} error - error(path, message)
+ * @param {Function} warning - warning(path, message)
+ */
+function checkSurfaceZones(hole, { polygon }, error, warning) {
+  if (hole.surfaceZones === undefined) {
+    return;
+  }
+  if (!Array.isArray(hole.surfaceZones)) {
+    error('surfaceZones', 'surfaceZones must be an array');
+    return;
+  }
+  hole.surfaceZones.forEach((zone, zoneIndex) => {
+    const path = `surfaceZones[${zoneIndex}]`;
+    if (!KNOWN_SURFACES.includes(zone?.surface)) {
+      error(
+        `${path}.surface`,
+        `unknown surface "${zone?.surface}" (expected one of ${KNOWN_SURFACES.join(', ')})`
+      );
+    }
+    if (!Array.isArray(zone?.polygon) || zone.polygon.length < 3) {
+      error(`${path}.polygon`, 'polygon must be an array of at least 3 [x, z] points');
+      return;
+    }
+    const points = zone.polygon.map(readPoint);
+    if (!points.every(Boolean)) {
+      error(`${path}.polygon`, 'polygon points must be [x, z] with finite numbers');
+      return;
+    }
+    if (polygon && points.some(point => !isPointInPolygon(point.x, point.z, polygon))) {
+      warning(`${path}.polygon`, 'surface zone reaches outside boundaryShape');
+    }
+  });
+}
+
+/**
+ * Validate a single hole definition
+ * @param {object} hole - Serialized hole definition
+ * @param {number} holeIndex - 0-based hole index
+ * @param {Function} report - report(severity, holeIndex, path, message)
+ */
+function validateHole(hole, holeIndex, report) {
+  const base = `holes[${holeIndex}]`;
+  const error = (path, message) => report('error', holeIndex, `${base}.${path}`, message);
+  const warning = (path, message) => report('warning', holeIndex, `${base}.${path}`, message);
+
+  if (!hole || typeof hole !== 'object') {
+    report('error', holeIndex, base, 'hole must be an object');
+    return;
+  }
+
+  // --- Basic fields ---
+  if (!Number.isInteger(hole.par) || hole.par < MIN_PAR || hole.par > MAX_PAR) {
+    error('par', `par must be an integer between ${MIN_PAR} and ${MAX_PAR} (got ${hole.par})`);
+  }
+  if (hole.description !== undefined && typeof hole.description !== 'string') {
+    error('description', 'description must be a string');
+  }
+
+  const tee = readVector3(hole.startPosition);
+  const cup = readVector3(hole.holePosition);
+  if (!tee) {
+    error('startPosition', 'startPosition must be [x, y, z] with finite numbers');
+  }
+  if (!cup) {
+    error('holePosition', 'holePosition must be [x, y, z] with finite numbers');
+  }
+  if (tee && cup && Math.hypot(tee.x - cup.x, tee.z - cup.z) < MIN_TEE_TO_CUP_DISTANCE) {
+    error(
+      'holePosition',
+      `cup is less than ${MIN_TEE_TO_CUP_DISTANCE} unit from the tee (startPosition)`
+    );
+  }
+
+  // --- Boundary ---
+  const polygon = readBoundary(hole, error, warning);
+
+  if (polygon) {
+    checkPointsInBoundary(tee, cup, polygon, error);
+  }
+
+  // --- Hazards ---
+  const waterFootprints = [];
+  let cupBlocked = false;
+  if (hole.hazards !== undefined && !Array.isArray(hole.hazards)) {
+    error('hazards', 'hazards must be an array');
+  }
+  (Array.isArray(hole.hazards) ? hole.hazards : []).forEach((hazard, hazardIndex) => {
+    const path = `hazards[${hazardIndex}]`;
+    if (!checkHazardDefinition(hazard, path, error)) {
+      return;
+    }
+
+    const footprints = getHazardFootprints(hazard);
+    if (tee && footprints.some(f => isPointInFootprint(tee.x, tee.z, f, BALL_RADIUS))) {
+      error(path, `${hazard.type} hazard overlaps the tee (startPosition)`);
+    }
+    if (cup && footprints.some(f => isPointInFootprint(cup.x, cup.z, f, 0))) {
+      if (hazard.type === 'water') {
+        error(path, 'water hazard covers the cup (holePosition); the cup cannot be reached');
+        cupBlocked = true;
+      } else if (hazard.coversCup !== true) {
+        warning(path, `${hazard.type} hazard covers the cup (holePosition)`);
+      }
+    }
+    if (polygon && footprints.some(f => !isPointInPolygon(f.x, f.z, polygon))) {
+      warning(path, 'hazard centre lies outside boundaryShape');
+    }
+    if (hazard.type === 'water') {
+      waterFootprints.push(...footprints);
+    }
+  });
+
+  // --- Bumpers ---
+  const bumperFootprints = [];
+  if (hole.bumpers !== undefined && !Array.isArray(hole.bumpers)) {
+    error('bumpers', 'bumpers must be an array');
+  }
+  (Array.isArray(hole.bumpers) ? hole.bumpers : []).forEach((bumper, bumperIndex) => {
+    const path = `bumpers[${bumperIndex}]`;
+    if (!checkBumperDefinition(bumper, path, error)) {
+      return;
+    }
+
+    const footprint = getBumperFootprint(bumper);
+    if (tee && isPointInFootprint(tee.x, tee.z, footprint, BALL_RADIUS)) {
+      error(path, 'bumper overlaps the tee (startPosition)');
+    }
+    if (cup && isPointInFootprint(cup.x, cup.z, footprint, CUP_RADIUS)) {
+      error(path, 'bumper overlaps the cup (holePosition)');
+      cupBlocked = true;
+    }
+    bumperFootprints.push(footprint);
+  });
+
+  // --- Surface zones ---
+  checkSurfaceZones(hole, { polygon }, error, warning);
+
+  // --- Terrain ---
+  checkTerrain(hole, { tee, cup, polygon }, error, warning);
+
+  // --- Moving obstacles ---
+  checkObstacles(hole, { tee, cup, polygon }, error, warning);
+
+  // --- Teleporters ---
+  const teleporterLinks = checkTeleporters(hole, { tee, cup, polygon }, error);
+
+  // --- Gravity wells ---
+  checkGravityWells(hole, { tee, cup, polygon }, error, warning);
+
+  // --- Boost pads and conveyors ---
+  checkSurfaceStrips(hole, { tee, cup, polygon }, error, warning);
+
+  // --- Reachability (skipped when the cup is already reported as blocked) ---
+  if (!cupBlocked && polygon && tee && cup) {
+    const reachable = isCupReachable(
+      tee,
+      cup,
+      polygon,
+      [...bumperFootprints, ...waterFootprints],
+      teleporterLinks
+    );
+    if (reachable === false) {
+      error('holePosition', 'cup cannot be reached from the tee without crossing bumpers or water');
+    }
+  }
+}
+
+/**
+ * Validate the course's optional stroke cap: a fixed number or { overPar: n }
+ * @param {object} data - Serialized course data
+ * @param {Function} report - report(severity, holeIndex, path, message)
+ */
+function validateStrokeCap(data, report) {
+  const { strokeCap } = data;
+  if (Number.isInteger(strokeCap) && strokeCap >= 1) {
+    (Array.isArray(data.holes) ? data.holes : []).forEach((hole, holeIndex) => {
+      if (Number.isInteger(hole?.par) && strokeCap < hole.par) {
+        report(
+          'warning',
+          holeIndex,
+          'strokeCap',
+          `strokeCap ${strokeCap} is below par ${hole.par}, so par cannot be made`
+        );
+      }
+    });
+    return;
+  }
+  const overPar = strokeCap?.overPar;
+  if (typeof strokeCap === 'object' && Number.isInteger(overPar) && overPar >= 0) {
+    return;
+  }
+  report(
+    'error',
+    null,
+    'strokeCap',
+    'strokeCap must be a positive integer or { overPar: n } with n >= 0'
+  );
+}
+
+/**
+ * Validate serialized course data
+ * @param {object} data - Parsed JSON course data
+ * @returns {{valid: boolean, errors: Array<object>, warnings: Array<object>}}
+ *   Problems are {severity, holeIndex, path, message}; holeIndex is null for course-level problems.
+ */
+export function validateCourse(data) {
+  const errors = [];
+  const warnings = [];
+  const report = (severity, holeIndex, path, message) => {
+    const problem = { severity, holeIndex, path, message };
+    (severity === 'error' ? errors : warnings).push(problem);
+  };
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    report('error', null, '', 'course data must be an object');
+    return { valid: false, errors, warnings };
+  }
+
+  if (data.formatVersion !== undefined && !Number.isInteger(data.formatVersion)) {
+    report('error', null, 'formatVersion', 'formatVersion must be an integer');
+  }
+  ['id', 'name'].forEach(field => {
+    if (typeof data[field] !== 'string' || data[field].trim() === '') {
+      report('error', null, field, `${field} must be a non-empty string`);
+    }
+  });
+  ['author', 'description'].forEach(field => {
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      report('error', null, field, `${field} must be a string`);
+    }
+  });
+
+  if (data.strokeCap !== undefined) {
+    validateStrokeCap(data, report);
+  }
+
+  if (!Array.isArray(data.holes) || data.holes.length === 0) {
+    report('error', null, 'holes', 'holes must be a non-empty array');
+  } else {
+    data.holes.forEach((hole, holeIndex) => validateHole(hole, holeIndex, report));
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Format a validation problem as a single human readable line
+ * @param {object} problem - Problem from validateCourse
+ * @returns {string} e.g. "Hole 3 (holes[2].hazards[0].type): unknown hazard type "lava""
+ */
+export function formatProblem(problem) {
+  const location = problem.holeIndex === null ? 'Course' : `Hole ${problem.holeIndex + 1}`;
+  return problem.path
+    ? `${location} (${problem.path}): ${problem.message}`
+    : `${location}: ${problem.message}`;
+}
@@ -0,0 +1,289 @@
+import { loadData, saveData } from '../utils/storage';
+import { generateCourse } from './HoleGenerator';
+
+export const DAILY_COURSE_PREFIX = 'daily-';
+export const DAILY_HOLE_COUNT = 9;
+
+// Difficulty by day of the week (Sunday first): gentle early in the week, harder at weekends
+export const DAILY_DIFFICULTY_BY_WEEKDAY = [
+  'hard',
+  'easy',
+  'easy',
+  'medium',
+  'medium',
+  'medium',
+  'hard'
+];
+
+const HISTORY_KEY = 'dailyChallenge';
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Get the local calendar date as a YYYY-MM-DD key
+ * @param {Date} [date] - The date (defaults to now)
+ * @returns {string} The date key
+ */
+export function getDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Turn a YYYY-MM-DD key back into a local Date at midnight
+ * @param {string} dateKey - The date key
+ * @returns {Date|null} The date, or null if the key is not a real date
+ */
+function parseDateKey(dateKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return getDateKey(date) === dateKey ? date : null;
+}
+
+/**
+ * Get the key of the day before a date key
+ * @param {string} dateKey - The date key
+ * @returns {string} The previous day's key
+ */
+function previousDateKey(dateKey) {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() - 1);
+  return getDateKey(date);
+}
+
+/**
+ * Get the course id of a day's challenge
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} e.g. "daily-2026-10-19"
+ */
+export function getDailyCourseId(dateKey) {
+  return `${DAILY_COURSE_PREFIX}${dateKey}`;
+}
+
+/**
+ * Get the date of a daily challenge course id
+ * @param {string} courseId - A course id
+ * @returns {string|null} The YYYY-MM-DD key, or null if the id is not a daily challenge
+ */
+export function parseDailyCourseId(courseId) {
+  if (typeof courseId !== 'string' || !courseId.startsWith(DAILY_COURSE_PREFIX)) {
+    return null;
+  }
+  const dateKey = courseId.slice(DAILY_COURSE_PREFIX.length);
+  return parseDateKey(dateKey) ? dateKey : null;
+}
+
+/**
+ * Build the challenge course for a day. Every player gets the same holes on the same date.
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {object} JSON course data (see CourseLoader for the format)
+ */
+export function createDailyCourse(dateKey) {
+  const date = parseDateKey(dateKey);
+  if (!date) {
+    throw new Error(`[DailyChallenge] Invalid date "${dateKey}" (expected YYYY-MM-DD)`);
+  }
+  const difficulty = DAILY_DIFFICULTY_BY_WEEKDAY[date.getDay()];
+  const course = generateCourse(getDailyCourseId(dateKey), {
+    holeCount: DAILY_HOLE_COUNT,
+    difficulty
+  });
+  return {
+    ...course,
+    id: getDailyCourseId(dateKey),
+    name: `Daily Challenge ${dateKey}`,
+    author: 'Mini Golf Break',
+    description: `Today's ${difficulty} nine. One scored attempt per day.`,
+    difficulty
+  };
+}
+
+/**
+ * DailyChallenge - The course of the day, one scored attempt per day and the local history
+ *
+ * History is stored as { 'YYYY-MM-DD': { strokes, par } }. A day is added when its
+ * challenge is started; strokes stay null until the round is finished, so a round that is
+ * abandoned still uses up the day's attempt. Replays of a day are not scored.
+ */
+export class DailyChallenge {
+  /**
+   * @param {Function} [now] - Returns the current Date (injectable for tests)
+   */
+  constructor(now = () => new Date()) {
+    this.now = now;
+    this.history = loadData(HISTORY_KEY, {}) || {};
+    this.courses = new Map(); // Generated course data by date key
+    this.activeDateKey = null; // Day of the scored attempt in progress
+  }
+
+  /**
+   * Get today's date key
+   * @returns {string} YYYY-MM-DD
+   */
+  getTodayKey() {
+    return getDateKey(this.now());
+  }
+
+  /**
+   * Get today's course id
+   * @returns {string} The course id
+   */
+  getTodayCourseId() {
+    return getDailyCourseId(this.getTodayKey());
+  }
+
+  /**
+   * Get the course data for a daily challenge id (generated on first use)
+   * @param {string} courseId - A course id
+   * @returns {object|null} The course data, or null if the id is not a daily challenge
+   */
+  getCourseData(courseId) {
+    const dateKey = parseDailyCourseId(courseId);
+    if (!dateKey) {
+      return null;
+    }
+    if (!this.courses.has(dateKey)) {
+      this.courses.set(dateKey, createDailyCourse(dateKey));
+    }
+    return this.courses.get(dateKey);
+  }
+
+  /**
+   * Check whether today's scored attempt has been used
+   * @returns {boolean} True if today's challenge was already started
+   */
+  hasAttemptedToday() {
+    return Boolean(this.history[this.getTodayKey()]);
+  }
+
+  /**
+   * Start a round of a daily challenge. Only the first round of today's challenge is scored.
+   * @param {string} courseId - The daily challenge course id
+   * @returns {boolean} True if this round is the scored attempt
+   */
+  startAttempt(courseId) {
+    const dateKey = parseDailyCourseId(courseId);
+    this.activeDateKey = null;
+    if (dateKey !== this.getTodayKey() || this.history[dateKey]) {
+      console.log(`[DailyChallenge] Playing ${courseId} unscored`);
+      return false;
+    }
+    const course = this.getCourseData(courseId);
+    const par = course.holes.reduce((sum, hole) => sum + hole.par, 0);
+    this.history[dateKey] = { strokes: null, par };
+    this.activeDateKey = dateKey;
+    this.save();
+    console.log(`[DailyChallenge] Started the scored attempt for ${dateKey}`);
+    return true;
+  }
+
+  /**
+   * Check whether a course is the scored attempt in progress
+   * @param {string} courseId - A course id
+   * @returns {boolean} True while today's scored attempt of this course is being played
+   */
+  isScoredAttempt(courseId) {
+    const dateKey = parseDailyCourseId(courseId);
+    return dateKey !== null && dateKey === this.activeDateKey;
+  }
+
+  /**
+   * Continue a saved scored attempt, as long as it is still the same day and unfinished
+   * @param {string} courseId - The daily challenge course id
+   * @returns {boolean} True if the round is scored again
+   */
+  resumeAttempt(courseId) {
+    const dateKey = parseDailyCourseId(courseId);
+    if (dateKey !== this.getTodayKey() || this.history[dateKey]?.strokes !== null) {
+      console.log(`[DailyChallenge] Resuming ${courseId} unscored`);
+      return false;
+    }
+    this.activeDateKey = dateKey;
+    console.log(`[DailyChallenge] Resumed the scored attempt for ${dateKey}`);
+    return true;
+  }
+
+  /**
+   * Record the result of the scored attempt in progress
+   * @param {string} courseId - The course that was completed
+   * @param {number} totalStrokes - Total strokes for the round
+   * @returns {boolean} True if the result was recorded
+   */
+  recordResult(courseId, totalStrokes) {
+    const dateKey = parseDailyCourseId(courseId);
+    if (!dateKey || dateKey !== this.activeDateKey || !Number.isFinite(totalStrokes)) {
+      return false;
+    }
+    this.history[dateKey].strokes = totalStrokes;
+    this.activeDateKey = null;
+    this.save();
+    console.log(`[DailyChallenge] Recorded ${totalStrokes} strokes for ${dateKey}`);
+    return true;
+  }
+
+  /**
+   * Get the most recent days with an attempt
+   * @param {number} [limit=7] - Maximum number of days
+   * @returns {Array<{dateKey: string, strokes: number|null, par: number}>} Newest first
+   */
+  getHistory(limit = 7) {
+    return Object.keys(this.history)
+      .sort()
+      .reverse()
+      .slice(0, limit)
+      .map(dateKey => ({ dateKey, ...this.history[dateKey] }));
+  }
+
+  /**
+   * Count consecutive days with a finished round, up to today. A streak that ended
+   * yesterday still counts until today is over.
+   * @returns {number} Streak length in days
+   */
+  getStreak() {
+    const isFinished = dateKey => Number.isFinite(this.history[dateKey]?.strokes);
+    let dateKey = this.getTodayKey();
+    if (!isFinished(dateKey)) {
+      dateKey = previousDateKey(dateKey);
+    }
+    let streak = 0;
+    while (isFinished(dateKey)) {
+      streak++;
+      dateKey = previousDateKey(dateKey);
+    }
+    return streak;
+  }
+
+  /**
+   * Get everything the menu shows about the daily challenge
+   * @returns {object} {dateKey, courseId, difficulty, totalPar, attempted, strokes, streak, history}
+   */
+  getSummary() {
+    const courseId = this.getTodayCourseId();
+    const course = this.getCourseData(courseId);
+    const today = this.history[this.getTodayKey()];
+    return {
+      dateKey: this.getTodayKey(),
+      courseId,
+      difficulty: course.difficulty,
+      totalPar: course.holes.reduce((sum, hole) => sum + hole.par, 0),
+      attempted: Boolean(today),
+      strokes: today ? today.strokes : null,
+      streak: this.getStreak(),
+      history: this.getHistory()
+    };
+  }
+
+  /**
+   * Persist the history, dropping the oldest days beyond MAX_HISTORY_DAYS
+   */
+  save() {
+    const keys = Object.keys(this.history).sort();
+    keys.slice(0, Math.max(0, keys.length - MAX_HISTORY_DAYS)).forEach(dateKey => {
+      delete this.history[dateKey];
+    });
+    saveData(HISTORY_KEY, this.history);
+  }
+}
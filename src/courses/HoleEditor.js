@@ -0,0 +1,270 @@
+import { validateCourse } from './CourseValidator';
+
+export const EDITOR_GRID_STEP = 0.25; // Positions snap to this grid while dragging
+
+const TEE_CUP_PICK_RADIUS = 0.6;
+const MIN_SIZE = 0.2;
+const DEFAULT_BUMPER = { size: [2, 0.5, 0.3], height: 0.25 };
+const DEFAULT_HAZARD_RADIUS = 1;
+const DEFAULT_HAZARD_DEPTH = { sand: 0.1, water: 0.15 };
+
+/**
+ * Snap a coordinate to the editor grid
+ * @param {number} value - Coordinate
+ * @returns {number} The snapped coordinate
+ */
+function snap(value) {
+  return Math.round(value / EDITOR_GRID_STEP) * EDITOR_GRID_STEP + 0; // + 0 turns -0 into 0
+}
+
+/**
+ * HoleEditor - Edits a single hole in the serialized course format (see CourseLoader)
+ *
+ * Works on plain JSON data with no THREE/Cannon dependencies, so the result can be
+ * written straight back into a course file. The editable items are the tee
+ * (`startPosition`), the cup (`holePosition`), bumpers and hazards; each is addressed as
+ * { kind, index } where index is only used for bumpers and hazards.
+ */
+export class HoleEditor {
+  /**
+   * @param {object} hole - Serialized hole definition; it is copied, not modified
+   */
+  constructor(hole) {
+    this.hole = JSON.parse(JSON.stringify(hole));
+    this.hole.bumpers = this.hole.bumpers || [];
+    this.hole.hazards = this.hole.hazards || [];
+    this.selected = null;
+  }
+
+  /**
+   * List the editable items with their position on the green
+   * @returns {Array<{kind: string, index: number, x: number, z: number}>} Items, tee and cup first
+   */
+  getItems() {
+    const [teeX, , teeZ] = this.hole.startPosition;
+    const [cupX, , cupZ] = this.hole.holePosition;
+    return [
+      { kind: 'tee', index: 0, x: teeX, z: teeZ },
+      { kind: 'cup', index: 0, x: cupX, z: cupZ },
+      ...this.hole.bumpers.map(({ position }, index) => ({
+        kind: 'bumper',
+        index,
+        x: position[0],
+        z: position[2]
+      })),
+      ...this.hole.hazards.map(({ position }, index) => ({
+        kind: 'hazard',
+        index,
+        x: position[0],
+        z: position[2]
+      }))
+    ];
+  }
+
+  /**
+   * Get the serialized data behind an item
+   * @param {{kind: string, index: number}} item - The item
+   * @returns {object|null} The bumper or hazard definition, or null for the tee and cup
+   */
+  getData(item) {
+    if (item?.kind === 'bumper') {
+      return this.hole.bumpers[item.index];
+    }
+    if (item?.kind === 'hazard') {
+      return this.hole.hazards[item.index];
+    }
+    return null;
+  }
+
+  /**
+   * Get how far from its centre an item can be grabbed
+   * @param {{kind: string, index: number}} item - The item
+   * @returns {number} The pick radius
+   */
+  getPickRadius(item) {
+    const data = this.getData(item);
+    if (item.kind === 'bumper') {
+      return Math.max(data.size[0], data.size[2]) / 2;
+    }
+    if (item.kind === 'hazard') {
+      if (data.shape === 'circle') {
+        return data.size.radius;
+      }
+      if (data.shape === 'rectangle') {
+        return Math.max(data.size.width, data.size.length) / 2;
+      }
+    }
+    return TEE_CUP_PICK_RADIUS;
+  }
+
+  /**
+   * Select the item closest to a point on the green
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {object|null} The selected item, or null if nothing is in reach
+   */
+  selectAt(x, z) {
+    let closest = null;
+    let closestDistance = Infinity;
+    this.getItems().forEach(item => {
+      const distance = Math.hypot(item.x - x, item.z - z);
+      if (distance <= this.getPickRadius(item) && distance < closestDistance) {
+        closest = item;
+        closestDistance = distance;
+      }
+    });
+    this.selected = closest && { kind: closest.kind, index: closest.index };
+    return this.selected;
+  }
+
+  /**
+   * Move the selected item, snapped to the editor grid
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {boolean} True if an item was moved
+   */
+  moveSelected(x, z) {
+    const target = this.getPositionArray(this.selected);
+    if (!target) {
+      return false;
+    }
+    target[0] = snap(x);
+    target[2] = snap(z);
+    return true;
+  }
+
+  /**
+   * Turn the selected bumper about Y
+   * @param {number} degrees - Angle to add
+   * @returns {boolean} True if the selection can be rotated
+   */
+  rotateSelected(degrees) {
+    if (this.selected?.kind !== 'bumper') {
+      return false;
+    }
+    const bumper = this.getData(this.selected);
+    const rotation = bumper.rotation || [0, 0, 0];
+    rotation[1] = (((rotation[1] + degrees) % 360) + 360) % 360;
+    bumper.rotation = rotation;
+    return true;
+  }
+
+  /**
+   * Scale the footprint of the selected bumper or hazard (heights and depths are kept)
+   * @param {number} factor - Scale factor, e.g. 1.1 to grow by 10%
+   * @returns {boolean} True if the selection can be resized
+   */
+  resizeSelected(factor) {
+    const data = this.getData(this.selected);
+    const scale = value => Math.max(MIN_SIZE, Math.round(value * factor * 100) / 100);
+    if (this.selected?.kind === 'bumper') {
+      data.size = [scale(data.size[0]), data.size[1], scale(data.size[2])];
+      return true;
+    }
+    if (data?.shape === 'circle') {
+      data.size = { ...data.size, radius: scale(data.size.radius) };
+      return true;
+    }
+    if (data?.shape === 'rectangle') {
+      data.size = { ...data.size, width: scale(data.size.width), length: scale(data.size.length) };
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Add a bumper and select it
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {object} The new item
+   */
+  addBumper(x, z) {
+    this.hole.bumpers.push({
+      position: [snap(x), DEFAULT_BUMPER.height, snap(z)],
+      size: [...DEFAULT_BUMPER.size],
+      rotation: [0, 0, 0]
+    });
+    this.selected = { kind: 'bumper', index: this.hole.bumpers.length - 1 };
+    return this.selected;
+  }
+
+  /**
+   * Add a round hazard and select it
+   * @param {string} type - 'sand' or 'water'
+   * @param {number} x - World x
+   * @param {number} z - World z
+   * @returns {object} The new item
+   */
+  addHazard(type, x, z) {
+    this.hole.hazards.push({
+      type,
+      shape: 'circle',
+      position: [snap(x), 0, snap(z)],
+      size: { radius: DEFAULT_HAZARD_RADIUS },
+      depth: DEFAULT_HAZARD_DEPTH[type]
+    });
+    this.selected = { kind: 'hazard', index: this.hole.hazards.length - 1 };
+    return this.selected;
+  }
+
+  /**
+   * Remove the selected bumper or hazard (the tee and cup cannot be removed)
+   * @returns {boolean} True if an item was removed
+   */
+  deleteSelected() {
+    const list = { bumper: this.hole.bumpers, hazard: this.hole.hazards }[this.selected?.kind];
+    if (!list) {
+      return false;
+    }
+    list.splice(this.selected.index, 1);
+    this.selected = null;
+    return true;
+  }
+
+  /**
+   * Set the hole's par
+   * @param {number|string} par - New par
+   */
+  setPar(par) {
+    this.hole.par = parseInt(par, 10);
+  }
+
+  /**
+   * Set the hole's description
+   * @param {string} description - New description
+   */
+  setDescription(description) {
+    this.hole.description = description;
+  }
+
+  /**
+   * Check the hole with CourseValidator
+   * @returns {{valid: boolean, errors: Array<object>, warnings: Array<object>}} Validation result
+   */
+  validate() {
+    return validateCourse({ id: 'editor', name: 'Editor', holes: [this.hole] });
+  }
+
+  /**
+   * Get a copy of the edited hole
+   * @returns {object} Serialized hole definition
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.hole));
+  }
+
+  /**
+   * Get the [x, y, z] array holding an item's position
+   * @param {{kind: string, index: number}|null} item - The item
+   * @returns {Array<number>|null} The position array, or null if there is no such item
+   */
+  getPositionArray(item) {
+    if (item?.kind === 'tee') {
+      return this.hole.startPosition;
+    }
+    if (item?.kind === 'cup') {
+      return this.hole.holePosition;
+    }
+    return this.getData(item)?.position || null;
+  }
+}
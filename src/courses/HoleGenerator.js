@@ -0,0 +1,389 @@
+import { hydrateHoleConfig, COURSE_FORMAT_VERSION } from './CourseLoader';
+import { isPointInPolygon, validateCourse } from './CourseValidator';
+
+/**
+ * Difficulty presets. Ranges are [min, max] and are picked from with the hole's seed:
+ *   length, width  - size of the main lane (world units)
+ *   doglegChance   - chance that the hole turns into a side leg near the cup
+ *   legLength      - how far the side leg reaches past the lane
+ *   bumpers        - number of bumpers
+ *   sand, water    - number of sand and water hazards
+ */
+export const GENERATOR_DIFFICULTIES = {
+  easy: {
+    length: [14, 18],
+    width: [9, 11],
+    doglegChance: 0,
+    legLength: [6, 8],
+    bumpers: [0, 1],
+    sand: [0, 1],
+    water: [0, 0]
+  },
+  medium: {
+    length: [16, 22],
+    width: [8, 10],
+    doglegChance: 0.35,
+    legLength: [6, 9],
+    bumpers: [1, 2],
+    sand: [0, 2],
+    water: [0, 1]
+  },
+  hard: {
+    length: [20, 26],
+    width: [7, 9],
+    doglegChance: 0.6,
+    legLength: [7, 10],
+    bumpers: [2, 4],
+    sand: [1, 2],
+    water: [1, 2]
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'medium';
+
+const MAX_ATTEMPTS = 8; // Layouts tried before falling back to an obstacle-free hole
+const PLACEMENT_TRIES = 20; // Spots tried per bumper/hazard before it is left out
+const EDGE_MARGIN = 1; // Gap between items and the boundary walls
+const TEE_INSET = 1.5; // Distance of the tee from the back wall
+const CUP_INSET = 2; // Distance of the cup from the far wall
+const TEE_CLEARANCE = 2.5; // Free radius around the tee
+const CUP_CLEARANCE = 2; // Free radius around the cup
+const ITEM_SPACING = 1; // Gap kept between bumpers and hazards
+const BUMPER_HEIGHT = 0.5;
+const HAZARD_DEPTH = { sand: 0.1, water: 0.15 };
+
+const NAME_WORDS = [
+  ['Nebula', 'Comet', 'Solar', 'Lunar', 'Quasar', 'Meteor', 'Stellar', 'Void', 'Ion', 'Pulsar'],
+  ['Drift', 'Run', 'Gap', 'Loop', 'Reach', 'Bend', 'Field', 'Pass', 'Rise', 'Trail']
+];
+
+/**
+ * Turn a seed into a 32-bit integer (FNV-1a for strings)
+ * @param {number|string} seed - The seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32). The same seed always gives the
+ * same sequence, which is what makes generated holes reproducible.
+ * @param {number|string} seed - The seed
+ * @returns {{next: Function, range: Function, int: Function, chance: Function, pick: Function}}
+ *   next() in [0, 1), range(min, max) float, int(min, max) inclusive, chance(p), pick(array)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    range: (min, max) => min + next() * (max - min),
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: probability => next() < probability,
+    pick: items => items[Math.floor(next() * items.length)]
+  };
+}
+
+/**
+ * Round to a quarter unit so generated numbers stay readable in course files
+ * @param {number} value - The value
+ * @returns {number} The rounded value
+ */
+function quarter(value) {
+  return Math.round(value * 4) / 4 + 0; // + 0 turns -0 into 0
+}
+
+/**
+ * Resolve the settings for a generation run
+ * @param {object} options - { difficulty, ...preset overrides }
+ * @returns {object} Difficulty name plus the full set of ranges
+ */
+function resolveSettings(options) {
+  const difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+  const preset = GENERATOR_DIFFICULTIES[difficulty];
+  if (!preset) {
+    throw new Error(
+      `[HoleGenerator] Unknown difficulty "${difficulty}" (expected one of ${Object.keys(GENERATOR_DIFFICULTIES).join(', ')})`
+    );
+  }
+  const settings = { difficulty };
+  Object.keys(preset).forEach(key => {
+    settings[key] = options[key] ?? preset[key];
+  });
+  return settings;
+}
+
+/**
+ * Lay out the green: a straight lane from the tee (+z) down to the cup (-z), or a dogleg
+ * whose cup sits in a side leg off the far end of the lane
+ * @param {object} random - Seeded random (see createRandom)
+ * @param {object} settings - Resolved settings
+ * @returns {{boundaryShape: Array, tee: object, cup: object, areas: Array, pathLength: number}}
+ *   areas are the rectangles ({minX, maxX, minZ, maxZ}) that make up the green
+ */
+function createLayout(random, settings) {
+  const halfWidth = quarter(random.range(...settings.width) / 2);
+  const halfLength = quarter(random.range(...settings.length) / 2);
+  const laneOffset = halfWidth - 2;
+  const tee = {
+    x: quarter(random.range(-laneOffset, laneOffset)),
+    z: halfLength - TEE_INSET
+  };
+  const lane = { minX: -halfWidth, maxX: halfWidth, minZ: -halfLength, maxZ: halfLength };
+
+  if (!random.chance(settings.doglegChance)) {
+    const cup = {
+      x: quarter(random.range(-laneOffset, laneOffset)),
+      z: -halfLength + CUP_INSET
+    };
+    return {
+      boundaryShape: [
+        [-halfWidth, -halfLength],
+        [-halfWidth, halfLength],
+        [halfWidth, halfLength],
+        [halfWidth, -halfLength],
+        [-halfWidth, -halfLength]
+      ],
+      tee,
+      cup,
+      areas: [lane],
+      pathLength: Math.hypot(tee.x - cup.x, tee.z - cup.z)
+    };
+  }
+
+  // Dogleg: the leg is as deep as the lane is wide and turns left or right
+  const side = random.chance(0.5) ? 1 : -1;
+  const legLength = quarter(random.range(...settings.legLength));
+  const legEnd = halfWidth + legLength;
+  const legFront = -halfLength + halfWidth * 2;
+  const cup = { x: side * (legEnd - CUP_INSET), z: -halfLength + halfWidth };
+  const corner = { x: 0, z: cup.z };
+  const outline = [
+    [-halfWidth, halfLength],
+    [halfWidth, halfLength],
+    [halfWidth, legFront],
+    [legEnd, legFront],
+    [legEnd, -halfLength],
+    [-halfWidth, -halfLength]
+  ].map(([x, z]) => [side * x + 0, z]);
+
+  return {
+    boundaryShape: [...outline, outline[0]],
+    tee,
+    cup,
+    areas: [
+      lane,
+      {
+        minX: Math.min(side * halfWidth, side * legEnd),
+        maxX: Math.max(side * halfWidth, side * legEnd),
+        minZ: -halfLength,
+        maxZ: legFront
+      }
+    ],
+    pathLength:
+      Math.hypot(tee.x - corner.x, tee.z - corner.z) +
+      Math.hypot(cup.x - corner.x, cup.z - corner.z)
+  };
+}
+
+/**
+ * Pick a random spot on the green, kept clear of the walls by a margin
+ * @param {object} random - Seeded random
+ * @param {Array<object>} areas - Rectangles that make up the green
+ * @param {number} margin - Extra clearance (e.g. the item's radius)
+ * @returns {{x: number, z: number}|null} The spot, or null if the item does not fit
+ */
+function pickSpot(random, areas, margin) {
+  const inset = EDGE_MARGIN + margin;
+  const usable = areas.filter(
+    area => area.maxX - area.minX > inset * 2 && area.maxZ - area.minZ > inset * 2
+  );
+  if (usable.length === 0) {
+    return null;
+  }
+  const area = random.pick(usable);
+  return {
+    x: quarter(random.range(area.minX + inset, area.maxX - inset)),
+    z: quarter(random.range(area.minZ + inset, area.maxZ - inset))
+  };
+}
+
+/**
+ * Place bumpers and hazards on the green, away from the tee, cup and each other
+ * @param {object} random - Seeded random
+ * @param {object} settings - Resolved settings
+ * @param {object} layout - Layout from createLayout
+ * @returns {{bumpers: Array<object>, hazards: Array<object>}} Serialized bumpers and hazards
+ */
+function placeItems(random, settings, layout) {
+  const { tee, cup, areas, boundaryShape } = layout;
+  const polygon = boundaryShape.map(([x, z]) => ({ x, z }));
+  const placed = []; // { x, z, radius } of everything placed so far
+  const bumpers = [];
+  const hazards = [];
+
+  const tryPlace = (radius, build) => {
+    for (let i = 0; i < PLACEMENT_TRIES; i++) {
+      const spot = pickSpot(random, areas, radius);
+      const fits =
+        spot &&
+        isPointInPolygon(spot.x, spot.z, polygon) &&
+        Math.hypot(spot.x - tee.x, spot.z - tee.z) >= TEE_CLEARANCE + radius &&
+        Math.hypot(spot.x - cup.x, spot.z - cup.z) >= CUP_CLEARANCE + radius &&
+        placed.every(
+          other =>
+            Math.hypot(spot.x - other.x, spot.z - other.z) >= radius + other.radius + ITEM_SPACING
+        );
+      if (fits) {
+        placed.push({ ...spot, radius });
+        build(spot);
+        return;
+      }
+    }
+  };
+
+  const hazardCount = type => random.int(...settings[type]);
+  ['water', 'sand'].forEach(type => {
+    const count = hazardCount(type);
+    for (let i = 0; i < count; i++) {
+      const round = random.chance(0.6);
+      const width = quarter(random.range(1.5, 3.5));
+      const length = quarter(random.range(1.5, 3));
+      const radius = round ? quarter(random.range(1, 1.75)) : Math.hypot(width, length) / 2;
+      tryPlace(radius, ({ x, z }) => {
+        hazards.push({
+          type,
+          shape: round ? 'circle' : 'rectangle',
+          position: [x, 0, z],
+          size: round ? { radius } : { width, length },
+          depth: HAZARD_DEPTH[type]
+        });
+      });
+    }
+  });
+
+  const bumperCount = random.int(...settings.bumpers);
+  for (let i = 0; i < bumperCount; i++) {
+    const length = quarter(random.range(1.5, 3.5));
+    tryPlace(length / 2, ({ x, z }) => {
+      bumpers.push({
+        position: [x, BUMPER_HEIGHT / 2, z],
+        size: [length, BUMPER_HEIGHT, 0.5],
+        rotation: [0, random.int(0, 11) * 15, 0]
+      });
+    });
+  }
+
+  return { bumpers, hazards };
+}
+
+/**
+ * Estimate par from how far the ball has to travel and what is in the way
+ * @param {number} pathLength - Length of the route from tee to cup (around any dogleg corner)
+ * @param {object} hole - Serialized hole ({ bumpers, hazards })
+ * @returns {number} Par between 2 and 6
+ */
+export function estimatePar(pathLength, hole) {
+  const hazards = hole.hazards || [];
+  const bumpers = hole.bumpers || [];
+  let par = 1 + Math.round(pathLength / 12);
+  if (hazards.some(hazard => hazard.type === 'water')) {
+    par += 1;
+  }
+  if (bumpers.length + hazards.length >= 5) {
+    par += 1;
+  }
+  return Math.min(6, Math.max(2, par));
+}
+
+/**
+ * Generate a hole in the serialized course format (see CourseLoader). The same seed and
+ * options always give the same hole, and the result always passes CourseValidator: layouts
+ * that fail are rerolled, and after MAX_ATTEMPTS the hole is generated without obstacles.
+ * @param {number|string} seed - Seed the hole is built from
+ * @param {object} [options] - Generation options
+ * @param {string} [options.difficulty='medium'] - One of GENERATOR_DIFFICULTIES
+ * @param {number} [options.index=0] - 0-based hole number, used for the description
+ * @returns {object} Serialized hole; `generator` records the seed and difficulty it came from
+ */
+export function generateHole(seed, options = {}) {
+  const settings = resolveSettings(options);
+  const random = createRandom(seed);
+  const index = options.index ?? 0;
+  const name = `${random.pick(NAME_WORDS[0])} ${random.pick(NAME_WORDS[1])}`;
+
+  for (let attempt = 0; attempt <= MAX_ATTEMPTS; attempt++) {
+    const layout = createLayout(random, settings);
+    const { bumpers, hazards } =
+      attempt < MAX_ATTEMPTS ? placeItems(random, settings, layout) : { bumpers: [], hazards: [] };
+    const hole = {
+      description: `${index + 1}. ${name}`,
+      par: estimatePar(layout.pathLength, { bumpers, hazards }),
+      boundaryShape: layout.boundaryShape,
+      startPosition: [layout.tee.x, 0, layout.tee.z],
+      holePosition: [layout.cup.x, 0, layout.cup.z],
+      hazards,
+      bumpers,
+      generator: { seed, difficulty: settings.difficulty }
+    };
+
+    const result = validateCourse({ id: 'generated', name: 'Generated', holes: [hole] });
+    if (result.valid) {
+      return hole;
+    }
+    console.log(
+      `[HoleGenerator] Seed ${seed} attempt ${attempt + 1} was invalid (${result.errors.length} errors), rerolling`
+    );
+  }
+
+  throw new Error(`[HoleGenerator] Could not generate a valid hole for seed ${seed}`);
+}
+
+/**
+ * Generate a hole as a runtime hole config, ready for HoleEntity
+ * @param {number|string} seed - Seed the hole is built from
+ * @param {object} [options] - See generateHole; options.index is also the config's index
+ * @returns {object} Hole config with THREE vector/euler instances
+ */
+export function generateHoleConfig(seed, options = {}) {
+  return hydrateHoleConfig(generateHole(seed, options), options.index ?? 0);
+}
+
+/**
+ * Generate a whole course in the JSON course format, e.g. to register with CourseRegistry.
+ * Hole n is generateHole(`${seed}:${n}`), so any hole can be rebuilt on its own.
+ * @param {number|string} seed - Course seed
+ * @param {object} [options] - Generation options
+ * @param {number} [options.holeCount=9] - Number of holes
+ * @param {string} [options.difficulty='medium'] - One of GENERATOR_DIFFICULTIES
+ * @returns {object} JSON course data
+ */
+export function generateCourse(seed, { holeCount = 9, ...options } = {}) {
+  const difficulty = options.difficulty || DEFAULT_DIFFICULTY;
+  return {
+    formatVersion: COURSE_FORMAT_VERSION,
+    id: `generated-${seed}`,
+    name: `Generated Course ${seed}`,
+    author: 'HoleGenerator',
+    description: `${holeCount} generated ${difficulty} holes from seed ${seed}`,
+    holes: Array.from({ length: holeCount }, (_, index) =>
+      generateHole(`${seed}:${index + 1}`, { ...options, index })
+    )
+  };
+}
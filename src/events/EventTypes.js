@@ -10,14 +10,20 @@ export const EventTypes = {
   BALL_STOPPED: 'ball:stopped',
   BALL_RESET: 'ball:reset',
   BALL_IN_HOLE: 'ball:in_hole',
+  BALL_TELEPORTED: 'ball:teleported',
 
   // Game state events
+  COURSE_CREATED: 'course:created',
   HOLE_COMPLETED: 'hole:completed',
   HOLE_STARTED: 'hole:started',
+  HOLE_STATE_UPDATED: 'hole:state_updated',
   GAME_COMPLETED: 'game:completed',
   GAME_STARTED: 'game:started',
   GAME_INITIALIZED: 'game:initialized',
+  GAME_PAUSED: 'game:paused',
+  GAME_RESUMED: 'game:resumed',
   STATE_CHANGED: 'state:changed',
+  TURN_CHANGED: 'turn:changed',
 
   // Hazard events
   HAZARD_DETECTED: 'hazard:detected',
@@ -0,0 +1,176 @@
+import { loadData, removeData, saveData } from '../utils/storage';
+import { getDateKey } from '../courses/DailyChallenge';
+
+const STATS_KEY = 'playerStats';
+const LEGACY_BEST_SCORES_KEY = 'bestScores'; // Course best scores once kept by CourseRegistry
+const MAX_RECENT_ROUNDS = 20;
+
+/**
+ * Create empty lifetime stats
+ * @returns {object} Stats with no rounds played
+ */
+function createEmptyStats() {
+  return {
+    roundsPlayed: 0,
+    holesPlayed: 0,
+    holesInOne: 0,
+    totalPutts: 0, // Strokes played, without penalty strokes
+    courses: {}, // { [courseId]: { roundsPlayed, bestScore, bestHoles: { [holeNumber]: strokes } } }
+    recentRounds: [] // Newest first: { courseId, date, totalStrokes, par }
+  };
+}
+
+/**
+ * PlayerStats - Lifetime stats and personal bests of the player on this device
+ *
+ * Every recorded round adds to the rounds and holes played, hole-in-one count and putts,
+ * and keeps the best score per course and per hole. Stats are stored with the storage
+ * helper, so they survive a refresh (or last the session when localStorage is unavailable).
+ */
+export class PlayerStats {
+  /**
+   * @param {Function} [now] - Returns the current Date (injectable for tests)
+   */
+  constructor(now = () => new Date()) {
+    this.now = now;
+    this.stats = { ...createEmptyStats(), ...(loadData(STATS_KEY, null) || {}) };
+    this.importLegacyBestScores();
+  }
+
+  /**
+   * Move the course best scores that CourseRegistry used to store under its own key into
+   * the course stats, keeping the lower score, and remove the old key
+   */
+  importLegacyBestScores() {
+    const bestScores = loadData(LEGACY_BEST_SCORES_KEY, null);
+    if (!bestScores || typeof bestScores !== 'object') {
+      return;
+    }
+    Object.entries(bestScores).forEach(([courseId, score]) => {
+      if (!Number.isFinite(score) || score <= 0) {
+        return;
+      }
+      const course = this.stats.courses[courseId] || {
+        roundsPlayed: 0,
+        bestScore: null,
+        bestHoles: {}
+      };
+      if (course.bestScore === null || score < course.bestScore) {
+        course.bestScore = score;
+      }
+      this.stats.courses[courseId] = course;
+    });
+    saveData(STATS_KEY, this.stats);
+    removeData(LEGACY_BEST_SCORES_KEY);
+  }
+
+  /**
+   * Get the stats of one course
+   * @param {string} courseId - The course id
+   * @returns {{roundsPlayed: number, bestScore: number|null, bestHoles: object}|null}
+   */
+  getCourseStats(courseId) {
+    return this.stats.courses[courseId] || null;
+  }
+
+  /**
+   * Compare a round with the stored personal bests, without recording it
+   * @param {string} courseId - The course played
+   * @param {Array<{holeNumber: number, strokes: number}>} holes - The round's hole history
+   * @returns {{totalStrokes: number, previousBest: number|null, isNewBest: boolean,
+   *   newBestHoles: number[]}} New bests only count when they beat an earlier round
+   */
+  compareRound(courseId, holes) {
+    const course = this.getCourseStats(courseId);
+    const totalStrokes = holes.reduce((sum, hole) => sum + hole.strokes, 0);
+    const previousBest = course?.bestScore ?? null;
+    const newBestHoles = holes
+      .filter(hole => {
+        const best = course?.bestHoles[hole.holeNumber];
+        return Number.isFinite(best) && hole.strokes < best;
+      })
+      .map(hole => hole.holeNumber);
+    return {
+      totalStrokes,
+      previousBest,
+      isNewBest: previousBest !== null && totalStrokes < previousBest,
+      newBestHoles
+    };
+  }
+
+  /**
+   * Record a completed round
+   * @param {string} courseId - The course played
+   * @param {Array<{holeNumber: number, strokes: number, par: number|null, penalties: number}>} holes
+   *   - The round's hole history (see ScoringSystem.getHoleHistory)
+   * @returns {object|null} The comparison with the previous bests (see compareRound), or null
+   *   if there was nothing to record
+   */
+  recordRound(courseId, holes) {
+    if (!courseId || !Array.isArray(holes) || holes.length === 0) {
+      return null;
+    }
+    const result = this.compareRound(courseId, holes);
+
+    const course = this.stats.courses[courseId] || {
+      roundsPlayed: 0,
+      bestScore: null,
+      bestHoles: {}
+    };
+    course.roundsPlayed++;
+    if (course.bestScore === null || result.totalStrokes < course.bestScore) {
+      course.bestScore = result.totalStrokes;
+    }
+    holes.forEach(hole => {
+      const best = course.bestHoles[hole.holeNumber];
+      if (!Number.isFinite(best) || hole.strokes < best) {
+        course.bestHoles[hole.holeNumber] = hole.strokes;
+      }
+    });
+    this.stats.courses[courseId] = course;
+
+    this.stats.roundsPlayed++;
+    this.stats.holesPlayed += holes.length;
+    this.stats.holesInOne += holes.filter(hole => hole.strokes === 1).length;
+    this.stats.totalPutts += holes.reduce(
+      (sum, hole) => sum + hole.strokes - (hole.penalties || 0),
+      0
+    );
+    this.stats.recentRounds = [
+      {
+        courseId,
+        date: getDateKey(this.now()),
+        totalStrokes: result.totalStrokes,
+        par: holes.reduce((sum, hole) => sum + (hole.par ?? 0), 0)
+      },
+      ...this.stats.recentRounds
+    ].slice(0, MAX_RECENT_ROUNDS);
+
+    saveData(STATS_KEY, this.stats);
+    console.log(`[PlayerStats] Recorded a round of ${result.totalStrokes} on "${courseId}"`);
+    return result;
+  }
+
+  /**
+   * Get the lifetime stats for the stats screen
+   * @returns {{roundsPlayed: number, holesPlayed: number, holesInOne: number,
+   *   averagePutts: number|null, courses: Array<object>, recentRounds: Array<object>}}
+   *   averagePutts is per hole, null before the first round
+   */
+  getSummary() {
+    const { roundsPlayed, holesPlayed, holesInOne, totalPutts } = this.stats;
+    return {
+      roundsPlayed,
+      holesPlayed,
+      holesInOne,
+      averagePutts: holesPlayed > 0 ? totalPutts / holesPlayed : null,
+      courses: Object.entries(this.stats.courses).map(([courseId, course]) => ({
+        courseId,
+        roundsPlayed: course.roundsPlayed,
+        bestScore: course.bestScore,
+        bestHoles: { ...course.bestHoles }
+      })),
+      recentRounds: this.stats.recentRounds.map(round => ({ ...round }))
+    };
+  }
+}
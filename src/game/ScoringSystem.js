@@ -1,11 +1,132 @@
+/**
+ * Create an empty score sheet for one player
+ * @returns {{totalStrokes: number, holeStrokes: number, holePenalties: number,
+ *   holeHazards: number, holeScores: number[], holeHistory: Array<object>}}
+ */
+function createPlayerScore() {
+  return {
+    totalStrokes: 0,
+    holeStrokes: 0,
+    holePenalties: 0, // Penalty strokes on the current hole
+    holeHazards: 0, // Hazards hit on the current hole
+    holeScores: [],
+    holeHistory: []
+  };
+}
+
+// Names for a hole's score relative to par, keyed by strokes over par
+const SCORE_NAMES = {
+  '-3': 'Albatross',
+  '-2': 'Eagle',
+  '-1': 'Birdie',
+  0: 'Par',
+  1: 'Bogey',
+  2: 'Double Bogey',
+  3: 'Triple Bogey'
+};
+
+/**
+ * Get the name of a hole's score, e.g. "Birdie"
+ * @param {number} strokes - Strokes taken on the hole
+ * @param {number} par - The hole's par
+ * @returns {string} Score name, or the relation to par (e.g. "+4") when it has none
+ */
+export function getScoreName(strokes, par) {
+  if (strokes === 1) {
+    return 'Hole-in-One';
+  }
+  const relation = strokes - par;
+  if (relation < -3) {
+    return 'Albatross';
+  }
+  return SCORE_NAMES[relation] || formatToPar(relation);
+}
+
+/**
+ * Format a score relative to par, e.g. "+2", "-1" or "E" (even)
+ * @param {number} relation - Strokes over par (negative is under par)
+ * @returns {string} The relation to par
+ */
+export function formatToPar(relation) {
+  if (relation === 0) {
+    return 'E';
+  }
+  return relation > 0 ? `+${relation}` : `${relation}`;
+}
+
 /**
  * ScoringSystem - Manages score for the mini-golf game
+ *
+ * Keeps one score sheet per player. Strokes always go to the active player, so a
+ * single-player round behaves exactly as before.
  */
 export class ScoringSystem {
   constructor(game) {
     this.game = game;
-    this.continuousStrokeCount = 0; // Total strokes across all holes
-    this.currentHoleStrokes = 0; // Strokes for the current hole
+    this.players = [createPlayerScore()];
+    this.activePlayerIndex = 0;
+  }
+
+  /**
+   * Total strokes across all holes for the active player
+   */
+  get continuousStrokeCount() {
+    return this.players[this.activePlayerIndex].totalStrokes;
+  }
+
+  set continuousStrokeCount(value) {
+    this.players[this.activePlayerIndex].totalStrokes = value;
+  }
+
+  /**
+   * Strokes on the current hole for the active player
+   */
+  get currentHoleStrokes() {
+    return this.players[this.activePlayerIndex].holeStrokes;
+  }
+
+  set currentHoleStrokes(value) {
+    this.players[this.activePlayerIndex].holeStrokes = value;
+  }
+
+  /**
+   * Start a new round with empty score sheets
+   * @param {number} count - Number of players (at least 1)
+   */
+  setPlayerCount(count) {
+    const playerCount = Math.max(1, Math.floor(count) || 1);
+    this.players = Array.from({ length: playerCount }, createPlayerScore);
+    this.activePlayerIndex = 0;
+    return this;
+  }
+
+  /**
+   * Get the number of players being scored
+   * @returns {number} Player count
+   */
+  getPlayerCount() {
+    return this.players.length;
+  }
+
+  /**
+   * Make strokes count for another player
+   * @param {number} index - Player index
+   */
+  setActivePlayer(index) {
+    if (index < 0 || index >= this.players.length) {
+      console.warn(`[ScoringSystem] Ignoring unknown player index ${index}`);
+      return this;
+    }
+    this.activePlayerIndex = index;
+    return this;
+  }
+
+  /**
+   * Get the index of the player whose strokes are being counted
+   * @returns {number} Player index
+   */
+  getActivePlayerIndex() {
+    return this.activePlayerIndex;
   }
 
   /**
@@ -20,6 +141,36 @@ export class ScoringSystem {
     return this;
   }
 
+  /**
+   * Add penalty strokes for the active player for hitting a hazard
+   * @param {number} [penalty=1] - Number of strokes to add
+   */
+  addPenaltyStrokes(penalty = 1) {
+    this.continuousStrokeCount += penalty;
+    this.currentHoleStrokes += penalty;
+    const player = this.players[this.activePlayerIndex];
+    player.holePenalties += penalty;
+    player.holeHazards++;
+    console.log(
+      `[ScoringSystem] ${penalty} penalty stroke(s) added. Current Hole: ${this.currentHoleStrokes}, Total: ${this.continuousStrokeCount}`
+    );
+    return this;
+  }
+
+  /**
+   * Limit the active player's strokes on this hole to the stroke cap. Penalty strokes can
+   * push a player past the cap; the hole is recorded at the cap all the same.
+   * @param {number} cap - Maximum strokes for the hole
+   */
+  capCurrentStrokes(cap) {
+    const excess = this.currentHoleStrokes - cap;
+    if (excess > 0) {
+      this.continuousStrokeCount -= excess;
+      this.currentHoleStrokes = cap;
+    }
+    return this;
+  }
+
   /**
    * Get total strokes across all holes
    */
@@ -34,6 +185,24 @@ export class ScoringSystem {
     return this.currentHoleStrokes;
   }
 
+  /**
+   * Get total strokes for a player
+   * @param {number} index - Player index
+   * @returns {number} Total strokes
+   */
+  getPlayerTotalStrokes(index) {
+    return this.players[index]?.totalStrokes ?? 0;
+  }
+
+  /**
+   * Get strokes on the current hole for a player
+   * @param {number} index - Player index
+   * @returns {number} Strokes on this hole
+   */
+  getPlayerHoleStrokes(index) {
+    return this.players[index]?.holeStrokes ?? 0;
+  }
+
   /**
    * Resets the stroke count for the current hole.
    */
@@ -41,15 +210,91 @@ export class ScoringSystem {
     console.log(
       `[ScoringSystem] Resetting current hole strokes from ${this.currentHoleStrokes} to 0.`
     );
-    this.currentHoleStrokes = 0;
+    this.players.forEach(player => {
+      player.holeStrokes = 0;
+      player.holePenalties = 0;
+      player.holeHazards = 0;
+    });
     return this;
   }
 
   /**
-   * Complete the current hole (placeholder - might be used later for per-hole score saving)
+   * Take every player's strokes on the current hole off their totals, to play the hole again
    */
-  completeHole() {
-    // Currently does nothing extra, reset handled by resetCurrentStrokes via StateManager
+  discardCurrentHole() {
+    this.players.forEach(player => {
+      player.totalStrokes -= player.holeStrokes;
+    });
+    return this.resetCurrentStrokes();
+  }
+
+  /**
+   * Record every player's strokes for the current hole on their scorecard
+   * @param {number} [holeNumber] - The hole played (defaults to the next hole on the card)
+   * @param {number|null} [par=null] - The hole's par
+   */
+  completeHole(holeNumber, par = null) {
+    // Reset of the hole counters is handled by resetCurrentStrokes via StateManager
+    this.players.forEach(player => {
+      player.holeScores.push(player.holeStrokes);
+      player.holeHistory.push({
+        holeNumber: holeNumber ?? player.holeHistory.length + 1,
+        strokes: player.holeStrokes,
+        par,
+        penalties: player.holePenalties,
+        hazards: player.holeHazards
+      });
+    });
     return this;
   }
+
+  /**
+   * Get a player's completed holes in the order they were played
+   * @param {number} [index] - Player index (defaults to the active player)
+   * @returns {Array<{holeNumber: number, strokes: number, par: number|null, penalties: number,
+   *   hazards: number}>} One entry per completed hole
+   */
+  getHoleHistory(index = this.activePlayerIndex) {
+    return (this.players[index]?.holeHistory ?? []).map(hole => ({ ...hole }));
+  }
+
+  /**
+   * Get a copy of every player's score sheet, to save a round in progress
+   * @returns {{players: Array<object>, activePlayerIndex: number}} JSON-serializable snapshot
+   */
+  getSnapshot() {
+    return {
+      players: JSON.parse(JSON.stringify(this.players)),
+      activePlayerIndex: this.activePlayerIndex
+    };
+  }
+
+  /**
+   * Continue from a snapshot taken with getSnapshot()
+   * @param {{players: Array<object>, activePlayerIndex: number}} snapshot - Saved score sheets
+   * @returns {boolean} True if the snapshot was usable
+   */
+  restoreSnapshot(snapshot) {
+    if (!Array.isArray(snapshot?.players) || snapshot.players.length === 0) {
+      console.warn('[ScoringSystem] Ignoring invalid score snapshot');
+      return false;
+    }
+    this.players = snapshot.players.map(player => ({ ...createPlayerScore(), ...player }));
+    this.activePlayerIndex = Math.min(
+      Math.max(0, snapshot.activePlayerIndex || 0),
+      this.players.length - 1
+    );
+    return true;
+  }
+
+  /**
+   * Get a copy of every player's scorecard
+   * @returns {Array<{holeScores: number[], totalStrokes: number}>} One entry per player
+   */
+  getScorecards() {
+    return this.players.map(player => ({
+      holeScores: [...player.holeScores],
+      totalStrokes: player.totalStrokes
+    }));
+  }
 }
@@ -0,0 +1,23 @@
+/**
+ * Stroke cap - the most strokes a player may take on a hole before picking up.
+ *
+ * A course sets it with its optional top-level `strokeCap`: a number for a fixed cap
+ * on every hole (e.g. 10), or `{ overPar: n }` for par + n on each hole.
+ */
+export const DEFAULT_STROKE_CAP = 10;
+
+/**
+ * Work out the stroke cap of a hole
+ * @param {number|{overPar: number}|null} [strokeCap] - The course's strokeCap setting
+ * @param {number} par - The hole's par
+ * @returns {number} The cap (at least 1)
+ */
+export function resolveStrokeCap(strokeCap, par) {
+  if (Number.isFinite(strokeCap)) {
+    return Math.max(1, Math.floor(strokeCap));
+  }
+  if (strokeCap && Number.isFinite(strokeCap.overPar) && Number.isFinite(par)) {
+    return Math.max(1, par + strokeCap.overPar);
+  }
+  return DEFAULT_STROKE_CAP;
+}
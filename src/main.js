@@ -1,4 +1,8 @@
 import { Game } from './scenes/Game';
+import { PLAYER_COLORS } from './managers/TurnManager';
+import { TIME_ATTACK_MODE } from './managers/TimeAttackManager';
+import { PRACTICE_MODE } from './managers/PracticeManager';
+import { parseRoundFile } from './managers/RoundRecordManager';
 import '../public/style.css';
 
 class App {
@@ -6,7 +10,14 @@ class App {
     this.game = new Game();
     this.isGameRunning = false;
     this.menuScreen = document.getElementById('menu-screen');
+    this.courseList = document.getElementById('course-list');
+    this.selectedCourseId = null;
     this.setupEventListeners();
+    this.renderPlayerSetup();
+    this.renderSettings();
+    this.renderResumeRound();
+    this.renderDailyChallenge();
+    this.renderCourseList();
   }
 
   setupEventListeners() {
@@ -19,6 +30,427 @@ class App {
         this.startCourse();
       });
     }
+
+    const resumeRoundButton = document.getElementById('resume-round');
+    if (resumeRoundButton) {
+      resumeRoundButton.addEventListener('click', () => this.resumeRound());
+    }
+
+    const playDailyButton = document.getElementById('play-daily');
+    if (playDailyButton) {
+      playDailyButton.addEventListener('click', () => this.startDailyChallenge());
+    }
+
+    const playerCountSelect = document.getElementById('player-count');
+    if (playerCountSelect) {
+      playerCountSelect.addEventListener('change', () => this.renderPlayerSetup());
+    }
+
+    const gameModeSelect = document.getElementById('game-mode');
+    if (gameModeSelect) {
+      gameModeSelect.addEventListener('change', () => this.renderPlayerSetup());
+    }
+
+    const showGhostCheckbox = document.getElementById('show-ghost');
+    if (showGhostCheckbox) {
+      showGhostCheckbox.addEventListener('change', () =>
+        this.game.ghostManager.setShowGhost(showGhostCheckbox.checked)
+      );
+    }
+
+    const verifiableRoundsCheckbox = document.getElementById('verifiable-rounds');
+    if (verifiableRoundsCheckbox) {
+      verifiableRoundsCheckbox.addEventListener('change', () =>
+        this.game.roundRecordManager.setDeterministic(verifiableRoundsCheckbox.checked)
+      );
+    }
+
+    const downloadRoundButton = document.getElementById('download-round');
+    if (downloadRoundButton) {
+      downloadRoundButton.addEventListener('click', () =>
+        this.game.roundRecordManager.downloadRoundFile()
+      );
+    }
+
+    const verifyRoundInput = document.getElementById('verify-round-file');
+    if (verifyRoundInput) {
+      verifyRoundInput.addEventListener('change', () => {
+        if (verifyRoundInput.files?.[0]) {
+          this.verifyRoundFile(verifyRoundInput.files[0]);
+        }
+      });
+    }
+
+    const showStatsButton = document.getElementById('show-stats');
+    if (showStatsButton) {
+      showStatsButton.addEventListener('click', () => this.showStats(true));
+    }
+
+    const closeStatsButton = document.getElementById('close-stats');
+    if (closeStatsButton) {
+      closeStatsButton.addEventListener('click', () => this.showStats(false));
+    }
+  }
+
+  /**
+   * Show a name field per player, tinted with the player's ball color. The turn order
+   * only matters with two or more players, and time attack and practice are solo only.
+   */
+  renderPlayerSetup() {
+    const playerCountSelect = document.getElementById('player-count');
+    const names = document.getElementById('player-names');
+    if (!playerCountSelect || !names) {
+      return;
+    }
+
+    const gameModeSelect = document.getElementById('game-mode');
+    const soloOnly = [TIME_ATTACK_MODE, PRACTICE_MODE].includes(gameModeSelect?.value);
+    if (soloOnly) {
+      playerCountSelect.value = '1';
+    }
+    playerCountSelect.disabled = soloOnly;
+
+    const count = Number(playerCountSelect.value) || 1;
+    const previousNames = [...names.querySelectorAll('input')].map(input => input.value);
+    names.innerHTML = '';
+    if (count > 1) {
+      for (let i = 0; i < count; i++) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 16;
+        input.placeholder = `Player ${i + 1}`;
+        input.value = previousNames[i] || '';
+        input.setAttribute('aria-label', `Player ${i + 1} name`);
+        input.style.borderLeftColor = `#${PLAYER_COLORS[i].toString(16).padStart(6, '0')}`;
+        names.appendChild(input);
+      }
+    }
+
+    const turnOrderRow = document.getElementById('turn-order-row');
+    if (turnOrderRow) {
+      turnOrderRow.style.display = count > 1 ? '' : 'none';
+    }
+  }
+
+  /**
+   * Show the stored settings on the menu
+   */
+  renderSettings() {
+    const showGhostCheckbox = document.getElementById('show-ghost');
+    if (showGhostCheckbox && this.game.ghostManager) {
+      showGhostCheckbox.checked = this.game.ghostManager.showGhost;
+    }
+
+    const roundRecordManager = this.game.roundRecordManager;
+    const verifiableRoundsCheckbox = document.getElementById('verifiable-rounds');
+    if (verifiableRoundsCheckbox && roundRecordManager) {
+      verifiableRoundsCheckbox.checked = roundRecordManager.deterministic;
+    }
+    const downloadRoundButton = document.getElementById('download-round');
+    if (downloadRoundButton && roundRecordManager) {
+      downloadRoundButton.style.display = roundRecordManager.getLastRoundFile() ? '' : 'none';
+    }
+  }
+
+  /**
+   * Re-play a round file on its course and check that its strokes match
+   * @param {File} file - A round file picked on the menu
+   */
+  async verifyRoundFile(file) {
+    const status = document.getElementById('round-file-status');
+    const roundFile = parseRoundFile(await file.text());
+    const isKnownCourse =
+      roundFile &&
+      (this.game.courseRegistry?.getCourseData(roundFile.courseId) ||
+        this.game.dailyChallenge?.getCourseData(roundFile.courseId));
+    if (!isKnownCourse) {
+      console.warn('[App] Not a round file of a known course');
+      if (status) {
+        status.textContent = 'That is not a round file of a known course.';
+      }
+      return;
+    }
+    console.log(`[App] Verifying a round file on ${roundFile.courseId}`);
+    this.selectedCourseId = roundFile.courseId;
+    this.updateCourseSelection();
+    await this.startCourse({ players: [], verifyRoundFile: roundFile });
+  }
+
+  /**
+   * Read the round setup (mode and hot-seat players) from the menu
+   * @returns {{mode: string, players: string[], turnOrder: string}} No players means a solo round
+   */
+  getPlayerSetup() {
+    const names = document.getElementById('player-names');
+    const turnOrder = document.getElementById('turn-order');
+    const gameMode = document.getElementById('game-mode');
+    const inputs = names ? [...names.querySelectorAll('input')] : [];
+    return {
+      mode: gameMode ? gameMode.value : undefined,
+      players: inputs.map((input, i) => input.value.trim() || `Player ${i + 1}`),
+      turnOrder: turnOrder ? turnOrder.value : undefined
+    };
+  }
+
+  /**
+   * Offer the saved round, if there is one, on the menu
+   */
+  renderResumeRound() {
+    const resumeRoundButton = document.getElementById('resume-round');
+    if (!resumeRoundButton || !this.game.roundSaveManager) {
+      return;
+    }
+    const savedRound = this.game.roundSaveManager.getSavedRound();
+    resumeRoundButton.style.display = savedRound ? '' : 'none';
+    if (savedRound) {
+      const strokes = savedRound.totalStrokes === 1 ? 'stroke' : 'strokes';
+      resumeRoundButton.textContent = `Resume ${this.getCourseName(savedRound.courseId)} · Hole ${savedRound.holeNumber} · ${savedRound.totalStrokes} ${strokes}`;
+    }
+  }
+
+  /**
+   * Continue the saved round: start its course solo and restore the scores and ball
+   */
+  async resumeRound() {
+    const savedRound = this.game.roundSaveManager.getSavedRound();
+    if (!savedRound) {
+      return;
+    }
+    console.log(`[App] Resuming the saved round on ${savedRound.courseId}`);
+    this.selectedCourseId = savedRound.courseId;
+    this.updateCourseSelection();
+    await this.startCourse({ players: [] });
+    await this.game.roundSaveManager.resumeRound(savedRound);
+  }
+
+  /**
+   * Show today's challenge with the player's streak and recent daily results
+   */
+  renderDailyChallenge() {
+    const info = document.getElementById('daily-info');
+    if (!info || !this.game.dailyChallenge) {
+      return;
+    }
+
+    const summary = this.game.dailyChallenge.getSummary();
+    let status = 'Not played yet';
+    if (summary.strokes !== null) {
+      status = `Today: ${summary.strokes} strokes`;
+    } else if (summary.attempted) {
+      status = "Today's attempt is used";
+    }
+    const streakDays = summary.streak === 1 ? 'day' : 'days';
+    info.textContent = `${summary.dateKey} · ${summary.difficulty} · Par ${summary.totalPar} · ${status} · Streak: ${summary.streak} ${streakDays}`;
+
+    const history = document.getElementById('daily-history');
+    if (history) {
+      history.innerHTML = '';
+      summary.history.forEach(day => {
+        const entry = document.createElement('li');
+        entry.textContent =
+          day.strokes !== null
+            ? `${day.dateKey}: ${day.strokes} strokes (par ${day.par})`
+            : `${day.dateKey}: not finished`;
+        history.appendChild(entry);
+      });
+    }
+
+    const playDailyButton = document.getElementById('play-daily');
+    if (playDailyButton) {
+      playDailyButton.textContent = summary.attempted
+        ? 'Replay Daily (unscored)'
+        : 'Play Daily Challenge';
+    }
+  }
+
+  /**
+   * Switch the menu between the round setup and the stats screen
+   * @param {boolean} visible - Show the stats screen
+   */
+  showStats(visible) {
+    const statsScreen = document.getElementById('stats-screen');
+    const menuContent = this.menuScreen?.querySelector('.menu-content:not(.stats-screen)');
+    if (!statsScreen || !menuContent) {
+      return;
+    }
+    if (visible) {
+      this.renderStats();
+    }
+    statsScreen.style.display = visible ? '' : 'none';
+    menuContent.style.display = visible ? 'none' : '';
+  }
+
+  /**
+   * Fill the stats screen from the player's lifetime stats
+   */
+  renderStats() {
+    if (!this.game.playerStats) {
+      return;
+    }
+    const stats = this.game.playerStats.getSummary();
+
+    const summary = document.getElementById('stats-summary');
+    if (summary) {
+      const averagePutts = stats.averagePutts === null ? '—' : stats.averagePutts.toFixed(2);
+      summary.innerHTML = '';
+      [
+        ['Rounds played', stats.roundsPlayed],
+        ['Holes played', stats.holesPlayed],
+        ['Holes-in-one', stats.holesInOne],
+        ['Average putts per hole', averagePutts]
+      ].forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = String(value);
+        summary.append(term, detail);
+      });
+    }
+
+    const courses = document.getElementById('stats-courses');
+    if (courses) {
+      courses.innerHTML = '<tr><th>Course</th><th>Rounds</th><th>Best</th><th>Best holes</th></tr>';
+      stats.courses.forEach(course => {
+        const bestHoles = Object.entries(course.bestHoles)
+          .map(([holeNumber, strokes]) => `${holeNumber}: ${strokes}`)
+          .join(', ');
+        const row = document.createElement('tr');
+        [this.getCourseName(course.courseId), course.roundsPlayed, course.bestScore, bestHoles]
+          .map(value => {
+            const cell = document.createElement('td');
+            cell.textContent = String(value ?? '—');
+            return cell;
+          })
+          .forEach(cell => row.appendChild(cell));
+        courses.appendChild(row);
+      });
+    }
+
+    const recent = document.getElementById('stats-recent');
+    if (recent) {
+      recent.innerHTML = '';
+      stats.recentRounds.forEach(round => {
+        const entry = document.createElement('li');
+        entry.textContent = `${round.date} · ${this.getCourseName(round.courseId)}: ${round.totalStrokes} strokes (par ${round.par})`;
+        recent.appendChild(entry);
+      });
+    }
+
+    this.renderAchievements();
+  }
+
+  /**
+   * Fill the achievement gallery on the stats screen, locked achievements dimmed
+   */
+  renderAchievements() {
+    const gallery = document.getElementById('stats-achievements');
+    if (!gallery || !this.game.achievementManager) {
+      return;
+    }
+    gallery.innerHTML = '';
+    this.game.achievementManager.getAchievements().forEach(achievement => {
+      const entry = document.createElement('li');
+      entry.classList.toggle('unlocked', achievement.unlockedAt !== null);
+      const name = document.createElement('div');
+      name.className = 'achievement-name';
+      name.textContent = achievement.name;
+      const description = document.createElement('div');
+      description.textContent =
+        achievement.unlockedAt !== null
+          ? `${achievement.description} · ${new Date(achievement.unlockedAt).toLocaleDateString()}`
+          : achievement.description;
+      entry.append(name, description);
+      gallery.appendChild(entry);
+    });
+  }
+
+  /**
+   * Get the display name of a course
+   * @param {string} courseId - A registered or daily challenge course id
+   * @returns {string} The course name, or the id if the course is unknown
+   */
+  getCourseName(courseId) {
+    const course =
+      this.game.courseRegistry?.getCourseData(courseId) ||
+      this.game.dailyChallenge?.getCourseData(courseId);
+    return course?.name || courseId;
+  }
+
+  /**
+   * Start today's daily challenge course
+   */
+  startDailyChallenge() {
+    this.selectedCourseId = this.game.dailyChallenge.getTodayCourseId();
+    console.log(`[App] Daily challenge selected: ${this.selectedCourseId}`);
+    this.updateCourseSelection();
+    this.startCourse();
+  }
+
+  /**
+   * Build the course picker from the game's course registry
+   */
+  renderCourseList() {
+    if (!this.courseList || !this.game.courseRegistry) {
+      return;
+    }
+
+    const courses = this.game.courseRegistry.listCourses();
+    if (!this.selectedCourseId && courses.length > 0) {
+      this.selectedCourseId = this.game.courseId || courses[0].id;
+    }
+
+    this.courseList.innerHTML = '';
+    courses.forEach(course => {
+      const card = document.createElement('button');
+      card.type = 'button';
+      card.className = 'course-card';
+      card.dataset.courseId = course.id;
+      card.setAttribute('role', 'option');
+
+      const name = document.createElement('div');
+      name.className = 'course-card-name';
+      name.textContent = course.name;
+
+      const author = document.createElement('div');
+      author.className = 'course-card-author';
+      author.textContent = `by ${course.author}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'course-card-meta';
+      const best = course.bestScore !== null ? course.bestScore : '—';
+      meta.textContent = `${course.holeCount} holes · Par ${course.totalPar} · Best: ${best}`;
+
+      card.append(name, author, meta);
+      card.title = course.description;
+      card.addEventListener('click', () => this.selectCourse(course.id));
+      this.courseList.appendChild(card);
+    });
+
+    this.updateCourseSelection();
+  }
+
+  /**
+   * Select the course that the Play button will start
+   * @param {string} courseId - Id of a registered course
+   */
+  selectCourse(courseId) {
+    console.log(`[App] Course selected: ${courseId}`);
+    this.selectedCourseId = courseId;
+    this.updateCourseSelection();
+  }
+
+  /**
+   * Highlight the selected course card
+   */
+  updateCourseSelection() {
+    if (!this.courseList) {
+      return;
+    }
+    this.courseList.querySelectorAll('.course-card').forEach(card => {
+      const selected = card.dataset.courseId === this.selectedCourseId;
+      card.classList.toggle('selected', selected);
+      card.setAttribute('aria-selected', selected ? 'true' : 'false');
+    });
   }
 
   /**
@@ -35,7 +467,11 @@ class App {
     }
   }
 
-  async startCourse() {
+  /**
+   * Hide the menu and start the selected course
+   * @param {object} [setup] - Round setup (see getPlayerSetup), read from the menu by default
+   */
+  async startCourse(setup) {
     console.log('[App] startCourse called.');
     // Hide the menu screen
     if (this.menuScreen) {
@@ -46,7 +482,7 @@ class App {
     // Initialize the game if not already initialized
     if (!this.isGameRunning) {
       console.log('[App] Game not running, calling App.init()...');
-      await this.init();
+      await this.init(setup);
       console.log('[App] App.init() finished.');
       this.isGameRunning = true;
     } else {
@@ -59,12 +495,12 @@ class App {
     console.log('[App] startCourse finished.');
   }
 
-  async init() {
+  async init(setup = this.getPlayerSetup()) {
     console.log('[App.init] Starting...');
     try {
       // Initialize the game
       console.log('[App.init] Calling game.init()...');
-      await this.game.init();
+      await this.game.init({ courseId: this.selectedCourseId, ...setup });
       console.log('[App.init] game.init() finished.');
       console.log('[App.init] Finished successfully.');
     } catch (error) {
@@ -0,0 +1,192 @@
+import { EventTypes } from '../events/EventTypes';
+import { loadData, saveData } from '../utils/storage';
+import { UIAchievementToast } from './ui/UIAchievementToast';
+
+const ACHIEVEMENTS_KEY = 'achievements';
+
+/**
+ * Achievement rules. Each rule is checked when its event is published, with the context
+ * built by AchievementManager.getContext():
+ *   event        - The GameEvent
+ *   holeStrokes  - Strokes on the current hole, penalties included
+ *   round        - { strokes, par, hazards, holes } of the holes completed so far; par is
+ *                  null if a hole has no par
+ *   roundsPlayed - Completed rounds, including the one just completed
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: 'holeInOne',
+    name: 'Hole-in-One',
+    description: 'Sink the ball with your first stroke',
+    event: EventTypes.HOLE_COMPLETED,
+    test: ({ holeStrokes }) => holeStrokes === 1
+  },
+  {
+    id: 'bankShot',
+    name: 'Bank Shot',
+    description: 'Bounce off a wall or bumper into the cup',
+    event: EventTypes.BALL_IN_HOLE,
+    test: ({ event }) => event.get('wallHits', 0) > 0
+  },
+  {
+    id: 'underPar',
+    name: 'Under Par',
+    description: 'Finish a round under par',
+    event: EventTypes.GAME_COMPLETED,
+    test: ({ round }) => round.par !== null && round.strokes < round.par
+  },
+  {
+    id: 'cleanRound',
+    name: 'Clean Round',
+    description: 'Finish a round without hitting a hazard',
+    event: EventTypes.GAME_COMPLETED,
+    test: ({ round }) => round.holes > 0 && round.hazards === 0
+  },
+  {
+    id: 'tenRounds',
+    name: 'Regular',
+    description: 'Finish 10 rounds',
+    event: EventTypes.GAME_COMPLETED,
+    test: ({ roundsPlayed }) => roundsPlayed >= 10
+  }
+];
+
+/**
+ * AchievementManager - Unlocks achievements from game events
+ *
+ * Subscribes to the event of every rule in ACHIEVEMENTS and unlocks the rules that pass,
+ * with a toast for each new unlock. Unlocks and the number of completed rounds are stored
+ * with the storage helper. Only recorded rounds (see Game.isRecordedRound) count.
+ */
+export class AchievementManager {
+  /**
+   * @param {Game} game - The game
+   * @param {Array<object>} [achievements] - Rules to check (injectable for tests)
+   */
+  constructor(game, achievements = ACHIEVEMENTS) {
+    this.game = game;
+    this.achievements = achievements;
+    this.state = {
+      unlocked: {}, // { [id]: unlock time in ms }
+      roundsPlayed: 0,
+      ...(loadData(ACHIEVEMENTS_KEY, null) || {})
+    };
+    this.toast = null;
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the achievement manager
+   * @returns {AchievementManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.toast = new UIAchievementToast(this.game.uiManager?.uiContainer || document.body);
+
+    // GAME_COMPLETED is always handled, to count the round before the rules see it
+    const eventTypes = new Set([
+      EventTypes.GAME_COMPLETED,
+      ...this.achievements.map(achievement => achievement.event)
+    ]);
+    this.eventSubscriptions = [...eventTypes].map(eventType =>
+      this.game.eventManager.subscribe(eventType, this.handleEvent, this)
+    );
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Check the rules of an event and unlock the ones that pass
+   * @param {GameEvent} event - The event
+   */
+  handleEvent(event) {
+    if (!this.game.isRecordedRound?.()) {
+      return;
+    }
+    if (event.type === EventTypes.GAME_COMPLETED) {
+      this.state.roundsPlayed++;
+      saveData(ACHIEVEMENTS_KEY, this.state);
+    }
+
+    const context = this.getContext(event);
+    this.achievements
+      .filter(achievement => achievement.event === event.type && !this.isUnlocked(achievement.id))
+      .filter(achievement => achievement.test(context))
+      .forEach(achievement => this.unlock(achievement));
+  }
+
+  /**
+   * Build the context the rules are checked with
+   * @param {GameEvent} event - The event being handled
+   * @returns {object} See ACHIEVEMENTS
+   */
+  getContext(event) {
+    const scoringSystem = this.game.scoringSystem;
+    const holes = scoringSystem.getHoleHistory();
+    return {
+      event,
+      holeStrokes: scoringSystem.getCurrentStrokes(),
+      round: {
+        strokes: holes.reduce((sum, hole) => sum + hole.strokes, 0),
+        par: holes.some(hole => hole.par === null)
+          ? null
+          : holes.reduce((sum, hole) => sum + hole.par, 0),
+        hazards: holes.reduce((sum, hole) => sum + (hole.hazards || 0), 0),
+        holes: holes.length
+      },
+      roundsPlayed: this.state.roundsPlayed
+    };
+  }
+
+  /**
+   * Check whether an achievement is unlocked
+   * @param {string} id - The achievement id
+   * @returns {boolean}
+   */
+  isUnlocked(id) {
+    return Number.isFinite(this.state.unlocked[id]);
+  }
+
+  /**
+   * Unlock an achievement, store it and show the toast
+   * @param {object} achievement - An achievement rule
+   */
+  unlock(achievement) {
+    this.state.unlocked[achievement.id] = Date.now();
+    saveData(ACHIEVEMENTS_KEY, this.state);
+    console.log(`[AchievementManager] Unlocked "${achievement.name}"`);
+    this.toast?.show(achievement);
+  }
+
+  /**
+   * Get every achievement for the gallery
+   * @returns {Array<{id: string, name: string, description: string, unlockedAt: number|null}>}
+   *   unlockedAt is null while locked
+   */
+  getAchievements() {
+    return this.achievements.map(({ id, name, description }) => ({
+      id,
+      name,
+      description,
+      unlockedAt: this.isUnlocked(id) ? this.state.unlocked[id] : null
+    }));
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.toast?.cleanup();
+    this.toast = null;
+    this.isInitialized = false;
+  }
+}
@@ -2,14 +2,21 @@ import * as THREE from 'three';
 import { Ball } from '../objects/Ball';
 import { EventTypes } from '../events/EventTypes';
 
+// Collision group of ball bodies (see Ball.createPhysicsBody)
+const BALL_COLLISION_GROUP = 4;
+
 /**
  * BallManager - Handles ball creation, physics, and movement
- * Manages the golf ball's lifecycle and interactions
+ * Manages the golf ball's lifecycle and interactions. In hot-seat multiplayer there is
+ * one ball per player; `ball` is always the ball of the player whose turn it is.
  */
 export class BallManager {
   constructor(game) {
     this.game = game;
     this.ball = null;
+    this.balls = []; // One ball per player, indexed like TurnManager players
+    this.activeBallIndex = 0;
+    this.safePositions = []; // Last safe position of each ball while it is not active
     this.lastBallPosition = new THREE.Vector3();
     this.wasMoving = false;
     this.followLerp = 0.1; // Controls how quickly the camera follows the ball
@@ -97,12 +104,18 @@ export class BallManager {
       const worldStartPosition = this.game.course.getHoleStartPosition(); // Now returns WORLD coords
       if (this.ball && worldStartPosition) {
         console.log('[BallManager.handleHoleStarted] Resetting existing ball position.');
-        this.ball.setPosition(
-          worldStartPosition.x,
-          worldStartPosition.y + Ball.START_HEIGHT,
-          worldStartPosition.z
-        );
-        this.ball.resetVelocity();
+        this.getBalls().forEach(ball => {
+          ball.setPosition(
+            worldStartPosition.x,
+            worldStartPosition.y + Ball.START_HEIGHT,
+            worldStartPosition.z
+          );
+          ball.resetVelocity();
+        });
+        this.safePositions = [];
+        if (this.activeBallIndex !== 0 && this.balls[0]) {
+          this.setActiveBall(0);
+        }
 
         // Publish ball reset event with the elevated position
         const resetPosition = new THREE.Vector3(
@@ -164,18 +177,71 @@ export class BallManager {
       return null;
     }
 
-    // Create the Ball instance
-    this.ball = new Ball(this.game.scene, physicsWorld, this.game);
+    // Create one ball per player (a single ball outside hot-seat multiplayer)
+    const players = this.game.turnManager?.getPlayers() || [];
+    const ballCount = Math.max(1, players.length);
+    for (let i = 0; i < ballCount; i++) {
+      const ball = this.spawnBall(
+        physicsWorld,
+        worldStartPosition,
+        ballCount > 1 ? players[i] : null
+      );
+      if (!ball) {
+        this.removeBall(); // Clean up partial creation
+        return null;
+      }
+      this.balls.push(ball);
+    }
+    this.activeBallIndex = 0;
+    this.ball = this.balls[0];
+
+    // Store initial safe position
+    this.lastBallPosition.copy(this.ball.mesh.position);
+
+    // Publish the ball created event
+    if (this.game.eventManager) {
+      const positionClone = this.ball.mesh.position.clone
+        ? this.ball.mesh.position.clone()
+        : {
+            x: this.ball.mesh.position.x,
+            y: this.ball.mesh.position.y,
+            z: this.ball.mesh.position.z
+          };
+      this.game.eventManager.publish(
+        EventTypes.BALL_CREATED,
+        { ball: this.ball, position: positionClone },
+        this
+      );
+    }
+
+    // Update camera to follow new ball
+    if (this.game.cameraController) {
+      this.game.cameraController.setBall(this.ball);
+    }
+
+    return this.ball;
+  }
+
+  /**
+   * Create a single ball at the start position
+   * @param {CANNON.World} physicsWorld - The physics world
+   * @param {THREE.Vector3} worldStartPosition - The WORLD start position (ball is raised by START_HEIGHT)
+   * @param {object|null} player - TurnManager player owning the ball, or null in single-player
+   * @returns {Ball|null} The ball, or null if its physics body could not be created
+   * @private
+   */
+  spawnBall(physicsWorld, worldStartPosition, player) {
+    const ball = new Ball(this.game.scene, physicsWorld, this.game);
 
     // --- Assign current WORLD Hole Position to the Ball instance ---
     const worldHolePosition = this.game.course?.getHolePosition(); // Already returns WORLD coords
 
     if (worldHolePosition) {
-      this.ball.currentHolePosition = worldHolePosition.clone(); // Store WORLD position
+      ball.currentHolePosition = worldHolePosition.clone(); // Store WORLD position
       console.log('[BallManager] Assigned WORLD holePosition to Ball:', worldHolePosition);
     } else {
       console.error('[BallManager] Failed to get world hole position to assign to ball!');
-      this.ball.currentHolePosition = null;
+      ball.currentHolePosition = null;
     }
     // --- End Assignment ---
 
@@ -185,54 +251,38 @@ export class BallManager {
       worldStartPosition.y + Ball.START_HEIGHT,
       worldStartPosition.z
     );
-    this.ball.setPosition(finalPosition.x, finalPosition.y, finalPosition.z);
+    ball.setPosition(finalPosition.x, finalPosition.y, finalPosition.z);
 
-    console.log('[BallManager] Ball positioned at world:', this.ball.mesh.position);
+    console.log('[BallManager] Ball positioned at world:', ball.mesh.position);
 
     // Log distance (now using world coordinates)
     if (worldHolePosition) {
       let distance = 5; // Default for tests
-      if (this.ball.mesh.position.distanceTo) {
-        distance = this.ball.mesh.position.distanceTo(worldHolePosition);
+      if (ball.mesh.position.distanceTo) {
+        distance = ball.mesh.position.distanceTo(worldHolePosition);
       }
       console.log(`[BallManager] Ball created at distance ${distance.toFixed(2)} from hole`);
     }
 
+    // Give each player's ball its own color and let the balls pass through each other
+    if (player) {
+      ball.defaultMaterial?.color?.setHex(player.color);
+      if (ball.body) {
+        ball.body.collisionFilterMask &= ~BALL_COLLISION_GROUP;
+      }
+    }
+
     // Wake up the ball's physics body
-    if (this.ball.body) {
-      this.ball.body.wakeUp();
-      console.log('[BallManager] Ball body woken up with world position:', this.ball.body.position);
+    if (ball.body) {
+      ball.body.wakeUp();
+      console.log('[BallManager] Ball body woken up with world position:', ball.body.position);
     } else {
       console.error('[BallManager] Ball body not created or available after instantiation.');
-      this.removeBall(); // Clean up partial creation
+      this.balls.push(ball); // Let removeBall dispose the partial ball
       return null;
     }
 
-    // Store initial safe position
-    this.lastBallPosition.copy(this.ball.mesh.position);
-
-    // Publish the ball created event
-    if (this.game.eventManager) {
-      const positionClone = this.ball.mesh.position.clone
-        ? this.ball.mesh.position.clone()
-        : {
-            x: this.ball.mesh.position.x,
-            y: this.ball.mesh.position.y,
-            z: this.ball.mesh.position.z
-          };
-      this.game.eventManager.publish(
-        EventTypes.BALL_CREATED,
-        { ball: this.ball, position: positionClone },
-        this
-      );
-    }
-
-    // Update camera to follow new ball
-    if (this.game.cameraController) {
-      this.game.cameraController.setBall(this.ball);
-    }
-
-    return this.ball;
+    return ball;
   }
 
   /**
@@ -293,6 +343,13 @@ export class BallManager {
     // Update ball physics and rendering
     this.ball.update(this.game.deltaTime);
 
+    // Waiting players' balls only need their meshes to follow their resting bodies
+    this.balls.forEach(ball => {
+      if (ball !== this.ball && ball.body) {
+        ball.mesh.position.copy(ball.body.position);
+      }
+    });
+
     // Check if ball has fallen below the course
     const outOfBoundYThreshold = -5; // Consider anything below -5 as out of bounds
     if (this.ball.mesh.position.y < outOfBoundYThreshold) {
@@ -435,6 +492,23 @@ export class BallManager {
     console.log('[BallManager] Ball reset to position:', resetPosition);
   }
 
+  /**
+   * Put the active ball back on the current hole's tee
+   */
+  resetBallToTee() {
+    const worldStartPosition = this.game.course?.getHoleStartPosition();
+    if (!this.ball || !worldStartPosition) {
+      return;
+    }
+    this.resetBall(
+      new THREE.Vector3(
+        worldStartPosition.x,
+        worldStartPosition.y + Ball.START_HEIGHT,
+        worldStartPosition.z
+      )
+    );
+  }
+
   /**
    * Handle hazard detection
    */
@@ -443,7 +517,9 @@ export class BallManager {
     const penalty = event.get('penalty', 1);
 
     // Add penalty strokes
-    this.game.scoringSystem.addPenaltyStrokes(penalty);
+    if (penalty > 0) {
+      this.game.scoringSystem.addPenaltyStrokes(penalty);
+    }
 
     // Reset ball to safe position
     this.resetBall();
@@ -460,11 +536,12 @@ export class BallManager {
         this.eventSubscriptions = [];
       }
 
-      // Clean up ball
-      if (this.ball) {
-        this.ball.cleanup();
-        this.ball = null;
-      }
+      // Clean up balls
+      this.getBalls().forEach(ball => ball.cleanup());
+      this.ball = null;
+      this.balls = [];
+      this.activeBallIndex = 0;
+      this.safePositions = [];
 
       // Reset properties
       this.lastBallPosition.set(0, 0, 0);
@@ -516,43 +593,112 @@ export class BallManager {
   }
 
   /**
-   * Remove the current ball and clean up its resources
+   * Get every ball on the hole (one per player)
+   * @returns {Ball[]} The balls
    */
-  removeBall() {
-    if (this.ball) {
-      // Remove from physics world
-      if (this.ball.body && this.game.physicsManager) {
-        this.game.physicsManager.removeBody(this.ball.body);
-      }
+  getBalls() {
+    if (this.ball && !this.balls.includes(this.ball)) {
+      return [...this.balls, this.ball];
+    }
+    return [...this.balls];
+  }
 
-      // Remove from scene and dispose resources
-      if (this.ball.mesh) {
-        if (this.ball.mesh.geometry) {
-          this.ball.mesh.geometry.dispose();
-        }
-        if (this.ball.mesh.material) {
-          if (Array.isArray(this.ball.mesh.material)) {
-            this.ball.mesh.material.forEach(mat => mat.dispose());
-          } else {
-            this.ball.mesh.material.dispose();
-          }
-        }
-        this.game.scene.remove(this.ball.mesh);
-      }
+  /**
+   * Make another player's ball the active one. Only the active ball is simulated,
+   * hit and followed by the camera.
+   * @param {number} index - Ball (player) index
+   * @returns {Ball|null} The active ball
+   */
+  setActiveBall(index) {
+    const ball = this.balls[index];
+    if (!ball) {
+      return this.ball;
+    }
+    if (index === this.activeBallIndex && ball === this.ball) {
+      return ball;
+    }
 
-      // --- REMOVE BALL LIGHT ---
-      if (this.ball.ballLight) {
-        this.game.scene.remove(this.ball.ballLight);
-        // No need to dispose PointLight geometry/material usually
-        console.log('[BallManager] Removed ballLight from scene');
-      }
-      // --- END REMOVE BALL LIGHT ---
+    // Each ball keeps its own safe position for out-of-bounds resets
+    this.safePositions[this.activeBallIndex] = this.lastSafePosition;
+    this.lastSafePosition = this.safePositions[index];
+
+    this.activeBallIndex = index;
+    this.ball = ball;
+    this.lastBallPosition.copy(ball.mesh.position);
+    this.game.stateManager?.setBallInMotion(false);
+
+    if (this.game.cameraController) {
+      this.game.cameraController.setBall(ball);
+    }
+    return ball;
+  }
 
-      // Clear the reference
+  /**
+   * Get the distance from a ball to the cup
+   * @param {number} index - Ball (player) index
+   * @returns {number} Distance in world units, or 0 if unknown
+   */
+  getDistanceToHole(index) {
+    const ball = this.balls[index];
+    if (!ball || !ball.currentHolePosition) {
+      return 0;
+    }
+    const dx = ball.mesh.position.x - ball.currentHolePosition.x;
+    const dz = ball.mesh.position.z - ball.currentHolePosition.z;
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  /**
+   * Remove every ball and clean up its resources
+   */
+  removeBall() {
+    const balls = this.getBalls();
+    if (balls.length > 0) {
+      balls.forEach(ball => this.disposeBall(ball));
+
+      // Clear the references
       this.ball = null;
+      this.balls = [];
+      this.activeBallIndex = 0;
+      this.safePositions = [];
       console.log('[BallManager] Ball removed and cleaned up'); // Add log
     } else {
       console.log('[BallManager] No ball to remove.'); // Add log
     }
   }
+
+  /**
+   * Remove one ball from the physics world and scene
+   * @param {Ball} ball - The ball to dispose
+   * @private
+   */
+  disposeBall(ball) {
+    // Remove from physics world
+    if (ball.body && this.game.physicsManager) {
+      this.game.physicsManager.removeBody(ball.body);
+    }
+
+    // Remove from scene and dispose resources
+    if (ball.mesh) {
+      if (ball.mesh.geometry) {
+        ball.mesh.geometry.dispose();
+      }
+      if (ball.mesh.material) {
+        if (Array.isArray(ball.mesh.material)) {
+          ball.mesh.material.forEach(mat => mat.dispose());
+        } else {
+          ball.mesh.material.dispose();
+        }
+      }
+      this.game.scene.remove(ball.mesh);
+    }
+
+    // --- REMOVE BALL LIGHT ---
+    if (ball.ballLight) {
+      this.game.scene.remove(ball.ballLight);
+      // No need to dispose PointLight geometry/material usually
+      console.log('[BallManager] Removed ballLight from scene');
+    }
+    // --- END REMOVE BALL LIGHT ---
+  }
 }
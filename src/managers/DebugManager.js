@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { DebugErrorOverlay } from './debug/DebugErrorOverlay';
 import { DebugCourseUI } from './debug/DebugCourseUI';
+import { DebugLevelEditor } from './debug/DebugLevelEditor';
 
 /**
  * Configuration for debug functionality
@@ -22,6 +23,7 @@ export const DEBUG_CONFIG = {
     enabled: true, // Enable course debugging features
     toggleCourseTypeKey: 'c', // Key to toggle between BasicCourse and NineHoleCourse
     loadSpecificHoleKey: 'h', // Key to trigger load specific hole prompt
+    levelEditorKey: 'e', // Key to start/stop editing the current hole
     quickLoadKeys: {
       // Number keys 1-9 to quickly load specific holes
       1: 1,
@@ -87,6 +89,7 @@ export class DebugManager {
     // UI Submodules
     this.errorOverlay = null;
     this.courseDebugUI = null;
+    this.levelEditor = null;
 
     // Bound key handler for main debug toggle
     this.boundHandleMainKey = this.handleMainDebugKey.bind(this);
@@ -109,6 +112,10 @@ export class DebugManager {
       console.log('[DebugManager.init] Initializing Course Debug UI...');
       this.courseDebugUI = new DebugCourseUI(this); // Pass self
       this.courseDebugUI.init();
+
+      console.log('[DebugManager.init] Initializing Level Editor...');
+      this.levelEditor = new DebugLevelEditor(this);
+      this.levelEditor.init();
     } else {
       console.log('[DebugManager.init] Course Debug UI disabled by config.');
     }
@@ -160,6 +167,8 @@ export class DebugManager {
       this.setupDebugHelpers();
     } else {
       this.removeDebugHelpers();
+      // The level editor only works in debug mode
+      this.levelEditor?.exit();
       // Explicitly clear CannonDebugRenderer meshes when turning off debug mode
       this.game.cannonDebugRenderer?.clearMeshes();
     }
@@ -416,6 +425,7 @@ export class DebugManager {
     // Cleanup UI submodules
     this.errorOverlay?.cleanup();
     this.courseDebugUI?.cleanup();
+    this.levelEditor?.cleanup();
 
     // Remove 3D debug objects from scene
     this.removeDebugHelpers();
@@ -431,6 +441,7 @@ export class DebugManager {
     this.errorHistory.clear();
     this.errorOverlay = null; // Clear submodule ref
     this.courseDebugUI = null; // Clear submodule ref
+    this.levelEditor = null; // Clear submodule ref
 
     console.log('[DebugManager] Cleanup finished.');
     return this;
@@ -1,3 +1,7 @@
+// Most fixed physics steps a frame takes in deterministic mode; a longer frame slows the
+// game down instead of piling up steps
+const MAX_STEPS_PER_FRAME = 4;
+
 /**
  * GameLoopManager - Orchestrates the main game update loop
  * Centralized control of the update sequence to improve modularity
@@ -14,6 +18,9 @@ export class GameLoopManager {
     this.lastFrameTime = performance.now();
     this.deltaTime = 0;
 
+    // Frame time not yet spent on fixed steps in deterministic mode (seconds)
+    this.simulationTime = 0;
+
     // Track if the loop is running (support both property names for backward compatibility)
     this.isLoopRunning = false;
     this.isRunning = false;
@@ -124,37 +131,8 @@ export class GameLoopManager {
 
     // 1. Update managers in sequence
 
-    // 1.1 Update physics - must come first to update physical world
-    if (this.game.physicsManager) {
-      if (this.game.performanceManager) {
-        this.game.performanceManager.startTimer('physics');
-      }
-      this.game.physicsManager.update(this.deltaTime);
-      if (this.game.performanceManager) {
-        this.game.performanceManager.endTimer('physics');
-      }
-    }
-
-    // 1.2 Update ball - depends on physics, must come after physics
-    if (this.game.ballManager) {
-      if (this.game.performanceManager) {
-        this.game.performanceManager.startTimer('ballUpdate');
-      }
-      this.game.ballManager.update();
-      if (this.game.performanceManager) {
-        this.game.performanceManager.endTimer('ballUpdate');
-      }
-    }
-
-    // 1.2.5 Update hazards if present (for test compatibility)
-    if (this.game.hazardManager) {
-      this.game.hazardManager.update();
-    }
-
-    // 1.3 Check for hole completion - depends on ball position
-    if (this.game.holeManager) {
-      this.game.holeManager.checkBallInHole();
-    }
+    // 1.0 - 1.3 Advance the simulation
+    this.simulate();
 
     // 1.4 Update camera - depends on ball position
     if (this.game.cameraController) {
@@ -200,6 +178,14 @@ export class GameLoopManager {
       this.game.adaptiveFrameRate();
     }
 
+    // 1.9 - 1.11 Update the round managers
+    this.updateRoundManagers();
+
+    // 1.12 Animate the space decorations
+    if (this.game.spaceDecorations) {
+      this.game.spaceDecorations.update(this.deltaTime);
+    }
+
     // Memory management check (run every 5 seconds)
     if (this.game.manageMemoryUsage && this.lastFrameTime % 5000 < this.deltaTime * 1000) {
       this.game.manageMemoryUsage();
@@ -215,6 +201,34 @@ export class GameLoopManager {
     }
 
     // 3. Update debug display if enabled - should be last to show final state
+    this.updateDebugDisplay();
+  }
+
+  /**
+   * Update the managers that follow the round: the time-attack timer, the ghost ball
+   * and the instant replay
+   */
+  updateRoundManagers() {
+    // 1.9 Update the time-attack timer
+    if (this.game.timeAttackManager) {
+      this.game.timeAttackManager.update();
+    }
+
+    // 1.10 Record the ball's track and move the ghost ball
+    if (this.game.ghostManager) {
+      this.game.ghostManager.update();
+    }
+
+    // 1.11 Buffer the ball for the instant replay and play it back
+    if (this.game.replayManager) {
+      this.game.replayManager.update();
+    }
+  }
+
+  /**
+   * Show the debug info, with performance metrics when available, if debug mode is on
+   */
+  updateDebugDisplay() {
     if (this.game.debugManager && this.game.debugManager.enabled) {
       if (this.game.uiManager) {
         // Include performance metrics in debug display if available
@@ -235,4 +249,75 @@ export class GameLoopManager {
   cleanup() {
     this.stopLoop();
   }
+
+  /**
+   * Advance the simulation for this frame. In deterministic mode the frame time is spent in
+   * whole fixed physics steps, at most MAX_STEPS_PER_FRAME of them; otherwise one step of
+   * the frame's length is taken.
+   */
+  simulate() {
+    const physicsManager = this.game.physicsManager;
+    if (!physicsManager?.isDeterministic?.()) {
+      this.stepSimulation(this.deltaTime);
+      return;
+    }
+
+    const fixedTimeStep = physicsManager.getFixedTimeStep();
+    this.simulationTime = Math.min(
+      this.simulationTime + this.deltaTime,
+      fixedTimeStep * MAX_STEPS_PER_FRAME
+    );
+    while (this.simulationTime >= fixedTimeStep) {
+      this.simulationTime -= fixedTimeStep;
+      this.stepSimulation(fixedTimeStep);
+    }
+  }
+
+  /**
+   * Take one simulation step: obstacles, physics, ball, hazards and the hole
+   * @param {number} deltaTime - Length of the step in seconds
+   */
+  stepSimulation(deltaTime) {
+    // 1.0 Update course - moves kinematic obstacles into place before the physics step
+    if (this.game.course && typeof this.game.course.update === 'function') {
+      this.game.course.update(deltaTime);
+    }
+
+    // 1.05 Feed in the recorded shots of a round file being verified
+    if (this.game.roundRecordManager) {
+      this.game.roundRecordManager.beforeStep();
+    }
+
+    // 1.1 Update physics - must come first to update physical world
+    if (this.game.physicsManager) {
+      if (this.game.performanceManager) {
+        this.game.performanceManager.startTimer('physics');
+      }
+      this.game.physicsManager.update(deltaTime);
+      if (this.game.performanceManager) {
+        this.game.performanceManager.endTimer('physics');
+      }
+    }
+
+    // 1.2 Update ball - depends on physics, must come after physics
+    if (this.game.ballManager) {
+      if (this.game.performanceManager) {
+        this.game.performanceManager.startTimer('ballUpdate');
+      }
+      this.game.ballManager.update();
+      if (this.game.performanceManager) {
+        this.game.performanceManager.endTimer('ballUpdate');
+      }
+    }
+
+    // 1.2.5 Update hazards if present (for test compatibility)
+    if (this.game.hazardManager) {
+      this.game.hazardManager.update();
+    }
+
+    // 1.3 Check for hole completion - depends on ball position
+    if (this.game.holeManager) {
+      this.game.holeManager.checkBallInHole();
+    }
+  }
 }
@@ -0,0 +1,328 @@
+import * as THREE from 'three';
+import { EventTypes } from '../events/EventTypes';
+import { loadData, saveData } from '../utils/storage';
+
+const GHOST_TRACKS_KEY = 'ghostTracks';
+const SHOW_GHOST_KEY = 'showGhost';
+
+// Time between two samples of the ball's position (ms)
+export const SAMPLE_INTERVAL_MS = 100;
+
+// Longest track kept for a hole: five minutes of samples
+const MAX_SAMPLES = 3000;
+
+// Courses with stored tracks; the least recently improved course is dropped first
+const MAX_COURSES = 10;
+
+const GHOST_COLOR = 0x88ccff;
+const GHOST_OPACITY = 0.35;
+
+/**
+ * Round a coordinate to centimetres, to keep stored tracks small
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function roundCoordinate(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the position along a track at a point in time, between the two nearest samples
+ * @param {Array<number[]>} track - Samples of [timeMs, x, y, z, ...], in time order
+ * @param {number} timeMs - Time since the start of the hole
+ * @returns {{x: number, y: number, z: number}|null} The position (the last sample once the
+ *   track is over), or null for an empty track
+ */
+export function getTrackPosition(track, timeMs) {
+  if (!track || track.length === 0) {
+    return null;
+  }
+  // First sample later than timeMs
+  let low = 0;
+  let high = track.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (track[middle][0] <= timeMs) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  if (low === 0 || low === track.length) {
+    const [, x, y, z] = track[low === 0 ? 0 : track.length - 1];
+    return { x, y, z };
+  }
+  const [fromTime, ...from] = track[low - 1];
+  const [toTime, ...to] = track[low];
+  const t = (timeMs - fromTime) / (toTime - fromTime);
+  return {
+    x: from[0] + (to[0] - from[0]) * t,
+    y: from[1] + (to[1] - from[1]) * t,
+    z: from[2] + (to[2] - from[2]) * t
+  };
+}
+
+/**
+ * GhostManager - Records the ball's track on every hole and replays the best one as a ghost
+ *
+ * While a hole is played, the ball's position is sampled every SAMPLE_INTERVAL_MS from the
+ * hole's startTime in HoleStateManager. When the hole is completed in fewer strokes than the
+ * stored track (or as many, but faster), the new track is stored for the course and hole.
+ * On later rounds a translucent ghost ball follows the stored track alongside the live
+ * ball. The ghost can be switched off from the menu settings. Recorded rounds only.
+ */
+export class GhostManager {
+  constructor(game) {
+    this.game = game;
+    this.tracks = loadData(GHOST_TRACKS_KEY, {}) || {}; // { [courseId]: { updatedAt, holes } }
+    this.showGhost = loadData(SHOW_GHOST_KEY, true) !== false;
+    this.recording = null; // { holeNumber, startTime, track } of the hole being played
+    this.ghostTrack = null; // Stored track the ghost follows
+    this.ghostMesh = null;
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the ghost manager
+   * @returns {GhostManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.eventSubscriptions = [
+      this.game.eventManager.subscribe(
+        EventTypes.HOLE_STATE_UPDATED,
+        this.handleHoleStateUpdated,
+        this
+      ),
+      this.game.eventManager.subscribe(EventTypes.GAME_RESUMED, this.handleGameResumed, this)
+    ];
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Switch the ghost ball on or off, and remember the choice
+   * @param {boolean} showGhost - Show the ghost ball
+   */
+  setShowGhost(showGhost) {
+    this.showGhost = Boolean(showGhost);
+    saveData(SHOW_GHOST_KEY, this.showGhost);
+    if (!this.showGhost) {
+      this.removeGhost();
+    }
+  }
+
+  /**
+   * Get the stored track of a hole
+   * @param {string} courseId - The course id
+   * @param {number} holeNumber - The hole number (1-based)
+   * @returns {{strokes: number, durationMs: number, track: Array<number[]>}|null}
+   */
+  getBestTrack(courseId, holeNumber) {
+    return this.tracks[courseId]?.holes?.[holeNumber] || null;
+  }
+
+  /**
+   * Start recording when a hole starts, and store the track when it is completed
+   * @param {GameEvent} event - Hole state updated event
+   */
+  handleHoleStateUpdated(event) {
+    const holeNumber = event.get('holeIndex') + 1;
+    const state = event.get('state');
+    if (!state || !this.game.isRecordedRound?.()) {
+      return;
+    }
+    if (state.completed) {
+      this.finishRecording(holeNumber, state);
+    } else if (
+      Number.isFinite(state.startTime) &&
+      (this.recording?.holeNumber !== holeNumber || this.recording?.startTime !== state.startTime)
+    ) {
+      this.startRecording(holeNumber, state.startTime);
+    }
+  }
+
+  /**
+   * Leave the time the game was paused out of the track, in step with HoleStateManager
+   * moving the hole's start time
+   * @param {GameEvent} event - Game resumed event
+   */
+  handleGameResumed(event) {
+    if (this.recording) {
+      this.recording.startTime += event.get('pausedMs');
+    }
+  }
+
+  /**
+   * Start recording a hole and show the ghost of its best track
+   * @param {number} holeNumber - The hole number
+   * @param {number} startTime - The hole's start time from HoleStateManager
+   * @private
+   */
+  startRecording(holeNumber, startTime) {
+    this.recording = { holeNumber, startTime, track: [] };
+    this.removeGhost();
+    const best = this.getBestTrack(this.game.courseId, holeNumber);
+    if (best && this.showGhost) {
+      this.ghostTrack = best.track;
+      this.createGhost();
+    }
+  }
+
+  /**
+   * Store the recorded track if it beats the stored one
+   * @param {number} holeNumber - The hole number
+   * @param {object} state - The completed hole's state
+   * @private
+   */
+  finishRecording(holeNumber, state) {
+    const recording = this.recording;
+    if (recording?.holeNumber === holeNumber) {
+      this.recordSample(state.endTime ?? Date.now(), true);
+    }
+    this.recording = null;
+    this.removeGhost();
+    // A hole restored from a saved round has no track from its start
+    if (
+      !recording ||
+      recording.holeNumber !== holeNumber ||
+      recording.startTime !== state.startTime ||
+      recording.track.length === 0
+    ) {
+      return;
+    }
+
+    const strokes = this.game.scoringSystem.getCurrentStrokes();
+    const durationMs = recording.track[recording.track.length - 1][0];
+    const best = this.getBestTrack(this.game.courseId, holeNumber);
+    if (
+      best &&
+      (strokes > best.strokes || (strokes === best.strokes && durationMs >= best.durationMs))
+    ) {
+      return;
+    }
+
+    const course = this.tracks[this.game.courseId] || { holes: {} };
+    course.holes[holeNumber] = { strokes, durationMs, track: recording.track };
+    course.updatedAt = Date.now();
+    this.tracks[this.game.courseId] = course;
+    this.dropOldCourses();
+    saveData(GHOST_TRACKS_KEY, this.tracks);
+    console.log(
+      `[GhostManager] Stored the ${strokes}-stroke track of hole ${holeNumber} as the new best`
+    );
+  }
+
+  /**
+   * Keep the tracks of the MAX_COURSES most recently improved courses
+   * @private
+   */
+  dropOldCourses() {
+    Object.entries(this.tracks)
+      .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+      .slice(MAX_COURSES)
+      .forEach(([courseId]) => delete this.tracks[courseId]);
+  }
+
+  /**
+   * Sample the ball and move the ghost. Called every frame by GameLoopManager.
+   * @param {number} [now=Date.now()] - Current time
+   */
+  update(now = Date.now()) {
+    if (!this.recording) {
+      return;
+    }
+    this.recordSample(now);
+    if (this.ghostMesh) {
+      const position = getTrackPosition(this.ghostTrack, now - this.recording.startTime);
+      this.ghostMesh.position.set(position.x, position.y, position.z);
+    }
+  }
+
+  /**
+   * Add the ball's position to the track, at most every SAMPLE_INTERVAL_MS
+   * @param {number} now - Current time
+   * @param {boolean} [force=false] - Sample even if the interval has not passed
+   * @private
+   */
+  recordSample(now, force = false) {
+    const position = this.game.ballManager?.ball?.mesh?.position;
+    const { track, startTime } = this.recording || {};
+    if (!position || !track || track.length >= MAX_SAMPLES) {
+      return;
+    }
+    const time = now - startTime;
+    const last = track[track.length - 1];
+    if (last && !force && time - last[0] < SAMPLE_INTERVAL_MS) {
+      return;
+    }
+
+    const sample = [
+      time,
+      roundCoordinate(position.x),
+      roundCoordinate(position.y),
+      roundCoordinate(position.z)
+    ];
+    // While the ball is at rest only the first and latest samples are needed
+    const previous = track[track.length - 2];
+    const isSamePosition = other =>
+      other && other.every((value, i) => i === 0 || value === sample[i]);
+    if (isSamePosition(last) && isSamePosition(previous)) {
+      track[track.length - 1] = sample;
+    } else {
+      track.push(sample);
+    }
+  }
+
+  /**
+   * Add the ghost ball to the scene
+   * @private
+   */
+  createGhost() {
+    const radius = this.game.ballManager?.ball?.radius ?? 0.2;
+    const geometry = new THREE.SphereGeometry(radius, 16, 16);
+    const material = new THREE.MeshBasicMaterial({
+      color: GHOST_COLOR,
+      transparent: true,
+      opacity: GHOST_OPACITY,
+      depthWrite: false
+    });
+    this.ghostMesh = new THREE.Mesh(geometry, material);
+    this.ghostMesh.name = 'GhostBall';
+    const start = getTrackPosition(this.ghostTrack, 0);
+    this.ghostMesh.position.set(start.x, start.y, start.z);
+    this.game.scene.add(this.ghostMesh);
+  }
+
+  /**
+   * Remove the ghost ball from the scene
+   * @private
+   */
+  removeGhost() {
+    if (this.ghostMesh) {
+      this.game.scene?.remove(this.ghostMesh);
+      this.ghostMesh.geometry?.dispose?.();
+      this.ghostMesh.material?.dispose?.();
+    }
+    this.ghostMesh = null;
+    this.ghostTrack = null;
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.removeGhost();
+    this.recording = null;
+    this.isInitialized = false;
+  }
+}
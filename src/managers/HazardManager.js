@@ -174,17 +174,22 @@ export class HazardManager {
    * Handle the ball going out of bounds
    */
   handleBallOutOfBounds() {
-    this.game.debugManager.log('Ball out of bounds - applying penalty');
+    // Practice rounds are free of penalty strokes
+    const penalty = this.game.practiceManager?.isEnabled() ? 0 : 1;
+    this.game.debugManager.log(`Ball out of bounds - applying penalty of ${penalty}`);
 
     // Show message to player
-    this.game.uiManager.showMessage('Out of bounds! +1 stroke penalty.', 2000);
+    this.game.uiManager.showMessage(
+      penalty ? 'Out of bounds! +1 stroke penalty.' : 'Out of bounds!',
+      2000
+    );
 
     // Publish hazard detected event
     this.game.eventManager.publish(
       EventTypes.HAZARD_DETECTED,
       {
         hazardType: EventTypes.HAZARD_OUT_OF_BOUNDS,
-        penalty: 1,
+        penalty,
         lastSafePosition: this.lastSafePosition.clone()
       },
       this
@@ -1,5 +1,6 @@
 import { EventTypes } from '../events/EventTypes';
 import { GameState } from '../states/GameState';
+import { DEFAULT_STROKE_CAP } from '../game/StrokeCap';
 
 /**
  * HoleCompletionManager - Handles hole completion logic and effects
@@ -28,6 +29,8 @@ export class HoleCompletionManager {
   setupEventListeners() {
     // Listen for ball in hole events
     this.game.eventManager.subscribe(EventTypes.BALL_IN_HOLE, this.handleBallInHole, this);
+    // Listen for the ball coming to rest to apply the stroke cap
+    this.game.eventManager.subscribe(EventTypes.BALL_STOPPED, this.handleBallStopped, this);
   }
 
   /**
@@ -64,6 +67,9 @@ export class HoleCompletionManager {
     // Mark that we're starting a transition (or completion)
     this.isTransitioning = true;
 
+    // Keep the holing shot for the instant replay
+    this.game.replayManager?.keepLastShot();
+
     // --- Add Immediate Feedback Actions ---
     try {
       if (this.game.ballManager && this.game.ballManager.ball) {
@@ -86,36 +92,136 @@ export class HoleCompletionManager {
     }
     // --- End Immediate Feedback Actions ---
 
+    // In hot-seat multiplayer the hole only ends once every player is done with it
+    const turnManager = this.game.turnManager;
+    if (turnManager?.isMultiplayer() && !turnManager.finishActivePlayer()) {
+      console.log('[HoleCompletionManager] Other players are still on this hole');
+      this.isTransitioning = false;
+      return;
+    }
+
+    this.finishHole();
+  }
+
+  /**
+   * Handle the ball coming to rest (triggered by BALL_STOPPED event): pick up at the
+   * stroke cap, otherwise pass the turn on in hot-seat multiplayer
+   */
+  handleBallStopped() {
+    const turnManager = this.game.turnManager;
+    if (
+      this.game.stateManager.isHoleCompleted() ||
+      this.isTransitioning ||
+      turnManager?.isWaitingForTurn()
+    ) {
+      return;
+    }
+
+    const strokeCap = this.game.course?.getStrokeCap?.() ?? DEFAULT_STROKE_CAP;
+    if (this.game.scoringSystem.getCurrentStrokes() >= strokeCap) {
+      this.pickUp(strokeCap);
+    } else if (turnManager?.isMultiplayer()) {
+      turnManager.advanceTurn();
+    }
+  }
+
+  /**
+   * End the active player's hole at the stroke cap. The hole is recorded at the cap.
+   * @param {number} strokeCap - Maximum strokes for the hole
+   */
+  pickUp(strokeCap) {
+    this.game.scoringSystem.capCurrentStrokes(strokeCap);
+
+    const turnManager = this.game.turnManager;
+    const multiplayer = Boolean(turnManager?.isMultiplayer());
+    const message = multiplayer
+      ? `${turnManager.getActivePlayer().name} picks up at ${strokeCap} strokes`
+      : `Picked up at ${strokeCap} strokes`;
+    console.log(`[HoleCompletionManager] ${message}`);
+    this.game.uiManager.showMessage(message, 2000);
+    this.game.uiManager.updateStrokes?.();
+
+    if (multiplayer && !turnManager.finishActivePlayer()) {
+      return;
+    }
+    this.finishHole();
+  }
+
+  /**
+   * Complete the current hole: record the scores and move on to the next hole or the
+   * end of the game. Called once every player is done with the hole.
+   */
+  finishHole() {
+    const currentHoleNumber = this.game.stateManager.getCurrentHoleNumber();
+    const totalHoles = this.game.course.getTotalHoles();
+    this.isTransitioning = true;
+
     // Set game state to hole completed
     this.game.stateManager.setHoleCompleted(true);
 
+    // Record every player's strokes for this hole
+    this.game.scoringSystem.completeHole?.(
+      currentHoleNumber,
+      this.game.course.getHolePar?.() ?? null
+    );
+
     // Get score data
     const totalStrokes = this.game.scoringSystem.getTotalStrokes();
 
     // Update score
     this.updateScore(currentHoleNumber, totalStrokes);
 
+    // Offer the instant replay of the holing shot
+    this.game.replayManager?.offerReplay();
+
+    // Practice replays the hole instead of moving on; the player picks other holes by hand
+    if (this.game.practiceManager?.isEnabled()) {
+      setTimeout(() => {
+        this.afterReplay(() => {
+          this.isTransitioning = false;
+          this.game.practiceManager.restartHole();
+        });
+      }, 1500);
+      return;
+    }
+
     // Check if this was the last hole
     if (currentHoleNumber >= totalHoles) {
       console.log(`[HoleCompletionManager] Final hole ${currentHoleNumber} completed`);
-      this.game.stateManager.setGameState(GameState.GAME_COMPLETED);
-      this.isTransitioning = false;
+      this.afterReplay(() => {
+        this.game.stateManager.setGameState(GameState.GAME_COMPLETED);
+        this.isTransitioning = false;
+      });
       return;
     }
 
     // Add a delay before transitioning to allow for visual feedback
     setTimeout(() => {
-      if (!this.isTransitioning) {
-        console.log('[HoleCompletionManager] Transition already handled, skipping');
-        return;
-      }
+      this.afterReplay(() => {
+        if (!this.isTransitioning) {
+          console.log('[HoleCompletionManager] Transition already handled, skipping');
+          return;
+        }
 
-      console.log('[HoleCompletionManager] Scheduling transition to next hole');
-      this.game.holeTransitionManager.transitionToNextHole();
-      this.isTransitioning = false;
+        console.log('[HoleCompletionManager] Scheduling transition to next hole');
+        this.game.holeTransitionManager.transitionToNextHole();
+        this.isTransitioning = false;
+      });
     }, 1500);
   }
 
+  /**
+   * Run a callback once the instant replay is turned down or has played
+   * @param {Function} callback - Called with no arguments
+   */
+  afterReplay(callback) {
+    if (this.game.replayManager) {
+      this.game.replayManager.onFinished(callback);
+    } else {
+      callback();
+    }
+  }
+
   /**
    * Show completion effects
    */
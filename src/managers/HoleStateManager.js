@@ -7,6 +7,7 @@ export class HoleStateManager {
   constructor(game) {
     this.game = game;
     this.holeStates = new Map(); // Track state for each hole
+    this.eventSubscriptions = [];
   }
 
   /**
@@ -22,11 +23,20 @@ export class HoleStateManager {
    * Set up event listeners
    */
   setupEventListeners() {
-    // Listen for hole started events
-    this.game.eventManager.subscribe(EventTypes.HOLE_STARTED, this.handleHoleStarted, this);
+    const eventManager = this.game.eventManager;
+    this.eventSubscriptions = [
+      // Listen for hole started events
+      eventManager.subscribe(EventTypes.HOLE_STARTED, this.handleHoleStarted, this),
 
-    // Listen for hole completed events
-    this.game.eventManager.subscribe(EventTypes.HOLE_COMPLETED, this.handleHoleCompleted, this);
+      // The first hole starts with the game rather than with a HOLE_STARTED event
+      eventManager.subscribe(EventTypes.GAME_STARTED, this.handleHoleStarted, this),
+
+      // Listen for hole completed events
+      eventManager.subscribe(EventTypes.HOLE_COMPLETED, this.handleHoleCompleted, this),
+
+      // Paused time does not count towards the hole's time
+      eventManager.subscribe(EventTypes.GAME_RESUMED, this.handleGameResumed, this)
+    ];
   }
 
   /**
@@ -146,6 +156,46 @@ export class HoleStateManager {
     });
   }
 
+  /**
+   * Move the running hole's start time on by the time the game was paused. The hole itself
+   * has not changed, so no HOLE_STATE_UPDATED is published.
+   * @param {GameEvent} event - Game resumed event
+   */
+  handleGameResumed(event) {
+    const holeIndex = this.game.stateManager.getCurrentHoleNumber() - 1;
+    const state = this.getHoleState(holeIndex);
+    if (!Number.isFinite(state?.startTime) || state.completed) {
+      return;
+    }
+    this.holeStates.set(holeIndex, {
+      ...state,
+      startTime: state.startTime + event.get('pausedMs')
+    });
+  }
+
+  /**
+   * Get the hole states as a list, to save a round in progress
+   * @returns {Array<Object>} One state per hole, with its holeIndex
+   */
+  getSnapshot() {
+    return [...this.holeStates].map(([holeIndex, state]) => ({ holeIndex, ...state }));
+  }
+
+  /**
+   * Continue from hole states saved with getSnapshot()
+   * @param {Array<Object>} snapshot - Saved hole states
+   */
+  restoreSnapshot(snapshot) {
+    if (!Array.isArray(snapshot)) {
+      return;
+    }
+    snapshot.forEach(({ holeIndex, ...state }) => {
+      if (this.holeStates.has(holeIndex)) {
+        this.holeStates.set(holeIndex, { ...this.holeStates.get(holeIndex), ...state });
+      }
+    });
+  }
+
   /**
    * Reset all hole states
    */
@@ -157,6 +207,12 @@ export class HoleStateManager {
    * Clean up resources
    */
   cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
     this.holeStates.clear();
   }
 }
@@ -56,6 +56,16 @@ export class HoleTransitionManager {
       return false; // Stop the transition process
     }
 
+    return this.transitionToHole(targetHoleNumber);
+  }
+
+  /**
+   * Unload the current hole and load another one, with a fresh ball on its tee
+   * @param {number} targetHoleNumber - The hole number to load (1-based)
+   * @returns {Promise<boolean>} - True if successful, false otherwise
+   */
+  async transitionToHole(targetHoleNumber) {
+    const totalHoles = this.game.course.getTotalHoles();
     console.log(
       `[HoleTransitionManager] Starting transition to hole ${targetHoleNumber} of ${totalHoles}`
     );
@@ -96,7 +106,7 @@ export class HoleTransitionManager {
 
       // Update state after successful hole load
       // This updates the state manager's internal hole number to match the loaded hole
-      this.game.stateManager.resetForNextHole();
+      this.game.stateManager.resetForHole(targetHoleNumber);
 
       // Log the actual hole number after state update
       const newHoleNumber = this.game.stateManager.getCurrentHoleNumber();
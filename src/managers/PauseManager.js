@@ -0,0 +1,198 @@
+import { EventTypes } from '../events/EventTypes';
+import { GameState } from '../states/GameState';
+import { UIPauseMenu } from './ui/UIPauseMenu';
+
+// Game states a round can be paused from
+const PAUSABLE_STATES = [GameState.PLAYING, GameState.AIMING];
+
+/**
+ * PauseManager - Pauses the round in GameState.PAUSED, with the pause menu
+ *
+ * The round is paused with the pause button, the Escape key (see InputController) or when the
+ * tab is hidden. While paused GameLoopManager only renders, so physics, obstacles and
+ * decorations stand still, and shots are ignored. GAME_PAUSED is published on pausing and
+ * GAME_RESUMED, with the paused time as pausedMs, on resuming, so hole times can leave the
+ * pause out.
+ *
+ * A round can't be paused while a hole is being finished. The restarts are not offered
+ * where they would give a second try at a scored result: a scored daily challenge attempt,
+ * a time attack hole, or a round file being verified.
+ */
+export class PauseManager {
+  constructor(game) {
+    this.game = game;
+    this.paused = false;
+    this.pausedAt = null;
+    this.stateBeforePause = null;
+    this.inputWasEnabled = false;
+    this.menu = null;
+    this.isInitialized = false;
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Initialize the pause manager
+   * @returns {PauseManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.menu = new UIPauseMenu(this, this.game.uiManager?.uiContainer || document.body);
+    this.menu.init();
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Check whether the round is paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Check whether the round can be paused now
+   * @returns {boolean}
+   */
+  canPause() {
+    const stateManager = this.game.stateManager;
+    return (
+      !this.paused &&
+      !this.game.isRestarting &&
+      PAUSABLE_STATES.includes(stateManager.getGameState()) &&
+      !stateManager.isHoleCompleted() &&
+      !this.game.replayManager?.isActive()
+    );
+  }
+
+  /**
+   * Pause the round and show the pause menu
+   * @returns {boolean} True if the round was paused
+   */
+  pause() {
+    if (!this.canPause()) {
+      return false;
+    }
+    this.paused = true;
+    this.pausedAt = Date.now();
+    this.stateBeforePause = this.game.stateManager.getGameState();
+    this.inputWasEnabled = Boolean(this.game.inputController?.isInputEnabled);
+    this.game.inputController?.disableInput();
+    this.game.stateManager.setGameState(GameState.PAUSED);
+    this.menu?.show();
+    this.game.eventManager.publish(EventTypes.GAME_PAUSED, {}, this);
+    console.log('[PauseManager] Paused');
+    return true;
+  }
+
+  /**
+   * Hide the pause menu and carry on from where the round was paused
+   * @returns {boolean} True if the round was resumed
+   */
+  resume() {
+    if (!this.paused) {
+      return false;
+    }
+    const pausedMs = Date.now() - this.pausedAt;
+    this.paused = false;
+    this.pausedAt = null;
+    this.menu?.hide();
+    if (this.game.stateManager.isInState(GameState.PAUSED)) {
+      this.game.stateManager.setGameState(this.stateBeforePause);
+    }
+    if (this.inputWasEnabled) {
+      this.game.inputController?.enableInput();
+    }
+    this.game.eventManager.publish(EventTypes.GAME_RESUMED, { pausedMs }, this);
+    console.log(`[PauseManager] Resumed after ${pausedMs} ms`);
+    return true;
+  }
+
+  /**
+   * Pause, or resume when paused. Called on the Escape key.
+   */
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Check whether the current hole can be started over (see Game.canRestartHole)
+   * @returns {boolean}
+   */
+  canRestartHole() {
+    return this.canRestartRound() && this.game.canRestartHole();
+  }
+
+  /**
+   * Check whether the round can be started over
+   * @returns {boolean}
+   */
+  canRestartRound() {
+    return (
+      !this.game.roundRecordManager?.isVerifying() &&
+      !this.game.dailyChallenge?.isScoredAttempt(this.game.courseId)
+    );
+  }
+
+  /**
+   * Resume and start the current hole over from the tee (see Game.restartHole)
+   * @returns {Promise<boolean>} True if the hole was reloaded
+   */
+  async restartHole() {
+    if (!this.canRestartHole()) {
+      return false;
+    }
+    this.resume();
+    return this.game.restartHole();
+  }
+
+  /**
+   * Resume and start the round over from the first hole (see Game.restartRound)
+   * @returns {Promise<boolean>} True if the first hole was loaded
+   */
+  async restartRound() {
+    if (!this.canRestartRound()) {
+      return false;
+    }
+    this.resume();
+    return this.game.restartRound();
+  }
+
+  /**
+   * Leave the round for the main menu. The page is reloaded; a saved round can be resumed
+   * from the menu.
+   */
+  quitToMenu() {
+    console.log('[PauseManager] Quitting to the menu');
+    window.location.reload();
+  }
+
+  /**
+   * Pause when the tab is hidden
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.menu?.cleanup();
+    this.menu = null;
+    this.paused = false;
+    this.pausedAt = null;
+    this.isInitialized = false;
+  }
+}
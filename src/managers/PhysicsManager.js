@@ -25,6 +25,9 @@ export class PhysicsManager {
     // Reference to the ball's physics body
     this.ballBody = null;
     this.isInBunker = false;
+
+    // Deterministic mode, kept across world resets (see PhysicsWorld.setDeterministic)
+    this.deterministic = false;
   }
 
   /**
@@ -33,6 +36,7 @@ export class PhysicsManager {
   async init() {
     // Create physics world
     this.world = new PhysicsWorld();
+    this.world.setDeterministic(this.deterministic);
     this.cannonWorld = this.world.world; // Access the inner CANNON.World instance
 
     // Set up collision event handling
@@ -76,6 +80,43 @@ export class PhysicsManager {
     return this.world;
   }
 
+  /**
+   * Switch deterministic mode on or off: the world then advances exactly one fixed step
+   * per update, whatever the frame time
+   * @param {boolean} enabled - Use deterministic mode
+   * @returns {PhysicsManager} this instance for chaining
+   */
+  setDeterministic(enabled) {
+    this.deterministic = Boolean(enabled);
+    this.world?.setDeterministic(this.deterministic);
+    return this;
+  }
+
+  /**
+   * Check whether the physics runs in deterministic mode
+   * @returns {boolean}
+   */
+  isDeterministic() {
+    return this.deterministic;
+  }
+
+  /**
+   * Get the length of one fixed physics step
+   * @returns {number} Step length in seconds
+   */
+  getFixedTimeStep() {
+    return this.world?.fixedTimeStep ?? 1 / 60;
+  }
+
+  /**
+   * Get the number of fixed steps the current world has taken in deterministic mode. The
+   * world is created anew for every hole, so this counts from the hole's start.
+   * @returns {number}
+   */
+  getStepCount() {
+    return this.world?.stepCount ?? 0;
+  }
+
   /**
    * Set up collision event handling
    */
@@ -259,6 +300,7 @@ export class PhysicsManager {
 
       // Create a new world
       this.world = new PhysicsWorld(); // Re-create the wrapper
+      this.world.setDeterministic(this.deterministic);
       this.cannonWorld = this.world.world; // Get the new inner CANNON.World
 
       // Set up collision event handling for the new world
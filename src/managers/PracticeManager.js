@@ -0,0 +1,189 @@
+import { EventTypes } from '../events/EventTypes';
+import { UIPracticePanel } from './ui/UIPracticePanel';
+
+export const PRACTICE_MODE = 'practice';
+
+/**
+ * PracticeManager - Practice mode: play any hole as often as you like, unscored
+ *
+ * The practice panel lists every hole of the course and offers a free "reset to tee" and
+ * "replay last shot". Hazards cost no penalty strokes, a finished hole is replayed
+ * instead of moving on, and the round is never recorded. Solo rounds only.
+ */
+export class PracticeManager {
+  constructor(game) {
+    this.game = game;
+    this.enabled = false;
+    this.lastShotPosition = null; // Where the ball was when it was last hit
+    this.isChangingHole = false;
+    this.panel = null;
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Set up the round
+   * @param {object} [options]
+   * @param {boolean} [options.enabled=false] - Play the round as practice
+   * @returns {PracticeManager} this instance for chaining
+   */
+  setup({ enabled = false } = {}) {
+    if (enabled && this.game.turnManager?.isMultiplayer()) {
+      console.warn('[PracticeManager] Practice is solo only, playing stroke play instead');
+      enabled = false;
+    }
+    this.enabled = enabled;
+    this.lastShotPosition = null;
+    console.log(`[PracticeManager] Practice ${this.enabled ? 'on' : 'off'}`);
+    return this;
+  }
+
+  /**
+   * Initialize the practice manager
+   * @returns {PracticeManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.eventSubscriptions = [
+      this.game.eventManager.subscribe(EventTypes.COURSE_CREATED, this.handleCourseCreated, this),
+      this.game.eventManager.subscribe(EventTypes.BALL_HIT, this.handleBallHit, this),
+      this.game.eventManager.subscribe(EventTypes.HOLE_STARTED, this.handleHoleStarted, this)
+    ];
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Check whether the round is practice
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Show the practice panel once the course exists
+   */
+  handleCourseCreated() {
+    if (!this.enabled) {
+      return;
+    }
+    this.panel?.cleanup();
+    this.panel = new UIPracticePanel(this.game, this.game.uiManager?.uiContainer || document.body);
+    this.panel.init();
+  }
+
+  /**
+   * Remember where the last shot was played from
+   * @param {GameEvent} event - Ball hit event
+   */
+  handleBallHit(event) {
+    const position = event.get('position');
+    this.lastShotPosition = position ? position.clone() : null;
+    this.panel?.update();
+  }
+
+  /**
+   * Forget the last shot and show the new hole in the panel
+   */
+  handleHoleStarted() {
+    this.lastShotPosition = null;
+    this.panel?.update();
+  }
+
+  /**
+   * Check whether there is a shot to replay
+   * @returns {boolean}
+   */
+  canReplayLastShot() {
+    return this.lastShotPosition !== null;
+  }
+
+  /**
+   * Load a hole of the course
+   * @param {number} holeNumber - The hole number to play (1-based)
+   * @returns {Promise<boolean>} True if the hole was loaded
+   */
+  async goToHole(holeNumber) {
+    const totalHoles = this.game.course?.getTotalHoles() ?? 0;
+    if (!this.enabled || this.isChangingHole || holeNumber < 1 || holeNumber > totalHoles) {
+      return false;
+    }
+
+    this.isChangingHole = true;
+    try {
+      console.log(`[PracticeManager] Practicing hole ${holeNumber}`);
+      return await this.game.holeTransitionManager.transitionToHole(holeNumber);
+    } finally {
+      this.isChangingHole = false;
+    }
+  }
+
+  /**
+   * Start the current hole over
+   * @returns {Promise<boolean>} True if the hole was reloaded
+   */
+  restartHole() {
+    return this.goToHole(this.game.stateManager.getCurrentHoleNumber());
+  }
+
+  /**
+   * Put the ball back on the tee without a stroke
+   */
+  resetBallToTee() {
+    if (this.canMoveBall()) {
+      this.game.ballManager.resetBallToTee();
+      this.readyForShot();
+    }
+  }
+
+  /**
+   * Put the ball back where the last shot was played from, without a stroke
+   */
+  replayLastShot() {
+    if (this.canMoveBall() && this.canReplayLastShot()) {
+      this.game.ballManager.resetBall(this.lastShotPosition.clone());
+      this.readyForShot();
+    }
+  }
+
+  /**
+   * Check whether the ball may be moved by hand
+   * @returns {boolean} False while the hole is changing or already finished
+   * @private
+   */
+  canMoveBall() {
+    return (
+      this.enabled &&
+      !this.isChangingHole &&
+      Boolean(this.game.ballManager?.ball) &&
+      !this.game.stateManager.isHoleCompleted()
+    );
+  }
+
+  /**
+   * Let the player aim again after the ball was moved by hand
+   * @private
+   */
+  readyForShot() {
+    this.game.stateManager.setBallInMotion(false);
+    this.game.inputController?.enableInput();
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.panel?.cleanup();
+    this.panel = null;
+    this.isInitialized = false;
+  }
+}
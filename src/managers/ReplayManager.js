@@ -0,0 +1,352 @@
+import * as THREE from 'three';
+import { EventTypes } from '../events/EventTypes';
+import { getTrackPosition } from './GhostManager';
+import { REPLAY_VIEW } from '../controls/CameraController';
+import { UIReplayViewer } from './ui/UIReplayViewer';
+
+// Playback speed of the slow-motion replay
+export const SLOW_MOTION_SPEED = 0.35;
+
+// Longest shot kept: the oldest frames are dropped beyond 30 seconds at 60 fps
+const MAX_FRAMES = 1800;
+
+// How long the replay is offered before the round moves on (ms)
+const OFFER_DURATION = 3000;
+
+// The camera cuts to the side view for the end of the shot (shot time, ms)
+const SIDE_VIEW_MS = 1200;
+
+// The replay holds on the ball in the cup before handing back (shot time, ms)
+const END_HOLD_MS = 500;
+
+// Travel direction is measured over this much shot time either side of a frame (ms)
+const DIRECTION_WINDOW_MS = 100;
+
+/**
+ * ReplayManager - Instant replay of the shot that holed the ball
+ *
+ * Every frame from a BALL_HIT onwards the ball's position and rotation go into a rolling
+ * buffer. HoleCompletionManager keeps the buffer when the ball drops (keepLastShot) and
+ * has the replay viewer offer it when the hole is complete (offerReplay); a hole-in-one
+ * plays straight away in slow motion. Playback drives a copy of the ball and the
+ * CameraController's chase and side views. HoleCompletionManager waits for the offer and
+ * the playback (see onFinished) before moving on.
+ */
+export class ReplayManager {
+  constructor(game) {
+    this.game = game;
+    this.recording = null; // { startTime, frames } of the shot in flight
+    this.lastShot = null; // { frames } of the shot that holed the ball
+    this.playback = null; // { startTime, speed, duration, frameIndex, direction }
+    this.replayMesh = null;
+    this.offerTimeout = null;
+    this.finishedCallbacks = [];
+    this.viewer = null;
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the replay manager
+   * @returns {ReplayManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.viewer = new UIReplayViewer(this, this.game.uiManager?.uiContainer || document.body);
+    this.eventSubscriptions = [
+      this.game.eventManager.subscribe(EventTypes.BALL_HIT, this.handleBallHit, this),
+      this.game.eventManager.subscribe(EventTypes.HOLE_STARTED, this.handleHoleStarted, this),
+      this.game.eventManager.subscribe(EventTypes.GAME_RESUMED, this.handleGameResumed, this)
+    ];
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Start buffering a new shot
+   */
+  handleBallHit() {
+    this.recording = { startTime: null, frames: [] };
+    this.lastShot = null;
+  }
+
+  /**
+   * Forget the shot once a new hole starts
+   */
+  handleHoleStarted() {
+    this.recording = null;
+    this.lastShot = null;
+  }
+
+  /**
+   * Leave the time the game was paused out of the shot being buffered
+   * @param {GameEvent} event - Game resumed event
+   */
+  handleGameResumed(event) {
+    if (Number.isFinite(this.recording?.startTime)) {
+      this.recording.startTime += event.get('pausedMs');
+    }
+  }
+
+  /**
+   * Keep the buffered shot as the one to replay. Called when the ball drops.
+   */
+  keepLastShot() {
+    if (!this.recording) {
+      return;
+    }
+    this.recordFrame(Date.now());
+    if (this.recording.frames.length > 1) {
+      this.lastShot = { frames: this.recording.frames };
+    }
+    this.recording = null;
+  }
+
+  /**
+   * Offer the last shot on the hole-complete message, or play a hole-in-one right away.
+   * Called when the hole is complete.
+   */
+  offerReplay() {
+    if (!this.lastShot || this.isActive()) {
+      return;
+    }
+    if (this.game.scoringSystem?.getCurrentStrokes() === 1) {
+      this.play(true);
+      return;
+    }
+    this.viewer.showOffer();
+    this.offerTimeout = setTimeout(() => {
+      this.offerTimeout = null;
+      this.finish();
+    }, OFFER_DURATION);
+  }
+
+  /**
+   * Check whether a replay is on offer or playing
+   * @returns {boolean}
+   */
+  isActive() {
+    return Boolean(this.offerTimeout || this.playback);
+  }
+
+  /**
+   * Check whether a replay is playing
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return Boolean(this.playback);
+  }
+
+  /**
+   * Run a callback once the offer is turned down or the replay has played, straight
+   * away if no replay is active
+   * @param {Function} callback - Called with no arguments
+   */
+  onFinished(callback) {
+    if (this.isActive()) {
+      this.finishedCallbacks.push(callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * Play the last shot
+   * @param {boolean} [slowMotion=false] - Play at SLOW_MOTION_SPEED
+   */
+  play(slowMotion = false) {
+    const ball = this.game.ballManager?.ball;
+    if (!this.lastShot || this.playback || !ball?.mesh) {
+      return;
+    }
+    this.clearOffer();
+
+    const frames = this.lastShot.frames;
+    const first = frames[0];
+    const last = frames[frames.length - 1];
+    const speed = slowMotion ? SLOW_MOTION_SPEED : 1;
+    this.playback = {
+      startTime: null,
+      speed,
+      duration: last[0],
+      frameIndex: 0,
+      direction: this.getFlatDirection(
+        { x: first[1], z: first[3] },
+        { x: last[1], z: last[3] }
+      ) || { x: 0, z: -1 }
+    };
+
+    // A copy of the ball plays the shot; the real ball stays put in the cup
+    this.replayMesh = new THREE.Mesh(ball.mesh.geometry, ball.defaultMaterial);
+    this.replayMesh.name = 'ReplayBall';
+    this.replayMesh.position.set(first[1], first[2], first[3]);
+    this.game.scene.add(this.replayMesh);
+    ball.mesh.visible = false;
+
+    this.game.cameraController?.startReplay();
+    this.viewer.showPlaying(slowMotion);
+    console.log(`[ReplayManager] Playing the last shot at ${speed}x`);
+  }
+
+  /**
+   * Stop the offer or the replay and move on
+   */
+  skip() {
+    this.finish();
+  }
+
+  /**
+   * Buffer the ball and advance the replay. Called every frame by GameLoopManager.
+   * @param {number} [now=Date.now()] - Current time
+   */
+  update(now = Date.now()) {
+    if (this.recording) {
+      this.recordFrame(now);
+    }
+    if (this.playback) {
+      this.updatePlayback(now);
+    }
+  }
+
+  /**
+   * Add the ball's transform to the buffer, dropping the oldest frame when it is full
+   * @param {number} now - Current time
+   * @private
+   */
+  recordFrame(now) {
+    const mesh = this.game.ballManager?.ball?.mesh;
+    if (!mesh) {
+      return;
+    }
+    if (this.recording.startTime === null) {
+      this.recording.startTime = now;
+    }
+    const { position, quaternion } = mesh;
+    this.recording.frames.push([
+      now - this.recording.startTime,
+      position.x,
+      position.y,
+      position.z,
+      quaternion?.x ?? 0,
+      quaternion?.y ?? 0,
+      quaternion?.z ?? 0,
+      quaternion?.w ?? 1
+    ]);
+    if (this.recording.frames.length > MAX_FRAMES) {
+      this.recording.frames.shift();
+    }
+  }
+
+  /**
+   * Move the replayed ball and the camera to the current point of the shot
+   * @param {number} now - Current time
+   * @private
+   */
+  updatePlayback(now) {
+    const playback = this.playback;
+    if (playback.startTime === null) {
+      playback.startTime = now;
+    }
+    const frames = this.lastShot.frames;
+    // Shot time, counted from the first buffered frame
+    const time = frames[0][0] + (now - playback.startTime) * playback.speed;
+    if (time >= playback.duration + END_HOLD_MS) {
+      this.finish();
+      return;
+    }
+
+    const position = getTrackPosition(frames, time);
+    this.replayMesh.position.set(position.x, position.y, position.z);
+    while (playback.frameIndex < frames.length - 1 && frames[playback.frameIndex + 1][0] <= time) {
+      playback.frameIndex++;
+    }
+    const [, , , , qx, qy, qz, qw] = frames[playback.frameIndex];
+    this.replayMesh.quaternion?.set(qx, qy, qz, qw);
+
+    playback.direction =
+      this.getFlatDirection(
+        getTrackPosition(frames, time - DIRECTION_WINDOW_MS),
+        getTrackPosition(frames, time + DIRECTION_WINDOW_MS)
+      ) || playback.direction;
+    const view = time >= playback.duration - SIDE_VIEW_MS ? REPLAY_VIEW.SIDE : REPLAY_VIEW.CHASE;
+    this.game.cameraController?.updateReplayView(position, playback.direction, view);
+  }
+
+  /**
+   * Get the direction from one point to another on the ground plane
+   * @param {{x: number, z: number}} from - Start point
+   * @param {{x: number, z: number}} to - End point
+   * @returns {{x: number, z: number}|null} Unit direction, or null if the points meet
+   * @private
+   */
+  getFlatDirection(from, to) {
+    const x = to.x - from.x;
+    const z = to.z - from.z;
+    const length = Math.hypot(x, z);
+    return length > 0.001 ? { x: x / length, z: z / length } : null;
+  }
+
+  /**
+   * Clear the offer timer
+   * @private
+   */
+  clearOffer() {
+    if (this.offerTimeout) {
+      clearTimeout(this.offerTimeout);
+      this.offerTimeout = null;
+    }
+  }
+
+  /**
+   * End the offer or the replay, hand back the camera and run the waiting callbacks
+   * @private
+   */
+  finish() {
+    this.clearOffer();
+    this.stopPlayback();
+    this.viewer?.hide();
+    const callbacks = this.finishedCallbacks;
+    this.finishedCallbacks = [];
+    callbacks.forEach(callback => callback());
+  }
+
+  /**
+   * Remove the replayed ball and show the real one again
+   * @private
+   */
+  stopPlayback() {
+    if (!this.playback) {
+      return;
+    }
+    this.playback = null;
+    this.game.scene?.remove(this.replayMesh);
+    this.replayMesh = null;
+    const ballMesh = this.game.ballManager?.ball?.mesh;
+    if (ballMesh) {
+      ballMesh.visible = true;
+    }
+    this.game.cameraController?.endReplay();
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.clearOffer();
+    this.stopPlayback();
+    this.finishedCallbacks = [];
+    this.viewer?.cleanup();
+    this.viewer = null;
+    this.recording = null;
+    this.lastShot = null;
+    this.isInitialized = false;
+  }
+}
@@ -0,0 +1,392 @@
+import * as THREE from 'three';
+import { EventTypes } from '../events/EventTypes';
+import { loadData, saveData } from '../utils/storage';
+
+const DETERMINISTIC_KEY = 'deterministicPhysics';
+const LAST_ROUND_FILE_KEY = 'lastRoundFile';
+
+// Bump when the round file shape changes; files of another version are rejected
+export const ROUND_FILE_VERSION = 1;
+
+// Steps a verified hole may sit with the ball at rest and no recorded shot left (5 s)
+const STALL_STEPS = 300;
+
+/**
+ * Check that a value is a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Parse and check a round file
+ * @param {string} text - Contents of a round file
+ * @returns {object|null} The round file, or null if it is not a valid round file of this version
+ */
+export function parseRoundFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  const isHit = hit =>
+    isNumber(hit?.tick) &&
+    isNumber(hit.power) &&
+    Array.isArray(hit.direction) &&
+    hit.direction.length === 3 &&
+    hit.direction.every(isNumber);
+  const isHole = hole =>
+    Number.isInteger(hole?.holeNumber) &&
+    Number.isInteger(hole.strokes) &&
+    Array.isArray(hole.hits) &&
+    hole.hits.every(isHit);
+  const valid =
+    file?.version === ROUND_FILE_VERSION &&
+    typeof file.courseId === 'string' &&
+    isNumber(file.fixedTimeStep) &&
+    Array.isArray(file.holes) &&
+    file.holes.length > 0 &&
+    file.holes.every(isHole);
+  return valid ? file : null;
+}
+
+/**
+ * RoundRecordManager - Verifiable round files: records a round's shots, and re-plays a
+ * round file to check its strokes
+ *
+ * With the "verifiable rounds" setting on, rounds run the physics in deterministic mode
+ * (see PhysicsManager.setDeterministic). Every BALL_HIT is recorded with its direction,
+ * power and the physics step it was played on, counted from the start of the hole. A
+ * finished round is kept under the lastRoundFile storage key and can be downloaded to attach
+ * to bug reports and leaderboards.
+ *
+ * A round started with a round file to verify plays the file's shots at their recorded
+ * steps instead of the player's, and compares every hole's strokes with the file's. Only
+ * solo stroke play rounds are recorded; verification runs are not recorded rounds.
+ */
+export class RoundRecordManager {
+  constructor(game) {
+    this.game = game;
+    this.deterministic = loadData(DETERMINISTIC_KEY, false) === true;
+    this.round = null; // Round file being recorded
+    this.isDiscarded = false; // The round is not recorded from its start
+    this.verification = null; // { file, holeNumber, nextHit, stalledSteps, holes, failure, done }
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Set up the round
+   * @param {object} [options]
+   * @param {object|null} [options.verifyRoundFile=null] - Round file to verify instead of
+   *   playing (see parseRoundFile)
+   * @returns {RoundRecordManager} this instance for chaining
+   */
+  setup({ verifyRoundFile = null } = {}) {
+    this.round = null;
+    this.isDiscarded = false;
+    this.verification = null;
+    if (verifyRoundFile) {
+      this.verification = {
+        file: verifyRoundFile,
+        holeNumber: null,
+        nextHit: 0,
+        stalledSteps: 0,
+        holes: [],
+        failure: null,
+        done: false
+      };
+    }
+    this.game.physicsManager?.setDeterministic(this.deterministic || Boolean(verifyRoundFile));
+    if (
+      verifyRoundFile &&
+      verifyRoundFile.fixedTimeStep !== this.game.physicsManager?.getFixedTimeStep()
+    ) {
+      this.fail('The round file was recorded with a different physics step', true);
+    }
+    return this;
+  }
+
+  /**
+   * Initialize the round record manager
+   * @returns {RoundRecordManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.eventSubscriptions = [
+      this.game.eventManager.subscribe(EventTypes.BALL_HIT, this.handleBallHit, this),
+      this.game.eventManager.subscribe(EventTypes.HOLE_COMPLETED, this.handleHoleCompleted, this),
+      this.game.eventManager.subscribe(EventTypes.GAME_COMPLETED, this.handleGameCompleted, this)
+    ];
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Switch verifiable rounds on or off from the next round, and remember the choice
+   * @param {boolean} deterministic - Run rounds in deterministic mode and record them
+   */
+  setDeterministic(deterministic) {
+    this.deterministic = Boolean(deterministic);
+    saveData(DETERMINISTIC_KEY, this.deterministic);
+  }
+
+  /**
+   * Check whether the round is a round file being verified
+   * @returns {boolean}
+   */
+  isVerifying() {
+    return Boolean(this.verification);
+  }
+
+  /**
+   * Check whether the round's shots are recorded
+   * @returns {boolean}
+   */
+  isRecording() {
+    return (
+      !this.isDiscarded &&
+      Boolean(this.game.physicsManager?.isDeterministic()) &&
+      Boolean(this.game.isRecordedRound?.()) &&
+      !this.game.timeAttackManager?.isEnabled()
+    );
+  }
+
+  /**
+   * Stop recording the round, e.g. when it is resumed from a save part way through
+   */
+  discardRound() {
+    this.round = null;
+    this.isDiscarded = true;
+  }
+
+  /**
+   * Get the last finished round's file
+   * @returns {object|null}
+   */
+  getLastRoundFile() {
+    return loadData(LAST_ROUND_FILE_KEY, null);
+  }
+
+  /**
+   * Save the last finished round's file as a download
+   */
+  downloadRoundFile() {
+    const file = this.getLastRoundFile();
+    if (!file) {
+      return;
+    }
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `round-${file.courseId}-${new Date(file.recordedAt).toISOString().slice(0, 10)}.json`;
+    link.click();
+    // Revoking straight after the click can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Get the outcome of the round file verification
+   * @returns {{matches: boolean, done: boolean, failure: string|null, holes: object[]}|null}
+   *   Each hole is { holeNumber, expected, strokes }; null when no round file is verified
+   */
+  getVerification() {
+    if (!this.verification) {
+      return null;
+    }
+    const { holes, failure, done, file } = this.verification;
+    return {
+      matches: done && !failure && holes.length === file.holes.length,
+      done,
+      failure,
+      holes: [...holes]
+    };
+  }
+
+  /**
+   * Record a shot
+   * @param {GameEvent} event - Ball hit event
+   */
+  handleBallHit(event) {
+    if (!this.isRecording()) {
+      return;
+    }
+    if (!this.round) {
+      this.round = {
+        version: ROUND_FILE_VERSION,
+        courseId: this.game.courseId,
+        fixedTimeStep: this.game.physicsManager.getFixedTimeStep(),
+        recordedAt: Date.now(),
+        totalStrokes: null,
+        holes: []
+      };
+    }
+    const direction = event.get('direction');
+    this.getRoundHole(this.game.stateManager.getCurrentHoleNumber()).hits.push({
+      tick: this.game.physicsManager.getStepCount(),
+      direction: [direction.x, direction.y, direction.z],
+      power: event.get('power')
+    });
+  }
+
+  /**
+   * Get a hole of the round being recorded, adding it on its first shot
+   * @param {number} holeNumber - The hole number
+   * @returns {{holeNumber: number, strokes: number|null, hits: object[]}}
+   * @private
+   */
+  getRoundHole(holeNumber) {
+    let hole = this.round.holes.find(entry => entry.holeNumber === holeNumber);
+    if (!hole) {
+      hole = { holeNumber, strokes: null, hits: [] };
+      this.round.holes.push(hole);
+    }
+    return hole;
+  }
+
+  /**
+   * Record the strokes of a finished hole, or check them against the round file
+   * @param {GameEvent} event - Hole completed event
+   */
+  handleHoleCompleted(event) {
+    const holeNumber = event.get('holeNumber');
+    const strokes = this.game.scoringSystem.getCurrentStrokes();
+    if (this.verification) {
+      this.checkHole(holeNumber, strokes);
+    } else if (this.round && this.isRecording()) {
+      this.getRoundHole(holeNumber).strokes = strokes;
+    }
+  }
+
+  /**
+   * Keep the finished round's file, or report the verification
+   */
+  handleGameCompleted() {
+    if (this.verification) {
+      this.finishVerification();
+      return;
+    }
+    const round = this.round;
+    this.round = null;
+    const totalHoles = this.game.course?.getTotalHoles?.() ?? 0;
+    if (!round || !this.isRecording() || round.holes.length !== totalHoles) {
+      return;
+    }
+    round.totalStrokes = this.game.scoringSystem.getTotalStrokes();
+    saveData(LAST_ROUND_FILE_KEY, round);
+    console.log(`[RoundRecordManager] Recorded a ${round.totalStrokes}-stroke round file`);
+  }
+
+  /**
+   * Play the round file's shots that are due on the coming physics step. Called by
+   * GameLoopManager before every physics step.
+   */
+  beforeStep() {
+    const verification = this.verification;
+    if (!verification || verification.done || this.game.stateManager.isHoleCompleted()) {
+      return;
+    }
+    const holeNumber = this.game.stateManager.getCurrentHoleNumber();
+    if (verification.holeNumber !== holeNumber) {
+      verification.holeNumber = holeNumber;
+      verification.nextHit = 0;
+      verification.stalledSteps = 0;
+    }
+    const hole = verification.file.holes.find(entry => entry.holeNumber === holeNumber);
+    if (!hole) {
+      this.fail(`The round file has no hole ${holeNumber}`, true);
+      return;
+    }
+
+    const tick = this.game.physicsManager.getStepCount();
+    while (
+      verification.nextHit < hole.hits.length &&
+      hole.hits[verification.nextHit].tick <= tick
+    ) {
+      const { direction, power } = hole.hits[verification.nextHit];
+      verification.nextHit++;
+      this.game.ballManager.hitBall(new THREE.Vector3(...direction), power);
+    }
+
+    // A hole that never finishes would keep the verification waiting forever
+    const isWaiting =
+      verification.nextHit >= hole.hits.length && !this.game.stateManager.isBallInMotion();
+    verification.stalledSteps = isWaiting ? verification.stalledSteps + 1 : 0;
+    if (verification.stalledSteps > STALL_STEPS) {
+      this.fail(`Hole ${holeNumber} did not finish after the recorded shots`, true);
+    }
+  }
+
+  /**
+   * Compare a verified hole's strokes with the round file's
+   * @param {number} holeNumber - The hole number
+   * @param {number} strokes - Strokes the hole took when re-played
+   * @private
+   */
+  checkHole(holeNumber, strokes) {
+    const expected =
+      this.verification.file.holes.find(entry => entry.holeNumber === holeNumber)?.strokes ?? null;
+    this.verification.holes.push({ holeNumber, expected, strokes });
+    console.log(
+      `[RoundRecordManager] Hole ${holeNumber}: ${strokes} strokes, the round file has ${expected}`
+    );
+    if (strokes !== expected) {
+      this.fail(`Hole ${holeNumber} took ${strokes} strokes, the round file has ${expected}`);
+    }
+  }
+
+  /**
+   * Record why the round file does not match
+   * @param {string} reason - What went wrong
+   * @param {boolean} [stop=false] - End the verification now
+   * @private
+   */
+  fail(reason, stop = false) {
+    if (!this.verification.failure) {
+      this.verification.failure = reason;
+      console.warn(`[RoundRecordManager] ${reason}`);
+    }
+    if (stop) {
+      this.finishVerification();
+    }
+  }
+
+  /**
+   * End the verification and show its outcome
+   * @private
+   */
+  finishVerification() {
+    if (this.verification.done) {
+      return;
+    }
+    this.verification.done = true;
+    const { matches, failure } = this.getVerification();
+    const totalStrokes = this.verification.holes.reduce((sum, hole) => sum + hole.strokes, 0);
+    const message = matches
+      ? `Round file verified: all ${totalStrokes} strokes match`
+      : `Round file does not match: ${failure || 'some holes were not played'}`;
+    console.log(`[RoundRecordManager] ${message}`);
+    this.game.uiManager?.showMessage(message, 5000);
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.round = null;
+    this.verification = null;
+    this.isInitialized = false;
+  }
+}
@@ -0,0 +1,196 @@
+import * as THREE from 'three';
+import { EventTypes } from '../events/EventTypes';
+import { loadData, saveData, removeData } from '../utils/storage';
+import { parseDailyCourseId } from '../courses/DailyChallenge';
+
+const SAVED_ROUND_KEY = 'savedRound';
+const SAVE_VERSION = 1;
+
+/**
+ * RoundSaveManager - Saves the round in progress so it can be resumed after a reload
+ *
+ * A snapshot of the course, hole, scores, hole states and ball position is stored after
+ * every stroke (once the ball is at rest) and when a hole is completed, and removed when
+ * the round is over. There is one save slot, and only solo stroke play rounds are saved:
+ * hot-seat, time-attack and practice rounds are not.
+ */
+export class RoundSaveManager {
+  constructor(game) {
+    this.game = game;
+    this.savedRound = loadData(SAVED_ROUND_KEY, null);
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the round save manager
+   * @returns {RoundSaveManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.eventSubscriptions = [
+      this.game.eventManager.subscribe(EventTypes.BALL_STOPPED, this.handleBallStopped, this),
+      this.game.eventManager.subscribe(EventTypes.HOLE_COMPLETED, this.handleHoleCompleted, this),
+      this.game.eventManager.subscribe(EventTypes.GAME_COMPLETED, this.clearSavedRound, this)
+    ];
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Get the saved round, if there is one
+   * @returns {object|null} The snapshot (see saveRound)
+   */
+  getSavedRound() {
+    if (this.savedRound?.version !== SAVE_VERSION) {
+      return null;
+    }
+    return this.savedRound;
+  }
+
+  /**
+   * Check whether the round being played is saved
+   * @returns {boolean} True for solo stroke play rounds
+   */
+  isSavedRound() {
+    return (
+      !this.game.turnManager?.isMultiplayer() &&
+      !this.game.timeAttackManager?.isEnabled() &&
+      !this.game.practiceManager?.isEnabled() &&
+      !this.game.roundRecordManager?.isVerifying()
+    );
+  }
+
+  /**
+   * Save the round after a stroke, with the ball where it came to rest
+   * @param {GameEvent} event - Ball stopped event
+   */
+  handleBallStopped(event) {
+    // A holed ball is saved by handleHoleCompleted as the start of the next hole
+    if (this.game.stateManager.isHoleCompleted()) {
+      return;
+    }
+    this.saveRound(this.game.stateManager.getCurrentHoleNumber(), event.get('position'));
+  }
+
+  /**
+   * Save the round as the start of the next hole
+   */
+  handleHoleCompleted() {
+    const totalHoles = this.game.course.getTotalHoles();
+    const holeNumber = this.game.stateManager.getCurrentHoleNumber();
+    this.saveRound(Math.min(holeNumber + 1, totalHoles), null);
+  }
+
+  /**
+   * Store a snapshot of the round
+   * @param {number} holeNumber - The hole to resume on
+   * @param {THREE.Vector3|null} ballPosition - Where to put the ball, or null to start the
+   *   hole from the tee
+   * @returns {boolean} True if the round was saved
+   */
+  saveRound(holeNumber, ballPosition) {
+    if (!this.isSavedRound()) {
+      return false;
+    }
+    const scoringSystem = this.game.scoringSystem;
+    this.savedRound = {
+      version: SAVE_VERSION,
+      courseId: this.game.courseId,
+      savedAt: Date.now(),
+      holeNumber,
+      holeStrokes: ballPosition ? scoringSystem.getCurrentStrokes() : 0,
+      totalStrokes: scoringSystem.getTotalStrokes(),
+      scores: scoringSystem.getSnapshot(),
+      holeStates: this.game.holeStateManager.getSnapshot(),
+      ballPosition: ballPosition
+        ? { x: ballPosition.x, y: ballPosition.y, z: ballPosition.z }
+        : null,
+      dailyAttempt: this.game.dailyChallenge.isScoredAttempt(this.game.courseId)
+    };
+    saveData(SAVED_ROUND_KEY, this.savedRound);
+    return true;
+  }
+
+  /**
+   * Continue a saved round. The game must already be initialized with the saved course.
+   * @param {object} savedRound - The snapshot from getSavedRound()
+   * @returns {Promise<boolean>} True if the round was restored
+   */
+  async resumeRound(savedRound) {
+    const totalHoles = this.game.course?.getTotalHoles() ?? 0;
+    if (
+      !savedRound ||
+      savedRound.courseId !== this.game.courseId ||
+      !(savedRound.holeNumber >= 1 && savedRound.holeNumber <= totalHoles)
+    ) {
+      console.warn('[RoundSaveManager] Saved round does not match the course, not resuming');
+      return false;
+    }
+
+    if (savedRound.holeNumber !== this.game.stateManager.getCurrentHoleNumber()) {
+      const loaded = await this.game.holeTransitionManager.transitionToHole(savedRound.holeNumber);
+      if (!loaded) {
+        return false;
+      }
+    }
+
+    // The round file would miss the holes played before the save
+    this.game.roundRecordManager?.discardRound();
+
+    // Loading a hole resets the hole's strokes, so the scores are restored afterwards
+    this.game.scoringSystem.restoreSnapshot(savedRound.scores);
+    this.game.holeStateManager.restoreSnapshot(savedRound.holeStates);
+    if (!savedRound.ballPosition) {
+      // Saved as the hole was completed: the snapshot still holds that hole's strokes
+      this.game.scoringSystem.resetCurrentStrokes();
+    }
+    if (savedRound.dailyAttempt && parseDailyCourseId(savedRound.courseId)) {
+      this.game.dailyChallenge.resumeAttempt(savedRound.courseId);
+    }
+
+    const { ballPosition } = savedRound;
+    if (ballPosition) {
+      this.game.ballManager.resetBall(
+        new THREE.Vector3(ballPosition.x, ballPosition.y, ballPosition.z)
+      );
+    }
+    this.game.stateManager.setBallInMotion(false);
+    this.game.inputController?.enableInput();
+
+    this.game.uiManager.updateHoleInfo();
+    this.game.uiManager.updateScore();
+    this.game.uiManager.updateStrokes();
+    this.game.uiManager.showMessage(`Round resumed on hole ${savedRound.holeNumber}`, 2000);
+    console.log(
+      `[RoundSaveManager] Resumed ${savedRound.courseId} on hole ${savedRound.holeNumber}`
+    );
+    return true;
+  }
+
+  /**
+   * Remove the saved round once it is over
+   */
+  clearSavedRound() {
+    if (!this.isSavedRound()) {
+      return;
+    }
+    this.savedRound = null;
+    removeData(SAVED_ROUND_KEY);
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+}
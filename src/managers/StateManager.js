@@ -20,6 +20,9 @@ export class StateManager {
       holeCompleted: false,
       currentHoleNumber: 1,
 
+      // Hot-seat multiplayer: index of the player whose turn it is
+      activePlayerIndex: 0,
+
       // Game flow
       resetBall: false,
       gameOver: false,
@@ -133,6 +136,23 @@ export class StateManager {
     return this.state.currentHoleNumber;
   }
 
+  /**
+   * Set whose turn it is
+   * @param {number} index - Player index
+   */
+  setActivePlayer(index) {
+    this.state.activePlayerIndex = index;
+    return this;
+  }
+
+  /**
+   * Get the index of the player whose turn it is
+   * @returns {number} Player index
+   */
+  getActivePlayerIndex() {
+    return this.state.activePlayerIndex;
+  }
+
   /**
    * Set the game as over
    * @param {boolean} isOver - Whether the game is over
@@ -171,10 +191,22 @@ export class StateManager {
     }
 
     // Only increment if we're not at or past the last hole
+    let nextHole = currentHole;
     if (currentHole < totalHoles) {
-      this.state.currentHoleNumber++;
-      debug.log(`[StateManager] Incremented hole number to ${this.state.currentHoleNumber}`);
+      nextHole++;
+      debug.log(`[StateManager] Incremented hole number to ${nextHole}`);
     }
+    return this.resetForHole(nextHole);
+  }
+
+  /**
+   * Reset state for a hole and start it: clears the hole flags and strokes, then publishes
+   * HOLE_STARTED
+   * @param {number} holeNumber - The hole number to play (1-based)
+   */
+  resetForHole(holeNumber) {
+    const totalHoles = this.game.course.getTotalHoles();
+    this.state.currentHoleNumber = holeNumber;
 
     // Reset hole state
     this.state.holeCompleted = false;
@@ -222,6 +254,7 @@ export class StateManager {
     // Reset hole state
     this.state.holeCompleted = false;
     this.state.currentHoleNumber = 1;
+    this.state.activePlayerIndex = 0;
 
     // Reset game flow
     this.state.resetBall = false;
@@ -0,0 +1,233 @@
+import { EventTypes } from '../events/EventTypes';
+import { loadData, saveData } from '../utils/storage';
+
+export const TIME_ATTACK_MODE = 'timeAttack';
+
+// Time added to a hole's split for every stroke taken on it (ms)
+export const STROKE_PENALTY_MS = 5000;
+
+const BEST_TIMES_KEY = 'timeAttackBests';
+
+/**
+ * Format a time as m:ss.t
+ * @param {number} ms - Time in milliseconds
+ * @returns {string} Formatted time, e.g. "1:05.3"
+ */
+export function formatTime(ms) {
+  const tenths = Math.floor(Math.max(0, ms) / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = Math.floor((tenths % 600) / 10);
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`;
+}
+
+/**
+ * Format the difference to a best time, e.g. "-1.2s" when ahead
+ * @param {number} ms - Difference in milliseconds (negative is faster)
+ * @returns {string} Signed difference in seconds
+ */
+export function formatTimeDelta(ms) {
+  return `${ms < 0 ? '-' : '+'}${(Math.abs(ms) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * TimeAttackManager - Time-attack mode: a round scored on elapsed time
+ *
+ * Each hole's split is the time between HoleStateManager's startTime and endTime plus
+ * STROKE_PENALTY_MS per stroke. Splits are compared with the player's best split for the
+ * hole, and the best round time and best splits are stored per course. Solo rounds only.
+ */
+export class TimeAttackManager {
+  constructor(game) {
+    this.game = game;
+    this.enabled = false;
+    this.splits = []; // Completed holes of the current round
+    this.results = null; // Final results, kept once the round is over
+    this.bestTimes = loadData(BEST_TIMES_KEY, {}) || {}; // { [courseId]: { totalMs, splits } }
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Set up the round
+   * @param {object} [options]
+   * @param {boolean} [options.enabled=false] - Play the round as a time attack
+   * @returns {TimeAttackManager} this instance for chaining
+   */
+  setup({ enabled = false } = {}) {
+    if (enabled && this.game.turnManager?.isMultiplayer()) {
+      console.warn('[TimeAttackManager] Time attack is solo only, playing stroke play instead');
+      enabled = false;
+    }
+    this.enabled = enabled;
+    this.splits = [];
+    this.results = null;
+    console.log(`[TimeAttackManager] Time attack ${this.enabled ? 'on' : 'off'}`);
+    return this;
+  }
+
+  /**
+   * Initialize the time attack manager
+   * @returns {TimeAttackManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.eventSubscriptions = [
+      this.game.eventManager.subscribe(
+        EventTypes.HOLE_STATE_UPDATED,
+        this.handleHoleStateUpdated,
+        this
+      ),
+      this.game.eventManager.subscribe(EventTypes.GAME_COMPLETED, this.handleGameCompleted, this)
+    ];
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Check whether the round is a time attack
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Get the best round on a course
+   * @param {string} [courseId] - Course id (defaults to the current course)
+   * @returns {{totalMs: number, splits: Array<number|null>}|null} Best total and best split per hole
+   */
+  getBestTimes(courseId = this.game.courseId) {
+    return this.bestTimes[courseId] || null;
+  }
+
+  /**
+   * Get the splits of the holes completed so far
+   * @returns {Array<{holeNumber: number, timeMs: number, strokes: number, penaltyMs: number,
+   *   totalMs: number, bestMs: number|null}>}
+   */
+  getSplits() {
+    return this.splits;
+  }
+
+  /**
+   * Get the round time so far, including stroke penalties and the running hole
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {number} Elapsed time in milliseconds
+   */
+  getElapsedMs(now = Date.now()) {
+    const completedMs = this.splits.reduce((sum, split) => sum + split.totalMs, 0);
+    const holeIndex = this.game.stateManager.getCurrentHoleNumber() - 1;
+    const holeState = this.game.holeStateManager?.getHoleState(holeIndex);
+    if (!Number.isFinite(holeState?.startTime) || holeState.completed) {
+      return completedMs;
+    }
+    const strokes = this.game.scoringSystem.getCurrentStrokes();
+    return completedMs + (now - holeState.startTime) + strokes * STROKE_PENALTY_MS;
+  }
+
+  /**
+   * Refresh the live timer. Called every frame by GameLoopManager.
+   */
+  update() {
+    if (!this.enabled) {
+      return;
+    }
+    this.game.uiManager?.updateTimer(this.getElapsedMs());
+  }
+
+  /**
+   * Record a hole's split once HoleStateManager has stored its end time
+   * @param {GameEvent} event - Hole state updated event
+   */
+  handleHoleStateUpdated(event) {
+    const holeIndex = event.get('holeIndex');
+    const state = event.get('state');
+    if (!this.enabled || !state?.completed) {
+      return;
+    }
+    if (!Number.isFinite(state.startTime) || !Number.isFinite(state.endTime)) {
+      return;
+    }
+    if (this.splits.some(split => split.holeNumber === holeIndex + 1)) {
+      return;
+    }
+
+    const strokes = this.game.scoringSystem.getCurrentStrokes();
+    const timeMs = state.endTime - state.startTime;
+    const penaltyMs = strokes * STROKE_PENALTY_MS;
+    const split = {
+      holeNumber: holeIndex + 1,
+      timeMs,
+      strokes,
+      penaltyMs,
+      totalMs: timeMs + penaltyMs,
+      bestMs: this.getBestTimes()?.splits?.[holeIndex] ?? null
+    };
+    this.splits.push(split);
+
+    const comparison =
+      split.bestMs === null ? '' : ` (${formatTimeDelta(split.totalMs - split.bestMs)})`;
+    const message = `Hole ${split.holeNumber}: ${formatTime(split.totalMs)}${comparison}`;
+    console.log(`[TimeAttackManager] ${message}`);
+    this.game.uiManager?.showMessage(message, 3000);
+  }
+
+  /**
+   * Get the results of the round for the final results screen
+   * @returns {{totalMs: number, bestTotalMs: number|null, isNewBest: boolean, splits: Array}}
+   */
+  getResults() {
+    if (this.results) {
+      return this.results;
+    }
+    const totalMs = this.splits.reduce((sum, split) => sum + split.totalMs, 0);
+    const bestTotalMs = this.getBestTimes()?.totalMs ?? null;
+    return {
+      totalMs,
+      bestTotalMs,
+      isNewBest: bestTotalMs === null || totalMs < bestTotalMs,
+      splits: this.splits
+    };
+  }
+
+  /**
+   * Store the round time and any faster splits as the course bests
+   */
+  handleGameCompleted() {
+    if (!this.enabled || this.splits.length === 0) {
+      return;
+    }
+    this.results = this.getResults();
+    const { totalMs, bestTotalMs } = this.results;
+    const previous = this.getBestTimes();
+    const splits = [...(previous?.splits || [])];
+    this.splits.forEach(split => {
+      const index = split.holeNumber - 1;
+      if (!Number.isFinite(splits[index]) || split.totalMs < splits[index]) {
+        splits[index] = split.totalMs;
+      }
+    });
+
+    this.bestTimes[this.game.courseId] = {
+      totalMs: bestTotalMs === null ? totalMs : Math.min(totalMs, bestTotalMs),
+      splits
+    };
+    saveData(BEST_TIMES_KEY, this.bestTimes);
+    console.log(`[TimeAttackManager] Round time ${formatTime(totalMs)}`);
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+}
@@ -0,0 +1,264 @@
+import { EventTypes } from '../events/EventTypes';
+
+export const MAX_PLAYERS = 4;
+
+// Ball colors by player; player 1 keeps the classic white ball
+export const PLAYER_COLORS = [0xffffff, 0xff5252, 0x40c4ff, 0xffd740];
+
+// 'farthest': the ball farthest from the cup plays next; 'rotation': players take turns in order
+export const TURN_ORDERS = ['farthest', 'rotation'];
+
+/**
+ * TurnManager - Whose turn it is in local hot-seat (pass-and-play) multiplayer
+ *
+ * Every player has a ball on the same hole. After each shot the turn passes on, skipping
+ * players who have holed out or picked up at the stroke cap. HoleCompletionManager decides
+ * when a shot ends a player's hole; the hole is only finished once every player is done. With a single player the manager stays out of the way.
+ */
+export class TurnManager {
+  constructor(game) {
+    this.game = game;
+    this.players = [{ index: 0, name: 'Player 1', color: PLAYER_COLORS[0] }];
+    this.turnOrder = TURN_ORDERS[0];
+    this.activePlayerIndex = 0;
+    this.finishedPlayers = [false]; // Holed out or capped on the current hole
+    this.turnDelay = 1200; // Pause after a player holes out before the next turn (ms)
+    this.turnTimeout = null;
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Set up the players for a round
+   * @param {Array<string|{name: string}>} [players] - Player names; fewer than two means solo play
+   * @param {object} [options]
+   * @param {string} [options.turnOrder='farthest'] - One of TURN_ORDERS
+   * @returns {TurnManager} this instance for chaining
+   */
+  setup(players = [], { turnOrder = TURN_ORDERS[0] } = {}) {
+    const entries = (Array.isArray(players) ? players : []).slice(0, MAX_PLAYERS);
+    if (entries.length === 0) {
+      entries.push(null);
+    }
+    this.players = entries.map((entry, index) => {
+      const name = typeof entry === 'string' ? entry : entry?.name;
+      return {
+        index,
+        name: name && name.trim() ? name.trim() : `Player ${index + 1}`,
+        color: PLAYER_COLORS[index]
+      };
+    });
+
+    if (!TURN_ORDERS.includes(turnOrder)) {
+      console.warn(`[TurnManager] Unknown turn order "${turnOrder}", using "${TURN_ORDERS[0]}"`);
+      turnOrder = TURN_ORDERS[0];
+    }
+    this.turnOrder = turnOrder;
+    this.resetTurns();
+
+    this.game.scoringSystem?.setPlayerCount(this.players.length);
+    this.game.stateManager?.setActivePlayer(0);
+
+    console.log(`[TurnManager] ${this.players.length} player(s), turn order: ${this.turnOrder}`);
+    return this;
+  }
+
+  /**
+   * Initialize the turn manager
+   * @returns {TurnManager} this instance for chaining
+   */
+  init() {
+    if (this.isInitialized) {
+      return this;
+    }
+    this.eventSubscriptions = [
+      this.game.eventManager.subscribe(EventTypes.HOLE_STARTED, this.handleHoleStarted, this)
+    ];
+    this.isInitialized = true;
+    return this;
+  }
+
+  /**
+   * Get the players of the round
+   * @returns {Array<{index: number, name: string, color: number}>}
+   */
+  getPlayers() {
+    return this.players;
+  }
+
+  /**
+   * Get the number of players
+   * @returns {number} Player count
+   */
+  getPlayerCount() {
+    return this.players.length;
+  }
+
+  /**
+   * Check whether more than one player is taking part
+   * @returns {boolean} True for hot-seat multiplayer
+   */
+  isMultiplayer() {
+    return this.players.length > 1;
+  }
+
+  /**
+   * Get the player whose turn it is
+   * @returns {{index: number, name: string, color: number}}
+   */
+  getActivePlayer() {
+    return this.players[this.activePlayerIndex];
+  }
+
+  /**
+   * Check whether a player is done with the current hole
+   * @param {number} index - Player index
+   * @returns {boolean} True if the player holed out or picked up at the stroke cap
+   */
+  isPlayerFinished(index) {
+    return Boolean(this.finishedPlayers[index]);
+  }
+
+  /**
+   * Check whether every player is done with the current hole
+   * @returns {boolean}
+   */
+  isHoleFinished() {
+    return this.finishedPlayers.every(Boolean);
+  }
+
+  /**
+   * Check whether the turn is about to pass on after a player finished the hole
+   * @returns {boolean} True while the next turn is pending
+   */
+  isWaitingForTurn() {
+    return this.turnTimeout !== null;
+  }
+
+  /**
+   * Clear the per-hole turn state and give the first turn to player 1
+   * @private
+   */
+  resetTurns() {
+    clearTimeout(this.turnTimeout);
+    this.turnTimeout = null;
+    this.finishedPlayers = this.players.map(() => false);
+    this.activePlayerIndex = 0;
+  }
+
+  /**
+   * Handle the start of a new hole. BallManager creates the balls afterwards with
+   * player 1's ball active.
+   */
+  handleHoleStarted() {
+    this.resetTurns();
+    this.game.scoringSystem?.setActivePlayer(0);
+    this.game.stateManager?.setActivePlayer(0);
+  }
+
+  /**
+   * Record that the active player is done with the hole (holed out or picked up)
+   * @returns {boolean} True if every player is now done and the hole can be finished
+   */
+  finishActivePlayer() {
+    this.finishedPlayers[this.activePlayerIndex] = true;
+    console.log(`[TurnManager] ${this.getActivePlayer().name} is done with the hole`);
+    if (this.isHoleFinished()) {
+      return true;
+    }
+
+    clearTimeout(this.turnTimeout);
+    this.turnTimeout = setTimeout(() => {
+      this.turnTimeout = null;
+      this.advanceTurn();
+    }, this.turnDelay);
+    return false;
+  }
+
+  /**
+   * Pick the player who plays next among those still on the hole
+   * @returns {number} Player index, or -1 if everyone is done
+   */
+  getNextPlayerIndex() {
+    const remaining = this.players.filter(player => !this.isPlayerFinished(player.index));
+    if (remaining.length === 0) {
+      return -1;
+    }
+
+    if (this.turnOrder === 'rotation') {
+      const count = this.players.length;
+      for (let step = 1; step <= count; step++) {
+        const index = (this.activePlayerIndex + step) % count;
+        if (!this.isPlayerFinished(index)) {
+          return index;
+        }
+      }
+    }
+
+    // Farthest from the cup plays first; ties go to the lower player number
+    let next = remaining[0].index;
+    let farthest = -Infinity;
+    remaining.forEach(player => {
+      const distance = this.game.ballManager?.getDistanceToHole(player.index) ?? 0;
+      if (distance > farthest) {
+        farthest = distance;
+        next = player.index;
+      }
+    });
+    return next;
+  }
+
+  /**
+   * Hand the turn to the next player: switch the active ball, score sheet and camera
+   * @returns {number} The new active player index, or -1 if everyone is done
+   */
+  advanceTurn() {
+    const index = this.getNextPlayerIndex();
+    if (index === -1) {
+      return -1;
+    }
+    this.setActivePlayer(index);
+    return index;
+  }
+
+  /**
+   * Make it a player's turn
+   * @param {number} index - Player index
+   */
+  setActivePlayer(index) {
+    const player = this.players[index];
+    if (!player) {
+      return;
+    }
+    this.activePlayerIndex = index;
+    this.game.scoringSystem?.setActivePlayer(index);
+    this.game.stateManager?.setActivePlayer(index);
+    this.game.ballManager?.setActiveBall(index);
+
+    this.game.uiManager?.showMessage(`${player.name}'s turn`, 1500);
+    this.game.uiManager?.updateStrokes();
+    this.game.inputController?.enableInput();
+
+    this.game.eventManager?.publish(
+      EventTypes.TURN_CHANGED,
+      { playerIndex: index, name: player.name },
+      this
+    );
+    console.log(`[TurnManager] ${player.name}'s turn`);
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    clearTimeout(this.turnTimeout);
+    this.turnTimeout = null;
+    this.eventSubscriptions.forEach(unsubscribe => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+    this.eventSubscriptions = [];
+    this.isInitialized = false;
+  }
+}
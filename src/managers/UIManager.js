@@ -167,10 +167,7 @@ export class UIManager {
       });
       subscribe(EventTypes.UI_REQUEST_RESTART_GAME, () => {
         debug.log('[UIManager] Received UI_REQUEST_RESTART_GAME');
-        // TEMP DISABLE: window.location.reload();
-        console.warn('[UIManager] TEMP: window.location.reload() disabled for debugging.');
-        // FIX: Implement restart via full page reload for simplicity
-        // OLD: // TODO: Implement logic to restart the game
+        this.game.restartRound();
       });
 
       debug.log('[UIManager.setupEventListeners] Finished.');
@@ -188,7 +185,15 @@ export class UIManager {
     const holeNumber = event.get('holeNumber');
     const totalStrokes = this.game.scoringSystem.getTotalStrokes();
 
-    const message = `Hole ${holeNumber} completed! Total strokes so far: ${totalStrokes}`;
+    let message = `Hole ${holeNumber} completed! Total strokes so far: ${totalStrokes}`;
+    if (this.game.turnManager?.isMultiplayer()) {
+      const totals = this.game.turnManager
+        .getPlayers()
+        .map(
+          player => `${player.name} ${this.game.scoringSystem.getPlayerTotalStrokes(player.index)}`
+        );
+      message = `Hole ${holeNumber} completed! ${totals.join(', ')}`;
+    }
     this.showMessage(message, 3000);
 
     // Delegate updates to score overlay
@@ -401,6 +406,10 @@ export class UIManager {
     this.scoreOverlay?.updateStrokes();
   }
 
+  updateTimer(elapsedMs) {
+    this.scoreOverlay?.updateTimer(elapsedMs);
+  }
+
   updateDebugDisplay(debugInfo) {
     this.debugOverlay?.updateDebugDisplay(debugInfo);
   }
@@ -413,6 +422,18 @@ export class UIManager {
     this.scoreOverlay?.hideFinalScorecard();
   }
 
+  removeFinalScorecard() {
+    this.scoreOverlay?.removeFinalScorecard();
+  }
+
+  toggleScorecard() {
+    this.scoreOverlay?.toggle();
+  }
+
+  showPersonalBests(result) {
+    this.scoreOverlay?.showPersonalBests(result);
+  }
+
   /**
    * Cleanup UI elements and unsubscribe from events.
    */
@@ -1,5 +1,9 @@
 import * as THREE from 'three';
 
+const TELEPORT_EFFECT_COLOR = 0x9b59ff;
+const TELEPORT_EFFECT_DURATION = 600; // Milliseconds
+const TELEPORT_EFFECT_GROWTH = 3; // Extra scale the ring reaches before fading out
+
 /**
  * Manages visual effects like particle bursts.
  */
@@ -39,6 +43,35 @@ export class VisualEffectsManager {
     // this.effects.push(particleSystem); // Track effect for updates/cleanup
   }
 
+  /**
+   * Triggers an expanding ring flash at both ends of a teleport.
+   * @param {THREE.Vector3} entryPosition - Where the ball entered the portal.
+   * @param {THREE.Vector3} exitPosition - Where the ball came out.
+   */
+  triggerTeleportEffect(entryPosition, exitPosition) {
+    if (!this.scene) {
+      console.error('[VisualEffectsManager] Cannot trigger effect: Scene not available.');
+      return;
+    }
+
+    [entryPosition, exitPosition].forEach(position => {
+      const mesh = new THREE.Mesh(
+        new THREE.RingGeometry(0.2, 0.35, 32),
+        new THREE.MeshBasicMaterial({
+          color: TELEPORT_EFFECT_COLOR,
+          transparent: true,
+          opacity: 0.9,
+          side: THREE.DoubleSide,
+          depthWrite: false
+        })
+      );
+      mesh.rotation.x = -Math.PI / 2; // Flat on the green
+      mesh.position.set(position.x, position.y, position.z);
+      this.scene.add(mesh);
+      this.effects.push({ mesh, startTime: performance.now(), duration: TELEPORT_EFFECT_DURATION });
+    });
+  }
+
   /**
    * Resets any visual effects applied to the ball.
    * @param {Ball} ball - The ball object.
@@ -52,28 +85,43 @@ export class VisualEffectsManager {
   }
 
   /**
-   * Updates active effects (e.g., particle animations).
-   * @param {number} dt - Delta time.
+   * Updates active effects. Effects are timed from when they were triggered,
+   * so this does not depend on the frame's delta time.
    */
-  update(dt) {
-    // TODO: Update active particle systems/effects
-    // Example (pseudo-code):
-    // for (let i = this.effects.length - 1; i >= 0; i--) {
-    //     const effect = this.effects[i];
-    //     effect.update(dt);
-    //     if (effect.isFinished) {
-    //         this.scene.remove(effect.mesh);
-    //         this.effects.splice(i, 1);
-    //     }
-    // }
+  update() {
+    const now = performance.now();
+    for (let i = this.effects.length - 1; i >= 0; i--) {
+      const effect = this.effects[i];
+      const progress = (now - effect.startTime) / effect.duration;
+      if (progress >= 1) {
+        this.removeEffect(effect);
+        this.effects.splice(i, 1);
+        continue;
+      }
+      const scale = 1 + progress * TELEPORT_EFFECT_GROWTH;
+      effect.mesh.scale.set(scale, scale, scale);
+      effect.mesh.material.opacity = 0.9 * (1 - progress);
+    }
+  }
+
+  /**
+   * Removes an effect's mesh from the scene and frees its resources.
+   * @param {object} effect - The effect to remove.
+   */
+  removeEffect(effect) {
+    if (this.scene) {
+      this.scene.remove(effect.mesh);
+    }
+    effect.mesh.geometry?.dispose?.();
+    effect.mesh.material?.dispose?.();
   }
 
   /**
    * Cleans up resources used by the manager.
    */
   cleanup() {
-    // TODO: Remove any persistent effects or listeners
     console.log('[VisualEffectsManager] Cleanup called.');
+    this.effects.forEach(effect => this.removeEffect(effect));
     this.effects = []; // Clear active effects array
   }
 }
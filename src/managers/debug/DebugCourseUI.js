@@ -84,7 +84,8 @@ export class DebugCourseUI {
     keyInfo.innerHTML = `
             Toggle Type: [${DEBUG_CONFIG.courseDebug.toggleCourseTypeKey}] <br>
             Load Hole #: [${DEBUG_CONFIG.courseDebug.loadSpecificHoleKey}] <br>
-            Quick Load: [1-9]
+            Quick Load: [1-9] <br>
+            Edit Hole: [${DEBUG_CONFIG.courseDebug.levelEditorKey}]
         `;
     this.courseDebugUI.appendChild(keyInfo);
 
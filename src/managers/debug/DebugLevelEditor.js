@@ -0,0 +1,548 @@
+import * as THREE from 'three';
+import { DEBUG_CONFIG } from '../DebugManager';
+import { HoleEditor } from '../../courses/HoleEditor';
+import {
+  hydrateHoleConfig,
+  serializeCourse,
+  serializeHoleConfig
+} from '../../courses/CourseLoader';
+import { formatProblem, validateCourse } from '../../courses/CourseValidator';
+
+const GREEN_HEIGHT = 0.2; // Mirrors HoleEntity.surfaceHeight; handles sit on the green
+const ROTATE_STEP = 15; // Degrees per rotate key press
+const RESIZE_STEP = 1.1; // Scale factor per resize key press
+const HANDLE_COLORS = { tee: 0x00ff00, cup: 0xffffff, bumper: 0xff8c00, hazard: 0x00bfff };
+
+/**
+ * DebugLevelEditor - Edits the current hole on the live green (debug mode only).
+ *
+ * Press the level editor key to start editing the hole being played. Click a handle to
+ * select the tee, cup, a bumper or a hazard and drag it across the green; rotate and
+ * resize the selection with the keys listed in the panel. The side panel edits par and
+ * description, adds and removes items, shows validation problems, play-tests the hole and
+ * exports the whole course as JSON. The hole is rebuilt from the edited data after every
+ * change; the data itself is held by a HoleEditor in the serialized course format.
+ */
+export class DebugLevelEditor {
+  constructor(debugManager) {
+    this.debugManager = debugManager; // Reference to the parent manager
+    this.game = debugManager.game; // Convenience reference
+
+    this.editor = null; // HoleEditor for the hole being edited, null when not editing
+    this.holeIndex = -1;
+    this.panel = null;
+    this.handles = null; // THREE.Group of selection handles
+    this.isDragging = false;
+
+    this.raycaster = new THREE.Raycaster();
+    this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -GREEN_HEIGHT);
+
+    this.OVERLAY_ID = 'level-editor-panel';
+    this.STYLE = `
+            position: fixed;
+            top: 10px;
+            left: 10px;
+            background-color: rgba(0, 0, 0, 0.8);
+            color: #00FF00;
+            padding: 10px;
+            font-family: monospace;
+            font-size: 13px;
+            z-index: 1001;
+            border-radius: 5px;
+            width: 260px;
+            border: 1px solid #00FF00;
+        `;
+    this.HEADER_STYLE = `
+            font-weight: bold;
+            margin-bottom: 8px;
+            border-bottom: 1px solid #00FF00;
+            padding-bottom: 3px;
+            text-align: center;
+        `;
+
+    // Bound event handlers
+    this.boundHandleKeyPress = this.handleKeyPress.bind(this);
+    this.boundPointerDown = this.onPointerDown.bind(this);
+    this.boundPointerMove = this.onPointerMove.bind(this);
+    this.boundPointerUp = this.onPointerUp.bind(this);
+  }
+
+  /**
+   * Add the keydown listener that toggles and drives the editor.
+   */
+  init() {
+    window.addEventListener('keydown', this.boundHandleKeyPress);
+    console.log('[DebugLevelEditor] Initialized.');
+  }
+
+  /**
+   * @returns {boolean} True while a hole is being edited
+   */
+  isActive() {
+    return this.editor !== null;
+  }
+
+  /**
+   * Start editing the current hole.
+   * @returns {boolean} True if the editor was opened
+   */
+  enter() {
+    const course = this.game?.course;
+    const holeConfig = course?.getCurrentHoleConfig?.();
+    if (!this.debugManager.enabled || !holeConfig || !Array.isArray(course.holeConfigs)) {
+      console.warn('[DebugLevelEditor] Cannot edit: debug mode is off or no hole is loaded.');
+      return false;
+    }
+
+    this.holeIndex = course.currentHoleIndex;
+    this.editor = new HoleEditor(serializeHoleConfig(holeConfig));
+    console.log(`[DebugLevelEditor] Editing hole ${this.holeIndex + 1}.`);
+
+    // Clicks on the green edit the hole instead of aiming the ball
+    this.game.inputController?.disableInput();
+
+    this.handles = new THREE.Group();
+    this.handles.name = 'LevelEditorHandles';
+    this.game.scene.add(this.handles);
+
+    const canvas = this.game.renderer?.domElement;
+    // Capture phase, so a grab can switch the camera controls off before they see it
+    canvas?.addEventListener('pointerdown', this.boundPointerDown, true);
+    canvas?.addEventListener('pointermove', this.boundPointerMove);
+    window.addEventListener('pointerup', this.boundPointerUp);
+
+    this.createPanel();
+    this.refresh();
+    return true;
+  }
+
+  /**
+   * Stop editing and hand the hole back to the player.
+   */
+  exit() {
+    if (!this.isActive()) {
+      return;
+    }
+
+    const canvas = this.game.renderer?.domElement;
+    canvas?.removeEventListener('pointerdown', this.boundPointerDown, true);
+    canvas?.removeEventListener('pointermove', this.boundPointerMove);
+    window.removeEventListener('pointerup', this.boundPointerUp);
+    this.setCameraControlsEnabled(true);
+
+    this.clearHandles();
+    this.game.scene.remove(this.handles);
+    this.handles = null;
+    this.panel?.remove();
+    this.panel = null;
+
+    this.editor = null;
+    this.isDragging = false;
+    this.game.inputController?.enableInput();
+    console.log('[DebugLevelEditor] Stopped editing.');
+  }
+
+  /**
+   * Handle key presses: the toggle key opens and closes the editor, the other keys edit
+   * the selection while it is open.
+   * @param {KeyboardEvent} e
+   */
+  handleKeyPress(e) {
+    const tag = e.target?.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || !this.debugManager.enabled) {
+      return; // Typing in the panel, or debug mode is off
+    }
+
+    if (e.key === DEBUG_CONFIG.courseDebug.levelEditorKey) {
+      if (this.isActive()) {
+        this.exit();
+      } else {
+        this.enter();
+      }
+      e.preventDefault();
+      return;
+    }
+    if (!this.isActive()) {
+      return;
+    }
+
+    const edits = {
+      '[': () => this.editor.rotateSelected(-ROTATE_STEP),
+      ']': () => this.editor.rotateSelected(ROTATE_STEP),
+      '-': () => this.editor.resizeSelected(1 / RESIZE_STEP),
+      '=': () => this.editor.resizeSelected(RESIZE_STEP),
+      Delete: () => this.editor.deleteSelected(),
+      Backspace: () => this.editor.deleteSelected()
+    };
+    if (e.key === 'Escape') {
+      this.exit();
+    } else if (edits[e.key] && edits[e.key]()) {
+      this.applyChanges();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  /**
+   * Grab the item under the pointer
+   * @param {PointerEvent} event
+   */
+  onPointerDown(event) {
+    if (event.button !== 0) {
+      return;
+    }
+    const point = this.getGroundPoint(event);
+    if (!point || !this.editor.selectAt(point.x, point.z)) {
+      this.refresh(); // Clicked empty green: clear the selection, let the camera orbit
+      return;
+    }
+
+    this.isDragging = true;
+    this.setCameraControlsEnabled(false);
+    event.stopPropagation();
+    this.refresh();
+  }
+
+  /**
+   * Drag the grabbed item across the green
+   * @param {PointerEvent} event
+   */
+  onPointerMove(event) {
+    if (!this.isDragging) {
+      return;
+    }
+    const point = this.getGroundPoint(event);
+    if (point && this.editor.moveSelected(point.x, point.z)) {
+      this.updateHandles();
+    }
+  }
+
+  /**
+   * Drop the dragged item and rebuild the hole around it
+   */
+  onPointerUp() {
+    if (!this.isDragging) {
+      return;
+    }
+    this.isDragging = false;
+    this.setCameraControlsEnabled(true);
+    this.applyChanges();
+  }
+
+  /**
+   * Find where the pointer meets the green
+   * @param {PointerEvent} event
+   * @returns {THREE.Vector3|null} The point on the green, or null if the pointer misses it
+   */
+  getGroundPoint(event) {
+    const canvas = this.game.renderer?.domElement;
+    if (!canvas || !this.game.camera) {
+      return null;
+    }
+    const rect = canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.game.camera);
+    return this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+  }
+
+  /**
+   * Turn the orbit camera controls on or off
+   * @param {boolean} enabled
+   */
+  setCameraControlsEnabled(enabled) {
+    const controls = this.game.cameraController?.controls;
+    if (controls) {
+      controls.enabled = enabled;
+    }
+  }
+
+  /**
+   * Write the edited hole back into the course without rebuilding it (par, description)
+   */
+  syncHoleConfig() {
+    this.game.course.holeConfigs[this.holeIndex] = hydrateHoleConfig(
+      this.editor.toJSON(),
+      this.holeIndex
+    );
+  }
+
+  /**
+   * Write the edited hole back into the course, rebuild it on the green and put the ball
+   * back on the tee
+   * @returns {Promise<boolean>} True if the hole was rebuilt
+   */
+  async applyChanges() {
+    if (!this.isActive()) {
+      return false;
+    }
+    this.syncHoleConfig();
+    this.refresh();
+
+    const course = this.game.course;
+    const success = await course.createCourse(this.holeIndex + 1);
+    if (!success) {
+      this.debugManager.warn('DebugLevelEditor', `Failed to rebuild hole ${this.holeIndex + 1}`);
+      return false;
+    }
+    if (this.game.ballManager && course.startPosition) {
+      await this.game.ballManager.resetBall(course.startPosition);
+    }
+    return true;
+  }
+
+  /**
+   * Rebuild the hole from the edits and play it
+   */
+  async playTest() {
+    const success = await this.applyChanges();
+    this.exit();
+    this.game.uiManager?.updateHoleInfo();
+    return success;
+  }
+
+  /**
+   * Export the whole course, including the edited hole, as course JSON. The file is
+   * offered as a download when the browser supports it.
+   * @returns {string} The course JSON
+   */
+  exportCourse() {
+    this.syncHoleConfig();
+    const course = this.game.course;
+    const data = serializeCourse(
+      {
+        id: course.courseId,
+        name: course.courseName,
+        author: course.courseAuthor,
+        description: course.courseDescription,
+        strokeCap: course.strokeCap
+      },
+      course.holeConfigs
+    );
+    const json = JSON.stringify(data, null, 2);
+
+    const { errors, warnings } = validateCourse(data);
+    this.setStatus(
+      `Exported ${data.holes.length} holes (${errors.length} errors, ${warnings.length} warnings)`
+    );
+    errors.forEach(problem => console.warn(`[DebugLevelEditor] ${formatProblem(problem)}`));
+
+    if (typeof URL.createObjectURL === 'function') {
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      link.download = `${data.id || 'course'}.json`;
+      link.click();
+      // Revoking straight after the click can cancel the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    console.log('[DebugLevelEditor] Exported course JSON.');
+    return json;
+  }
+
+  /**
+   * Add a bumper or hazard halfway between the tee and the cup
+   * @param {string} kind - 'bumper', 'sand' or 'water'
+   */
+  addItem(kind) {
+    const [teeX, , teeZ] = this.editor.hole.startPosition;
+    const [cupX, , cupZ] = this.editor.hole.holePosition;
+    const x = (teeX + cupX) / 2;
+    const z = (teeZ + cupZ) / 2;
+    if (kind === 'bumper') {
+      this.editor.addBumper(x, z);
+    } else {
+      this.editor.addHazard(kind, x, z);
+    }
+    this.applyChanges();
+  }
+
+  /**
+   * Create the side panel.
+   */
+  createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = this.OVERLAY_ID;
+    this.panel.style.cssText = this.STYLE;
+
+    const header = document.createElement('div');
+    header.textContent = `LEVEL EDITOR - HOLE ${this.holeIndex + 1}`;
+    header.style.cssText = this.HEADER_STYLE;
+    this.panel.appendChild(header);
+
+    this.parInput = this.createField('Par', 'number', value => this.editor.setPar(value));
+    this.descriptionInput = this.createField('Description', 'text', value =>
+      this.editor.setDescription(value)
+    );
+
+    this.selectionInfo = document.createElement('div');
+    this.selectionInfo.style.margin = '8px 0';
+    this.panel.appendChild(this.selectionInfo);
+
+    const buttons = document.createElement('div');
+    [
+      ['Add Bumper', () => this.addItem('bumper')],
+      ['Add Sand', () => this.addItem('sand')],
+      ['Add Water', () => this.addItem('water')],
+      ['Delete', () => this.editor.deleteSelected() && this.applyChanges()],
+      ['Play-test', () => this.playTest()],
+      ['Export JSON', () => this.exportCourse()]
+    ].forEach(([label, onClick]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.style.margin = '2px';
+      button.addEventListener('click', onClick);
+      buttons.appendChild(button);
+    });
+    this.panel.appendChild(buttons);
+
+    this.problemList = document.createElement('div');
+    this.problemList.style.cssText =
+      'margin-top: 8px; font-size: 11px; color: #FFB020; white-space: pre-line;';
+    this.panel.appendChild(this.problemList);
+
+    this.statusLine = document.createElement('div');
+    this.statusLine.style.marginTop = '4px';
+    this.panel.appendChild(this.statusLine);
+
+    const keyInfo = document.createElement('div');
+    keyInfo.style.marginTop = '8px';
+    keyInfo.style.fontSize = '11px';
+    keyInfo.innerHTML = `
+            Drag: move selection <br>
+            Rotate: [ ] &nbsp; Resize: - = <br>
+            Delete: [Del] &nbsp; Close: [${DEBUG_CONFIG.courseDebug.levelEditorKey}] / [Esc]
+        `;
+    this.panel.appendChild(keyInfo);
+
+    document.body.appendChild(this.panel);
+  }
+
+  /**
+   * Add a labelled input to the panel
+   * @param {string} label - Field label
+   * @param {string} type - Input type
+   * @param {Function} onChange - Called with the new value
+   * @returns {HTMLInputElement} The input
+   */
+  createField(label, type, onChange) {
+    const row = document.createElement('label');
+    row.style.cssText = 'display: block; margin-bottom: 4px;';
+    row.textContent = `${label}: `;
+    const input = document.createElement('input');
+    input.type = type;
+    input.style.width = type === 'number' ? '50px' : '100%';
+    input.addEventListener('change', () => {
+      onChange(input.value);
+      this.syncHoleConfig();
+      this.refresh();
+      this.game.uiManager?.updateHoleInfo();
+    });
+    row.appendChild(input);
+    this.panel.appendChild(row);
+    return input;
+  }
+
+  /**
+   * Show a status message in the panel
+   * @param {string} message
+   */
+  setStatus(message) {
+    if (this.statusLine) {
+      this.statusLine.textContent = message;
+    }
+  }
+
+  /**
+   * Bring the panel and handles up to date with the edited hole
+   */
+  refresh() {
+    this.updateHandles();
+    if (!this.panel) {
+      return;
+    }
+
+    const { hole, selected } = this.editor;
+    this.parInput.value = hole.par;
+    this.descriptionInput.value = hole.description || '';
+    this.selectionInfo.textContent = selected
+      ? `Selected: ${describeItem(selected, this.editor.getData(selected))}`
+      : 'Click a handle to select it';
+
+    const { errors, warnings } = this.editor.validate();
+    this.problemList.textContent = [...errors, ...warnings]
+      .map(problem => `${problem.severity}: ${problem.message}`)
+      .join('\n');
+  }
+
+  /**
+   * Redraw a flat handle on the green for every editable item
+   */
+  updateHandles() {
+    if (!this.handles) {
+      return;
+    }
+    this.clearHandles();
+
+    const { selected } = this.editor;
+    this.editor.getItems().forEach(item => {
+      const isSelected = selected?.kind === item.kind && selected.index === item.index;
+      const handle = new THREE.Mesh(
+        new THREE.RingGeometry(
+          this.editor.getPickRadius(item) * 0.85,
+          this.editor.getPickRadius(item),
+          32
+        ),
+        new THREE.MeshBasicMaterial({
+          color: isSelected ? 0xffff00 : HANDLE_COLORS[item.kind],
+          transparent: true,
+          opacity: isSelected ? 0.9 : 0.5,
+          depthTest: false
+        })
+      );
+      handle.rotation.x = -Math.PI / 2;
+      handle.position.set(item.x, GREEN_HEIGHT + 0.05, item.z);
+      handle.userData = { kind: item.kind, index: item.index };
+      this.handles.add(handle);
+    });
+  }
+
+  /**
+   * Remove and dispose all handles
+   */
+  clearHandles() {
+    [...(this.handles?.children || [])].forEach(handle => {
+      handle.geometry.dispose();
+      handle.material.dispose();
+      this.handles.remove(handle);
+    });
+  }
+
+  /**
+   * Clean up the editor and its event listeners.
+   */
+  cleanup() {
+    this.exit();
+    window.removeEventListener('keydown', this.boundHandleKeyPress);
+    console.log('[DebugLevelEditor] Cleaned up.');
+  }
+}
+
+/**
+ * Describe an item for the panel
+ * @param {{kind: string, index: number}} item - The item
+ * @param {object|null} data - The bumper or hazard definition
+ * @returns {string} A short description
+ */
+function describeItem(item, data) {
+  if (item.kind === 'bumper') {
+    const [width, , depth] = data.size;
+    return `bumper ${item.index + 1} (${width} x ${depth}, ${data.rotation?.[1] || 0} deg)`;
+  }
+  if (item.kind === 'hazard') {
+    return `${data.type} hazard ${item.index + 1} (${data.shape})`;
+  }
+  return item.kind;
+}
@@ -0,0 +1,82 @@
+import { debug } from '../../utils/debug';
+
+// How long each toast stays up (ms)
+const TOAST_DURATION = 3500;
+
+/**
+ * UIAchievementToast - "Achievement unlocked" toasts, shown one at a time.
+ */
+export class UIAchievementToast {
+  constructor(parentContainer) {
+    this.parentContainer = parentContainer;
+
+    // UI Elements
+    this.toastElement = null;
+
+    // Achievements waiting for their toast
+    this.queue = [];
+    this.hideTimeout = null;
+
+    // Styling constants
+    this.TOAST_CLASS = 'achievement-toast';
+    this.TITLE_CLASS = 'achievement-toast-title';
+  }
+
+  /**
+   * Show a toast for an unlocked achievement, after any toast already showing
+   * @param {{name: string, description: string}} achievement - The unlocked achievement
+   */
+  show(achievement) {
+    this.queue.push(achievement);
+    if (!this.toastElement) {
+      this.showNext();
+    }
+  }
+
+  /**
+   * Show the next queued toast
+   * @private
+   */
+  showNext() {
+    const achievement = this.queue.shift();
+    if (!achievement) {
+      return;
+    }
+
+    this.toastElement = document.createElement('div');
+    this.toastElement.classList.add(this.TOAST_CLASS);
+    this.toastElement.setAttribute('role', 'status');
+
+    const title = document.createElement('div');
+    title.classList.add(this.TITLE_CLASS);
+    title.textContent = `Achievement unlocked: ${achievement.name}`;
+    const description = document.createElement('div');
+    description.textContent = achievement.description;
+    this.toastElement.appendChild(title);
+    this.toastElement.appendChild(description);
+
+    this.parentContainer.appendChild(this.toastElement);
+    debug.log(`[UIAchievementToast] Showing "${achievement.name}".`);
+
+    this.hideTimeout = setTimeout(() => {
+      this.hideTimeout = null;
+      this.toastElement?.remove();
+      this.toastElement = null;
+      this.showNext();
+    }, TOAST_DURATION);
+  }
+
+  /**
+   * Cleanup UI elements.
+   */
+  cleanup() {
+    if (this.hideTimeout) {
+      clearTimeout(this.hideTimeout);
+      this.hideTimeout = null;
+    }
+    this.toastElement?.remove();
+    this.toastElement = null;
+    this.queue = [];
+    debug.log('[UIAchievementToast] Cleaned up.');
+  }
+}
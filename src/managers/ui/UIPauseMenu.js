@@ -0,0 +1,158 @@
+import { debug } from '../../utils/debug';
+
+/**
+ * UIPauseMenu - The pause button, and the pause overlay with its actions and settings.
+ */
+export class UIPauseMenu {
+  constructor(pauseManager, parentContainer) {
+    this.pauseManager = pauseManager;
+    this.game = pauseManager.game;
+    this.parentContainer = parentContainer;
+
+    // UI Elements
+    this.pauseButton = null;
+    this.menuElement = null;
+    this.panelElement = null;
+
+    // Styling constants
+    this.BUTTON_CLASS = 'pause-button';
+    this.MENU_CLASS = 'pause-menu';
+    this.PANEL_CLASS = 'pause-menu-panel';
+    this.TITLE_CLASS = 'pause-menu-title';
+    this.SETTING_CLASS = 'pause-menu-setting';
+  }
+
+  /**
+   * Add the pause button
+   */
+  init() {
+    this.pauseButton = document.createElement('button');
+    this.pauseButton.type = 'button';
+    this.pauseButton.classList.add(this.BUTTON_CLASS);
+    this.pauseButton.textContent = 'Pause';
+    this.pauseButton.title = 'Pause (Esc)';
+    this.pauseButton.addEventListener('click', () => this.pauseManager.pause());
+    this.parentContainer.appendChild(this.pauseButton);
+  }
+
+  /**
+   * Show the pause overlay with its actions
+   */
+  show() {
+    this.render('Paused');
+    this.createButton('Resume', () => this.pauseManager.resume());
+    this.createButton(
+      'Restart hole',
+      () => this.pauseManager.restartHole(),
+      !this.pauseManager.canRestartHole()
+    );
+    this.createButton(
+      'Restart round',
+      () => this.pauseManager.restartRound(),
+      !this.pauseManager.canRestartRound()
+    );
+    this.createButton('Settings', () => this.showSettings());
+    this.createButton('Quit to menu', () => this.pauseManager.quitToMenu());
+    debug.log('[UIPauseMenu] Showing the pause menu.');
+  }
+
+  /**
+   * Show the settings that can be changed during a round
+   */
+  showSettings() {
+    this.render('Settings');
+    const audioManager = this.game.audioManager;
+    if (audioManager) {
+      this.createCheckbox('Sound', !audioManager.isMuted, checked =>
+        checked ? audioManager.unmute() : audioManager.mute()
+      );
+    }
+    const ghostManager = this.game.ghostManager;
+    if (ghostManager) {
+      this.createCheckbox('Show ghost ball', ghostManager.showGhost, checked =>
+        ghostManager.setShowGhost(checked)
+      );
+    }
+    this.createButton('Back', () => this.show());
+  }
+
+  /**
+   * Replace the overlay with a new panel under a title
+   * @param {string} text - Title text
+   * @private
+   */
+  render(text) {
+    this.hide();
+    this.menuElement = document.createElement('div');
+    this.menuElement.classList.add(this.MENU_CLASS);
+
+    this.panelElement = document.createElement('div');
+    this.panelElement.classList.add(this.PANEL_CLASS);
+    this.menuElement.appendChild(this.panelElement);
+
+    const title = document.createElement('h2');
+    title.classList.add(this.TITLE_CLASS);
+    title.textContent = text;
+    this.panelElement.appendChild(title);
+
+    this.parentContainer.appendChild(this.menuElement);
+  }
+
+  /**
+   * Create a panel button
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @param {boolean} [disabled=false] - Show the button greyed out
+   * @returns {HTMLButtonElement} The button
+   * @private
+   */
+  createButton(label, onClick, disabled = false) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    this.panelElement.appendChild(button);
+    return button;
+  }
+
+  /**
+   * Create a labelled checkbox
+   * @param {string} label - Label text
+   * @param {boolean} checked - Whether the box starts checked
+   * @param {Function} onChange - Called with the new checked state
+   * @private
+   */
+  createCheckbox(label, checked, onChange) {
+    const row = document.createElement('label');
+    row.classList.add(this.SETTING_CLASS);
+    row.textContent = label;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+    row.appendChild(checkbox);
+
+    this.panelElement.appendChild(row);
+  }
+
+  /**
+   * Remove the pause overlay
+   */
+  hide() {
+    this.menuElement?.remove();
+    this.menuElement = null;
+    this.panelElement = null;
+  }
+
+  /**
+   * Cleanup UI elements.
+   */
+  cleanup() {
+    this.hide();
+    this.pauseButton?.remove();
+    this.pauseButton = null;
+    debug.log('[UIPauseMenu] Cleaned up.');
+  }
+}
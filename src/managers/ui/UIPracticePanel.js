@@ -0,0 +1,100 @@
+import { debug } from '../../utils/debug';
+
+/**
+ * UIPracticePanel - Hole picker and free ball resets for practice mode.
+ */
+export class UIPracticePanel {
+  constructor(game, parentContainer) {
+    this.game = game;
+    this.parentContainer = parentContainer;
+
+    // UI Elements
+    this.panelElement = null;
+    this.holeSelect = null;
+    this.resetButton = null;
+    this.replayButton = null;
+
+    // Styling constants
+    this.PANEL_CLASS = 'practice-panel';
+    this.TITLE_CLASS = 'practice-panel-title';
+  }
+
+  /**
+   * Initialize and create the panel elements.
+   */
+  init() {
+    this.panelElement = document.createElement('div');
+    this.panelElement.classList.add(this.PANEL_CLASS);
+
+    const title = document.createElement('div');
+    title.classList.add(this.TITLE_CLASS);
+    title.textContent = 'Practice';
+    this.panelElement.appendChild(title);
+
+    // Hole picker: one option per hole of the course
+    this.holeSelect = document.createElement('select');
+    this.holeSelect.setAttribute('aria-label', 'Practice hole');
+    const holeConfigs = this.game.course?.holeConfigs || [];
+    holeConfigs.forEach((config, index) => {
+      const option = document.createElement('option');
+      option.value = String(index + 1);
+      option.textContent = config?.description || `Hole ${index + 1}`;
+      this.holeSelect.appendChild(option);
+    });
+    this.holeSelect.addEventListener('change', () =>
+      this.game.practiceManager.goToHole(Number(this.holeSelect.value))
+    );
+    this.panelElement.appendChild(this.holeSelect);
+
+    this.resetButton = this.createButton('Reset to tee', () =>
+      this.game.practiceManager.resetBallToTee()
+    );
+    this.replayButton = this.createButton('Replay last shot', () =>
+      this.game.practiceManager.replayLastShot()
+    );
+
+    this.parentContainer.appendChild(this.panelElement);
+    this.update();
+    debug.log('[UIPracticePanel] Initialized.');
+    return this;
+  }
+
+  /**
+   * Create a panel button
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The button
+   * @private
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    this.panelElement.appendChild(button);
+    return button;
+  }
+
+  /**
+   * Show the current hole and whether there is a shot to replay.
+   */
+  update() {
+    if (!this.panelElement) {
+      return;
+    }
+    this.holeSelect.value = String(this.game.stateManager.getCurrentHoleNumber());
+    this.replayButton.disabled = !this.game.practiceManager.canReplayLastShot();
+  }
+
+  /**
+   * Cleanup UI elements.
+   */
+  cleanup() {
+    this.panelElement?.remove();
+    this.panelElement = null;
+    this.holeSelect = null;
+    this.resetButton = null;
+    this.replayButton = null;
+    debug.log('[UIPracticePanel] Cleaned up.');
+  }
+}
@@ -0,0 +1,89 @@
+import { debug } from '../../utils/debug';
+
+/**
+ * UIReplayViewer - Instant replay offer on the hole-complete message, and the controls
+ * shown while the replay plays.
+ */
+export class UIReplayViewer {
+  constructor(replayManager, parentContainer) {
+    this.replayManager = replayManager;
+    this.parentContainer = parentContainer;
+
+    // UI Elements
+    this.viewerElement = null;
+
+    // Styling constants
+    this.VIEWER_CLASS = 'replay-viewer';
+    this.TITLE_CLASS = 'replay-viewer-title';
+  }
+
+  /**
+   * Offer to watch the shot that holed the ball
+   */
+  showOffer() {
+    this.render('Instant replay');
+    this.createButton('Watch replay', () => this.replayManager.play());
+    this.createButton('Slow motion', () => this.replayManager.play(true));
+    this.createButton('Skip', () => this.replayManager.skip());
+    debug.log('[UIReplayViewer] Offering the replay.');
+  }
+
+  /**
+   * Show that the replay is playing
+   * @param {boolean} slowMotion - The replay plays in slow motion
+   */
+  showPlaying(slowMotion) {
+    this.render(slowMotion ? 'Replay (slow motion)' : 'Replay');
+    this.createButton('Skip', () => this.replayManager.skip());
+  }
+
+  /**
+   * Replace the viewer with a new one under a title
+   * @param {string} text - Title text
+   * @private
+   */
+  render(text) {
+    this.hide();
+    this.viewerElement = document.createElement('div');
+    this.viewerElement.classList.add(this.VIEWER_CLASS);
+
+    const title = document.createElement('div');
+    title.classList.add(this.TITLE_CLASS);
+    title.textContent = text;
+    this.viewerElement.appendChild(title);
+
+    this.parentContainer.appendChild(this.viewerElement);
+  }
+
+  /**
+   * Create a viewer button
+   * @param {string} label - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} The button
+   * @private
+   */
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    this.viewerElement.appendChild(button);
+    return button;
+  }
+
+  /**
+   * Remove the viewer
+   */
+  hide() {
+    this.viewerElement?.remove();
+    this.viewerElement = null;
+  }
+
+  /**
+   * Cleanup UI elements.
+   */
+  cleanup() {
+    this.hide();
+    debug.log('[UIReplayViewer] Cleaned up.');
+  }
+}
@@ -1,5 +1,7 @@
 import { EventTypes } from '../../events/EventTypes';
 import { debug } from '../../utils/debug';
+import { formatTime, formatTimeDelta } from '../TimeAttackManager';
+import { formatToPar, getScoreName } from '../../game/ScoringSystem';
 
 /**
  * UIScoreOverlay - Handles score, strokes, hole info, and final scorecard UI.
@@ -13,10 +15,14 @@ export class UIScoreOverlay {
     this.scoreElement = null;
     this.strokesElement = null;
     this.holeInfoElement = null;
+    this.timerElement = null; // Time-attack timer, hidden in stroke play
     this.scorecardElement = null; // For final scorecard
+    this.roundScorecardElement = null; // Scorecard of the round so far, shown by toggle()
+    this.personalBests = null; // The round's comparison with the player's bests, if recorded
 
     // Add state to track last displayed value to reduce log spam
     this.lastDisplayedStrokes = null;
+    this.lastDisplayedTime = null;
 
     // Styling constants
     this.INFO_BOX_CLASS = 'info-box';
@@ -27,6 +33,15 @@ export class UIScoreOverlay {
     this.SCORECARD_TITLE_CLASS = 'scorecard-title';
     this.SCORECARD_TABLE_CLASS = 'scorecard-table';
     this.SCORECARD_BUTTON_CLASS = 'scorecard-button';
+    this.NEAR_STROKE_CAP_CLASS = 'near-stroke-cap';
+    this.SCORECARD_SUBTOTAL_CLASS = 'scorecard-subtotal';
+    this.PERSONAL_BEST_CLASS = 'personal-best';
+
+    // Holes in the front nine, subtotalled on longer courses
+    this.FRONT_NINE = 9;
+
+    // Show the stroke cap once a player is this many strokes away from it
+    this.STROKE_CAP_WARNING = 3;
   }
 
   /**
@@ -67,6 +82,12 @@ export class UIScoreOverlay {
     this.scoreElement.classList.add(this.INFO_BOX_CLASS);
     this.scoreContainer.appendChild(this.scoreElement);
 
+    // 4. Create time-attack timer element (shown by the first updateTimer call)
+    this.timerElement = document.createElement('div');
+    this.timerElement.classList.add(this.INFO_BOX_CLASS);
+    this.timerElement.style.display = 'none';
+    this.scoreContainer.appendChild(this.timerElement);
+
     this.updateScore();
     this.updateStrokes();
     this.updateHoleInfo();
@@ -82,7 +103,7 @@ export class UIScoreOverlay {
       return;
     }
     const totalStrokes = this.game.scoringSystem.getTotalStrokes();
-    this.scoreElement.textContent = `Total Strokes: ${totalStrokes}`;
+    this.scoreElement.textContent = `${this.getPlayerPrefix()}Total Strokes: ${totalStrokes}`;
     debug.log(`[UIScoreOverlay.updateScore] Updated to: ${totalStrokes}`);
   }
 
@@ -95,12 +116,47 @@ export class UIScoreOverlay {
     }
 
     const currentStrokes = this.game.scoringSystem.getCurrentStrokes();
+    const strokeCap = this.game.course?.getStrokeCap?.();
+    const nearCap =
+      Number.isFinite(strokeCap) && currentStrokes >= strokeCap - this.STROKE_CAP_WARNING;
+    const capText = nearCap ? ` / ${strokeCap}` : '';
+    const text = `${this.getPlayerPrefix()}Strokes: ${currentStrokes}${capText}`;
+    this.strokesElement.classList.toggle(this.NEAR_STROKE_CAP_CLASS, nearCap);
+
+    // OPTIMIZATION: Only update DOM and log if the text has changed
+    if (text !== this.lastDisplayedStrokes) {
+      this.strokesElement.textContent = text;
+      debug.log(`[UIScoreOverlay.updateStrokes] Updated to: ${text}`);
+      this.lastDisplayedStrokes = text; // Update the last displayed text
+    }
+  }
+
+  /**
+   * Get the name of the player whose turn it is, as a label prefix (multiplayer only)
+   * @returns {string} e.g. "Alex - ", or '' in single-player
+   */
+  getPlayerPrefix() {
+    const turnManager = this.game.turnManager;
+    if (!turnManager?.isMultiplayer()) {
+      return '';
+    }
+    return `${turnManager.getActivePlayer().name} - `;
+  }
 
-    // OPTIMIZATION: Only update DOM and log if the value has changed
-    if (currentStrokes !== this.lastDisplayedStrokes) {
-      this.strokesElement.textContent = `Strokes: ${currentStrokes}`;
-      debug.log(`[UIScoreOverlay.updateStrokes] Updated to: ${currentStrokes}`);
-      this.lastDisplayedStrokes = currentStrokes; // Update the last displayed value
+  /**
+   * Update the time-attack timer.
+   * @param {number} elapsedMs - Round time so far, including stroke penalties
+   */
+  updateTimer(elapsedMs) {
+    if (!this.timerElement) {
+      return;
+    }
+    const text = `Time: ${formatTime(elapsedMs)}`;
+    // Called every frame, so only touch the DOM when the shown tenth changes
+    if (text !== this.lastDisplayedTime) {
+      this.timerElement.textContent = text;
+      this.timerElement.style.display = '';
+      this.lastDisplayedTime = text;
     }
   }
 
@@ -145,44 +201,23 @@ export class UIScoreOverlay {
       this.scorecardElement.classList.add(this.SCORECARD_VISIBLE_CLASS);
       return;
     }
+    this.closeRoundScorecard();
 
     debug.log('[UIScoreOverlay] Creating and showing final scorecard...');
-    this.scorecardElement = document.createElement('div');
+    const { overlay, content } = this.createScorecardOverlay('Course Complete!');
+    this.scorecardElement = overlay;
     this.scorecardElement.id = 'scorecard-overlay';
-    this.scorecardElement.classList.add(this.SCORECARD_CLASS);
-
-    const content = document.createElement('div');
-    content.classList.add(this.SCORECARD_CONTENT_CLASS);
-
-    const title = document.createElement('h2');
-    title.classList.add(this.SCORECARD_TITLE_CLASS);
-    title.textContent = 'Course Complete!';
-    content.appendChild(title);
-
-    // Display final score details
-    const scoreTable = document.createElement('table');
-    scoreTable.classList.add(this.SCORECARD_TABLE_CLASS);
-    const tbody = document.createElement('tbody');
-
-    // Example: Add total score row
-    const totalStrokesValue = this.game.scoringSystem.getTotalStrokes();
-    const scoreRow = document.createElement('tr');
-    scoreRow.innerHTML = `<td>Total Strokes</td><td>${totalStrokesValue}</td>`;
-    tbody.appendChild(scoreRow);
-
-    scoreTable.appendChild(tbody);
-    content.appendChild(scoreTable);
 
     // Add buttons
     const buttonContainer = document.createElement('div');
     buttonContainer.style.marginTop = '20px';
 
-    // For simplicity, let's just have a single "Play Again" button that reloads the page
+    // A single "Play Again" button that starts the round over in place (see Game.restartRound)
     const playAgainButton = document.createElement('button');
     playAgainButton.textContent = 'Play Again';
     playAgainButton.classList.add(this.SCORECARD_BUTTON_CLASS);
     playAgainButton.addEventListener('click', () => {
-      debug.log('[UIScoreOverlay] Play Again clicked. Reloading the page.');
+      debug.log('[UIScoreOverlay] Play Again clicked. Restarting the round.');
       // Add analytics event for debugging
       if (window.gtag) {
         window.gtag('event', 'click_play_again', {
@@ -190,13 +225,12 @@ export class UIScoreOverlay {
           event_label: 'Play Again from Scorecard'
         });
       }
-      // Simplest solution - reload the page to restart
-      window.location.reload();
+      this.game.eventManager.publish(EventTypes.UI_REQUEST_RESTART_GAME, {}, this);
     });
     buttonContainer.appendChild(playAgainButton);
 
     content.appendChild(buttonContainer);
-    this.scorecardElement.appendChild(content);
+    this.appendPersonalBests();
 
     // Append to body instead of parentContainer to ensure it overlays everything
     document.body.appendChild(this.scorecardElement);
@@ -209,6 +243,203 @@ export class UIScoreOverlay {
     debug.log('[UIScoreOverlay] Final scorecard shown.');
   }
 
+  /**
+   * Call out new personal bests on the final scorecard. The round may be recorded before
+   * or after the scorecard is shown, so the result is kept until the scorecard exists.
+   * @param {{totalStrokes: number, previousBest: number|null, isNewBest: boolean,
+   *   newBestHoles: number[]}} result - Comparison from PlayerStats.recordRound
+   */
+  showPersonalBests(result) {
+    this.personalBests = result;
+    this.appendPersonalBests();
+  }
+
+  /**
+   * Add the personal best callout to the final scorecard, once both exist
+   * @private
+   */
+  appendPersonalBests() {
+    const result = this.personalBests;
+    const content = this.scorecardElement?.firstChild;
+    if (!result || !content || (!result.isNewBest && result.newBestHoles.length === 0)) {
+      return;
+    }
+
+    const lines = [];
+    if (result.isNewBest) {
+      lines.push(`New personal best! ${result.totalStrokes} strokes (was ${result.previousBest})`);
+    }
+    if (result.newBestHoles.length > 0) {
+      const holes = result.newBestHoles.length === 1 ? 'hole' : 'holes';
+      lines.push(`New best on ${holes} ${result.newBestHoles.join(', ')}`);
+    }
+
+    const callout = document.createElement('div');
+    callout.classList.add(this.PERSONAL_BEST_CLASS);
+    callout.textContent = lines.join(' · ');
+    // Directly under the title
+    content.insertBefore(callout, content.children[1] || null);
+    this.personalBests = null;
+  }
+
+  /**
+   * Create a scorecard overlay holding the round's score table
+   * @param {string} titleText - The overlay title
+   * @returns {{overlay: HTMLElement, content: HTMLElement}} The overlay and its content box
+   * @private
+   */
+  createScorecardOverlay(titleText) {
+    const overlay = document.createElement('div');
+    overlay.classList.add(this.SCORECARD_CLASS);
+
+    const content = document.createElement('div');
+    content.classList.add(this.SCORECARD_CONTENT_CLASS);
+
+    const title = document.createElement('h2');
+    title.classList.add(this.SCORECARD_TITLE_CLASS);
+    title.textContent = titleText;
+    content.appendChild(title);
+
+    const scoreTable = document.createElement('table');
+    scoreTable.classList.add(this.SCORECARD_TABLE_CLASS);
+    const tbody = document.createElement('tbody');
+
+    if (this.game.turnManager?.isMultiplayer()) {
+      this.appendPlayerScorecards(tbody);
+    } else if (this.game.timeAttackManager?.isEnabled()) {
+      this.appendTimeAttackSplits(tbody);
+    } else {
+      this.appendHoleByHoleScorecard(tbody);
+    }
+
+    scoreTable.appendChild(tbody);
+    content.appendChild(scoreTable);
+    overlay.appendChild(content);
+    return { overlay, content };
+  }
+
+  /**
+   * Add one row per hole of the course (par, strokes, penalties, +/- to par and score
+   * name), a front-nine subtotal on longer courses and the total to the scorecard.
+   * Holes not played yet only show their par.
+   * @param {HTMLElement} tbody - The scorecard table body
+   * @private
+   */
+  appendHoleByHoleScorecard(tbody) {
+    const history = this.game.scoringSystem.getHoleHistory?.() ?? [];
+    const holeConfigs = this.game.course?.holeConfigs || [];
+    const holeCount = Math.max(holeConfigs.length, ...history.map(hole => hole.holeNumber));
+
+    const headerRow = document.createElement('tr');
+    headerRow.innerHTML =
+      '<th>Hole</th><th>Par</th><th>Strokes</th><th>Penalties</th><th>+/-</th><th></th>';
+    tbody.appendChild(headerRow);
+
+    const holes = Array.from({ length: holeCount }, (_, index) => {
+      // A practiced hole can be played more than once; the latest result counts
+      const played = history.filter(hole => hole.holeNumber === index + 1).pop();
+      return { par: played?.par ?? holeConfigs[index]?.par ?? null, played };
+    });
+
+    holes.forEach((hole, index) => {
+      const { par, played } = hole;
+      const row = document.createElement('tr');
+      if (!played) {
+        row.innerHTML = `<td>${index + 1}</td><td>${par ?? '-'}</td><td colspan="4"></td>`;
+      } else {
+        const relation = Number.isFinite(par) ? formatToPar(played.strokes - par) : '-';
+        const name = Number.isFinite(par) ? getScoreName(played.strokes, par) : '';
+        row.innerHTML =
+          `<td>${index + 1}</td><td>${par ?? '-'}</td><td>${played.strokes}</td>` +
+          `<td>${played.penalties || ''}</td><td>${relation}</td><td>${name}</td>`;
+      }
+      tbody.appendChild(row);
+
+      if (index === this.FRONT_NINE - 1 && holeCount > this.FRONT_NINE) {
+        this.appendScorecardSubtotal(tbody, 'Out', holes.slice(0, this.FRONT_NINE));
+      }
+    });
+
+    this.appendScorecardSubtotal(tbody, 'Total', holes);
+  }
+
+  /**
+   * Add a subtotal row: the par of the holes, and strokes and +/- to par of those played
+   * @param {HTMLElement} tbody - The scorecard table body
+   * @param {string} label - Row label
+   * @param {Array<{par: number|null, played: object|undefined}>} holes - Holes to add up
+   * @private
+   */
+  appendScorecardSubtotal(tbody, label, holes) {
+    const played = holes.filter(hole => hole.played);
+    const par = holes.reduce((sum, hole) => sum + (hole.par ?? 0), 0);
+    const strokes = played.reduce((sum, hole) => sum + hole.played.strokes, 0);
+    const penalties = played.reduce((sum, hole) => sum + hole.played.penalties, 0);
+    const playedPar = played.reduce((sum, hole) => sum + (hole.par ?? 0), 0);
+    const relation = played.length > 0 ? formatToPar(strokes - playedPar) : '-';
+
+    const row = document.createElement('tr');
+    row.classList.add(this.SCORECARD_SUBTOTAL_CLASS);
+    row.innerHTML =
+      `<td>${label}</td><td>${par}</td><td>${strokes}</td>` +
+      `<td>${penalties || ''}</td><td>${relation}</td><td></td>`;
+    tbody.appendChild(row);
+  }
+
+  /**
+   * Add one row per player (hole-by-hole strokes and total) to the final scorecard
+   * @param {HTMLElement} tbody - The scorecard table body
+   * @private
+   */
+  appendPlayerScorecards(tbody) {
+    const scorecards = this.game.scoringSystem.getScorecards();
+    const holeCount = Math.max(...scorecards.map(card => card.holeScores.length));
+
+    const headerRow = document.createElement('tr');
+    const holeHeaders = Array.from({ length: holeCount }, (_, i) => `<th>${i + 1}</th>`);
+    headerRow.innerHTML = `<th>Player</th>${holeHeaders.join('')}<th>Total</th>`;
+    tbody.appendChild(headerRow);
+
+    this.game.turnManager.getPlayers().forEach((player, index) => {
+      const card = scorecards[index];
+      const row = document.createElement('tr');
+      const cells = card.holeScores.map(strokes => `<td>${strokes}</td>`).join('');
+      row.innerHTML = `<td></td>${cells}<td>${card.totalStrokes}</td>`;
+      // Names are typed by players, so never parse them as HTML
+      row.firstChild.textContent = player.name;
+      tbody.appendChild(row);
+    });
+  }
+
+  /**
+   * Add the time-attack splits (time, penalty and comparison with the best split per hole)
+   * and the round time to the final scorecard
+   * @param {HTMLElement} tbody - The scorecard table body
+   * @private
+   */
+  appendTimeAttackSplits(tbody) {
+    const results = this.game.timeAttackManager.getResults();
+
+    const headerRow = document.createElement('tr');
+    headerRow.innerHTML = '<th>Hole</th><th>Time</th><th>Strokes</th><th>Split</th><th>Best</th>';
+    tbody.appendChild(headerRow);
+
+    results.splits.forEach(split => {
+      const comparison =
+        split.bestMs === null ? '-' : formatTimeDelta(split.totalMs - split.bestMs);
+      const row = document.createElement('tr');
+      row.innerHTML =
+        `<td>${split.holeNumber}</td><td>${formatTime(split.timeMs)}</td>` +
+        `<td>${split.strokes}</td><td>${formatTime(split.totalMs)}</td><td>${comparison}</td>`;
+      tbody.appendChild(row);
+    });
+
+    const bestText = results.isNewBest ? 'New best!' : `Best ${formatTime(results.bestTotalMs)}`;
+    const totalRow = document.createElement('tr');
+    totalRow.innerHTML = `<td>Total</td><td colspan="3">${formatTime(results.totalMs)}</td><td>${bestText}</td>`;
+    tbody.appendChild(totalRow);
+  }
+
   /**
    * Hide the final scorecard overlay.
    */
@@ -233,6 +464,15 @@ export class UIScoreOverlay {
     }
   }
 
+  /**
+   * Remove the final scorecard straight away, for a round started over in place
+   */
+  removeFinalScorecard() {
+    this.scorecardElement?.remove();
+    this.scorecardElement = null;
+    this.personalBests = null;
+  }
+
   /**
    * Show the overlay
    */
@@ -252,12 +492,41 @@ export class UIScoreOverlay {
   }
 
   /**
-   * Toggle the overlay visibility
+   * Show or hide the scorecard of the round so far. Does nothing once the final
+   * scorecard is up.
    */
   toggle() {
-    if (this.scoreContainer) {
-      const isVisible = this.scoreContainer.style.display !== 'none';
-      this.scoreContainer.style.display = isVisible ? 'none' : 'block';
+    if (this.scorecardElement) {
+      return;
+    }
+    if (this.roundScorecardElement) {
+      this.closeRoundScorecard();
+      return;
+    }
+
+    const { overlay, content } = this.createScorecardOverlay('Scorecard');
+    this.roundScorecardElement = overlay;
+
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.classList.add(this.SCORECARD_BUTTON_CLASS);
+    closeButton.addEventListener('click', () => this.closeRoundScorecard());
+    content.appendChild(closeButton);
+
+    document.body.appendChild(this.roundScorecardElement);
+    this.roundScorecardElement.classList.add(this.SCORECARD_VISIBLE_CLASS);
+    debug.log('[UIScoreOverlay] Round scorecard shown.');
+  }
+
+  /**
+   * Remove the scorecard of the round so far, if it is shown
+   * @private
+   */
+  closeRoundScorecard() {
+    if (this.roundScorecardElement) {
+      this.roundScorecardElement.remove();
+      this.roundScorecardElement = null;
+      debug.log('[UIScoreOverlay] Round scorecard closed.');
     }
   }
 
@@ -269,6 +538,7 @@ export class UIScoreOverlay {
       this.parentContainer.removeChild(this.scoreContainer);
     }
     this.hideFinalScorecard(); // Ensure scorecard is hidden/removed
+    this.closeRoundScorecard();
 
     this.scoreContainer = null;
     this.currentHoleElement = null;
@@ -276,6 +546,7 @@ export class UIScoreOverlay {
     this.scoreElement = null;
     this.strokesElement = null;
     this.holeInfoElement = null;
+    this.timerElement = null;
     this.totalScoreElement = null;
     this.scorecardElement = null;
 
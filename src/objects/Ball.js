@@ -4,6 +4,7 @@ import * as CANNON from 'cannon-es';
 import { calculateImpactAngle, isLipOut } from '../physics/utils';
 import { debug } from '../utils/debug';
 import { EventTypes } from '../events/EventTypes';
+import { BUILT_IN_SURFACES, DEFAULT_SURFACE } from '../physics/SurfaceRegistry';
 
 // --- Configuration Constants ---
 const HOLE_ENTRY_OVERLAP_REQUIRED = 0.55; // e.g., 0.55 means 55% of ball diameter must be over the hole
@@ -41,12 +42,14 @@ export class Ball {
     this.wasStopped = true; // Initialize as stopped
     this.justAppliedHop = false; // Flag to prevent repeated hop impulse
     this.isInBunker = false; // Add flag to track bunker state
+    this.currentSurface = null; // Name of the surface the ball is rolling on (see SurfaceRegistry)
     this.lastBunkerLogTime = 0; // Timer for throttling bunker check logs
     this.lastHitPosition = new THREE.Vector3(); // Store position before hit
+    this.wallHits = 0; // Wall and bumper bounces since the last hit
 
     // Damping values
     this.defaultLinearDamping = 0.85; // Increased from 0.7 for faster stopping
-    this.bunkerLinearDamping = 0.98;
+    this.bunkerLinearDamping = BUILT_IN_SURFACES.sand.rollingDamping;
 
     // Create materials for the ball
     this.defaultMaterial = new THREE.MeshStandardMaterial({
@@ -229,8 +232,12 @@ export class Ball {
 
     this.body.wakeUp(); // Wake up on physical contact
 
+    // Bumpers are told apart by their userData, as a bumper with a bounce surface has that
+    // surface's material; other obstacles still use the bumper material
     const otherMatName = otherBody.material?.name || 'unknown';
-    if (otherMatName === 'bumper' || otherUserData?.type?.startsWith('wall')) {
+    const isBumper = otherUserData?.type === 'bumper' || otherMatName === 'bumper';
+    if (isBumper || otherUserData?.type?.startsWith('wall')) {
+      this.wallHits++;
       if (this.game && this.game.audioManager) {
         const contactInfo = event.contact;
         const impactSpeed = contactInfo.getImpactVelocityAlongNormal();
@@ -338,10 +345,22 @@ export class Ball {
       }
       // --- End Check for Hole Entry ---
 
+      // --- Teleporter Check ---
+      this.checkTeleporters();
+      // --- End Teleporter Check ---
+
+      // --- Boost Pad Check ---
+      this.checkBoostPads();
+      // --- End Boost Pad Check ---
+
       // --- Bunker State Check ---
       this.checkAndUpdateBunkerState();
       // --- End Bunker State Check ---
 
+      // --- Surface Zone Check ---
+      this.checkSurfaceZones();
+      // --- End Surface Zone Check ---
+
       // --- Water Hazard Check ---
       this.checkAndUpdateWaterHazardState();
       // --- End Water Hazard Check ---
@@ -353,6 +372,49 @@ export class Ball {
     }
   }
 
+  /**
+   * Works out which surface the ball is rolling on - sand in a bunker, otherwise the first
+   * of the current hole's surface zones containing the ball, otherwise the plain green -
+   * and applies it when it changes.
+   */
+  checkSurfaceZones() {
+    if (!this.body) {
+      return;
+    }
+
+    let surfaceName = DEFAULT_SURFACE;
+    if (this.isInBunker) {
+      surfaceName = 'sand';
+    } else {
+      const zones = this.game?.course?.currentHole?.surfaceZones || [];
+      const zone = zones.find(surfaceZone => surfaceZone.containsPoint(this.body.position));
+      if (zone) {
+        surfaceName = zone.surface;
+      }
+    }
+
+    if (surfaceName !== this.currentSurface) {
+      this.applySurface(surfaceName);
+    }
+  }
+
+  /**
+   * Give the ball a surface's rolling damping and the ground contact its friction and
+   * restitution
+   * @param {string} surfaceName - Name of a surface in the physics world's SurfaceRegistry
+   */
+  applySurface(surfaceName) {
+    const surface = this.physicsWorld?.surfaceRegistry?.get(surfaceName);
+    if (!surface) {
+      return;
+    }
+
+    console.log(`[Ball] Now rolling on ${surfaceName}.`);
+    this.currentSurface = surfaceName;
+    this.body.linearDamping = surface.rollingDamping ?? this.defaultLinearDamping;
+    this.physicsWorld.setBallGroundSurface(surface);
+  }
+
   /**
    * Checks if the ball is currently inside any bunker trigger zone
    * and updates the isInBunker state and physics properties accordingly.
@@ -539,9 +601,9 @@ export class Ball {
             `[WATER HAZARD] Last hit position: (${this.lastHitPosition.x.toFixed(2)}, ${this.lastHitPosition.y.toFixed(2)}, ${this.lastHitPosition.z.toFixed(2)})`
           );
 
-          // Apply penalty
-          if (this.game.scoringSystem) {
-            this.game.scoringSystem.addStroke();
+          // Apply penalty (practice rounds are free of penalty strokes)
+          if (this.game.scoringSystem && !this.game.practiceManager?.isEnabled()) {
+            this.game.scoringSystem.addPenaltyStrokes(1);
           }
 
           // Reset ball to last hit position
@@ -554,6 +616,69 @@ export class Ball {
     }
   }
 
+  /**
+   * Checks the current hole's teleporters and moves the ball to the exit
+   * if it has rolled into an entry portal.
+   */
+  checkTeleporters() {
+    const teleporters = this.game?.course?.currentHole?.teleporters;
+    if (this.isHoleCompleted || !teleporters || teleporters.length === 0) {
+      return;
+    }
+
+    for (const teleporter of teleporters) {
+      const teleport = teleporter.tryTeleport(this.body);
+      if (teleport) {
+        this.handleTeleport(teleporter, teleport);
+        return; // One teleport per frame
+      }
+    }
+  }
+
+  /**
+   * Checks the current hole's boost pads; a pad boosts the ball once each time it rolls on.
+   * Every pad is checked each frame so it knows when the ball has left it.
+   */
+  checkBoostPads() {
+    const boostPads = this.game?.course?.currentHole?.boostPads;
+    if (this.isHoleCompleted || !boostPads || boostPads.length === 0) {
+      return;
+    }
+
+    boostPads.forEach(pad => pad.tryBoost(this.body));
+  }
+
+  /**
+   * Sync visuals and notify the rest of the game after a teleport
+   * @param {TeleporterElement} teleporter - The teleporter that moved the ball
+   * @param {{entryPosition: THREE.Vector3, exitPosition: THREE.Vector3}} teleport - Where the
+   *   ball was moved from and to
+   */
+  handleTeleport(teleporter, { entryPosition, exitPosition }) {
+    this.mesh.position.copy(this.body.position);
+    if (this.ballLight) {
+      this.ballLight.position.copy(this.mesh.position);
+    }
+
+    if (this.game.visualEffectsManager) {
+      this.game.visualEffectsManager.triggerTeleportEffect(entryPosition, exitPosition);
+    }
+
+    if (this.game.eventManager) {
+      const EventTypes = this.game.eventManager.getEventTypes();
+      this.game.eventManager.publish(
+        EventTypes.BALL_TELEPORTED,
+        {
+          ball: this,
+          teleporterId: teleporter.id,
+          entryPosition,
+          exitPosition
+        },
+        this
+      );
+    }
+  }
+
   // Method to store the last hit position
   storeLastHitPosition() {
     if (this.body) {
@@ -616,6 +741,7 @@ export class Ball {
 
     // Store position just before hitting
     this.storeLastHitPosition();
+    this.wallHits = 0;
 
     // Apply impulse (existing logic)
     const forceMagnitude = power * this.powerMultiplier;
@@ -804,6 +930,8 @@ export class Ball {
       return;
     }
 
+    this.wallHits = 0;
+
     // Scale power for reasonable impulse magnitude
     const impulseMagnitude = power * 65.0; // Doubled from previous value of 32.5
 
@@ -901,7 +1029,8 @@ export class Ball {
         EventTypes.BALL_IN_HOLE,
         {
           ballBody: this.body,
-          holeIndex: this.game.course?.currentHoleIndex ?? -1
+          holeIndex: this.game.course?.currentHoleIndex ?? -1,
+          wallHits: this.wallHits
         },
         this
       );
@@ -2,6 +2,8 @@ import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { CoursesManager } from '../managers/CoursesManager.js';
 import { HoleEntity } from './HoleEntity';
+import { loadCourse } from '../courses/CourseLoader';
+import basicCourseData from '../courses/basic.json';
 
 /**
  * BasicCourse - A mini golf course in space with support for multiple holes
@@ -30,71 +32,8 @@ export class BasicCourse extends CoursesManager {
     this.pendingHoleTransition = false;
     this.isTransitioning = false;
 
-    // Define hole configurations - flat layout
-    this.holeConfigs = [
-      // Hole 1 - Straight shot
-      {
-        index: 0,
-        holePosition: new THREE.Vector3(0, 0, -8),
-        startPosition: new THREE.Vector3(0, 0, 8),
-        courseWidth: 4,
-        courseLength: 20,
-        par: 3,
-        description: 'Straight Shot'
-      },
-      // Hole 2 - Dogleg right with snowman bunker
-      {
-        index: 1,
-        holePosition: new THREE.Vector3(4, 0, 8),
-        startPosition: new THREE.Vector3(0, 0, -8),
-        courseWidth: 6,
-        courseLength: 24,
-        par: 4,
-        description: 'Dogleg Right with Snowman Bunker',
-        hazards: [
-          {
-            type: 'sand',
-            shape: 'compound',
-            depth: 0.25,
-            position: new THREE.Vector3(2, 0, 0), // Centered in the dogleg
-            subShapes: [
-              // Head (smaller circle)
-              { position: { x: 0, z: 1.2 }, radius: 1.0 },
-              // Body (larger circle)
-              { position: { x: 0, z: -0.8 }, radius: 1.5 }
-            ]
-          }
-        ]
-      },
-      // Hole 3 - L-Shape using Boundary Walls - RENAME to Copy of Hole 2 w/ Water
-      {
-        index: 2,
-        // Copy layout details from Hole 2 (Dogleg Right)
-        holePosition: new THREE.Vector3(4, 0, 8), // Same as Hole 2
-        startPosition: new THREE.Vector3(0, 0, -8), // Same as Hole 2
-        courseWidth: 6, // Same as Hole 2
-        courseLength: 24, // Same as Hole 2
-        par: 4, // Same as Hole 2
-        description: 'Dogleg Right with Water Hazard', // Updated description
-        // Remove boundaryWalls if they exist from previous attempts
-        // boundaryWalls: [ ... ],
-        hazards: [
-          {
-            // Change type to 'water', keep shape and position
-            type: 'water',
-            shape: 'compound',
-            // Depth might be less relevant for water visuals/triggers, but keep for consistency?
-            depth: 0.15, // Shallow water depth visual/trigger height
-            position: new THREE.Vector3(2, 0, 0), // Same position as Hole 2 bunker
-            subShapes: [
-              // Same snowman shape
-              { position: { x: 0, z: 1.2 }, radius: 1.0 },
-              { position: { x: 0, z: -0.8 }, radius: 1.5 }
-            ]
-          }
-        ]
-      }
-    ];
+    // Load hole configurations from the bundled course file - flat layout
+    this.holeConfigs = loadCourse(options.courseData || basicCourseData).holeConfigs;
 
     // Set total holes from configs
     this.totalHoles = this.holeConfigs.length;
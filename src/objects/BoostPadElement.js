@@ -0,0 +1,78 @@
+import { SurfaceStripElement } from './SurfaceStripElement';
+
+const IDLE_CHEVRON_SPEED = 1; // Units per second the chevrons scroll at
+const FLASH_DURATION = 0.4; // Seconds the pad glows after boosting the ball
+const IDLE_GLOW = 0.15;
+const FLASH_GLOW = 1.2;
+
+/**
+ * BoostPadElement - A speed-boost pad on the green
+ *
+ * When the ball rolls onto the pad, Ball.checkBoostPads() calls tryBoost(), which adds
+ * `boost` m/s to the ball's velocity along the pad's direction (an impulse of
+ * mass * boost). The pad fires once per crossing: the ball has to leave it before it
+ * can be boosted again.
+ *
+ * Config: { position, size: [width, length], rotation, boost, surfaceHeight, color }
+ *   rotation - radians about Y; 0 boosts towards -Z (the direction of play)
+ */
+export class BoostPadElement extends SurfaceStripElement {
+  constructor(world, config, scene) {
+    super(world, config, scene, {
+      type: 'boostPad',
+      name: 'Boost Pad',
+      size: [1.5, 1.5],
+      color: 0x00e5ff
+    });
+
+    this.boost = config.boost ?? 4;
+    this.chevronSpeed = IDLE_CHEVRON_SPEED;
+    this.ballOnPad = false;
+    this.flashTime = 0;
+  }
+
+  /**
+   * Boost a ball body that has just rolled onto the pad
+   * @param {CANNON.Body} body - The ball's physics body
+   * @returns {THREE.Vector3|null} The velocity added to the ball, or null if it was not
+   *   boosted (off the pad, or still on it from an earlier boost)
+   */
+  tryBoost(body) {
+    if (!body || !this.containsPoint(body.position)) {
+      this.ballOnPad = false;
+      return null;
+    }
+    if (this.ballOnPad) {
+      return null;
+    }
+    this.ballOnPad = true;
+
+    const added = this.direction.clone().multiplyScalar(this.boost);
+    body.velocity.x += added.x;
+    body.velocity.z += added.z;
+    if (typeof body.wakeUp === 'function') {
+      body.wakeUp();
+    }
+    this.flashTime = FLASH_DURATION;
+
+    console.log(
+      `[BoostPadElement] Boosted ball by ${this.boost} m/s towards (${added.x.toFixed(2)}, ${added.z.toFixed(2)})`
+    );
+    return added;
+  }
+
+  /**
+   * Scroll the chevrons and fade the boost flash
+   * @param {number} dt - Delta time in seconds
+   * @override
+   */
+  update(dt) {
+    super.update(dt);
+    if (!Number.isFinite(dt) || dt <= 0 || !this.surface) {
+      return;
+    }
+    this.flashTime = Math.max(0, this.flashTime - dt);
+    const flash = this.flashTime / FLASH_DURATION;
+    this.surface.material.emissiveIntensity = IDLE_GLOW + (FLASH_GLOW - IDLE_GLOW) * flash;
+  }
+}
@@ -0,0 +1,68 @@
+import { SurfaceStripElement } from './SurfaceStripElement';
+
+const BELT_GRIP = 4; // Per second; how quickly the belt brings the ball up to its speed
+
+/**
+ * ConveyorElement - A conveyor strip that carries the ball along its direction
+ *
+ * The belt moves at `speed` m/s along the strip's direction. While the ball is on the
+ * strip it is pulled towards that speed along the belt; its speed across the belt is left
+ * alone, so a ball hit across a conveyor drifts downstream rather than stopping dead.
+ * The conveyor registers itself with PhysicsWorld.addForceField(), so the drift is applied
+ * every fixed physics sub-step and does not depend on the frame rate.
+ *
+ * Config: { position, size: [width, length], rotation, speed, surfaceHeight, color }
+ *   rotation - radians about Y; 0 carries the ball towards -Z (the direction of play)
+ */
+export class ConveyorElement extends SurfaceStripElement {
+  constructor(world, config, scene) {
+    super(world, config, scene, {
+      type: 'conveyor',
+      name: 'Conveyor',
+      size: [2, 6],
+      color: 0xffb020
+    });
+
+    this.speed = config.speed ?? 1.5;
+    this.chevronSpeed = this.speed; // Chevrons move with the belt
+  }
+
+  /**
+   * Create the strip visuals and start carrying the ball
+   * @override
+   */
+  create() {
+    super.create();
+    if (typeof this.world?.addForceField === 'function') {
+      this.world.addForceField(this);
+    }
+    return true;
+  }
+
+  /**
+   * Add the belt's drive force to a body. Called by PhysicsWorld before every fixed sub-step.
+   * @param {CANNON.Body} body - Dynamic body to carry
+   * @returns {boolean} True if the body is on the belt and was pushed
+   */
+  applyForce(body) {
+    if (!this.containsPoint(body.position)) {
+      return false;
+    }
+    const alongBelt = body.velocity.x * this.direction.x + body.velocity.z * this.direction.z;
+    const drive = body.mass * BELT_GRIP * (this.speed - alongBelt);
+    body.force.x += this.direction.x * drive;
+    body.force.z += this.direction.z * drive;
+    return true;
+  }
+
+  /**
+   * Stop carrying the ball and clean up the strip visuals
+   * @override
+   */
+  destroy() {
+    if (typeof this.world?.removeForceField === 'function') {
+      this.world.removeForceField(this);
+    }
+    super.destroy();
+  }
+}
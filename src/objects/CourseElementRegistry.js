@@ -3,6 +3,14 @@ import { HoleEntity } from './HoleEntity';
 import { BaseElement } from './BaseElement';
 import { BunkerElement } from './BunkerElement';
 import { WallElement } from './WallElement';
+import { RotatingArmElement } from './RotatingArmElement';
+import { SliderElement } from './SliderElement';
+import { WindmillElement } from './WindmillElement';
+import { TeleporterElement } from './TeleporterElement';
+import { GravityWellElement } from './GravityWellElement';
+import { BoostPadElement } from './BoostPadElement';
+import { ConveyorElement } from './ConveyorElement';
+import { SurfaceZoneElement } from './SurfaceZoneElement';
 
 /**
  * CourseElementRegistry - Registry for all course elements
@@ -22,6 +30,14 @@ export class CourseElementRegistry {
     this.register('hole', HoleEntity);
     this.register('bunker', BunkerElement);
     this.register('wall', WallElement);
+    this.register('rotatingArm', RotatingArmElement);
+    this.register('slider', SliderElement);
+    this.register('windmill', WindmillElement);
+    this.register('teleporter', TeleporterElement);
+    this.register('gravityWell', GravityWellElement);
+    this.register('boostPad', BoostPadElement);
+    this.register('conveyor', ConveyorElement);
+    this.register('surfaceZone', SurfaceZoneElement);
 
     console.log(
       '[CourseElementRegistry] Registered built-in element types:',
@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { BaseElement } from './BaseElement';
+
+export const GRAVITY_WELL_FALLOFFS = ['linear', 'quadratic', 'none'];
+
+const CORE_RADIUS = 0.3; // Inside this the pull eases off so the ball settles instead of jittering
+const RIPPLE_COUNT = 3;
+const RIPPLE_SPEED = 0.5; // Ripple cycles per second
+const RIPPLE_OPACITY = 0.6;
+
+/**
+ * GravityWellElement - A radial force field on the green
+ *
+ * While the ball's centre is within `radius` of the well, the physics world pushes it
+ * horizontally towards the centre (positive strength) or away from it (negative strength)
+ * before every fixed sub-step. The well registers itself with PhysicsWorld.addForceField(),
+ * so the pull does not depend on the frame rate.
+ *
+ * Config: { position, strength, radius, falloff, surfaceHeight, color }
+ *   strength - acceleration in m/s^2 at full effect (mass independent); negative repels
+ *   falloff  - how the pull fades towards the edge: 'linear' (default), 'quadratic'
+ *              or 'none' (constant across the field)
+ * There is no physics body; the field is drawn as rippling rings flowing in (attract)
+ * or out (repel).
+ */
+export class GravityWellElement extends BaseElement {
+  constructor(world, config, scene) {
+    super(
+      world,
+      {
+        ...config,
+        type: 'gravityWell',
+        name: config.name || 'Gravity Well'
+      },
+      scene
+    );
+
+    this.strength = config.strength ?? 4;
+    this.radius = config.radius || 3;
+    this.falloff = GRAVITY_WELL_FALLOFFS.includes(config.falloff) ? config.falloff : 'linear';
+    this.surfaceHeight = config.surfaceHeight ?? 0.2;
+    this.color = config.color || (this.strength >= 0 ? 0x7b5cff : 0xff8a3d);
+
+    this.ripples = [];
+    this.elapsedTime = 0;
+  }
+
+  /**
+   * Create the field visuals and start applying the force
+   * @override
+   */
+  create() {
+    console.log(
+      `[GravityWellElement] Creating ${this.name} (strength ${this.strength}, radius ${this.radius})`
+    );
+
+    // Flat field visuals sit just above the green, whatever height the well was given
+    this.group.position.y = this.surfaceHeight;
+
+    const field = new THREE.Mesh(
+      new THREE.CircleGeometry(this.radius, 64),
+      new THREE.MeshBasicMaterial({
+        color: this.color,
+        transparent: true,
+        opacity: 0.12,
+        depthWrite: false
+      })
+    );
+    field.rotation.x = -Math.PI / 2;
+    field.position.y = 0.01; // Just above the green to avoid z-fighting
+
+    const edge = new THREE.Mesh(
+      new THREE.RingGeometry(this.radius - 0.05, this.radius, 64),
+      new THREE.MeshBasicMaterial({ color: this.color, transparent: true, opacity: 0.5 })
+    );
+    edge.rotation.x = -Math.PI / 2;
+    edge.position.y = 0.015;
+
+    const core = new THREE.Mesh(
+      new THREE.CircleGeometry(CORE_RADIUS, 32),
+      new THREE.MeshBasicMaterial({ color: this.color })
+    );
+    core.rotation.x = -Math.PI / 2;
+    core.position.y = 0.02;
+
+    this.group.add(field, edge, core);
+    this.meshes.push(field, edge, core);
+
+    for (let i = 0; i < RIPPLE_COUNT; i++) {
+      const ripple = new THREE.Mesh(
+        new THREE.RingGeometry(0.94, 1, 64),
+        new THREE.MeshBasicMaterial({
+          color: this.color,
+          transparent: true,
+          opacity: 0,
+          depthWrite: false
+        })
+      );
+      ripple.rotation.x = -Math.PI / 2;
+      ripple.position.y = 0.012;
+      this.group.add(ripple);
+      this.meshes.push(ripple);
+      this.ripples.push(ripple);
+    }
+    this.updateRipples();
+
+    if (typeof this.world?.addForceField === 'function') {
+      this.world.addForceField(this);
+    }
+    return true;
+  }
+
+  /**
+   * Get how strongly the well pulls at a distance from its centre
+   * @param {number} distance - Horizontal distance from the centre
+   * @returns {number} Fraction (0-1) of the full strength
+   */
+  getFalloffAt(distance) {
+    if (distance >= this.radius) {
+      return 0;
+    }
+    const remaining = 1 - distance / this.radius;
+    let factor = 1;
+    if (this.falloff === 'linear') {
+      factor = remaining;
+    } else if (this.falloff === 'quadratic') {
+      factor = remaining * remaining;
+    }
+    // Ease off near the centre so an attracted ball comes to rest rather than overshooting
+    return factor * Math.min(1, distance / CORE_RADIUS);
+  }
+
+  /**
+   * Add the well's force to a body. Called by PhysicsWorld before every fixed sub-step.
+   * @param {CANNON.Body} body - Dynamic body to push
+   * @returns {boolean} True if the body is inside the field and was pushed
+   */
+  applyForce(body) {
+    const dx = this.position.x - body.position.x;
+    const dz = this.position.z - body.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    const falloff = this.getFalloffAt(distance);
+    if (falloff === 0) {
+      return false;
+    }
+
+    // Horizontal only, so the well never lifts the ball off the green
+    const scale = (this.strength * body.mass * falloff) / distance;
+    body.force.x += dx * scale;
+    body.force.z += dz * scale;
+    return true;
+  }
+
+  /**
+   * Animate the field ripples
+   * @param {number} dt - Delta time in seconds
+   * @override
+   */
+  update(dt) {
+    if (!Number.isFinite(dt) || dt <= 0) {
+      return;
+    }
+    this.elapsedTime += dt;
+    this.updateRipples();
+  }
+
+  /**
+   * Place each ripple ring for the current time: rings flow towards the centre for an
+   * attracting well and away from it for a repelling one, fading in and out as they go
+   */
+  updateRipples() {
+    this.ripples.forEach((ripple, index) => {
+      const phase = (this.elapsedTime * RIPPLE_SPEED + index / RIPPLE_COUNT) % 1;
+      const travel = this.strength >= 0 ? 1 - phase : phase;
+      const scale = Math.max(travel * this.radius, 0.001);
+      ripple.scale.set(scale, scale, 1);
+      ripple.material.opacity = RIPPLE_OPACITY * Math.sin(Math.PI * phase);
+    });
+  }
+
+  /**
+   * Stop applying the force and clean up the field visuals
+   * @override
+   */
+  destroy() {
+    if (typeof this.world?.removeForceField === 'function') {
+      this.world.removeForceField(this);
+    }
+    this.ripples = [];
+    super.destroy();
+  }
+}
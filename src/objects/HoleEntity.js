@@ -3,6 +3,8 @@ import * as CANNON from 'cannon-es';
 import { CSG } from 'three-csg-ts';
 import { BaseElement } from './BaseElement';
 import { createHazard } from './hazards/HazardFactory';
+import { createTerrain } from './terrain/TerrainFactory';
+import { CourseElementRegistry } from './CourseElementRegistry';
 
 // Helper function to get bounding box of the shape
 function getShapeBounds(shapePoints) {
@@ -81,6 +83,12 @@ export class HoleEntity extends BaseElement {
     this.holeRadius = 0.35; // Physics radius
     this.surfaceHeight = 0.2; // Local Y height of the green surface relative to group (0,0,0)
     this.visualGreenY = this.surfaceHeight;
+    this.surfaceZones = []; // Surface zone elements (checked by Ball every frame)
+    this.obstacles = []; // Moving obstacle elements (updated every frame)
+    this.teleporters = []; // Teleporter elements (checked by Ball every frame)
+    this.gravityWells = []; // Gravity well elements (applied by PhysicsWorld every sub-step)
+    this.boostPads = []; // Boost pad elements (checked by Ball every frame)
+    this.conveyors = []; // Conveyor elements (applied by PhysicsWorld every sub-step)
 
     // Store WORLD coordinates from config, ensuring they are Vector3
     this.worldStartPosition =
@@ -115,13 +123,20 @@ export class HoleEntity extends BaseElement {
     try {
       // Create elements using WORLD coordinates from config
       this.createGreenSurfaceAndPhysics();
+      this.createTerrain();
       this.createWalls();
       this.createHoleRim();
       this.createHoleVisual();
       this.createHoleTrigger();
       this.createStartPosition();
       this.createHazards();
+      this.createSurfaceZones();
       this.createBumpers();
+      this.createObstacles();
+      this.createTeleporters();
+      this.createGravityWells();
+      this.createBoostPads();
+      this.createConveyors();
       console.log(`[HoleEntity] Initialization complete for hole index ${this.config.index}.`);
       return Promise.resolve();
     } catch (error) {
@@ -290,6 +305,37 @@ export class HoleEntity extends BaseElement {
     physicsPlaneGeom.dispose();
   }
 
+  createTerrain() {
+    // Ramps, plateaus and hills sit on top of the flat green; TerrainFactory builds the
+    // visuals and matching static bodies using WORLD coordinates from the config.
+    const terrainConfigs = this.config.terrain || [];
+    if (terrainConfigs.length === 0) {
+      return;
+    }
+
+    terrainConfigs.forEach((terrainConfig, index) => {
+      try {
+        // Ensure position is a WORLD Vector3 (plain {x, y, z} objects are accepted too)
+        const { x = 0, y = 0, z = 0 } = terrainConfig.position || {};
+        const worldTerrainPos = new THREE.Vector3(x, y, z);
+
+        const { meshes, bodies } = createTerrain(
+          this.world,
+          this.group,
+          { ...terrainConfig, position: worldTerrainPos },
+          this.visualGreenY
+        );
+        bodies.forEach(body => {
+          body.userData = { ...body.userData, holeIndex: this.config.index };
+        });
+        this.meshes.push(...meshes);
+        this.bodies.push(...bodies);
+      } catch (error) {
+        console.error(`[HoleEntity] Failed to create terrain ${index}:`, error, terrainConfig);
+      }
+    });
+  }
+
   createHoleRim() {
     // Use WORLD hole position
     const visualHoleRadius = 0.4;
@@ -517,9 +563,14 @@ export class HoleEntity extends BaseElement {
                 bumperConfig.rotation?.z || 0
               );
 
+        // Optional named surface (see SurfaceRegistry) the ball bounces off with
+        const surface = bumperConfig.material
+          ? this.world.surfaceRegistry?.get(bumperConfig.material)
+          : null;
+
         // Create visual mesh
         const bumperMaterial = new THREE.MeshStandardMaterial({
-          color: bumperConfig.color || 0xff8c00,
+          color: bumperConfig.color || surface?.color || 0xff8c00,
           roughness: 0.7,
           metalness: 0.3
         });
@@ -541,7 +592,9 @@ export class HoleEntity extends BaseElement {
         const bumperBody = new CANNON.Body({
           type: CANNON.Body.STATIC,
           mass: 0,
-          material: this.world.bumperMaterial
+          material: surface
+            ? this.world.surfaceRegistry.getMaterial(bumperConfig.material)
+            : this.world.bumperMaterial
         });
         const halfExtents = new CANNON.Vec3(
           bumperConfig.size.x / 2,
@@ -572,6 +625,120 @@ export class HoleEntity extends BaseElement {
     });
   }
 
+  createSurfaceZones() {
+    // Painted areas of the green; Ball.checkSurfaceZones() picks up the surface under the ball
+    const zoneConfigs = (this.config.surfaceZones || []).map(zoneConfig => ({
+      ...zoneConfig,
+      type: 'surfaceZone',
+      surfaceHeight: this.visualGreenY
+    }));
+    this.surfaceZones = this.createCourseElements(zoneConfigs, 'surface zone');
+  }
+
+  createObstacles() {
+    // Moving obstacles are course elements (see CourseElementRegistry); they own their
+    // meshes/bodies and are animated from update()
+    this.obstacles = this.createCourseElements(this.config.obstacles, 'obstacle');
+  }
+
+  createTeleporters() {
+    // Portal pairs; Ball.checkTeleporters() asks them to move the ball after each physics step
+    const teleporterConfigs = (this.config.teleporters || []).map(teleporterConfig => ({
+      ...teleporterConfig,
+      type: 'teleporter',
+      surfaceHeight: this.visualGreenY
+    }));
+    this.teleporters = this.createCourseElements(teleporterConfigs, 'teleporter');
+  }
+
+  createGravityWells() {
+    // Radial force fields; each registers itself with PhysicsWorld to push the ball
+    const wellConfigs = (this.config.gravityWells || []).map(wellConfig => ({
+      ...wellConfig,
+      type: 'gravityWell',
+      surfaceHeight: this.visualGreenY
+    }));
+    this.gravityWells = this.createCourseElements(wellConfigs, 'gravity well');
+  }
+
+  createBoostPads() {
+    // Speed pads; Ball.checkBoostPads() asks them to boost the ball after each physics step
+    const padConfigs = (this.config.boostPads || []).map(padConfig => ({
+      ...padConfig,
+      type: 'boostPad',
+      surfaceHeight: this.visualGreenY
+    }));
+    this.boostPads = this.createCourseElements(padConfigs, 'boost pad');
+  }
+
+  createConveyors() {
+    // Conveyor strips; each registers itself with PhysicsWorld to carry the ball
+    const conveyorConfigs = (this.config.conveyors || []).map(conveyorConfig => ({
+      ...conveyorConfig,
+      type: 'conveyor',
+      surfaceHeight: this.visualGreenY
+    }));
+    this.conveyors = this.createCourseElements(conveyorConfigs, 'conveyor');
+  }
+
+  /**
+   * Get every course element this hole created through the registry
+   * @returns {Array<BaseElement>} Surface zones, obstacles, teleporters, gravity wells,
+   *   boost pads and conveyors
+   */
+  getCourseElements() {
+    return [
+      ...this.surfaceZones,
+      ...this.obstacles,
+      ...this.teleporters,
+      ...this.gravityWells,
+      ...this.boostPads,
+      ...this.conveyors
+    ];
+  }
+
+  /**
+   * Create course elements through the CourseElementRegistry, inside this hole's group
+   * @param {Array<object>} configs - Element configs (each with a registered `type`)
+   * @param {string} label - Element kind used in error messages
+   * @returns {Array<BaseElement>} The elements that were created
+   */
+  createCourseElements(configs, label) {
+    const elements = [];
+    if (!configs || configs.length === 0) {
+      return elements;
+    }
+
+    const registry = new CourseElementRegistry();
+    configs.forEach((elementConfig, index) => {
+      try {
+        const { x = 0, y = 0, z = 0 } = elementConfig.position || {};
+        const element = registry.createAndInitializeElement(
+          elementConfig.type,
+          { ...elementConfig, position: new THREE.Vector3(x, y, z) },
+          this.world,
+          this.group
+        );
+        element.bodies.forEach(body => {
+          body.userData = { ...body.userData, holeIndex: this.config.index };
+        });
+        elements.push(element);
+      } catch (error) {
+        console.error(`[HoleEntity] Failed to create ${label} ${index}:`, error, elementConfig);
+      }
+    });
+    return elements;
+  }
+
+  /**
+   * Advance moving obstacles and the animations of the other course elements
+   * @param {number} dt - Delta time in seconds
+   * @override
+   */
+  update(dt) {
+    this.getCourseElements().forEach(element => element.update(dt));
+  }
+
   /**
    * Destroy the HoleEntity's internal components (meshes, bodies)
    * but leaves the main container group (this.group or this.parentGroup) intact.
@@ -579,6 +746,16 @@ export class HoleEntity extends BaseElement {
   destroy() {
     console.log(`[HoleEntity] Destroying components for Hole ${this.config.index + 1}`);
 
+    // Course elements clean up their own meshes, bodies and groups (force fields such as
+    // gravity wells and conveyors also unregister themselves from the physics world)
+    this.getCourseElements().forEach(element => element.destroy());
+    this.surfaceZones = [];
+    this.obstacles = [];
+    this.teleporters = [];
+    this.gravityWells = [];
+    this.boostPads = [];
+    this.conveyors = [];
+
     // Remove physics bodies
     for (let i = this.bodies.length - 1; i >= 0; i--) {
       const body = this.bodies[i];
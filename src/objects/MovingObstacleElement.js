@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { BaseElement } from './BaseElement';
+
+/**
+ * MovingObstacleElement - Base class for timing-based obstacles (rotating arms, sliders,
+ * windmills).
+ *
+ * The moving part is a KINEMATIC body whose pose is a pure function of the time since the
+ * hole started (plus the configured phase), so obstacles always line up the same way for a
+ * given hole time. Each update sets the body's pose and matching velocities before the
+ * physics step, which lets collisions push the ball realistically.
+ *
+ * Subclasses implement createMovingParts() and getMotionAt(), and may add static parts
+ * (posts, towers) in createStaticParts().
+ */
+export class MovingObstacleElement extends BaseElement {
+  constructor(world, config, scene) {
+    const obstacleConfig = {
+      ...config,
+      name: config.name || 'Moving Obstacle',
+      position: config.position || new THREE.Vector3(0, 0, 0)
+    };
+
+    super(world, obstacleConfig, scene);
+
+    this.phase = config.phase || 0; // Fraction of a motion cycle (0-1) to start at
+    this.yaw = config.rotation || 0; // Orientation around Y in radians
+    this.color = config.color || 0xff8c00;
+    this.elapsedTime = 0; // Seconds since the hole started
+
+    // Local axis the moving part spins around (before yaw is applied)
+    this.spinAxis = new THREE.Vector3(0, 1, 0);
+
+    this.movingGroup = null; // Visuals that follow the kinematic body
+    this.movingBody = null; // The kinematic physics body
+
+    this.yawQuaternion = new THREE.Quaternion().setFromAxisAngle(
+      new THREE.Vector3(0, 1, 0),
+      this.yaw
+    );
+    this.spinQuaternion = new THREE.Quaternion();
+    this.poseQuaternion = new THREE.Quaternion();
+  }
+
+  /**
+   * Create the obstacle
+   * @override
+   */
+  create() {
+    console.log(`[MovingObstacleElement] Creating ${this.elementType} ${this.name}`);
+
+    this.material = new THREE.MeshStandardMaterial({
+      color: this.color,
+      roughness: 0.6,
+      metalness: 0.4
+    });
+
+    this.movingGroup = new THREE.Group();
+    this.group.add(this.movingGroup);
+
+    this.movingBody = new CANNON.Body({
+      mass: 0,
+      type: CANNON.Body.KINEMATIC,
+      material: this.world.bumperMaterial
+    });
+    this.movingBody.userData = { type: 'movingObstacle', obstacleType: this.elementType };
+
+    this.createMovingParts();
+    this.createStaticParts();
+
+    this.world.addBody(this.movingBody);
+    this.bodies.push(this.movingBody);
+
+    this.applyMotion(0);
+    return true;
+  }
+
+  /**
+   * Add the meshes (to this.movingGroup) and shapes (to this.movingBody) of the moving part.
+   * Both are expressed relative to the element position.
+   */
+  createMovingParts() {
+    throw new Error(`[MovingObstacleElement] ${this.elementType} must implement createMovingParts`);
+  }
+
+  /**
+   * Add any static parts (posts, towers). Optional.
+   */
+  createStaticParts() {}
+
+  /**
+   * Get the motion of the moving part at a given time
+   * @param {number} _time - Seconds since the hole started
+   * @returns {{offset: object, velocity: object, angle: number, angularSpeed: number}}
+   *   offset/velocity are world-space {x, y, z}; angle/angularSpeed are around spinAxis
+   */
+  getMotionAt(_time) {
+    return {
+      offset: { x: 0, y: 0, z: 0 },
+      velocity: { x: 0, y: 0, z: 0 },
+      angle: 0,
+      angularSpeed: 0
+    };
+  }
+
+  /**
+   * Advance the obstacle
+   * @param {number} dt - Delta time in seconds
+   * @override
+   */
+  update(dt) {
+    if (!this.movingBody || !Number.isFinite(dt) || dt <= 0) {
+      return;
+    }
+    this.elapsedTime += dt;
+    this.applyMotion(this.elapsedTime);
+  }
+
+  /**
+   * Restart the motion from the beginning (e.g. when the hole is replayed)
+   */
+  reset() {
+    this.elapsedTime = 0;
+    this.applyMotion(0);
+  }
+
+  /**
+   * Pose the kinematic body and visuals for a given time
+   * @param {number} time - Seconds since the hole started
+   */
+  applyMotion(time) {
+    const { offset, velocity, angle, angularSpeed } = this.getMotionAt(time);
+
+    this.spinQuaternion.setFromAxisAngle(this.spinAxis, angle);
+    this.poseQuaternion.copy(this.yawQuaternion).multiply(this.spinQuaternion);
+
+    // World-space spin axis: the local axis rotated by the yaw
+    const cos = Math.cos(this.yaw);
+    const sin = Math.sin(this.yaw);
+    const axisX = this.spinAxis.x * cos + this.spinAxis.z * sin;
+    const axisZ = -this.spinAxis.x * sin + this.spinAxis.z * cos;
+
+    const body = this.movingBody;
+    body.position.set(
+      this.position.x + offset.x,
+      this.position.y + offset.y,
+      this.position.z + offset.z
+    );
+    body.quaternion.set(
+      this.poseQuaternion.x,
+      this.poseQuaternion.y,
+      this.poseQuaternion.z,
+      this.poseQuaternion.w
+    );
+    body.velocity.set(velocity.x, velocity.y, velocity.z);
+    body.angularVelocity.set(
+      axisX * angularSpeed,
+      this.spinAxis.y * angularSpeed,
+      axisZ * angularSpeed
+    );
+
+    this.movingGroup.position.set(offset.x, offset.y, offset.z);
+    this.movingGroup.quaternion.copy(this.poseQuaternion);
+  }
+
+  /**
+   * Create a box mesh with the obstacle material
+   * @param {number} width - Size along local X
+   * @param {number} height - Size along local Y
+   * @param {number} depth - Size along local Z
+   * @returns {THREE.Mesh} The mesh (not yet added to a parent)
+   */
+  createBoxMesh(width, height, depth) {
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), this.material);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    this.meshes.push(mesh);
+    return mesh;
+  }
+
+  /**
+   * Add a static box (e.g. a post) positioned relative to the element, rotated by its yaw
+   * @param {number} localX - Offset along the element's local X
+   * @param {number} localY - Offset along Y
+   * @param {number} localZ - Offset along the element's local Z
+   * @param {Array<number>} size - [width, height, depth]
+   */
+  addStaticBox(localX, localY, localZ, [width, height, depth]) {
+    const cos = Math.cos(this.yaw);
+    const sin = Math.sin(this.yaw);
+    const offsetX = localX * cos + localZ * sin;
+    const offsetZ = -localX * sin + localZ * cos;
+
+    const mesh = this.createBoxMesh(width, height, depth);
+    mesh.position.set(offsetX, localY, offsetZ);
+    mesh.rotation.y = this.yaw;
+    this.group.add(mesh);
+
+    const body = new CANNON.Body({
+      mass: 0,
+      type: CANNON.Body.STATIC,
+      material: this.world.bumperMaterial
+    });
+    body.addShape(new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2)));
+    body.position.set(
+      this.position.x + offsetX,
+      this.position.y + localY,
+      this.position.z + offsetZ
+    );
+    body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), this.yaw);
+    body.userData = { type: 'bumper', obstacleType: this.elementType };
+    this.world.addBody(body);
+    this.bodies.push(body);
+  }
+}
@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { MovingObstacleElement } from './MovingObstacleElement';
+
+/**
+ * RotatingArmElement - A bar spinning around a vertical axis through its centre
+ *
+ * Config: { position, size: [length, height, thickness], rotationSpeed (rad/s),
+ *           phase (0-1), rotation (radians about Y) }
+ */
+export class RotatingArmElement extends MovingObstacleElement {
+  constructor(world, config, scene) {
+    super(world, { ...config, type: 'rotatingArm', name: config.name || 'Rotating Arm' }, scene);
+
+    this.length = config.size?.x || 3;
+    this.height = config.size?.y || 0.4;
+    this.thickness = config.size?.z || 0.3;
+    this.rotationSpeed = config.rotationSpeed ?? Math.PI / 3;
+  }
+
+  /**
+   * @override
+   */
+  createMovingParts() {
+    const arm = this.createBoxMesh(this.length, this.height, this.thickness);
+    this.movingGroup.add(arm);
+
+    // Decorative hub cap on top of the pivot
+    const hubRadius = Math.max(this.thickness, 0.2);
+    const hub = new THREE.Mesh(
+      new THREE.CylinderGeometry(hubRadius, hubRadius, this.height + 0.1, 16),
+      this.material
+    );
+    this.movingGroup.add(hub);
+    this.meshes.push(hub);
+
+    this.movingBody.addShape(
+      new CANNON.Box(new CANNON.Vec3(this.length / 2, this.height / 2, this.thickness / 2))
+    );
+  }
+
+  /**
+   * @override
+   */
+  getMotionAt(time) {
+    return {
+      offset: { x: 0, y: 0, z: 0 },
+      velocity: { x: 0, y: 0, z: 0 },
+      angle: this.phase * Math.PI * 2 + this.rotationSpeed * time,
+      angularSpeed: this.rotationSpeed
+    };
+  }
+}
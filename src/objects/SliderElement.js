@@ -0,0 +1,59 @@
+import * as CANNON from 'cannon-es';
+import { MovingObstacleElement } from './MovingObstacleElement';
+
+/**
+ * SliderElement - A block moving back and forth (ping-pong) at constant speed
+ *
+ * Starts at `position`, reaches `position + travel` half way through each period and
+ * returns. Config: { position, size: [width, height, depth], travel: [x, y, z],
+ *                    period (seconds), phase (0-1), rotation (radians about Y) }
+ */
+export class SliderElement extends MovingObstacleElement {
+  constructor(world, config, scene) {
+    super(world, { ...config, type: 'slider', name: config.name || 'Slider' }, scene);
+
+    this.size = {
+      x: config.size?.x || 1.5,
+      y: config.size?.y || 0.5,
+      z: config.size?.z || 0.5
+    };
+    this.travel = config.travel
+      ? { x: config.travel.x, y: config.travel.y, z: config.travel.z }
+      : { x: 2, y: 0, z: 0 };
+    this.period = config.period > 0 ? config.period : 4;
+  }
+
+  /**
+   * @override
+   */
+  createMovingParts() {
+    const block = this.createBoxMesh(this.size.x, this.size.y, this.size.z);
+    this.movingGroup.add(block);
+
+    this.movingBody.addShape(
+      new CANNON.Box(new CANNON.Vec3(this.size.x / 2, this.size.y / 2, this.size.z / 2))
+    );
+  }
+
+  /**
+   * @override
+   */
+  getMotionAt(time) {
+    // Position within the cycle (0-1): out during the first half, back during the second
+    const cycle = (((time / this.period + this.phase) % 1) + 1) % 1;
+    const goingOut = cycle < 0.5;
+    const progress = goingOut ? cycle * 2 : (1 - cycle) * 2;
+    const speed = (goingOut ? 2 : -2) / this.period;
+
+    return {
+      offset: {
+        x: this.travel.x * progress,
+        y: this.travel.y * progress,
+        z: this.travel.z * progress
+      },
+      velocity: { x: this.travel.x * speed, y: this.travel.y * speed, z: this.travel.z * speed },
+      angle: 0,
+      angularSpeed: 0
+    };
+  }
+}
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { BaseElement } from './BaseElement';
+
+const CHEVRON_SPACING = 0.75; // Target distance between chevrons along the strip
+const ON_SURFACE_HEIGHT = 0.5; // How far above the strip a ball centre still counts as on it
+
+/**
+ * SurfaceStripElement - Base class for flat rectangular strips on the green that act on the
+ * ball while it rolls over them (boost pads, conveyors)
+ *
+ * The strip is `size[0]` wide and `size[1]` long, and points along its local -Z axis turned
+ * by `rotation` (radians about Y), so a rotation of 0 points down the hole and PI / 2 points
+ * to -X. Chevrons drawn on the strip scroll in that direction at `chevronSpeed`.
+ *
+ * Config: { position, size: [width, length], rotation, surfaceHeight, color }
+ * There is no physics body; subclasses decide what happens to a ball on the strip.
+ */
+export class SurfaceStripElement extends BaseElement {
+  constructor(world, config, scene, defaults) {
+    super(world, { ...config, type: defaults.type, name: config.name || defaults.name }, scene);
+
+    const [width, length] = config.size || defaults.size;
+    this.width = width;
+    this.length = length;
+    this.rotation = config.rotation || 0;
+    this.surfaceHeight = config.surfaceHeight ?? 0.2;
+    this.color = config.color || defaults.color;
+    this.direction = new THREE.Vector3(-Math.sin(this.rotation), 0, -Math.cos(this.rotation));
+
+    this.chevrons = [];
+    this.chevronSpeed = 0; // Set by subclasses, in units per second
+    this.chevronOffset = 0;
+  }
+
+  /**
+   * Create the strip surface and its chevrons
+   * @override
+   */
+  create() {
+    console.log(`[SurfaceStripElement] Creating ${this.elementType} (${this.name})`);
+
+    this.group.position.y += this.surfaceHeight;
+    this.group.rotation.y = this.rotation;
+
+    this.surface = new THREE.Mesh(
+      new THREE.PlaneGeometry(this.width, this.length),
+      new THREE.MeshStandardMaterial({
+        color: 0x1a1a2e,
+        emissive: this.color,
+        emissiveIntensity: 0.15,
+        roughness: 0.6
+      })
+    );
+    this.surface.rotation.x = -Math.PI / 2;
+    this.surface.position.y = 0.01; // Just above the green to avoid z-fighting
+    this.group.add(this.surface);
+    this.meshes.push(this.surface);
+
+    const chevronGeometry = createChevronGeometry(this.width * 0.6, CHEVRON_SPACING * 0.45);
+    const chevronCount = Math.max(1, Math.round(this.length / CHEVRON_SPACING));
+    for (let i = 0; i < chevronCount; i++) {
+      const chevron = new THREE.Mesh(
+        i === 0 ? chevronGeometry : chevronGeometry.clone(),
+        new THREE.MeshBasicMaterial({ color: this.color })
+      );
+      chevron.rotation.x = -Math.PI / 2; // Lie flat, pointing along local -Z
+      chevron.position.y = 0.02;
+      this.group.add(chevron);
+      this.meshes.push(chevron);
+      this.chevrons.push(chevron);
+    }
+    this.placeChevrons();
+    return true;
+  }
+
+  /**
+   * Scroll the chevrons along the strip
+   * @param {number} dt - Delta time in seconds
+   * @override
+   */
+  update(dt) {
+    if (!Number.isFinite(dt) || dt <= 0) {
+      return;
+    }
+    this.chevronOffset = (this.chevronOffset + this.chevronSpeed * dt) % this.length;
+    this.placeChevrons();
+  }
+
+  /**
+   * Space the chevrons evenly along the strip, shifted by the scroll offset and wrapped
+   * back to the start when they run off the end
+   */
+  placeChevrons() {
+    const spacing = this.length / this.chevrons.length;
+    this.chevrons.forEach((chevron, index) => {
+      const travelled = ((index + 0.5) * spacing + this.chevronOffset) % this.length;
+      chevron.position.z = this.length / 2 - travelled;
+    });
+  }
+
+  /**
+   * Check whether a ball centre is on the strip
+   * @param {{x: number, y: number, z: number}} position - Ball position
+   * @returns {boolean} True if the position is over the strip and close to its surface
+   */
+  containsPoint(position) {
+    const height = position.y - (this.position.y + this.surfaceHeight);
+    if (height < -0.1 || height > ON_SURFACE_HEIGHT) {
+      return false;
+    }
+    // Rotate into the strip's local frame (inverse of its rotation about Y)
+    const dx = position.x - this.position.x;
+    const dz = position.z - this.position.z;
+    const cos = Math.cos(this.rotation);
+    const sin = Math.sin(this.rotation);
+    const localX = dx * cos - dz * sin;
+    const localZ = dx * sin + dz * cos;
+    return Math.abs(localX) <= this.width / 2 && Math.abs(localZ) <= this.length / 2;
+  }
+
+  /**
+   * Clean up strip visuals
+   * @override
+   */
+  destroy() {
+    this.chevrons = [];
+    this.surface = null;
+    super.destroy();
+  }
+}
+
+/**
+ * Build a flat chevron (arrowhead with a notch) pointing along +Y in shape space
+ * @param {number} width - Chevron width
+ * @param {number} depth - Chevron depth along the pointing direction
+ * @returns {THREE.ShapeGeometry} The chevron geometry
+ */
+function createChevronGeometry(width, depth) {
+  const shape = new THREE.Shape();
+  shape.moveTo(-width / 2, -depth / 2);
+  shape.lineTo(0, depth / 2);
+  shape.lineTo(width / 2, -depth / 2);
+  shape.lineTo(0, 0);
+  shape.closePath();
+  return new THREE.ShapeGeometry(shape);
+}
@@ -0,0 +1,107 @@
+import * as THREE from 'three';
+import { BaseElement } from './BaseElement';
+import { BUILT_IN_SURFACES, DEFAULT_SURFACE } from '../physics/SurfaceRegistry';
+
+const ON_SURFACE_HEIGHT = 0.5; // How far above the zone a ball centre still counts as on it
+
+/**
+ * SurfaceZoneElement - A polygonal area of the green painted with a named surface
+ * (ice, rubber, rough, sticky, ... see SurfaceRegistry)
+ *
+ * While the ball's centre is inside the zone, Ball.checkSurfaceZones() gives it the
+ * surface's friction, restitution and rolling damping. The zone itself only draws a tint.
+ *
+ * Config: { surface, polygon, surfaceHeight, color }
+ *   polygon - outline in world coordinates, as THREE.Vector2(x, z) or [x, z] points
+ * The zone always sits at the origin; its polygon carries the placement.
+ */
+export class SurfaceZoneElement extends BaseElement {
+  constructor(world, config, scene) {
+    const surface = config.surface || DEFAULT_SURFACE;
+    super(
+      world,
+      {
+        ...config,
+        type: 'surfaceZone',
+        name: config.name || `${surface} zone`,
+        position: new THREE.Vector3(0, 0, 0)
+      },
+      scene
+    );
+
+    this.surface = surface;
+    this.polygon = (config.polygon || []).map(point =>
+      Array.isArray(point) ? { x: point[0], z: point[1] } : { x: point.x, z: point.y }
+    );
+    this.surfaceHeight = config.surfaceHeight ?? 0.2;
+    const definition = world?.surfaceRegistry?.get(surface) || BUILT_IN_SURFACES[surface];
+    this.color = config.color || definition?.color || 0xffffff;
+  }
+
+  /**
+   * Create the zone tint
+   * @override
+   */
+  create() {
+    console.log(`[SurfaceZoneElement] Creating ${this.name} (${this.polygon.length} points)`);
+
+    if (this.polygon.length < 3) {
+      console.warn(`[SurfaceZoneElement] ${this.name} needs at least 3 points, skipping`);
+      return false;
+    }
+
+    // Shape y is -z so that lying the shape flat (rotateX -PI / 2) puts it back at world z
+    const shape = new THREE.Shape(this.polygon.map(({ x, z }) => new THREE.Vector2(x, -z)));
+    const geometry = new THREE.ShapeGeometry(shape);
+    geometry.rotateX(-Math.PI / 2);
+
+    this.tint = new THREE.Mesh(
+      geometry,
+      new THREE.MeshStandardMaterial({
+        color: this.color,
+        transparent: true,
+        opacity: 0.55,
+        roughness: 0.5,
+        depthWrite: false
+      })
+    );
+    this.tint.position.y = this.surfaceHeight + 0.005; // Just above the green to avoid z-fighting
+    this.group.add(this.tint);
+    this.meshes.push(this.tint);
+    return true;
+  }
+
+  /**
+   * Check whether a ball centre is on the zone
+   * @param {{x: number, y: number, z: number}} position - Ball position
+   * @returns {boolean} True if the position is inside the outline and close to the green
+   */
+  containsPoint(position) {
+    const height = position.y - this.surfaceHeight;
+    if (height < -0.1 || height > ON_SURFACE_HEIGHT) {
+      return false;
+    }
+    // Ray casting in the x/z plane
+    let inside = false;
+    for (let i = 0, j = this.polygon.length - 1; i < this.polygon.length; j = i++) {
+      const a = this.polygon[i];
+      const b = this.polygon[j];
+      if (
+        a.z > position.z !== b.z > position.z &&
+        position.x < ((b.x - a.x) * (position.z - a.z)) / (b.z - a.z) + a.x
+      ) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Clean up the zone tint
+   * @override
+   */
+  destroy() {
+    this.tint = null;
+    super.destroy();
+  }
+}
@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { BaseElement } from './BaseElement';
+
+const RING_TUBE_RADIUS = 0.06;
+const PULSE_SPEED = 4; // Radians per second of the ring pulse
+const PULSE_AMOUNT = 0.06; // Fraction the rings grow and shrink by
+
+/**
+ * TeleporterElement - A one-way portal pair (wormhole)
+ *
+ * When the ball's centre rolls inside the entry ring, Ball.checkTeleporters() calls
+ * tryTeleport(), which moves the ball to the exit with its speed preserved. The ball's
+ * direction is turned by the difference between the exit and entry rotations, so an exit
+ * rotated 90 degrees more than its entry sends the ball off 90 degrees to the left.
+ *
+ * Config: { entry: { position, rotation }, exit: { position, rotation }, radius,
+ *           surfaceHeight, color, exitColor } - rotations are radians about Y; a rotation
+ *           of 0 faces -Z (the direction of play).
+ * There is no physics body; the portals are flat rings on the green.
+ */
+export class TeleporterElement extends BaseElement {
+  constructor(world, config, scene) {
+    super(
+      world,
+      {
+        ...config,
+        type: 'teleporter',
+        name: config.name || 'Teleporter',
+        position: new THREE.Vector3(0, 0, 0) // Portals are placed in world coordinates
+      },
+      scene
+    );
+
+    this.entryPosition = toVector3(config.entry?.position);
+    this.entryRotation = config.entry?.rotation || 0;
+    this.exitPosition = toVector3(config.exit?.position);
+    this.exitRotation = config.exit?.rotation || 0;
+    this.radius = config.radius || 0.5;
+    this.surfaceHeight = config.surfaceHeight ?? 0.2;
+    this.color = config.color || 0x9b59ff;
+    this.exitColor = config.exitColor || 0x36d6ff;
+
+    this.rings = [];
+    this.elapsedTime = 0;
+  }
+
+  /**
+   * Create the entry and exit portal visuals
+   * @override
+   */
+  create() {
+    console.log(`[TeleporterElement] Creating ${this.name}`);
+
+    this.createPortal(this.entryPosition, this.color);
+    const exitPortal = this.createPortal(this.exitPosition, this.exitColor);
+
+    // Arrow on the exit showing which way the ball will leave
+    const arrow = new THREE.Mesh(
+      new THREE.ConeGeometry(this.radius * 0.3, this.radius * 0.7, 12),
+      new THREE.MeshBasicMaterial({ color: this.exitColor })
+    );
+    arrow.rotation.x = -Math.PI / 2; // Point the cone along -Z
+    arrow.position.y = 0.03;
+    const arrowPivot = new THREE.Group();
+    arrowPivot.rotation.y = this.exitRotation;
+    arrowPivot.add(arrow);
+    exitPortal.add(arrowPivot);
+    this.meshes.push(arrow);
+
+    return true;
+  }
+
+  /**
+   * Create one flat portal (glowing ring around a dark disc)
+   * @param {THREE.Vector3} position - World position of the portal centre
+   * @param {number} color - Ring colour
+   * @returns {THREE.Group} The portal group
+   */
+  createPortal(position, color) {
+    const portal = new THREE.Group();
+    portal.position.set(position.x, position.y + this.surfaceHeight, position.z);
+
+    const ring = new THREE.Mesh(
+      new THREE.TorusGeometry(this.radius, RING_TUBE_RADIUS, 12, 48),
+      new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 0.8,
+        roughness: 0.3
+      })
+    );
+    ring.rotation.x = Math.PI / 2; // Lie flat on the green
+    ring.position.y = RING_TUBE_RADIUS / 2;
+
+    const disc = new THREE.Mesh(
+      new THREE.CircleGeometry(this.radius - RING_TUBE_RADIUS, 48),
+      new THREE.MeshBasicMaterial({ color: 0x10002b, transparent: true, opacity: 0.85 })
+    );
+    disc.rotation.x = -Math.PI / 2;
+    disc.position.y = 0.01; // Just above the green to avoid z-fighting
+
+    portal.add(ring);
+    portal.add(disc);
+    this.group.add(portal);
+    this.meshes.push(ring, disc);
+    this.rings.push(ring);
+    return portal;
+  }
+
+  /**
+   * Pulse the portal rings
+   * @param {number} dt - Delta time in seconds
+   * @override
+   */
+  update(dt) {
+    if (!Number.isFinite(dt) || dt <= 0) {
+      return;
+    }
+    this.elapsedTime += dt;
+    const scale = 1 + Math.sin(this.elapsedTime * PULSE_SPEED) * PULSE_AMOUNT;
+    this.rings.forEach(ring => ring.scale.set(scale, scale, scale));
+  }
+
+  /**
+   * Check whether a ball centre is inside the entry portal
+   * @param {{x: number, z: number}} position - Ball position
+   * @returns {boolean} True if the ball should be teleported
+   */
+  isInEntry(position) {
+    const dx = position.x - this.entryPosition.x;
+    const dz = position.z - this.entryPosition.z;
+    return dx * dx + dz * dz <= this.radius * this.radius;
+  }
+
+  /**
+   * Move a ball body from the entry to the exit if it is inside the entry
+   * @param {CANNON.Body} body - The ball's physics body
+   * @returns {{entryPosition: THREE.Vector3, exitPosition: THREE.Vector3}|null} Where the
+   *   ball was teleported from and to, or null if it is not in the entry
+   */
+  tryTeleport(body) {
+    if (!body || !this.isInEntry(body.position)) {
+      return null;
+    }
+
+    const entryPosition = new THREE.Vector3(body.position.x, body.position.y, body.position.z);
+    // Keep the ball's height relative to the portal so raised exits work the same way
+    const exitPosition = new THREE.Vector3(
+      this.exitPosition.x,
+      body.position.y - this.entryPosition.y + this.exitPosition.y,
+      this.exitPosition.z
+    );
+
+    // Turn the velocity (and spin) from the entry's frame into the exit's
+    const turn = this.exitRotation - this.entryRotation;
+    const velocity = rotateAboutY(body.velocity, turn);
+    const angularVelocity = rotateAboutY(body.angularVelocity, turn);
+
+    body.position.set(exitPosition.x, exitPosition.y, exitPosition.z);
+    // Stop the physics step from interpolating the ball back across the hole
+    if (body.previousPosition) {
+      body.previousPosition.set(exitPosition.x, exitPosition.y, exitPosition.z);
+    }
+    if (body.interpolatedPosition) {
+      body.interpolatedPosition.set(exitPosition.x, exitPosition.y, exitPosition.z);
+    }
+    body.velocity.set(velocity.x, velocity.y, velocity.z);
+    body.angularVelocity.set(angularVelocity.x, angularVelocity.y, angularVelocity.z);
+
+    console.log(
+      `[TeleporterElement] Ball teleported from (${entryPosition.x.toFixed(2)}, ${entryPosition.z.toFixed(2)}) to (${exitPosition.x.toFixed(2)}, ${exitPosition.z.toFixed(2)})`
+    );
+    return { entryPosition, exitPosition };
+  }
+
+  /**
+   * Clean up portal visuals
+   * @override
+   */
+  destroy() {
+    this.rings = [];
+    super.destroy();
+  }
+}
+
+/**
+ * Read a position that may be a THREE.Vector3, {x, y, z} or missing
+ * @param {object} value - Position
+ * @returns {THREE.Vector3} The position (origin if missing)
+ */
+function toVector3(value) {
+  const { x = 0, y = 0, z = 0 } = value || {};
+  return new THREE.Vector3(x, y, z);
+}
+
+/**
+ * Rotate a vector about the Y axis
+ * @param {{x: number, y: number, z: number}} vector - Vector to rotate
+ * @param {number} angle - Angle in radians
+ * @returns {{x: number, y: number, z: number}} The rotated vector
+ */
+function rotateAboutY(vector, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return {
+    x: vector.x * cos + vector.z * sin,
+    y: vector.y,
+    z: -vector.x * sin + vector.z * cos
+  };
+}
@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { MovingObstacleElement } from './MovingObstacleElement';
+
+const POST_WIDTH = 0.3;
+const POST_CLEARANCE = 0.2; // Gap between the blade tips and the posts
+const POST_TOP_ABOVE_HUB = 0.3;
+
+/**
+ * WindmillElement - Blades turning in a vertical plane across the ball's path,
+ * held up by two static posts
+ *
+ * `position` is the hub; the blades face along the element's local Z (rotate with
+ * `rotation`). Config: { position, bladeLength, bladeWidth, bladeThickness, bladeCount,
+ *                        rotationSpeed (rad/s), phase (0-1), rotation (radians about Y) }
+ */
+export class WindmillElement extends MovingObstacleElement {
+  constructor(world, config, scene) {
+    super(world, { ...config, type: 'windmill', name: config.name || 'Windmill' }, scene);
+
+    this.bladeLength = config.bladeLength || 1.2;
+    this.bladeWidth = config.bladeWidth || 0.3;
+    this.bladeThickness = config.bladeThickness || 0.15;
+    this.bladeCount = config.bladeCount || 4;
+    this.rotationSpeed = config.rotationSpeed ?? Math.PI / 2;
+
+    // Blades spin around the local Z axis (the direction the ball travels through)
+    this.spinAxis = new THREE.Vector3(0, 0, 1);
+  }
+
+  /**
+   * @override
+   */
+  createMovingParts() {
+    const axis = new CANNON.Vec3(0, 0, 1);
+    for (let i = 0; i < this.bladeCount; i++) {
+      const angle = (i / this.bladeCount) * Math.PI * 2;
+      // Blade centre half a blade length out from the hub, rotated around Z
+      const offsetX = (-Math.sin(angle) * this.bladeLength) / 2;
+      const offsetY = (Math.cos(angle) * this.bladeLength) / 2;
+
+      const blade = this.createBoxMesh(this.bladeWidth, this.bladeLength, this.bladeThickness);
+      blade.position.set(offsetX, offsetY, 0);
+      blade.rotation.z = angle;
+      this.movingGroup.add(blade);
+
+      this.movingBody.addShape(
+        new CANNON.Box(
+          new CANNON.Vec3(this.bladeWidth / 2, this.bladeLength / 2, this.bladeThickness / 2)
+        ),
+        new CANNON.Vec3(offsetX, offsetY, 0),
+        new CANNON.Quaternion().setFromAxisAngle(axis, angle)
+      );
+    }
+  }
+
+  /**
+   * Posts either side of the blades, from the ground up to just above the hub
+   * @override
+   */
+  createStaticParts() {
+    const postHeight = this.position.y + POST_TOP_ABOVE_HUB;
+    const postY = postHeight / 2 - this.position.y;
+    const postX = this.bladeLength + POST_CLEARANCE + POST_WIDTH / 2;
+    [-postX, postX].forEach(x => {
+      this.addStaticBox(x, postY, 0, [POST_WIDTH, postHeight, POST_WIDTH]);
+    });
+  }
+
+  /**
+   * @override
+   */
+  getMotionAt(time) {
+    return {
+      offset: { x: 0, y: 0, z: 0 },
+      velocity: { x: 0, y: 0, z: 0 },
+      angle: this.phase * Math.PI * 2 + this.rotationSpeed * time,
+      angularSpeed: this.rotationSpeed
+    };
+  }
+}
@@ -0,0 +1,191 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { debug } from '../../utils/debug';
+
+const RAMP_THICKNESS = 0.1; // Thickness of the ramp slab below its rolling surface
+const HILL_PROFILE_SEGMENTS = 16; // Points along the hill profile (visual)
+const HILL_RADIAL_SEGMENTS = 48; // Segments around the hill (visual)
+const HILL_ELEMENT_SIZE = 0.25; // Heightfield grid spacing (physics)
+
+/**
+ * Creates a terrain feature (raised or sloped part of the green) with matching visuals
+ * and static physics. Terrain uses the ground material so the ball rolls over it like
+ * the rest of the green.
+ * @param {CANNON.World} world - The physics world
+ * @param {THREE.Group} group - The parent THREE.Group to add visuals to
+ * @param {object} terrainConfig - Configuration for the terrain feature
+ * @param {number} visualGreenY - The Y-level of the visual green surface
+ * @returns {{meshes: THREE.Mesh[], bodies: CANNON.Body[]}} Created meshes and bodies
+ */
+export function createTerrain(world, group, terrainConfig, visualGreenY) {
+  debug.log('[TerrainFactory] Creating terrain:', terrainConfig.type);
+  switch (terrainConfig.type) {
+    case 'ramp':
+      return createRamp(world, group, terrainConfig, visualGreenY);
+    case 'plateau':
+      return createPlateau(world, group, terrainConfig, visualGreenY);
+    case 'hill':
+      return createHill(world, group, terrainConfig, visualGreenY);
+    default:
+      console.warn('[TerrainFactory] Unknown terrain type:', terrainConfig.type);
+      return { meshes: [], bodies: [] };
+  }
+}
+
+/**
+ * Height of a hill at a given horizontal distance from its centre (smooth cosine bump)
+ * @param {number} distance - Distance from the hill centre
+ * @param {number} radius - Hill footprint radius
+ * @param {number} height - Hill height at the centre
+ * @returns {number} Height above the green
+ */
+export function getHillHeight(distance, radius, height) {
+  if (distance >= radius) {
+    return 0;
+  }
+  return (height * (1 + Math.cos((Math.PI * distance) / radius))) / 2;
+}
+
+/**
+ * Create the material shared by terrain visuals (slightly darker than the green so
+ * slopes read clearly)
+ * @returns {THREE.MeshStandardMaterial} The material
+ */
+function createTerrainMaterial() {
+  return new THREE.MeshStandardMaterial({
+    color: 0x27ae60,
+    roughness: 0.8,
+    metalness: 0.1
+  });
+}
+
+/**
+ * Create a static ground body and add it to the world
+ * @param {CANNON.World} world - The physics world
+ * @param {object} config - Terrain configuration (used for userData)
+ * @returns {CANNON.Body} The body
+ */
+function createTerrainBody(world, config) {
+  const body = new CANNON.Body({
+    mass: 0,
+    type: CANNON.Body.STATIC,
+    material: world.groundMaterial
+  });
+  body.userData = { type: `terrain_${config.type}` };
+  return body;
+}
+
+/**
+ * Creates a ramp: a tilted plane whose low edge sits at `baseHeight` above the green
+ * and which rises by `rise` along its local +z axis (negative rise slopes down).
+ * Config: { position, size: [width, length], rise, baseHeight, rotation (radians about Y) }
+ */
+function createRamp(world, group, config, visualGreenY) {
+  const [width, length] = config.size;
+  const rise = config.rise;
+  const baseHeight = config.baseHeight || 0;
+  const yaw = config.rotation || 0;
+
+  const slopeAngle = Math.atan2(rise, length);
+  const slopeLength = Math.hypot(length, rise);
+
+  // Centre of the rolling surface, then drop along the surface normal by half the thickness.
+  // The normal of a surface tilted by -slopeAngle about X is (0, cos, -sin) in local space.
+  const surfaceCenterY = visualGreenY + baseHeight + rise / 2;
+  const localOffsetZ = (Math.sin(slopeAngle) * RAMP_THICKNESS) / 2;
+  const centerX = config.position.x + Math.sin(yaw) * localOffsetZ;
+  const centerY = surfaceCenterY - (Math.cos(slopeAngle) * RAMP_THICKNESS) / 2;
+  const centerZ = config.position.z + Math.cos(yaw) * localOffsetZ;
+
+  const geometry = new THREE.BoxGeometry(width, RAMP_THICKNESS, slopeLength);
+  const mesh = new THREE.Mesh(geometry, createTerrainMaterial());
+  mesh.position.set(centerX, centerY, centerZ);
+  mesh.rotation.set(-slopeAngle, yaw, 0, 'YXZ');
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  group.add(mesh);
+
+  const body = createTerrainBody(world, config);
+  body.addShape(new CANNON.Box(new CANNON.Vec3(width / 2, RAMP_THICKNESS / 2, slopeLength / 2)));
+  body.position.set(centerX, centerY, centerZ);
+  body.quaternion.setFromEuler(-slopeAngle, yaw, 0, 'YXZ');
+  world.addBody(body);
+
+  return { meshes: [mesh], bodies: [body] };
+}
+
+/**
+ * Creates a plateau: a raised flat area `height` above the green. Pair it with ramps
+ * so the ball can get on and off it.
+ * Config: { position, size: [width, length], height, rotation (radians about Y) }
+ */
+function createPlateau(world, group, config, visualGreenY) {
+  const [width, length] = config.size;
+  const height = config.height;
+  const yaw = config.rotation || 0;
+  const centerY = visualGreenY + height / 2;
+
+  const geometry = new THREE.BoxGeometry(width, height, length);
+  const mesh = new THREE.Mesh(geometry, createTerrainMaterial());
+  mesh.position.set(config.position.x, centerY, config.position.z);
+  mesh.rotation.set(0, yaw, 0);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  group.add(mesh);
+
+  const body = createTerrainBody(world, config);
+  body.addShape(new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, length / 2)));
+  body.position.set(config.position.x, centerY, config.position.z);
+  body.quaternion.setFromEuler(0, yaw, 0);
+  world.addBody(body);
+
+  return { meshes: [mesh], bodies: [body] };
+}
+
+/**
+ * Creates a hill: a smooth round mound the ball can roll up and back down.
+ * Visuals are a lathe of the hill profile; physics is a heightfield sampled from the
+ * same profile.
+ * Config: { position, radius, height }
+ */
+function createHill(world, group, config, visualGreenY) {
+  const { radius, height } = config;
+
+  // Profile from the summit out to the rim, revolved around Y
+  const profile = [];
+  for (let i = 0; i <= HILL_PROFILE_SEGMENTS; i++) {
+    const distance = (radius * i) / HILL_PROFILE_SEGMENTS;
+    profile.push(new THREE.Vector2(distance, getHillHeight(distance, radius, height)));
+  }
+  const geometry = new THREE.LatheGeometry(profile, HILL_RADIAL_SEGMENTS);
+  const material = createTerrainMaterial();
+  material.side = THREE.DoubleSide;
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.position.set(config.position.x, visualGreenY, config.position.z);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  group.add(mesh);
+
+  // Heightfield data[i][j]: i runs along world +x, j along world -z once the shape is
+  // rotated to be Y-up, so the body origin is the (minX, maxZ) corner of the footprint.
+  const samples = Math.ceil((radius * 2) / HILL_ELEMENT_SIZE) + 1;
+  const elementSize = (radius * 2) / (samples - 1);
+  const data = [];
+  for (let i = 0; i < samples; i++) {
+    const column = [];
+    for (let j = 0; j < samples; j++) {
+      const dx = i * elementSize - radius;
+      const dz = radius - j * elementSize;
+      column.push(getHillHeight(Math.hypot(dx, dz), radius, height));
+    }
+    data.push(column);
+  }
+
+  const body = createTerrainBody(world, config);
+  body.addShape(new CANNON.Heightfield(data, { elementSize }));
+  body.position.set(config.position.x - radius, visualGreenY, config.position.z + radius);
+  body.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  world.addBody(body);
+
+  return { meshes: [mesh], bodies: [body] };
+}
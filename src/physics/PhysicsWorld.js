@@ -1,4 +1,5 @@
 import * as CANNON from 'cannon-es';
+import { SurfaceRegistry } from './SurfaceRegistry';
 
 export class PhysicsWorld {
   constructor() {
@@ -44,6 +45,9 @@ export class PhysicsWorld {
     // Create contact materials
     this.createContactMaterials();
 
+    // Named surfaces (ice, rubber, ...) used by hole surface zones and bumper materials
+    this.surfaceRegistry = new SurfaceRegistry(this.world, this.ballMaterial);
+
     // Set the timestep (fixed at 60fps)
     this.fixedTimeStep = 1.0 / 60.0;
     this.maxSubSteps = 8; // Increased from 3 for better handling of fast-moving objects
@@ -51,6 +55,11 @@ export class PhysicsWorld {
     // Last time used for calculating elapsed time
     this.lastCallTime = performance.now() / 1000;
 
+    // Deterministic mode: every update() is exactly one fixed step, counted in stepCount, so
+    // the same inputs at the same steps always give the same result
+    this.deterministic = false;
+    this.stepCount = 0;
+
     // Track when physics world was created to prevent immediate collisions
     this.creationTime = Date.now();
     this.collisionGracePeriod = 2000; // ms - increased from 500ms
@@ -58,6 +67,10 @@ export class PhysicsWorld {
     // Add collide event listener for hole detection
     this.setupCollideListener();
 
+    // Force fields (e.g. gravity wells) applied before every fixed sub-step
+    this.forceFields = [];
+    this.setupForceFieldListener();
+
     console.log('Physics world initialized');
   }
 
@@ -72,6 +85,7 @@ export class PhysicsWorld {
       frictionEquationRelaxation: 1 // Reduced relaxation for better friction response
     });
     this.world.addContactMaterial(ballGroundContact);
+    this.ballGroundContact = ballGroundContact; // Retuned by setBallGroundSurface()
 
     // Set up contact between ball and bumpers (obstacles)
     console.log(
@@ -130,6 +144,14 @@ export class PhysicsWorld {
     }
   }
 
+  /**
+   * Switch deterministic mode on or off
+   * @param {boolean} enabled - Step exactly one fixed step per update
+   */
+  setDeterministic(enabled) {
+    this.deterministic = Boolean(enabled);
+  }
+
   update() {
     const time = performance.now() / 1000;
     let dt = time - this.lastCallTime;
@@ -181,8 +203,14 @@ export class PhysicsWorld {
           this.world.removeEventListener('beginContact', this._collisionCallback);
         }
 
-        // Step the world
-        this.world.step(this.fixedTimeStep, dt, this.maxSubSteps);
+        // Step the world: one fixed step in deterministic mode, otherwise as many fixed
+        // sub-steps as the wall-clock time since the last update needs
+        if (this.deterministic) {
+          this.world.step(this.fixedTimeStep);
+          this.stepCount++;
+        } else {
+          this.world.step(this.fixedTimeStep, dt, this.maxSubSteps);
+        }
 
         // Re-add collision callback if it was removed
         if (
@@ -299,6 +327,63 @@ export class PhysicsWorld {
     }
   }
 
+  /**
+   * Make the ball/ground contact use a surface's friction and restitution. The ball is the
+   * only dynamic body, so this is how Ball applies the surface zone it is rolling on.
+   * @param {{friction: number, restitution: number}} surface - Surface from the registry
+   */
+  setBallGroundSurface(surface) {
+    if (!this.ballGroundContact || !surface) {
+      return;
+    }
+    this.ballGroundContact.friction = surface.friction;
+    this.ballGroundContact.restitution = surface.restitution;
+  }
+
+  /**
+   * Apply registered force fields before every fixed sub-step. cannon-es clears body forces
+   * after each sub-step, so a field pushes a body by the same amount per simulated second
+   * however many sub-steps a frame takes.
+   */
+  setupForceFieldListener() {
+    if (this.world.addEventListener && typeof this.world.addEventListener === 'function') {
+      this._preStepCallback = () => this.applyForceFields();
+      this.world.addEventListener('preStep', this._preStepCallback);
+    }
+  }
+
+  /**
+   * Register a force field to be applied to dynamic bodies every physics sub-step
+   * @param {{applyForce: Function}} field - Field with applyForce(body)
+   */
+  addForceField(field) {
+    if (field && !this.forceFields.includes(field)) {
+      this.forceFields.push(field);
+    }
+  }
+
+  /**
+   * Stop applying a force field
+   * @param {{applyForce: Function}} field - Field previously passed to addForceField
+   */
+  removeForceField(field) {
+    this.forceFields = this.forceFields.filter(registered => registered !== field);
+  }
+
+  /**
+   * Let every registered force field push every dynamic (non-zero mass) body
+   */
+  applyForceFields() {
+    if (this.forceFields.length === 0 || !this.world) {
+      return;
+    }
+    this.world.bodies.forEach(body => {
+      if (body && body.mass > 0) {
+        this.forceFields.forEach(field => field.applyForce(body));
+      }
+    });
+  }
+
   /**
    * Clean up resources used by the PhysicsWorld.
    * Currently just logs, but could be used to remove listeners or objects.
@@ -310,6 +395,11 @@ export class PhysicsWorld {
       this.world?.removeEventListener('collide', this._collideCallback);
       this._collideCallback = null;
     }
+    if (this._preStepCallback) {
+      this.world?.removeEventListener('preStep', this._preStepCallback);
+      this._preStepCallback = null;
+    }
+    this.forceFields = [];
     // Add any other necessary cleanup for PhysicsWorld itself
   }
 
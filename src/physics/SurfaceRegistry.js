@@ -0,0 +1,110 @@
+import * as CANNON from 'cannon-es';
+
+/**
+ * Built-in surfaces. Each surface is { friction, restitution, rollingDamping, color }:
+ *   friction, restitution - used for the ball's contact with the surface
+ *   rollingDamping        - the ball's linear damping while it rolls on the surface; left
+ *                           out, the ball keeps its default damping (Ball.defaultLinearDamping)
+ *   color                 - tint used when a zone of the surface is painted on the green
+ * `green` matches the ball/ground contact set up in PhysicsWorld.createContactMaterials(),
+ * and `sand` is what bunkers use.
+ */
+export const BUILT_IN_SURFACES = {
+  green: { friction: 0.8, restitution: 0.1, color: 0x2ecc71 },
+  sand: { friction: 0.9, restitution: 0.02, rollingDamping: 0.98, color: 0xe2c275 },
+  ice: { friction: 0.05, restitution: 0.1, rollingDamping: 0.3, color: 0xbfe9ff },
+  rubber: { friction: 0.6, restitution: 0.95, color: 0xff3b6b },
+  rough: { friction: 1, restitution: 0.05, rollingDamping: 0.95, color: 0x6b8e23 },
+  sticky: { friction: 1.2, restitution: 0, rollingDamping: 0.995, color: 0xb15cff }
+};
+
+export const DEFAULT_SURFACE = 'green';
+
+/**
+ * SurfaceRegistry - Named surfaces the ball can roll on or bounce off
+ *
+ * Hole configs refer to surfaces by name: `surfaceZones` paint areas of the green with a
+ * surface (the ball picks up its friction, restitution and damping while it is inside, see
+ * Ball.checkSurfaceZones()), and a bumper's `material` picks the surface it bounces with.
+ * Extra surfaces can be added with register() without touching the physics code.
+ */
+export class SurfaceRegistry {
+  /**
+   * @param {CANNON.World} world - World to add bounce contact materials to
+   * @param {CANNON.Material} ballMaterial - The ball's material
+   */
+  constructor(world, ballMaterial) {
+    this.world = world;
+    this.ballMaterial = ballMaterial;
+    this.surfaces = {};
+    this.materials = {}; // Bounce materials created on demand, by surface name
+
+    Object.entries(BUILT_IN_SURFACES).forEach(([name, surface]) => this.register(name, surface));
+  }
+
+  /**
+   * Add or replace a surface
+   * @param {string} name - Surface name used in hole configs
+   * @param {object} surface - { friction, restitution, rollingDamping, color }
+   * @returns {SurfaceRegistry} This registry, for chaining
+   */
+  register(name, surface) {
+    this.surfaces[name] = { ...surface, name };
+    delete this.materials[name]; // Recreated from the new values on next use
+    return this;
+  }
+
+  /**
+   * Check whether a surface is registered
+   * @param {string} name - Surface name
+   * @returns {boolean} True if the surface exists
+   */
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.surfaces, name);
+  }
+
+  /**
+   * Get a surface definition
+   * @param {string} name - Surface name
+   * @returns {object|null} The surface, or null if it is not registered
+   */
+  get(name) {
+    return this.has(name) ? this.surfaces[name] : null;
+  }
+
+  /**
+   * Get the names of all registered surfaces
+   * @returns {string[]} Surface names
+   */
+  getNames() {
+    return Object.keys(this.surfaces);
+  }
+
+  /**
+   * Get the physics material for bodies the ball bounces off (e.g. bumpers) made of a
+   * surface. The material and its contact with the ball are created the first time.
+   * @param {string} name - Surface name
+   * @returns {CANNON.Material|null} The material, or null if the surface is not registered
+   */
+  getMaterial(name) {
+    const surface = this.get(name);
+    if (!surface) {
+      return null;
+    }
+    if (!this.materials[name]) {
+      const material = new CANNON.Material(`surface:${name}`);
+      const contact = new CANNON.ContactMaterial(this.ballMaterial, material, {
+        friction: surface.friction,
+        restitution: surface.restitution,
+        contactEquationStiffness: 1e8,
+        contactEquationRelaxation: 3,
+        frictionEquationStiffness: 1e7,
+        frictionEquationRelaxation: 1
+      });
+      this.world.addContactMaterial(contact);
+      this.materials[name] = material;
+      console.log(`[SurfaceRegistry] Created bounce material for surface "${name}"`);
+    }
+    return this.materials[name];
+  }
+}
@@ -2,9 +2,10 @@ import * as THREE from 'three';
 import { InputController } from '../controls/InputController';
 import { CameraController } from '../controls/CameraController';
 import { ScoringSystem } from '../game/ScoringSystem';
-// Both course types are available for debug mode
-import { BasicCourse } from '../objects/BasicCourse';
+import { PlayerStats } from '../game/PlayerStats';
 import { NineHoleCourse } from '../objects/NineHoleCourse';
+import { CourseRegistry, DEFAULT_COURSE_ID } from '../courses/CourseRegistry';
+import { DailyChallenge, parseDailyCourseId } from '../courses/DailyChallenge';
 import { SpaceDecorations } from '../objects/SpaceDecorations';
 import { EventTypes } from '../events/EventTypes';
 import { GameState } from '../states/GameState';
@@ -26,6 +27,15 @@ import { HoleCompletionManager } from '../managers/HoleCompletionManager';
 import { GameLoopManager } from '../managers/GameLoopManager';
 import { EventManager } from '../managers/EventManager';
 import { PerformanceManager } from '../managers/PerformanceManager';
+import { TurnManager } from '../managers/TurnManager';
+import { TimeAttackManager, TIME_ATTACK_MODE } from '../managers/TimeAttackManager';
+import { PracticeManager, PRACTICE_MODE } from '../managers/PracticeManager';
+import { RoundSaveManager } from '../managers/RoundSaveManager';
+import { AchievementManager } from '../managers/AchievementManager';
+import { GhostManager } from '../managers/GhostManager';
+import { ReplayManager } from '../managers/ReplayManager';
+import { RoundRecordManager } from '../managers/RoundRecordManager';
+import { PauseManager } from '../managers/PauseManager';
 
 /**
  * Game - Main class that orchestrates the mini-golf game
@@ -51,6 +61,15 @@ export class Game {
     this.holeStateManager = new HoleStateManager(this);
     this.holeTransitionManager = new HoleTransitionManager(this);
     this.holeCompletionManager = new HoleCompletionManager(this);
+    this.turnManager = new TurnManager(this);
+    this.timeAttackManager = new TimeAttackManager(this);
+    this.practiceManager = new PracticeManager(this);
+    this.roundSaveManager = new RoundSaveManager(this);
+    this.achievementManager = new AchievementManager(this);
+    this.ghostManager = new GhostManager(this);
+    this.replayManager = new ReplayManager(this);
+    this.roundRecordManager = new RoundRecordManager(this);
+    this.pauseManager = new PauseManager(this);
     this.gameLoopManager = new GameLoopManager(this);
 
     this.cannonDebugRenderer = null;
@@ -62,6 +81,14 @@ export class Game {
     // Create scoring system
     this.scoringSystem = new ScoringSystem(this);
 
+    // Lifetime stats and personal bests
+    this.playerStats = new PlayerStats();
+
+    // Registered courses and the id of the one being played
+    this.courseRegistry = new CourseRegistry(this.playerStats);
+    this.dailyChallenge = new DailyChallenge();
+    this.courseId = DEFAULT_COURSE_ID;
+
     // Game objects (these aren't managers but specific game elements)
     this.course = null;
     this.spaceDecorations = null;
@@ -78,12 +105,23 @@ export class Game {
 
     // Store bound event handlers
     this.boundHandleResize = null;
+    this.eventSubscriptions = [];
+
+    // A hole or round restart is loading (see restartRound)
+    this.isRestarting = false;
   }
 
   /**
    * Initialize the game
+   * @param {object} [options] - Initialization options
+   * @param {string} [options.courseId] - Id of the registered course to play
+   * @param {string[]} [options.players] - Player names for hot-seat multiplayer (2-4)
+   * @param {string} [options.turnOrder] - 'farthest' or 'rotation' (see TurnManager)
+   * @param {string} [options.mode] - TIME_ATTACK_MODE or PRACTICE_MODE, otherwise stroke play
+   * @param {object} [options.verifyRoundFile] - Round file to re-play and verify instead of
+   *   playing (see RoundRecordManager)
    */
-  async init() {
+  async init(options = {}) {
     try {
       // Setup renderer first
       this.renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -131,20 +169,19 @@ export class Game {
       );
 
       // Fourth tier - Game object managers that depend on physics and scene
-      this.holeCompletionManager.init();
-      this.hazardManager.init();
-      this.visualEffectsManager.init();
+      this.initRoundManagers(options);
 
       // Add space decorations
       this.spaceDecorations = new SpaceDecorations(this.scene);
       this.spaceDecorations.init();
 
       debug.log('[Game.init] Awaiting createCourse...');
-      await this.createCourse();
+      await this.createCourse(options.courseId);
       debug.log('[Game.init] createCourse finished.');
 
-      // Initialize the ball manager after the course is created
+      // Initialize the ball manager and hole states after the course is created
       this.ballManager.init();
+      this.holeStateManager.init();
 
       // Setup lights
       this.setupLights();
@@ -190,6 +227,26 @@ export class Game {
     }
   }
 
+  /**
+   * Initialize the managers that run a round: hole completion, turns, game mode, round saving,
+   * achievements, ghost ball, instant replay, pause menu and hazards
+   * @param {object} options - Options passed to init()
+   */
+  initRoundManagers(options) {
+    this.holeCompletionManager.init();
+    this.turnManager.setup(options.players, { turnOrder: options.turnOrder }).init();
+    this.timeAttackManager.setup({ enabled: options.mode === TIME_ATTACK_MODE }).init();
+    this.practiceManager.setup({ enabled: options.mode === PRACTICE_MODE }).init();
+    this.roundRecordManager.setup({ verifyRoundFile: options.verifyRoundFile }).init();
+    this.roundSaveManager.init();
+    this.achievementManager.init();
+    this.ghostManager.init();
+    this.replayManager.init();
+    this.pauseManager.init();
+    this.hazardManager.init();
+    this.visualEffectsManager.init();
+  }
+
   /**
    * Enable game input, used after unpausing
    */
@@ -256,8 +313,10 @@ export class Game {
 
   /**
    * Create the golf course environment
+   * @param {string} [courseId] - Id of a course in the course registry or a daily challenge id
+   *   (defaults to the current one)
    */
-  async createCourse() {
+  async createCourse(courseId) {
     try {
       debug.log('[Game.createCourse] Attempting to create the course...');
 
@@ -267,17 +326,30 @@ export class Game {
         throw new Error('PhysicsManager must be initialized before creating the course.');
       }
 
-      const useNineHoleCourse = true; // Or based on a setting
-      if (useNineHoleCourse) {
-        this.course = await NineHoleCourse.create(this);
-      } else {
-        this.course = await BasicCourse.create(this);
+      let selectedCourseId = courseId || this.courseId;
+      let courseData =
+        this.courseRegistry.getCourseData(selectedCourseId) ||
+        this.dailyChallenge.getCourseData(selectedCourseId);
+      if (!courseData) {
+        console.warn(
+          `[Game.createCourse] Unknown course "${selectedCourseId}", falling back to "${DEFAULT_COURSE_ID}".`
+        );
+        selectedCourseId = DEFAULT_COURSE_ID;
+        courseData = this.courseRegistry.getCourseData(selectedCourseId);
       }
+      this.courseId = selectedCourseId;
+
+      this.course = await NineHoleCourse.create(this, { courseData });
 
       if (!this.course || !this.course.currentHoleEntity) {
         throw new Error('Course or initial HoleEntity failed to initialize.');
       }
 
+      // The daily challenge is scored for recorded rounds only
+      if (parseDailyCourseId(selectedCourseId) && this.isRecordedRound()) {
+        this.dailyChallenge.startAttempt(selectedCourseId);
+      }
+
       // Set course ref in CameraController
       if (this.cameraController) {
         this.cameraController.setCourse(this.course);
@@ -303,6 +375,89 @@ export class Game {
     }
   }
 
+  /**
+   * Start the round over from the first hole without reloading the page. Hole 1 is rebuilt by
+   * HoleTransitionManager, which tears down the current hole's meshes, bodies and ball, and
+   * the score sheets, game state and hole states start empty for the same course, players and
+   * mode. Managers keep their event subscriptions, so nothing is subscribed twice.
+   * @returns {Promise<boolean>} True if the first hole was loaded
+   */
+  async restartRound() {
+    if (this.isRestarting) {
+      return false;
+    }
+    debug.log('[Game.restartRound] Restarting the round');
+    this.uiManager.removeFinalScorecard();
+    this.stateManager.resetState();
+    this.scoringSystem.setPlayerCount(this.turnManager.getPlayerCount());
+    this.holeStateManager.reset();
+    this.timeAttackManager.setup({ enabled: this.timeAttackManager.isEnabled() });
+    this.roundRecordManager.setup();
+    if (parseDailyCourseId(this.courseId) && this.isRecordedRound()) {
+      this.dailyChallenge.startAttempt(this.courseId);
+    }
+    const loaded = await this.reloadHole(1, 'Round restarted');
+    if (loaded) {
+      this.roundSaveManager.saveRound(1, null);
+    }
+    return loaded;
+  }
+
+  /**
+   * Check whether the current hole can be started over. Only unrecorded rounds (practice and
+   * hot-seat) allow it: the dropped strokes would otherwise be a free mulligan towards best
+   * scores, player stats and achievements. Time attack and round file verification never do.
+   * @returns {boolean}
+   */
+  canRestartHole() {
+    return (
+      !this.isRecordedRound() &&
+      !this.timeAttackManager.isEnabled() &&
+      !this.roundRecordManager.isVerifying()
+    );
+  }
+
+  /**
+   * Start the current hole over from the tee without reloading the page. The strokes taken
+   * on it are taken off the totals. The round is not saved, so an unfinished round resumes
+   * from where it was last saved.
+   * @returns {Promise<boolean>} True if the hole was reloaded
+   */
+  async restartHole() {
+    if (this.isRestarting || !this.canRestartHole()) {
+      return false;
+    }
+    const holeNumber = this.stateManager.getCurrentHoleNumber();
+    debug.log(`[Game.restartHole] Restarting hole ${holeNumber}`);
+    this.scoringSystem.discardCurrentHole();
+    // The round file would not re-play a hole started over part way through
+    this.roundRecordManager.discardRound();
+    return this.reloadHole(holeNumber, `Hole ${holeNumber} restarted`);
+  }
+
+  /**
+   * Tear down the current hole and build a hole for a restart
+   * @param {number} holeNumber - The hole to load (1-based)
+   * @param {string} message - Message to show once it is loaded
+   * @returns {Promise<boolean>} True if the hole was loaded
+   * @private
+   */
+  async reloadHole(holeNumber, message) {
+    this.isRestarting = true;
+    try {
+      const loaded = await this.holeTransitionManager.transitionToHole(holeNumber);
+      if (loaded) {
+        this.uiManager.updateHoleInfo();
+        this.uiManager.updateScore();
+        this.uiManager.updateStrokes();
+        this.uiManager.showMessage(message, 2000);
+      }
+      return loaded;
+    } finally {
+      this.isRestarting = false;
+    }
+  }
+
   /**
    * Handle window resize
    */
@@ -351,6 +506,8 @@ export class Game {
       }
 
       // Remove event listeners
+      this.eventSubscriptions.forEach(unsubscribe => unsubscribe());
+      this.eventSubscriptions = [];
       if (this.boundHandleResize) {
         window.removeEventListener('resize', this.boundHandleResize);
         this.boundHandleResize = null;
@@ -359,7 +516,16 @@ export class Game {
       // Clean up managers in reverse order of initialization
       const managers = [
         'inputController',
+        'pauseManager',
         'ballManager',
+        'replayManager',
+        'ghostManager',
+        'achievementManager',
+        'roundSaveManager',
+        'roundRecordManager',
+        'practiceManager',
+        'timeAttackManager',
+        'turnManager',
         'holeCompletionManager',
         'holeTransitionManager',
         'holeStateManager',
@@ -422,7 +588,56 @@ export class Game {
     //     this
     // );
 
+    // Remember the best round for the course selection menu
+    this.eventSubscriptions.push(
+      this.eventManager.subscribe(EventTypes.GAME_COMPLETED, this.handleGameCompleted, this)
+    );
+
     // Add other event subscriptions as needed
-    window.addEventListener('resize', this.handleResize.bind(this));
+    if (!this.boundHandleResize) {
+      this.boundHandleResize = this.handleResize.bind(this);
+      window.addEventListener('resize', this.boundHandleResize);
+    }
+  }
+
+  /**
+   * Check whether the round counts towards best scores and the daily challenge
+   * @returns {boolean} False for hot-seat and practice rounds, and round file verification
+   */
+  isRecordedRound() {
+    return (
+      !this.turnManager.isMultiplayer() &&
+      !this.practiceManager.isEnabled() &&
+      !this.roundRecordManager.isVerifying()
+    );
+  }
+
+  /**
+   * Record the finished round in the player stats, which keep the course best scores, and
+   * show any new personal bests on the final scorecard. A daily challenge round is recorded
+   * as the day's result first and only counts if it was the scored attempt. Hot-seat and
+   * practice rounds are not recorded.
+   */
+  handleGameCompleted() {
+    if (!this.isRecordedRound()) {
+      return;
+    }
+    if (
+      parseDailyCourseId(this.courseId) &&
+      !this.dailyChallenge.recordResult(this.courseId, this.scoringSystem.getTotalStrokes())
+    ) {
+      return;
+    }
+    this.recordPlayerStats();
+  }
+
+  /**
+   * Add the finished round to the player stats and show any new personal bests
+   */
+  recordPlayerStats() {
+    const result = this.playerStats.recordRound(this.courseId, this.scoringSystem.getHoleHistory());
+    if (result) {
+      this.uiManager.showPersonalBests(result);
+    }
   }
 }
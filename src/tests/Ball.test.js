@@ -1,5 +1,6 @@
 import { Ball } from '../objects/Ball';
 import { EventTypes } from '../events/EventTypes';
+import { BUILT_IN_SURFACES } from '../physics/SurfaceRegistry';
 
 // Mock dependencies
 jest.mock('../physics/utils', () => ({
@@ -21,6 +22,7 @@ jest.mock('../events/EventTypes', () => ({
     BALL_STOPPED: 'BALL_STOPPED',
     BALL_RESET: 'BALL_RESET',
     BALL_IN_HOLE: 'BALL_IN_HOLE',
+    BALL_TELEPORTED: 'BALL_TELEPORTED',
     BALL_OFF_COURSE: 'BALL_OFF_COURSE'
   }
 }));
@@ -439,6 +441,19 @@ describe('Ball', () => {
     expect(ball.body.wakeUp).toHaveBeenCalled();
   });
 
+  test('should play the bump sound for a bumper with a bounce surface', () => {
+    mockGame.audioManager = {
+      playSound: jest.fn()
+    };
+
+    ball.onCollide({
+      body: { material: { name: 'surface:rubber' }, userData: { type: 'bumper' } },
+      contact: { getImpactVelocityAlongNormal: jest.fn(() => 4) }
+    });
+
+    expect(mockGame.audioManager.playSound).toHaveBeenCalledWith('bump', expect.any(Number));
+  });
+
   test('should handle wall collisions', () => {
     mockGame.audioManager = {
       playSound: jest.fn()
@@ -460,6 +475,29 @@ describe('Ball', () => {
     expect(mockGame.audioManager.playSound).toHaveBeenCalledWith('bump', expect.any(Number));
   });
 
+  test('should count wall bounces since the last hit', () => {
+    const wallHit = {
+      body: { material: {}, userData: { type: 'wall_stone' } },
+      contact: { getImpactVelocityAlongNormal: jest.fn(() => 3) }
+    };
+
+    ball.onCollide(wallHit);
+    ball.onCollide(wallHit);
+    expect(ball.wallHits).toBe(2);
+
+    ball.applyImpulse(new THREE.Vector3(1, 0, 0), 0.5);
+    expect(ball.wallHits).toBe(0);
+  });
+
+  test('should count bounces off a bumper with a bounce surface', () => {
+    ball.onCollide({
+      body: { material: { name: 'surface:rubber' }, userData: { type: 'bumper' } },
+      contact: { getImpactVelocityAlongNormal: jest.fn(() => 3) }
+    });
+
+    expect(ball.wallHits).toBe(1);
+  });
+
   test('should handle success effect', () => {
     ball.mesh.material = ball.defaultMaterial;
 
@@ -575,7 +613,7 @@ describe('Ball', () => {
     };
 
     mockGame.scoringSystem = {
-      addStroke: jest.fn()
+      addPenaltyStrokes: jest.fn()
     };
 
     mockGame.uiManager = {
@@ -595,11 +633,117 @@ describe('Ball', () => {
 
     ball.checkAndUpdateWaterHazardState();
 
-    expect(mockGame.scoringSystem.addStroke).toHaveBeenCalled();
+    expect(mockGame.scoringSystem.addPenaltyStrokes).toHaveBeenCalledWith(1);
     expect(mockGame.uiManager.showMessage).toHaveBeenCalledWith('Water Hazard! +1 Stroke', 2000);
     expect(mockGame.audioManager.playSound).toHaveBeenCalledWith('splash', 0.6);
   });
 
+  test('should teleport through the current hole teleporters and notify the game', () => {
+    const entryPosition = { x: -3, y: 0.4, z: 6 };
+    const exitPosition = { x: 3, y: 0.4, z: -6 };
+    const missed = { id: 'missed', tryTeleport: jest.fn(() => null) };
+    const teleporter = {
+      id: 'wormhole',
+      tryTeleport: jest.fn(() => ({ entryPosition, exitPosition }))
+    };
+    mockGame.course = { currentHole: { teleporters: [missed, teleporter] } };
+    mockGame.visualEffectsManager = { triggerTeleportEffect: jest.fn() };
+
+    ball.checkTeleporters();
+
+    expect(teleporter.tryTeleport).toHaveBeenCalledWith(ball.body);
+    expect(ball.mesh.position.copy).toHaveBeenCalledWith(ball.body.position);
+    expect(mockGame.visualEffectsManager.triggerTeleportEffect).toHaveBeenCalledWith(
+      entryPosition,
+      exitPosition
+    );
+    expect(mockGame.eventManager.publish).toHaveBeenCalledWith(
+      EventTypes.BALL_TELEPORTED,
+      { ball, teleporterId: 'wormhole', entryPosition, exitPosition },
+      ball
+    );
+  });
+
+  test('should not teleport once the hole is completed', () => {
+    const teleporter = { tryTeleport: jest.fn() };
+    mockGame.course = { currentHole: { teleporters: [teleporter] } };
+    ball.isHoleCompleted = true;
+
+    ball.checkTeleporters();
+
+    expect(teleporter.tryTeleport).not.toHaveBeenCalled();
+  });
+
+  test('should offer the ball to every boost pad on the current hole', () => {
+    const pads = [{ tryBoost: jest.fn(() => ({ x: 0, y: 0, z: -4 })) }, { tryBoost: jest.fn() }];
+    mockGame.course = { currentHole: { boostPads: pads } };
+
+    ball.checkBoostPads();
+
+    pads.forEach(pad => expect(pad.tryBoost).toHaveBeenCalledWith(ball.body));
+  });
+
+  test('should not boost once the hole is completed', () => {
+    const pad = { tryBoost: jest.fn() };
+    mockGame.course = { currentHole: { boostPads: [pad] } };
+    ball.isHoleCompleted = true;
+
+    ball.checkBoostPads();
+
+    expect(pad.tryBoost).not.toHaveBeenCalled();
+  });
+
+  describe('surface zones', () => {
+    let setBallGroundSurface;
+
+    beforeEach(() => {
+      setBallGroundSurface = jest.fn();
+      ball.physicsWorld = {
+        ...mockPhysicsWorld,
+        surfaceRegistry: { get: name => BUILT_IN_SURFACES[name] || null },
+        setBallGroundSurface
+      };
+      ball.body.position = { x: 0, y: 0.4, z: 0 };
+    });
+
+    test('should pick up the surface of the zone the ball is in', () => {
+      const zones = [
+        { surface: 'rough', containsPoint: jest.fn(() => false) },
+        { surface: 'ice', containsPoint: jest.fn(() => true) }
+      ];
+      mockGame.course = { currentHole: { surfaceZones: zones } };
+
+      ball.checkSurfaceZones();
+
+      expect(zones[1].containsPoint).toHaveBeenCalledWith(ball.body.position);
+      expect(ball.currentSurface).toBe('ice');
+      expect(ball.body.linearDamping).toBe(BUILT_IN_SURFACES.ice.rollingDamping);
+      expect(setBallGroundSurface).toHaveBeenCalledWith(BUILT_IN_SURFACES.ice);
+    });
+
+    test('should go back to the green outside zones and only retune on a change', () => {
+      mockGame.course = { currentHole: { surfaceZones: [] } };
+
+      ball.checkSurfaceZones();
+      ball.checkSurfaceZones();
+
+      expect(ball.currentSurface).toBe('green');
+      expect(ball.body.linearDamping).toBe(ball.defaultLinearDamping);
+      expect(setBallGroundSurface).toHaveBeenCalledTimes(1);
+    });
+
+    test('should treat a bunker as sand ahead of any zone', () => {
+      const zone = { surface: 'ice', containsPoint: jest.fn(() => true) };
+      mockGame.course = { currentHole: { surfaceZones: [zone] } };
+      ball.isInBunker = true;
+
+      ball.checkSurfaceZones();
+
+      expect(ball.currentSurface).toBe('sand');
+      expect(zone.containsPoint).not.toHaveBeenCalled();
+    });
+  });
+
   test('should get position', () => {
     ball.body.position = { x: 5, y: 2, z: 3 };
 
@@ -834,6 +834,35 @@ describe('BallManager Branch Coverage Tests', () => {
         expect(ball).toBeNull();
       }
     });
+
+    test('should put the ball back on the tee even with a safe position', () => {
+      ballManager.init();
+      ballManager.createBall({ x: 0, y: 1, z: 0 });
+      ballManager.lastSafePosition = {
+        x: 2,
+        y: 1,
+        z: 4,
+        clone: jest.fn(() => ({ x: 2, y: 1, z: 4 }))
+      };
+      mockGame.course.getHoleStartPosition.mockReturnValue({ x: 1, y: 0, z: 2 });
+      ballManager.ball.setPosition.mockClear();
+
+      ballManager.resetBallToTee();
+
+      expect(ballManager.ball.setPosition).toHaveBeenCalledWith(1, 0.2, 2);
+    });
+
+    test('should not add strokes for a hazard without penalty', () => {
+      ballManager.init();
+      ballManager.createBall({ x: 0, y: 1, z: 0 });
+      mockGame.scoringSystem.addPenaltyStrokes = jest.fn();
+
+      ballManager.handleHazardDetected({
+        get: (key, fallback) => (key === 'penalty' ? 0 : fallback)
+      });
+
+      expect(mockGame.scoringSystem.addPenaltyStrokes).not.toHaveBeenCalled();
+    });
   });
 
   describe('Ball state update scenarios', () => {
@@ -864,4 +893,57 @@ describe('BallManager Branch Coverage Tests', () => {
       );
     });
   });
+
+  describe('Hot-seat multiplayer', () => {
+    beforeEach(() => {
+      mockGame.turnManager = {
+        getPlayers: jest.fn(() => [
+          { index: 0, name: 'Ada', color: 0xffffff },
+          { index: 1, name: 'Bo', color: 0xff5252 }
+        ])
+      };
+      ballManager.init();
+      ballManager.createBall({ x: 0, y: 1, z: 0 });
+    });
+
+    test('should create one ball per player with the first one active', () => {
+      expect(ballManager.balls).toHaveLength(2);
+      expect(ballManager.ball).toBe(ballManager.balls[0]);
+      expect(ballManager.activeBallIndex).toBe(0);
+    });
+
+    test('should switch the active ball and camera target', () => {
+      ballManager.lastSafePosition = { x: 1, y: 0, z: 1 };
+
+      const ball = ballManager.setActiveBall(1);
+
+      expect(ball).toBe(ballManager.balls[1]);
+      expect(ballManager.ball).toBe(ball);
+      expect(ballManager.lastSafePosition).toBeUndefined();
+      expect(mockGame.stateManager.setBallInMotion).toHaveBeenCalledWith(false);
+      expect(mockGame.cameraController.setBall).toHaveBeenLastCalledWith(ball);
+
+      ballManager.setActiveBall(0);
+
+      expect(ballManager.lastSafePosition).toEqual({ x: 1, y: 0, z: 1 });
+    });
+
+    test('should measure each ball against the cup', () => {
+      ballManager.balls[1].currentHolePosition = { x: 3, y: 0, z: 4 };
+
+      expect(ballManager.getDistanceToHole(1)).toBe(5);
+      expect(ballManager.getDistanceToHole(7)).toBe(0);
+    });
+
+    test('should remove every ball', () => {
+      const [first, second] = ballManager.balls;
+
+      ballManager.removeBall();
+
+      expect(mockGame.scene.remove).toHaveBeenCalledWith(first.mesh);
+      expect(mockGame.scene.remove).toHaveBeenCalledWith(second.mesh);
+      expect(ballManager.balls).toEqual([]);
+      expect(ballManager.ball).toBeNull();
+    });
+  });
 });
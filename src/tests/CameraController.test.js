@@ -1,4 +1,4 @@
-import { CameraController } from '../controls/CameraController';
+import { CameraController, REPLAY_VIEW } from '../controls/CameraController';
 
 // Mock Three.js classes
 jest.mock('three', () => ({
@@ -22,6 +22,9 @@ jest.mock('three', () => ({
         this.z += v.z;
         return this;
       }),
+      clone: jest.fn(function () {
+        return { x: this.x, y: this.y, z: this.z };
+      }),
       distanceTo: jest.fn(() => 10),
       lerp: jest.fn(function (_v, _t) {
         return this;
@@ -37,7 +40,7 @@ jest.mock('three', () => ({
     far: 5000,
     getWorldDirection: jest.fn()
   })),
-  Vector3: jest.fn(() => {
+  Vector3: jest.fn((x, y, z) => {
     const createVector3Mock = (x = 0, y = 0, z = 0) => ({
       x,
       y,
@@ -104,7 +107,7 @@ jest.mock('three', () => ({
         return this;
       })
     });
-    return createVector3Mock();
+    return createVector3Mock(x, y, z);
   }),
   MathUtils: {
     degToRad: jest.fn(deg => (deg * Math.PI) / 180),
@@ -129,6 +132,9 @@ jest.mock('three/examples/jsm/controls/OrbitControls', () => ({
     enableRotate: true,
     enabled: true,
     target: {
+      clone: jest.fn(function () {
+        return { x: this.x, y: this.y, z: this.z };
+      }),
       copy: jest.fn(function (v) {
         this.x = v.x;
         this.y = v.y;
@@ -391,6 +397,31 @@ describe('CameraController', () => {
     expect(cameraController._userAdjustedCamera).toBe(false);
   });
 
+  test('should move the camera with the ball when it is teleported', () => {
+    cameraController.init();
+    cameraController.camera.position.set(-3, 8, 10);
+    const positions = {
+      entryPosition: { x: -3, y: 0.4, z: 6 },
+      exitPosition: { x: 3, y: 0.4, z: -6 }
+    };
+
+    cameraController.handleBallTeleported({ get: jest.fn(key => positions[key]) });
+
+    expect(cameraController.camera.position).toMatchObject({ x: 3, y: 8, z: -2 });
+    expect(cameraController.controls.target).toMatchObject({ x: 6, y: 0, z: -12 });
+    expect(cameraController.controls.update).toHaveBeenCalled();
+  });
+
+  test('should subscribe to ball teleported events', () => {
+    cameraController.setupEventListeners();
+
+    expect(mockGame.eventManager.subscribe).toHaveBeenCalledWith(
+      'ball:teleported',
+      cameraController.handleBallTeleported,
+      cameraController
+    );
+  });
+
   test('should position camera for hole correctly', () => {
     const mockCourse = {
       getHolePosition: jest.fn(() => ({ x: 10, y: 0, z: 10, toArray: () => [10, 0, 10] })),
@@ -460,4 +491,49 @@ describe('CameraController', () => {
     addEventListenerSpy.mockRestore();
     removeEventListenerSpy.mockRestore();
   });
+
+  describe('instant replay', () => {
+    const ballPosition = { x: 1, y: 0.2, z: 2 };
+    const direction = { x: 0, z: -1 };
+
+    beforeEach(() => {
+      cameraController.init();
+      cameraController.camera.position.set(5, 10, 5);
+      cameraController.startReplay();
+    });
+
+    test('should hand the camera to the replay', () => {
+      cameraController.controls.update.mockClear();
+
+      cameraController.update(0.016);
+
+      expect(cameraController.isReplaying).toBe(true);
+      expect(cameraController.controls.enabled).toBe(false);
+      expect(cameraController.controls.update).not.toHaveBeenCalled();
+    });
+
+    test('should cut to the chase view behind the ball, then to the side view', () => {
+      cameraController.updateReplayView(ballPosition, direction, REPLAY_VIEW.CHASE);
+
+      expect(cameraController.camera.position).toMatchObject({ x: 1, y: 2.2, z: 5 });
+      expect(cameraController.camera.lookAt).toHaveBeenCalledWith(1, 0.2, 2);
+
+      cameraController.camera.position.lerp.mockClear();
+      cameraController.updateReplayView(ballPosition, direction, REPLAY_VIEW.CHASE);
+      expect(cameraController.camera.position.lerp).toHaveBeenCalledTimes(1);
+
+      cameraController.updateReplayView(ballPosition, direction, REPLAY_VIEW.SIDE);
+      expect(cameraController.camera.position).toMatchObject({ x: 6, y: 1.2, z: 2 });
+    });
+
+    test('should restore the player camera after the replay', () => {
+      cameraController.updateReplayView(ballPosition, direction, REPLAY_VIEW.SIDE);
+
+      cameraController.endReplay();
+
+      expect(cameraController.camera.position).toMatchObject({ x: 5, y: 10, z: 5 });
+      expect(cameraController.controls.enabled).toBe(true);
+      expect(cameraController.isReplaying).toBe(false);
+    });
+  });
 });
@@ -224,6 +224,7 @@ describe('Game - Mobile Optimizations', () => {
     jest.doMock('../managers/StateManager', () => ({
       StateManager: jest.fn(() => ({
         resetState: jest.fn(),
+        setActivePlayer: jest.fn(),
         getGameState: jest.fn(() => 'PLAYING')
       }))
     }));
@@ -241,6 +242,7 @@ describe('Game - Mobile Optimizations', () => {
     jest.doMock('../managers/PhysicsManager', () => ({
       PhysicsManager: jest.fn(() => ({
         init: jest.fn(),
+        setDeterministic: jest.fn(),
         getWorld: jest.fn(() => ({
           add: jest.fn(),
           step: jest.fn()
@@ -296,6 +298,12 @@ describe('Game - Mobile Optimizations', () => {
       }))
     }));
 
+    jest.doMock('../managers/PauseManager', () => ({
+      PauseManager: jest.fn(() => ({
+        init: jest.fn()
+      }))
+    }));
+
     jest.doMock('../managers/GameLoopManager', () => ({
       GameLoopManager: jest.fn(() => ({
         init: jest.fn(),
@@ -337,7 +345,11 @@ describe('Game - Mobile Optimizations', () => {
     }));
 
     jest.doMock('../game/ScoringSystem', () => ({
-      ScoringSystem: jest.fn(() => ({}))
+      ScoringSystem: jest.fn(() => ({
+        setPlayerCount: jest.fn(),
+        getTotalStrokes: jest.fn(() => 0),
+        getHoleHistory: jest.fn(() => [])
+      }))
     }));
 
     // Create game instance
@@ -399,6 +411,211 @@ describe('Game - Mobile Optimizations', () => {
     expect(game.course.getHoleStartPosition).toBeDefined();
   });
 
+  test('should create the course selected by id', async () => {
+    const { NineHoleCourse } = require('../objects/NineHoleCourse');
+
+    await game.init({ courseId: 'orbital-warmup' });
+
+    expect(game.courseId).toBe('orbital-warmup');
+    expect(NineHoleCourse.create).toHaveBeenCalledWith(
+      game,
+      expect.objectContaining({
+        courseData: expect.objectContaining({ id: 'orbital-warmup' })
+      })
+    );
+  });
+
+  test('should fall back to the default course for an unknown id', async () => {
+    await game.createCourse('does-not-exist');
+
+    expect(game.courseId).toBe('space-nine');
+  });
+
+  test("should create today's daily challenge and start its scored attempt", async () => {
+    const { NineHoleCourse } = require('../objects/NineHoleCourse');
+    const courseId = game.dailyChallenge.getTodayCourseId();
+    const startAttempt = jest.spyOn(game.dailyChallenge, 'startAttempt').mockReturnValue(true);
+
+    await game.createCourse(courseId);
+
+    expect(game.courseId).toBe(courseId);
+    expect(NineHoleCourse.create).toHaveBeenCalledWith(
+      game,
+      expect.objectContaining({ courseData: expect.objectContaining({ id: courseId }) })
+    );
+    expect(startAttempt).toHaveBeenCalledWith(courseId);
+  });
+
+  test('should record a finished daily challenge as the day result', () => {
+    game.courseId = game.dailyChallenge.getTodayCourseId();
+    game.scoringSystem.getTotalStrokes = jest.fn(() => 27);
+    const recordResult = jest.spyOn(game.dailyChallenge, 'recordResult').mockReturnValue(true);
+    const recordRound = jest.spyOn(game.playerStats, 'recordRound').mockReturnValue(null);
+
+    game.handleGameCompleted();
+
+    expect(recordResult).toHaveBeenCalledWith(game.courseId, 27);
+    expect(recordRound).toHaveBeenCalled();
+  });
+
+  test('should keep an unscored daily challenge attempt out of the player stats', () => {
+    game.courseId = game.dailyChallenge.getTodayCourseId();
+    jest.spyOn(game.dailyChallenge, 'recordResult').mockReturnValue(false);
+    const recordRound = jest.spyOn(game.playerStats, 'recordRound');
+
+    game.handleGameCompleted();
+
+    expect(recordRound).not.toHaveBeenCalled();
+  });
+
+  test('should set up hot-seat players and keep their round off the records', async () => {
+    await game.init({ players: ['Ada', 'Bo'], turnOrder: 'rotation' });
+    game.courseId = game.dailyChallenge.getTodayCourseId();
+    const recordResult = jest.spyOn(game.dailyChallenge, 'recordResult');
+    const recordRound = jest.spyOn(game.playerStats, 'recordRound');
+
+    game.handleGameCompleted();
+
+    expect(game.turnManager.getPlayerCount()).toBe(2);
+    expect(game.turnManager.turnOrder).toBe('rotation');
+    expect(game.scoringSystem.setPlayerCount).toHaveBeenCalledWith(2);
+    expect(recordResult).not.toHaveBeenCalled();
+    expect(recordRound).not.toHaveBeenCalled();
+  });
+
+  test('should start a time-attack round for a solo player only', async () => {
+    await game.init({ mode: 'timeAttack' });
+
+    expect(game.timeAttackManager.isEnabled()).toBe(true);
+
+    await game.init({ mode: 'timeAttack', players: ['Ada', 'Bo'] });
+
+    expect(game.timeAttackManager.isEnabled()).toBe(false);
+  });
+
+  test('should add a finished round to the player stats and show new bests', () => {
+    game.courseId = 'space-nine';
+    game.scoringSystem.getHoleHistory = jest.fn(() => [
+      { holeNumber: 1, strokes: 2, par: 3, penalties: 0, hazards: 0 }
+    ]);
+    const result = { totalStrokes: 2, previousBest: 3, isNewBest: true, newBestHoles: [] };
+    const recordRound = jest.spyOn(game.playerStats, 'recordRound').mockReturnValue(result);
+    game.uiManager.showPersonalBests = jest.fn();
+
+    game.handleGameCompleted();
+
+    expect(recordRound).toHaveBeenCalledWith('space-nine', [
+      expect.objectContaining({ holeNumber: 1, strokes: 2 })
+    ]);
+    expect(game.uiManager.showPersonalBests).toHaveBeenCalledWith(result);
+  });
+
+  test('should keep a practice round off the records', async () => {
+    await game.init({ mode: 'practice' });
+    const recordRound = jest.spyOn(game.playerStats, 'recordRound');
+
+    game.handleGameCompleted();
+
+    expect(game.practiceManager.isEnabled()).toBe(true);
+    expect(game.isRecordedRound()).toBe(false);
+    expect(recordRound).not.toHaveBeenCalled();
+  });
+
+  describe('restarts', () => {
+    const initGame = async (options = {}) => {
+      await game.init(options);
+      game.uiManager.removeFinalScorecard = jest.fn();
+      game.uiManager.showMessage = jest.fn();
+      game.holeStateManager.reset = jest.fn();
+      game.holeTransitionManager.transitionToHole = jest.fn(() => Promise.resolve(true));
+      jest.spyOn(game.roundSaveManager, 'saveRound').mockReturnValue(true);
+    };
+
+    test('should start the round over in place from the first hole', async () => {
+      await initGame();
+      jest.spyOn(game.roundRecordManager, 'setup');
+
+      await expect(game.restartRound()).resolves.toBe(true);
+
+      expect(game.uiManager.removeFinalScorecard).toHaveBeenCalled();
+      expect(game.stateManager.resetState).toHaveBeenCalled();
+      expect(game.scoringSystem.setPlayerCount).toHaveBeenLastCalledWith(1);
+      expect(game.holeStateManager.reset).toHaveBeenCalled();
+      expect(game.roundRecordManager.setup).toHaveBeenCalled();
+      expect(game.holeTransitionManager.transitionToHole).toHaveBeenCalledWith(1);
+      expect(game.roundSaveManager.saveRound).toHaveBeenCalledWith(1, null);
+      expect(game.uiManager.showMessage).toHaveBeenCalledWith('Round restarted', 2000);
+      expect(game.isRestarting).toBe(false);
+    });
+
+    test('should start the current hole over without its strokes in a hot-seat round', async () => {
+      await initGame({ players: ['Ada', 'Bo'] });
+      game.stateManager.getCurrentHoleNumber = jest.fn(() => 4);
+      game.scoringSystem.discardCurrentHole = jest.fn();
+      jest.spyOn(game.roundRecordManager, 'discardRound');
+
+      await expect(game.restartHole()).resolves.toBe(true);
+
+      expect(game.scoringSystem.discardCurrentHole).toHaveBeenCalled();
+      expect(game.roundRecordManager.discardRound).toHaveBeenCalled();
+      expect(game.holeTransitionManager.transitionToHole).toHaveBeenCalledWith(4);
+      expect(game.roundSaveManager.saveRound).not.toHaveBeenCalled();
+      expect(game.uiManager.showMessage).toHaveBeenCalledWith('Hole 4 restarted', 2000);
+    });
+
+    test('should keep a round with a restarted hole off the records', async () => {
+      await initGame({ players: ['Ada', 'Bo'] });
+      game.stateManager.getCurrentHoleNumber = jest.fn(() => 2);
+      game.scoringSystem.discardCurrentHole = jest.fn();
+      const recordRound = jest.spyOn(game.playerStats, 'recordRound');
+
+      await game.restartHole();
+      game.handleGameCompleted();
+
+      expect(game.scoringSystem.discardCurrentHole).toHaveBeenCalled();
+      expect(recordRound).not.toHaveBeenCalled();
+    });
+
+    test('should not start a hole over in a recorded round', async () => {
+      await initGame();
+      game.scoringSystem.discardCurrentHole = jest.fn();
+
+      expect(game.canRestartHole()).toBe(false);
+      await expect(game.restartHole()).resolves.toBe(false);
+
+      expect(game.scoringSystem.discardCurrentHole).not.toHaveBeenCalled();
+      expect(game.holeTransitionManager.transitionToHole).not.toHaveBeenCalled();
+    });
+
+    test('should allow a hole restart in practice but not in time attack', async () => {
+      await initGame({ mode: 'practice' });
+      expect(game.canRestartHole()).toBe(true);
+
+      jest.spyOn(game.timeAttackManager, 'isEnabled').mockReturnValue(true);
+      expect(game.canRestartHole()).toBe(false);
+    });
+
+    test('should ignore a restart while another one is loading', async () => {
+      await initGame();
+      const firstRestart = game.restartRound();
+
+      await expect(game.restartRound()).resolves.toBe(false);
+      await firstRestart;
+
+      expect(game.holeTransitionManager.transitionToHole).toHaveBeenCalledTimes(1);
+    });
+
+    test('should start a new daily challenge attempt for a restarted daily round', async () => {
+      await initGame();
+      game.courseId = game.dailyChallenge.getTodayCourseId();
+      const startAttempt = jest.spyOn(game.dailyChallenge, 'startAttempt').mockReturnValue(false);
+
+      await game.restartRound();
+
+      expect(startAttempt).toHaveBeenCalledWith(game.courseId);
+    });
+  });
+
   test('should handle window resize', async () => {
     await game.init();
 
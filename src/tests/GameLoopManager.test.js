@@ -189,6 +189,26 @@ describe('GameLoopManager', () => {
       expect(callOrder).toEqual(['physics', 'ball', 'hazard', 'camera', 'effects']);
     });
 
+    test('should update the course before stepping physics', () => {
+      const callOrder = [];
+
+      mockGame.course = { update: jest.fn(() => callOrder.push('course')) };
+      mockGame.physicsManager.update = jest.fn(() => callOrder.push('physics'));
+
+      animationFrameCallback();
+
+      expect(mockGame.course.update).toHaveBeenCalledWith(gameLoopManager.deltaTime);
+      expect(callOrder.slice(0, 2)).toEqual(['course', 'physics']);
+    });
+
+    test('should animate the space decorations', () => {
+      mockGame.spaceDecorations = { update: jest.fn() };
+
+      animationFrameCallback();
+
+      expect(mockGame.spaceDecorations.update).toHaveBeenCalledWith(gameLoopManager.deltaTime);
+    });
+
     test('should render scene', () => {
       animationFrameCallback();
 
@@ -230,6 +250,49 @@ describe('GameLoopManager', () => {
     });
   });
 
+  describe('deterministic mode', () => {
+    const FIXED_STEP = 1 / 60;
+
+    // Run one frame that ends the given number of seconds after the loop started
+    const runFrameAt = seconds => {
+      performance.now.mockReturnValue(seconds * 1000);
+      animationFrameCallback();
+    };
+
+    beforeEach(() => {
+      jest.spyOn(performance, 'now').mockReturnValue(0);
+      mockGame.physicsManager.isDeterministic = jest.fn(() => true);
+      mockGame.physicsManager.getFixedTimeStep = jest.fn(() => FIXED_STEP);
+      mockGame.roundRecordManager = { beforeStep: jest.fn() };
+      gameLoopManager = new GameLoopManager(mockGame);
+      gameLoopManager.init();
+      gameLoopManager.startLoop();
+    });
+
+    afterEach(() => {
+      performance.now.mockRestore();
+    });
+
+    test('should spend the frame time in whole fixed steps', () => {
+      runFrameAt(FIXED_STEP * 2.5);
+
+      expect(mockGame.physicsManager.update).toHaveBeenCalledTimes(2);
+      expect(mockGame.physicsManager.update).toHaveBeenCalledWith(FIXED_STEP);
+      expect(mockGame.roundRecordManager.beforeStep).toHaveBeenCalledTimes(2);
+
+      // The left-over half step is carried into the next frame
+      runFrameAt(FIXED_STEP * 5.2);
+
+      expect(mockGame.physicsManager.update).toHaveBeenCalledTimes(5);
+    });
+
+    test('should cap the fixed steps of a long frame', () => {
+      runFrameAt(1);
+
+      expect(mockGame.physicsManager.update).toHaveBeenCalledTimes(4);
+    });
+  });
+
   describe('pause handling', () => {
     beforeEach(() => {
       gameLoopManager = new GameLoopManager(mockGame);
@@ -244,6 +307,7 @@ describe('GameLoopManager', () => {
 
       // Should still render but not update physics
       expect(mockRenderer.render).toHaveBeenCalled();
+      expect(mockGame.physicsManager.update).not.toHaveBeenCalled();
       // Updates should be minimal in paused state
     });
   });
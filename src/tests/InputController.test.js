@@ -426,6 +426,53 @@ describe('InputController', () => {
     }).not.toThrow();
   });
 
+  test('should toggle the scorecard with the C key', () => {
+    mockGame.uiManager = { toggleScorecard: jest.fn() };
+
+    inputController.onKeyDown({ key: 'C' });
+
+    expect(mockGame.uiManager.toggleScorecard).toHaveBeenCalled();
+  });
+
+  test('should not toggle the scorecard when C is typed into a text field', () => {
+    mockGame.uiManager = { toggleScorecard: jest.fn() };
+
+    inputController.onKeyDown({ key: 'c', target: { tagName: 'INPUT' } });
+    inputController.onKeyDown({ key: 'c', target: { tagName: 'TEXTAREA' } });
+    inputController.onKeyDown({ key: 'c', target: { tagName: 'DIV', isContentEditable: true } });
+
+    expect(mockGame.uiManager.toggleScorecard).not.toHaveBeenCalled();
+  });
+
+  test('should toggle the pause menu with the Escape key', () => {
+    mockGame.pauseManager = { togglePause: jest.fn(), isPaused: jest.fn(() => true) };
+
+    inputController.onKeyDown({ key: 'Escape' });
+
+    expect(mockGame.pauseManager.togglePause).toHaveBeenCalled();
+  });
+
+  test('should leave Escape to the level editor and text fields', () => {
+    mockGame.pauseManager = { togglePause: jest.fn(), isPaused: jest.fn(() => false) };
+    mockGame.debugManager.levelEditor = { isActive: jest.fn(() => true) };
+
+    inputController.onKeyDown({ key: 'Escape' });
+    mockGame.debugManager.levelEditor.isActive.mockReturnValue(false);
+    inputController.onKeyDown({ key: 'Escape', defaultPrevented: true });
+    inputController.onKeyDown({ key: 'Escape', target: { tagName: 'INPUT' } });
+
+    expect(mockGame.pauseManager.togglePause).not.toHaveBeenCalled();
+  });
+
+  test('should ignore shots while paused', () => {
+    mockGame.pauseManager = { isPaused: jest.fn(() => true) };
+    inputController.isInputEnabled = true;
+
+    inputController.onMouseDown({ button: 0, clientX: 100, clientY: 100 });
+
+    expect(inputController.isPointerDown).toBe(false);
+  });
+
   test('should handle mobile device detection', () => {
     expect(inputController.isMobileDevice).toBeDefined();
     expect(typeof inputController.isMobileDevice).toBe('boolean');
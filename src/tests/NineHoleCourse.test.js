@@ -174,6 +174,14 @@ describe('NineHoleCourse', () => {
       expect(nineHoleCourse.holeGroups).toBeDefined();
       expect(Array.isArray(nineHoleCourse.holeGroups)).toBe(true);
     });
+
+    test('should resolve the stroke cap for the current hole', () => {
+      expect(nineHoleCourse.getStrokeCap()).toBe(10);
+
+      nineHoleCourse.strokeCap = { overPar: 4 };
+
+      expect(nineHoleCourse.getStrokeCap()).toBe(nineHoleCourse.getHolePar() + 4);
+    });
   });
 
   describe('error handling', () => {
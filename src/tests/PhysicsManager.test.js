@@ -89,6 +89,10 @@ jest.mock('../physics/PhysicsWorld', () => ({
       setupCollideListener: jest.fn(),
       createContactMaterials: jest.fn(),
       setCollisionCallback: jest.fn(),
+      setDeterministic: jest.fn(function (enabled) {
+        this.deterministic = enabled;
+      }),
+      stepCount: 0,
       cleanup: jest.fn(),
       update: jest.fn(function () {
         // Simulate the update method calling world.step
@@ -192,6 +196,19 @@ describe('PhysicsManager', () => {
     expect(physicsManager.cannonWorld).toBeDefined();
   });
 
+  test('should keep deterministic mode across world resets', () => {
+    physicsManager.init();
+    physicsManager.setDeterministic(true);
+    expect(physicsManager.world.deterministic).toBe(true);
+
+    physicsManager.resetWorld();
+
+    expect(physicsManager.isDeterministic()).toBe(true);
+    expect(physicsManager.world.setDeterministic).toHaveBeenCalledWith(true);
+    expect(physicsManager.getStepCount()).toBe(0);
+    expect(physicsManager.getFixedTimeStep()).toBeCloseTo(1 / 60);
+  });
+
   test('should add body to world', () => {
     physicsManager.init();
     const mockBody = { type: 'test-body' };
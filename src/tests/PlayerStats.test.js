@@ -0,0 +1,119 @@
+/**
+ * Unit tests for PlayerStats
+ */
+
+import { PlayerStats } from '../game/PlayerStats';
+import { loadData, saveData } from '../utils/storage';
+
+describe('PlayerStats', () => {
+  let stats;
+
+  const hole = (holeNumber, strokes, par = 3, penalties = 0) => ({
+    holeNumber,
+    strokes,
+    par,
+    penalties,
+    hazards: penalties
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    window.localStorage.clear();
+    stats = new PlayerStats(() => new Date(2026, 9, 19, 12));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start with no rounds', () => {
+    expect(stats.getSummary()).toEqual({
+      roundsPlayed: 0,
+      holesPlayed: 0,
+      holesInOne: 0,
+      averagePutts: null,
+      courses: [],
+      recentRounds: []
+    });
+  });
+
+  test('should add up rounds, holes, holes-in-one and putts', () => {
+    stats.recordRound('space-nine', [hole(1, 1), hole(2, 4, 3, 1), hole(3, 3)]);
+    stats.recordRound('orbital-warmup', [hole(1, 2, 2)]);
+
+    const summary = stats.getSummary();
+    expect(summary.roundsPlayed).toBe(2);
+    expect(summary.holesPlayed).toBe(4);
+    expect(summary.holesInOne).toBe(1);
+    // 1 + 3 + 3 + 2 putts; the penalty stroke is not a putt
+    expect(summary.averagePutts).toBe(2.25);
+    expect(summary.recentRounds).toEqual([
+      { courseId: 'orbital-warmup', date: '2026-10-19', totalStrokes: 2, par: 2 },
+      { courseId: 'space-nine', date: '2026-10-19', totalStrokes: 8, par: 9 }
+    ]);
+  });
+
+  test('should keep the best score per course and per hole', () => {
+    stats.recordRound('space-nine', [hole(1, 2), hole(2, 5)]);
+    stats.recordRound('space-nine', [hole(1, 4), hole(2, 4)]);
+
+    expect(stats.getCourseStats('space-nine')).toEqual({
+      roundsPlayed: 2,
+      bestScore: 7,
+      bestHoles: { 1: 2, 2: 4 }
+    });
+  });
+
+  test('should report new personal bests against earlier rounds only', () => {
+    const first = stats.recordRound('space-nine', [hole(1, 3), hole(2, 5)]);
+    expect(first).toEqual({
+      totalStrokes: 8,
+      previousBest: null,
+      isNewBest: false,
+      newBestHoles: []
+    });
+
+    const second = stats.recordRound('space-nine', [hole(1, 4), hole(2, 3)]);
+    expect(second).toEqual({
+      totalStrokes: 7,
+      previousBest: 8,
+      isNewBest: true,
+      newBestHoles: [2]
+    });
+  });
+
+  test('should compare a round without recording it', () => {
+    stats.recordRound('space-nine', [hole(1, 3)]);
+
+    expect(stats.compareRound('space-nine', [hole(1, 2)]).isNewBest).toBe(true);
+    expect(stats.getSummary().roundsPlayed).toBe(1);
+  });
+
+  test('should ignore rounds without holes', () => {
+    expect(stats.recordRound('space-nine', [])).toBeNull();
+    expect(stats.getSummary().roundsPlayed).toBe(0);
+  });
+
+  test('should keep the stats across sessions', () => {
+    stats.recordRound('space-nine', [hole(1, 1)]);
+
+    const reloaded = new PlayerStats();
+
+    expect(reloaded.getSummary().holesInOne).toBe(1);
+    expect(reloaded.getCourseStats('space-nine').bestScore).toBe(1);
+  });
+
+  test('should take over the best scores stored under the old key', () => {
+    stats.recordRound('space-nine', [hole(1, 3)]);
+    saveData('bestScores', { 'space-nine': 2, 'orbital-warmup': 9 });
+
+    const reloaded = new PlayerStats();
+
+    expect(reloaded.getCourseStats('space-nine')).toMatchObject({ roundsPlayed: 1, bestScore: 2 });
+    expect(reloaded.getCourseStats('orbital-warmup')).toMatchObject({
+      roundsPlayed: 0,
+      bestScore: 9
+    });
+    expect(loadData('bestScores')).toBeNull();
+  });
+});
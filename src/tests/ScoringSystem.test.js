@@ -2,7 +2,7 @@
  * Unit tests for ScoringSystem
  */
 
-import { ScoringSystem } from '../game/ScoringSystem';
+import { ScoringSystem, getScoreName, formatToPar } from '../game/ScoringSystem';
 
 describe('ScoringSystem', () => {
   let mockGame;
@@ -164,6 +164,23 @@ describe('ScoringSystem', () => {
     });
   });
 
+  describe('discardCurrentHole', () => {
+    test("should take every player's strokes on the hole off their totals", () => {
+      scoringSystem.setPlayerCount(2);
+      scoringSystem.addStroke().completeHole(1).resetCurrentStrokes();
+      scoringSystem.addStroke().addStroke();
+      scoringSystem.setActivePlayer(1);
+      scoringSystem.addStroke().addPenaltyStrokes(1);
+
+      scoringSystem.discardCurrentHole();
+
+      expect(scoringSystem.getPlayerTotalStrokes(0)).toBe(1);
+      expect(scoringSystem.getPlayerTotalStrokes(1)).toBe(0);
+      expect(scoringSystem.getPlayerHoleStrokes(0)).toBe(0);
+      expect(scoringSystem.getPlayerHoleStrokes(1)).toBe(0);
+    });
+  });
+
   describe('completeHole', () => {
     test('should return the scoring system instance for chaining', () => {
       const result = scoringSystem.completeHole();
@@ -226,4 +243,156 @@ describe('ScoringSystem', () => {
       expect(scoringSystem.getCurrentStrokes()).toBe(100);
     });
   });
+
+  describe('capCurrentStrokes', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    test('should record the hole at the cap after penalty strokes', () => {
+      scoringSystem.addStroke().addStroke().addPenaltyStrokes(3);
+
+      scoringSystem.capCurrentStrokes(4);
+
+      expect(scoringSystem.getCurrentStrokes()).toBe(4);
+      expect(scoringSystem.getTotalStrokes()).toBe(4);
+    });
+
+    test('should leave strokes within the cap alone', () => {
+      scoringSystem.addStroke().addStroke();
+
+      scoringSystem.capCurrentStrokes(4);
+
+      expect(scoringSystem.getCurrentStrokes()).toBe(2);
+    });
+  });
+
+  describe('multiple players', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+      scoringSystem.setPlayerCount(3);
+    });
+
+    test('should count strokes for the active player only', () => {
+      scoringSystem.addStroke();
+      scoringSystem.setActivePlayer(2).addStroke().addStroke();
+
+      expect(scoringSystem.getPlayerCount()).toBe(3);
+      expect(scoringSystem.getPlayerHoleStrokes(0)).toBe(1);
+      expect(scoringSystem.getPlayerHoleStrokes(1)).toBe(0);
+      expect(scoringSystem.getPlayerTotalStrokes(2)).toBe(2);
+      expect(scoringSystem.getCurrentStrokes()).toBe(2);
+    });
+
+    test('should add penalty strokes to the active player', () => {
+      scoringSystem.setActivePlayer(1).addPenaltyStrokes(2);
+
+      expect(scoringSystem.getPlayerHoleStrokes(1)).toBe(2);
+      expect(scoringSystem.getPlayerTotalStrokes(0)).toBe(0);
+    });
+
+    test('should keep a hole-by-hole scorecard per player', () => {
+      scoringSystem.addStroke().addStroke();
+      scoringSystem.setActivePlayer(1).addStroke();
+      scoringSystem.completeHole().resetCurrentStrokes();
+      scoringSystem.setActivePlayer(0).addStroke();
+      scoringSystem.completeHole();
+
+      expect(scoringSystem.getScorecards()).toEqual([
+        { holeScores: [2, 1], totalStrokes: 3 },
+        { holeScores: [1, 0], totalStrokes: 1 },
+        { holeScores: [0, 0], totalStrokes: 0 }
+      ]);
+    });
+
+    test('should keep a hole-by-hole history with par, penalties and hazards', () => {
+      scoringSystem.addStroke().addPenaltyStrokes(1).addStroke();
+      scoringSystem.completeHole(1, 3).resetCurrentStrokes();
+      scoringSystem.addStroke();
+      scoringSystem.completeHole(2, 2);
+
+      expect(scoringSystem.getHoleHistory()).toEqual([
+        { holeNumber: 1, strokes: 3, par: 3, penalties: 1, hazards: 1 },
+        { holeNumber: 2, strokes: 1, par: 2, penalties: 0, hazards: 0 }
+      ]);
+      expect(scoringSystem.getHoleHistory(1)[0]).toEqual(
+        expect.objectContaining({ strokes: 0, penalties: 0 })
+      );
+    });
+
+    test('should number holes in play order without a hole number', () => {
+      scoringSystem.completeHole().completeHole();
+
+      expect(scoringSystem.getHoleHistory().map(hole => hole.holeNumber)).toEqual([1, 2]);
+      expect(scoringSystem.getHoleHistory()[0].par).toBeNull();
+    });
+
+    test('should reset every player when the player count changes', () => {
+      scoringSystem.setActivePlayer(1).addStroke();
+      scoringSystem.setPlayerCount(2);
+
+      expect(scoringSystem.getActivePlayerIndex()).toBe(0);
+      expect(scoringSystem.getPlayerTotalStrokes(1)).toBe(0);
+    });
+
+    test('should restore every player from a snapshot', () => {
+      scoringSystem.setActivePlayer(1).addStroke().addPenaltyStrokes(1);
+      scoringSystem.completeHole(1, 3);
+      const snapshot = scoringSystem.getSnapshot();
+
+      const restored = new ScoringSystem(mockGame);
+      expect(restored.restoreSnapshot(JSON.parse(JSON.stringify(snapshot)))).toBe(true);
+
+      expect(restored.getActivePlayerIndex()).toBe(1);
+      expect(restored.getPlayerTotalStrokes(1)).toBe(2);
+      expect(restored.getCurrentStrokes()).toBe(2);
+      expect(restored.getHoleHistory(1)).toEqual(scoringSystem.getHoleHistory(1));
+    });
+
+    test('should not share state with a snapshot', () => {
+      const snapshot = scoringSystem.getSnapshot();
+      scoringSystem.addStroke();
+
+      expect(snapshot.players[0].totalStrokes).toBe(0);
+    });
+
+    test('should ignore an invalid snapshot', () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+      scoringSystem.addStroke();
+
+      expect(scoringSystem.restoreSnapshot({ players: [] })).toBe(false);
+      expect(scoringSystem.restoreSnapshot(null)).toBe(false);
+      expect(scoringSystem.getTotalStrokes()).toBe(1);
+    });
+
+    test('should ignore an unknown player index', () => {
+      jest.spyOn(console, 'warn').mockImplementation();
+
+      scoringSystem.setActivePlayer(5);
+
+      expect(scoringSystem.getActivePlayerIndex()).toBe(0);
+    });
+  });
+});
+
+describe('getScoreName', () => {
+  test('should name scores relative to par', () => {
+    expect(getScoreName(1, 3)).toBe('Hole-in-One');
+    expect(getScoreName(2, 5)).toBe('Albatross');
+    expect(getScoreName(2, 4)).toBe('Eagle');
+    expect(getScoreName(2, 3)).toBe('Birdie');
+    expect(getScoreName(3, 3)).toBe('Par');
+    expect(getScoreName(4, 3)).toBe('Bogey');
+    expect(getScoreName(5, 3)).toBe('Double Bogey');
+    expect(getScoreName(6, 3)).toBe('Triple Bogey');
+    expect(getScoreName(7, 3)).toBe('+4');
+  });
+});
+
+describe('formatToPar', () => {
+  test('should show even par as E and sign other scores', () => {
+    expect(formatToPar(0)).toBe('E');
+    expect(formatToPar(2)).toBe('+2');
+    expect(formatToPar(-1)).toBe('-1');
+  });
 });
@@ -0,0 +1,28 @@
+/**
+ * Unit tests for StrokeCap
+ */
+
+import { DEFAULT_STROKE_CAP, resolveStrokeCap } from '../game/StrokeCap';
+
+describe('resolveStrokeCap', () => {
+  test('should use a fixed cap on every hole', () => {
+    expect(resolveStrokeCap(8, 3)).toBe(8);
+    expect(resolveStrokeCap(8, 5)).toBe(8);
+  });
+
+  test('should add the over-par allowance to the hole par', () => {
+    expect(resolveStrokeCap({ overPar: 4 }, 3)).toBe(7);
+    expect(resolveStrokeCap({ overPar: 4 }, 5)).toBe(9);
+  });
+
+  test('should fall back to the default cap', () => {
+    expect(resolveStrokeCap(null, 3)).toBe(DEFAULT_STROKE_CAP);
+    expect(resolveStrokeCap(undefined, 3)).toBe(DEFAULT_STROKE_CAP);
+    expect(resolveStrokeCap({ overPar: 2 })).toBe(DEFAULT_STROKE_CAP);
+  });
+
+  test('should never go below one stroke', () => {
+    expect(resolveStrokeCap(0, 3)).toBe(1);
+    expect(resolveStrokeCap({ overPar: -5 }, 2)).toBe(1);
+  });
+});
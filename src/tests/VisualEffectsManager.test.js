@@ -112,6 +112,72 @@ describe('VisualEffectsManager', () => {
     });
   });
 
+  describe('triggerTeleportEffect', () => {
+    const entryPosition = { x: -3, y: 0.4, z: 6 };
+    const exitPosition = { x: 3, y: 0.4, z: -6 };
+    let now;
+
+    beforeEach(() => {
+      now = 1000;
+      jest.spyOn(performance, 'now').mockImplementation(() => now);
+
+      visualEffectsManager = new VisualEffectsManager(mockGame);
+      visualEffectsManager.init();
+    });
+
+    afterEach(() => {
+      performance.now.mockRestore();
+    });
+
+    test('should add a ring flash at the entry and the exit', () => {
+      visualEffectsManager.triggerTeleportEffect(entryPosition, exitPosition);
+
+      expect(mockScene.add).toHaveBeenCalledTimes(2);
+      expect(visualEffectsManager.effects).toHaveLength(2);
+      expect(visualEffectsManager.effects[0].mesh.position.set).toHaveBeenCalledWith(-3, 0.4, 6);
+      expect(visualEffectsManager.effects[1].mesh.position.set).toHaveBeenCalledWith(3, 0.4, -6);
+    });
+
+    test('should grow and fade the rings, then remove them', () => {
+      visualEffectsManager.triggerTeleportEffect(entryPosition, exitPosition);
+      const [{ mesh }] = visualEffectsManager.effects;
+      jest.spyOn(mesh.geometry, 'dispose');
+
+      now += 300;
+      visualEffectsManager.update();
+
+      expect(mesh.scale.set).toHaveBeenCalledWith(2.5, 2.5, 2.5);
+      expect(mesh.material.opacity).toBeCloseTo(0.45);
+
+      now += 300;
+      visualEffectsManager.update();
+
+      expect(visualEffectsManager.effects).toHaveLength(0);
+      expect(mockScene.remove).toHaveBeenCalledWith(mesh);
+      expect(mesh.geometry.dispose).toHaveBeenCalled();
+    });
+
+    test('should remove active effects on cleanup', () => {
+      visualEffectsManager.triggerTeleportEffect(entryPosition, exitPosition);
+
+      visualEffectsManager.cleanup();
+
+      expect(mockScene.remove).toHaveBeenCalledTimes(2);
+      expect(visualEffectsManager.effects).toHaveLength(0);
+    });
+
+    test('should handle missing scene gracefully', () => {
+      visualEffectsManager.scene = null;
+
+      visualEffectsManager.triggerTeleportEffect(entryPosition, exitPosition);
+
+      expect(visualEffectsManager.effects).toHaveLength(0);
+      expect(console.error).toHaveBeenCalledWith(
+        '[VisualEffectsManager] Cannot trigger effect: Scene not available.'
+      );
+    });
+  });
+
   describe('resetBallVisuals', () => {
     beforeEach(() => {
       visualEffectsManager = new VisualEffectsManager(mockGame);
@@ -0,0 +1,298 @@
+/**
+ * Unit tests for CourseLoader
+ */
+
+import * as THREE from 'three';
+import {
+  COURSE_FORMAT_VERSION,
+  hydrateHoleConfig,
+  loadCourse,
+  serializeCourse,
+  serializeHoleConfig
+} from '../../courses/CourseLoader';
+import spaceNineCourseData from '../../courses/space-nine.json';
+import basicCourseData from '../../courses/basic.json';
+
+describe('CourseLoader', () => {
+  const sampleHole = {
+    description: '1. Test Hole',
+    par: 2,
+    boundaryShape: [
+      [-5, -10],
+      [-5, 10],
+      [5, 10],
+      [5, -10],
+      [-5, -10]
+    ],
+    startPosition: [0, 0, 8],
+    holePosition: [0, 0, -7],
+    hazards: [
+      { type: 'sand', shape: 'circle', position: [-2, 0, 5], size: { radius: 2 }, depth: 0.1 }
+    ],
+    bumpers: [{ position: [-2, 0.25, 0], size: [0.5, 0.5, 3], rotation: [0, 30, 0] }]
+  };
+
+  const sampleTerrain = [
+    { type: 'ramp', position: [2, 0, 0], size: [2, 3], rise: 0.5, rotation: 90 },
+    { type: 'hill', position: [-2, 0, -3], radius: 1.5, height: 0.4 }
+  ];
+
+  const sampleObstacles = [
+    { type: 'rotatingArm', position: [0, 0.4, 0], size: [3, 0.4, 0.3], rotationSpeed: 90 },
+    { type: 'slider', position: [-2, 0.45, 2], travel: [4, 0, 0], period: 3, phase: 0.5 },
+    { type: 'windmill', position: [0, 1.25, -3], bladeLength: 1, rotation: 90 }
+  ];
+
+  const sampleTeleporters = [
+    { entry: { position: [-3, 0, 6], rotation: 90 }, exit: { position: [3, 0, -6] }, radius: 0.6 }
+  ];
+
+  const sampleBoostPads = [
+    { position: [-1.5, 0, -9.5], size: [1.5, 1.5], rotation: -90, boost: 4 }
+  ];
+
+  const sampleConveyors = [{ position: [3.5, 0, 6], size: [2, 6], speed: 1.5 }];
+
+  const sampleSurfaceZones = [
+    {
+      surface: 'ice',
+      polygon: [
+        [-4.9, -6],
+        [4.9, -6],
+        [4.9, -7.5],
+        [-4.9, -7.5]
+      ]
+    }
+  ];
+
+  const sampleGravityWells = [
+    { position: [-2.5, 0, 0.5], strength: 3, radius: 2.5, falloff: 'linear' }
+  ];
+
+  describe('hydrateHoleConfig', () => {
+    test('should convert positions to THREE.Vector3 and add the index', () => {
+      const config = hydrateHoleConfig(sampleHole, 3);
+
+      expect(config.index).toBe(3);
+      expect(config.par).toBe(2);
+      expect(config.startPosition).toBeInstanceOf(THREE.Vector3);
+      expect(config.startPosition.z).toBe(8);
+      expect(config.holePosition.z).toBe(-7);
+      expect(config.hazards[0].position).toBeInstanceOf(THREE.Vector3);
+      expect(config.hazards[0].size).toEqual({ radius: 2 });
+    });
+
+    test('should convert boundary points to THREE.Vector2', () => {
+      const config = hydrateHoleConfig(sampleHole, 0);
+
+      expect(config.boundaryShape).toHaveLength(5);
+      expect(config.boundaryShape[0]).toBeInstanceOf(THREE.Vector2);
+      expect(config.boundaryShape[1].x).toBe(-5);
+      expect(config.boundaryShape[1].y).toBe(10);
+    });
+
+    test('should convert bumper rotations from degrees to radians', () => {
+      const config = hydrateHoleConfig(sampleHole, 0);
+      const bumper = config.bumpers[0];
+
+      expect(bumper.rotation).toBeInstanceOf(THREE.Euler);
+      expect(bumper.rotation.y).toBeCloseTo(Math.PI / 6);
+      expect(bumper.size.z).toBe(3);
+    });
+
+    test('should default missing bumper rotation to zero', () => {
+      const config = hydrateHoleConfig(
+        { ...sampleHole, bumpers: [{ position: [0, 0.25, 0], size: [1, 0.5, 1] }] },
+        0
+      );
+
+      expect(config.bumpers[0].rotation.y).toBe(0);
+    });
+
+    test('should not mutate the source hole definition', () => {
+      hydrateHoleConfig(sampleHole, 0);
+
+      expect(sampleHole.startPosition).toEqual([0, 0, 8]);
+      expect(sampleHole.index).toBeUndefined();
+    });
+
+    test('should convert terrain positions and rotations', () => {
+      const config = hydrateHoleConfig({ ...sampleHole, terrain: sampleTerrain }, 0);
+
+      expect(config.terrain[0].position).toBeInstanceOf(THREE.Vector3);
+      expect(config.terrain[0].rotation).toBeCloseTo(Math.PI / 2);
+      expect(config.terrain[0].size).toEqual([2, 3]);
+      expect(config.terrain[1]).not.toHaveProperty('rotation');
+    });
+
+    test('should convert obstacle vectors and angles', () => {
+      const config = hydrateHoleConfig({ ...sampleHole, obstacles: sampleObstacles }, 0);
+      const [arm, slider, windmill] = config.obstacles;
+
+      expect(arm.position).toBeInstanceOf(THREE.Vector3);
+      expect(arm.size.x).toBe(3);
+      expect(arm.rotationSpeed).toBeCloseTo(Math.PI / 2);
+      expect(slider.travel).toBeInstanceOf(THREE.Vector3);
+      expect(slider.travel.x).toBe(4);
+      expect(slider.period).toBe(3);
+      expect(slider.phase).toBe(0.5);
+      expect(windmill.rotation).toBeCloseTo(Math.PI / 2);
+      expect(windmill).not.toHaveProperty('rotationSpeed');
+    });
+
+    test('should convert teleporter portal positions and rotations', () => {
+      const config = hydrateHoleConfig({ ...sampleHole, teleporters: sampleTeleporters }, 0);
+      const [teleporter] = config.teleporters;
+
+      expect(teleporter.entry.position).toBeInstanceOf(THREE.Vector3);
+      expect(teleporter.entry.rotation).toBeCloseTo(Math.PI / 2);
+      expect(teleporter.exit.position.z).toBe(-6);
+      expect(teleporter.exit).not.toHaveProperty('rotation');
+      expect(teleporter.radius).toBe(0.6);
+    });
+  });
+
+  describe('serializeHoleConfig', () => {
+    test('should round-trip a hole definition', () => {
+      const config = hydrateHoleConfig(sampleHole, 0);
+
+      expect(serializeHoleConfig(config)).toEqual(sampleHole);
+    });
+
+    test('should round-trip terrain', () => {
+      const hole = { ...sampleHole, terrain: sampleTerrain };
+
+      expect(serializeHoleConfig(hydrateHoleConfig(hole, 0))).toEqual(hole);
+    });
+
+    test('should round-trip obstacles', () => {
+      const hole = { ...sampleHole, obstacles: sampleObstacles };
+
+      expect(serializeHoleConfig(hydrateHoleConfig(hole, 0))).toEqual(hole);
+    });
+
+    test('should round-trip teleporters', () => {
+      const hole = { ...sampleHole, teleporters: sampleTeleporters };
+
+      expect(serializeHoleConfig(hydrateHoleConfig(hole, 0))).toEqual(hole);
+    });
+
+    test('should round-trip boost pads and conveyors', () => {
+      const hole = { ...sampleHole, boostPads: sampleBoostPads, conveyors: sampleConveyors };
+      const config = hydrateHoleConfig(hole, 0);
+
+      expect(config.boostPads[0].rotation).toBeCloseTo(-Math.PI / 2);
+      expect(config.conveyors[0].position).toBeInstanceOf(THREE.Vector3);
+      expect(config.conveyors[0]).not.toHaveProperty('rotation');
+      expect(serializeHoleConfig(config)).toEqual(hole);
+    });
+
+    test('should round-trip surface zones and bumper materials', () => {
+      const hole = {
+        ...sampleHole,
+        surfaceZones: sampleSurfaceZones,
+        bumpers: [{ ...sampleHole.bumpers[0], material: 'rubber' }]
+      };
+      const config = hydrateHoleConfig(hole, 0);
+
+      expect(config.surfaceZones[0].polygon[1]).toBeInstanceOf(THREE.Vector2);
+      expect(config.surfaceZones[0].polygon[1]).toMatchObject({ x: 4.9, y: -6 });
+      expect(config.bumpers[0].material).toBe('rubber');
+      expect(serializeHoleConfig(config)).toEqual(hole);
+    });
+
+    test('should round-trip gravity wells', () => {
+      const hole = { ...sampleHole, gravityWells: sampleGravityWells };
+      const config = hydrateHoleConfig(hole, 0);
+
+      expect(config.gravityWells[0].position).toBeInstanceOf(THREE.Vector3);
+      expect(serializeHoleConfig(config)).toEqual(hole);
+    });
+  });
+
+  describe('loadCourse', () => {
+    test('should load course metadata and hole configs', () => {
+      const course = loadCourse({
+        formatVersion: 1,
+        id: 'test',
+        name: 'Test Course',
+        author: 'Tester',
+        description: 'A test course',
+        holes: [sampleHole, sampleHole]
+      });
+
+      expect(course.id).toBe('test');
+      expect(course.name).toBe('Test Course');
+      expect(course.author).toBe('Tester');
+      expect(course.holeConfigs).toHaveLength(2);
+      expect(course.holeConfigs[1].index).toBe(1);
+    });
+
+    test('should accept a JSON string', () => {
+      const course = loadCourse(
+        JSON.stringify({ id: 'json', name: 'JSON Course', holes: [sampleHole] })
+      );
+
+      expect(course.id).toBe('json');
+      expect(course.formatVersion).toBe(COURSE_FORMAT_VERSION);
+    });
+
+    test('should reject newer format versions', () => {
+      expect(() => loadCourse({ formatVersion: COURSE_FORMAT_VERSION + 1, holes: [] })).toThrow(
+        /Unsupported course format version/
+      );
+    });
+
+    test('should reject data without a holes array', () => {
+      expect(() => loadCourse({ id: 'broken' })).toThrow(/holes array/);
+      expect(() => loadCourse(null)).toThrow(/must be an object/);
+    });
+
+    test('should reject courses that fail validation and list every problem', () => {
+      const invalid = {
+        id: 'invalid',
+        name: 'Invalid',
+        holes: [sampleHole, { ...sampleHole, par: 0, startPosition: [0, 0, 50] }]
+      };
+
+      expect(() => loadCourse(invalid)).toThrow(/Hole 2 \(holes\[1\]\.par\)/);
+      try {
+        loadCourse(invalid);
+      } catch (error) {
+        expect(error.problems.map(problem => problem.path)).toEqual([
+          'holes[1].par',
+          'holes[1].startPosition'
+        ]);
+      }
+    });
+
+    test('should skip validation when requested', () => {
+      const course = loadCourse(
+        { id: 'unchecked', holes: [{ ...sampleHole, par: 0 }] },
+        { validate: false }
+      );
+
+      expect(course.holeConfigs[0].par).toBe(0);
+    });
+
+    test('should load the bundled courses', () => {
+      const spaceNine = loadCourse(spaceNineCourseData);
+      const basic = loadCourse(basicCourseData);
+
+      expect(spaceNine.holeConfigs).toHaveLength(9);
+      expect(spaceNine.holeConfigs[0].description).toBe('1. Launch Pad');
+      expect(spaceNine.holeConfigs[8].par).toBe(5);
+      expect(basic.holeConfigs).toHaveLength(3);
+      expect(basic.holeConfigs[1].hazards[0].subShapes).toHaveLength(2);
+    });
+  });
+
+  describe('serializeCourse', () => {
+    test('should produce data that loads back to the same course', () => {
+      const course = loadCourse(spaceNineCourseData);
+      const serialized = serializeCourse(course, course.holeConfigs);
+
+      expect(serialized).toEqual(spaceNineCourseData);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit tests for CourseRegistry
+ */
+
+import { CourseRegistry, DEFAULT_COURSE_ID } from '../../courses/CourseRegistry';
+import { PlayerStats } from '../../game/PlayerStats';
+
+describe('CourseRegistry', () => {
+  let registry;
+
+  const customCourse = {
+    formatVersion: 1,
+    id: 'custom',
+    name: 'Custom Course',
+    author: 'Tester',
+    description: 'A custom course',
+    holes: [{ par: 2 }, { par: 4 }]
+  };
+
+  let playerStats;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    window.localStorage.clear();
+    playerStats = new PlayerStats();
+    registry = new CourseRegistry(playerStats);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should register the bundled courses', () => {
+    expect(registry.hasCourse(DEFAULT_COURSE_ID)).toBe(true);
+    expect(registry.hasCourse('orbital-warmup')).toBe(true);
+    expect(registry.listCourses()[0].id).toBe(DEFAULT_COURSE_ID);
+  });
+
+  test('should summarize a course for the menu', () => {
+    const summary = registry.getCourseSummary(DEFAULT_COURSE_ID);
+
+    expect(summary).toMatchObject({
+      id: 'space-nine',
+      name: 'Space Nine',
+      author: 'Mini Golf Break Team',
+      holeCount: 9,
+      totalPar: 30,
+      bestScore: null
+    });
+  });
+
+  test('should register and unregister custom courses', () => {
+    registry.register(customCourse);
+
+    expect(registry.getCourseData('custom')).toBe(customCourse);
+    expect(registry.getCourseSummary('custom').totalPar).toBe(6);
+    expect(registry.listCourses().map(course => course.id)).toContain('custom');
+
+    expect(registry.unregister('custom')).toBe(true);
+    expect(registry.getCourseData('custom')).toBeNull();
+    expect(registry.getCourseSummary('custom')).toBeNull();
+  });
+
+  test('should reject course data without an id', () => {
+    expect(() => registry.register({ name: 'No id' })).toThrow(/string id/);
+  });
+
+  describe('best scores', () => {
+    const round = strokes => [{ holeNumber: 1, strokes, par: 3, penalties: 0 }];
+
+    test('should read the best score from the player stats', () => {
+      playerStats.recordRound('space-nine', round(30));
+      playerStats.recordRound('space-nine', round(32));
+      playerStats.recordRound('space-nine', round(27));
+
+      expect(registry.getBestScore('space-nine')).toBe(27);
+      expect(registry.getCourseSummary('space-nine').bestScore).toBe(27);
+    });
+
+    test('should have no best score for a course never finished', () => {
+      expect(registry.getBestScore('space-nine')).toBeNull();
+      expect(new CourseRegistry().getBestScore('space-nine')).toBeNull();
+    });
+  });
+});
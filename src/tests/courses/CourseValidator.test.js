@@ -0,0 +1,769 @@
+/**
+ * Unit tests for CourseValidator
+ */
+
+import { formatProblem, isPointInPolygon, validateCourse } from '../../courses/CourseValidator';
+import spaceNineCourseData from '../../courses/space-nine.json';
+import basicCourseData from '../../courses/basic.json';
+
+describe('CourseValidator', () => {
+  const square = [
+    [-5, -10],
+    [-5, 10],
+    [5, 10],
+    [5, -10],
+    [-5, -10]
+  ];
+
+  const makeHole = (overrides = {}) => ({
+    description: 'Test Hole',
+    par: 3,
+    boundaryShape: square,
+    startPosition: [0, 0, 8],
+    holePosition: [0, 0, -7],
+    hazards: [],
+    bumpers: [],
+    ...overrides
+  });
+
+  const makeCourse = (holes, overrides = {}) => ({
+    formatVersion: 1,
+    id: 'test',
+    name: 'Test Course',
+    holes,
+    ...overrides
+  });
+
+  const paths = result => result.errors.map(problem => problem.path);
+
+  test('should accept the bundled courses without warnings', () => {
+    [spaceNineCourseData, basicCourseData].forEach(data => {
+      const result = validateCourse(data);
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([]);
+    });
+  });
+
+  test('should accept a simple valid hole', () => {
+    const result = validateCourse(makeCourse([makeHole()]));
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  describe('course level', () => {
+    test('should reject non-object data', () => {
+      expect(validateCourse(null).valid).toBe(false);
+      expect(validateCourse([]).valid).toBe(false);
+    });
+
+    test('should require id, name and a non-empty holes array', () => {
+      const result = validateCourse({ id: '', holes: [] });
+
+      expect(paths(result)).toEqual(['id', 'name', 'holes']);
+      expect(result.errors.every(problem => problem.holeIndex === null)).toBe(true);
+    });
+
+    test('should accept a fixed or over-par stroke cap', () => {
+      expect(validateCourse(makeCourse([makeHole()], { strokeCap: 8 })).valid).toBe(true);
+      expect(validateCourse(makeCourse([makeHole()], { strokeCap: { overPar: 4 } })).valid).toBe(
+        true
+      );
+    });
+
+    test('should reject a malformed stroke cap', () => {
+      ['8', 0, 2.5, { overPar: -1 }, { max: 8 }].forEach(strokeCap => {
+        const result = validateCourse(makeCourse([makeHole()], { strokeCap }));
+
+        expect(paths(result)).toEqual(['strokeCap']);
+      });
+    });
+
+    test('should warn when a fixed stroke cap is below par', () => {
+      const result = validateCourse(
+        makeCourse([makeHole(), makeHole({ par: 5 })], { strokeCap: 4 })
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toMatchObject({ holeIndex: 1, path: 'strokeCap' });
+    });
+  });
+
+  describe('hole fields', () => {
+    test('should reject an out-of-range par', () => {
+      const result = validateCourse(makeCourse([makeHole(), makeHole({ par: 0 })]));
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toMatchObject({ holeIndex: 1, path: 'holes[1].par' });
+    });
+
+    test('should reject malformed positions', () => {
+      const result = validateCourse(
+        makeCourse([makeHole({ startPosition: [0, 0], holePosition: [0, 'a', 0] })])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].startPosition', 'holes[0].holePosition']);
+    });
+
+    test('should reject a tee outside the boundary', () => {
+      const result = validateCourse(makeCourse([makeHole({ startPosition: [0, 0, 20] })]));
+
+      expect(paths(result)).toEqual(['holes[0].startPosition']);
+      expect(result.errors[0].message).toMatch(/outside boundaryShape/);
+    });
+
+    test('should reject a cup too close to the wall', () => {
+      const result = validateCourse(makeCourse([makeHole({ holePosition: [4.8, 0, -7] })]));
+
+      expect(paths(result)).toEqual(['holes[0].holePosition']);
+      expect(result.errors[0].message).toMatch(/too close to the boundary wall/);
+    });
+
+    test('should reject a cup on top of the tee', () => {
+      const result = validateCourse(makeCourse([makeHole({ holePosition: [0, 0, 7.5] })]));
+
+      expect(result.errors[0].message).toMatch(/less than 1 unit from the tee/);
+    });
+
+    test('should warn when the hole has no boundary shape', () => {
+      const hole = makeHole({ boundaryShape: undefined, courseWidth: 4, courseLength: 20 });
+      const result = validateCourse(makeCourse([hole]));
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings[0].path).toBe('holes[0].boundaryShape');
+    });
+  });
+
+  describe('hazards', () => {
+    test('should reject unknown hazard types and shapes', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            hazards: [
+              { type: 'lava', shape: 'circle', position: [0, 0, 0], size: { radius: 1 } },
+              { type: 'sand', shape: 'star', position: [0, 0, 0] }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].hazards[0].type', 'holes[0].hazards[1].shape']);
+      expect(result.errors[0].message).toMatch(/expected one of: sand, water/);
+    });
+
+    test('should reject missing hazard sizes', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            hazards: [
+              { type: 'sand', shape: 'circle', position: [0, 0, 0], size: {} },
+              { type: 'sand', shape: 'rectangle', position: [0, 0, 0], size: { width: 2 } },
+              { type: 'water', shape: 'compound', position: [0, 0, 0], subShapes: [] }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].hazards[0].size.radius',
+        'holes[0].hazards[1].size.length',
+        'holes[0].hazards[2].subShapes'
+      ]);
+    });
+
+    test('should reject a hazard overlapping the tee', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            hazards: [{ type: 'sand', shape: 'circle', position: [0, 0, 7], size: { radius: 1 } }]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].hazards[0]']);
+      expect(result.errors[0].message).toMatch(/overlaps the tee/);
+    });
+
+    test('should reject water over the cup but only warn for sand', () => {
+      const water = validateCourse(
+        makeCourse([
+          makeHole({
+            hazards: [{ type: 'water', shape: 'circle', position: [0, 0, -7], size: { radius: 1 } }]
+          })
+        ])
+      );
+      const sand = validateCourse(
+        makeCourse([
+          makeHole({
+            hazards: [{ type: 'sand', shape: 'circle', position: [0, 0, -7], size: { radius: 1 } }]
+          })
+        ])
+      );
+
+      expect(water.errors[0].message).toMatch(/cannot be reached/);
+      expect(sand.valid).toBe(true);
+      expect(sand.warnings[0].path).toBe('holes[0].hazards[0]');
+    });
+
+    test('should not warn for sand marked as covering the cup on purpose', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            hazards: [
+              {
+                type: 'sand',
+                shape: 'circle',
+                position: [0, 0, -7],
+                size: { radius: 1 },
+                coversCup: true
+              },
+              {
+                type: 'sand',
+                shape: 'circle',
+                position: [0, 0, 0],
+                size: { radius: 1 },
+                coversCup: 'yes'
+              }
+            ]
+          })
+        ])
+      );
+
+      expect(result.warnings).toEqual([]);
+      expect(paths(result)).toEqual(['holes[0].hazards[1].coversCup']);
+    });
+  });
+
+  describe('bumpers', () => {
+    test('should reject a bumper on top of the cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            bumpers: [{ position: [0, 0.25, -7], size: [1, 0.5, 1], rotation: [0, 0, 0] }]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].bumpers[0]']);
+      expect(result.errors[0].message).toMatch(/overlaps the cup/);
+    });
+
+    test('should take bumper rotation into account', () => {
+      // A long thin bumper along z; rotated 90 degrees it lies along x and covers the tee
+      const bumper = { position: [2, 0.25, 8], size: [0.5, 0.5, 6] };
+      const straight = validateCourse(
+        makeCourse([makeHole({ bumpers: [{ ...bumper, rotation: [0, 0, 0] }] })])
+      );
+      const rotated = validateCourse(
+        makeCourse([makeHole({ bumpers: [{ ...bumper, rotation: [0, 90, 0] }] })])
+      );
+
+      expect(straight.valid).toBe(true);
+      expect(rotated.errors[0].message).toMatch(/overlaps the tee/);
+    });
+
+    test('should reject invalid bumper sizes', () => {
+      const result = validateCourse(
+        makeCourse([makeHole({ bumpers: [{ position: [0, 0.25, 0], size: [1, 0, 1] }] })])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].bumpers[0].size']);
+    });
+  });
+
+  describe('terrain', () => {
+    test('should accept ramps, plateaus and hills away from the tee and cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            terrain: [
+              { type: 'ramp', position: [0, 0, 3], size: [4, 2], rise: 0.3, rotation: 180 },
+              { type: 'plateau', position: [0, 0, 0], size: [4, 4], height: 0.3 },
+              {
+                type: 'ramp',
+                position: [0, 0, -3],
+                size: [4, 2],
+                rise: -0.3,
+                baseHeight: 0.3,
+                rotation: 180
+              },
+              { type: 'hill', position: [3, 0, 5], radius: 1.5, height: 0.4 }
+            ]
+          })
+        ])
+      );
+
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should reject unknown types and bad dimensions', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            terrain: [
+              { type: 'crater', position: [0, 0, 0] },
+              { type: 'hill', position: [0, 0, 0], radius: 0, height: 0.5 },
+              { type: 'plateau', position: [0, 0, 0], size: [2], height: 0.5 },
+              { type: 'ramp', position: [0, 0, 0], size: [2, 2], rise: 0 },
+              { type: 'ramp', position: [0, 0, 0], size: [2, 2], rise: -0.5 }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].terrain[0].type',
+        'holes[0].terrain[1].radius',
+        'holes[0].terrain[2].size',
+        'holes[0].terrain[3].rise',
+        'holes[0].terrain[4].baseHeight'
+      ]);
+    });
+
+    test('should reject terrain under the tee or cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            terrain: [
+              { type: 'hill', position: [0, 0, 8], radius: 1, height: 0.3 },
+              { type: 'plateau', position: [0, 0, -7], size: [2, 2], height: 0.3, rotation: 45 }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].terrain[0]', 'holes[0].terrain[1]']);
+      expect(result.errors[0].message).toMatch(/overlaps the tee/);
+      expect(result.errors[1].message).toMatch(/overlaps the cup/);
+    });
+  });
+
+  describe('obstacles', () => {
+    test('should accept moving obstacles clear of the tee and cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            obstacles: [
+              {
+                type: 'rotatingArm',
+                position: [0, 0.4, 0],
+                size: [3, 0.4, 0.3],
+                rotationSpeed: 60
+              },
+              { type: 'slider', position: [-3, 0.45, 4], travel: [4, 0, 0], period: 3, phase: 0.5 },
+              { type: 'windmill', position: [0, 1.25, -3], bladeLength: 1, rotationSpeed: 90 }
+            ]
+          })
+        ])
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should reject unknown types and bad motion fields', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            obstacles: [
+              { type: 'pendulum', position: [0, 0.4, 0] },
+              { type: 'rotatingArm', position: [0, 0.4], rotationSpeed: 'fast' },
+              { type: 'slider', position: [0, 0.45, 0], size: [1, 0, 1], period: 0, phase: 1 },
+              { type: 'windmill', position: [0, 1.25, 0], bladeLength: -1, bladeCount: 2.5 }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].obstacles[0].type',
+        'holes[0].obstacles[1].position',
+        'holes[0].obstacles[1].rotationSpeed',
+        'holes[0].obstacles[2].size',
+        'holes[0].obstacles[2].phase',
+        'holes[0].obstacles[2].period',
+        'holes[0].obstacles[3].bladeLength',
+        'holes[0].obstacles[3].bladeCount'
+      ]);
+    });
+
+    test('should reject obstacles that sweep over the tee or cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            obstacles: [
+              { type: 'rotatingArm', position: [1, 0.4, 8], size: [3, 0.4, 0.3] },
+              { type: 'slider', position: [-3, 0.45, -7], travel: [6, 0, 0] }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].obstacles[0]', 'holes[0].obstacles[1]']);
+      expect(result.errors[0].message).toMatch(/sweeps over the tee/);
+      expect(result.errors[1].message).toMatch(/sweeps over the cup/);
+    });
+
+    test('should warn when windmill blades pass above the ball', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({ obstacles: [{ type: 'windmill', position: [0, 3, 0], bladeLength: 1 }] })
+        ])
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings[0].message).toMatch(/pass above the ball/);
+    });
+  });
+
+  describe('teleporters', () => {
+    const teleporter = (entry, exit, overrides = {}) => ({
+      entry: { position: entry },
+      exit: { position: exit },
+      ...overrides
+    });
+
+    test('should accept a teleporter pair on the green', () => {
+      const result = validateCourse(
+        makeCourse([makeHole({ teleporters: [teleporter([-3, 0, 5], [3, 0, -4])] })])
+      );
+
+      expect(result.errors).toEqual([]);
+    });
+
+    test('should reject bad portal fields', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            teleporters: [
+              teleporter([0, 0], [3, 0, -4]),
+              teleporter([-3, 0, 5], [3, 0, -4], { radius: 0 }),
+              { entry: { position: [-3, 0, 0], rotation: 'left' }, exit: { position: [3, 0, 0] } }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].teleporters[0].entry.position',
+        'holes[0].teleporters[1].radius',
+        'holes[0].teleporters[2].entry.rotation'
+      ]);
+    });
+
+    test('should reject portals on the tee, on the cup or off the green', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            teleporters: [
+              teleporter([0, 0, 8], [3, 0, 0]),
+              teleporter([-3, 0, 0], [0, 0, -7]),
+              teleporter([2, 0, 2], [12, 0, 0])
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].teleporters[0]',
+        'holes[0].teleporters[1].exit.position',
+        'holes[0].teleporters[2].exit.position'
+      ]);
+      expect(result.errors[0].message).toMatch(/entry overlaps the tee/);
+      expect(result.errors[1].message).toMatch(/onto the cup/);
+      expect(result.errors[2].message).toMatch(/outside boundaryShape/);
+    });
+
+    test('should reject an exit that lands in another entry', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            teleporters: [teleporter([-3, 0, 3], [3, 0, -3]), teleporter([3, 0, -3], [-3, 0, 3])]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].teleporters[0].exit.position',
+        'holes[0].teleporters[1].exit.position'
+      ]);
+    });
+
+    test('should count a cup reached only through a teleporter as reachable', () => {
+      const wall = { position: [0, 0.25, 0], size: [10, 0.5, 0.5], rotation: [0, 0, 0] };
+      const walledOff = validateCourse(makeCourse([makeHole({ bumpers: [wall] })]));
+      const throughWormhole = validateCourse(
+        makeCourse([
+          makeHole({ bumpers: [wall], teleporters: [teleporter([-3, 0, 5], [3, 0, -4])] })
+        ])
+      );
+
+      expect(paths(walledOff)).toEqual(['holes[0].holePosition']);
+      expect(throughWormhole.errors).toEqual([]);
+    });
+  });
+
+  describe('gravity wells', () => {
+    test('should accept a gravity well beside the fairway', () => {
+      const result = validateCourse(
+        makeCourse([makeHole({ gravityWells: [{ position: [-2, 0, 0], strength: 3, radius: 2 }] })])
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should reject bad gravity well fields', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            gravityWells: [
+              { position: [0, 0] },
+              { position: [-2, 0, 0], strength: 'strong', radius: -1 },
+              { position: [-2, 0, 0], falloff: 'cubic' }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].gravityWells[0].position',
+        'holes[0].gravityWells[1].strength',
+        'holes[0].gravityWells[1].radius',
+        'holes[0].gravityWells[2].falloff'
+      ]);
+    });
+
+    test('should reject a field over the tee and warn about a repelling cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            gravityWells: [
+              { position: [0, 0, 6], strength: 3, radius: 2.5 },
+              { position: [0, 0, -5], strength: -3, radius: 2 }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].gravityWells[0]']);
+      expect(result.errors[0].message).toMatch(/covers the tee/);
+      expect(result.warnings.map(problem => problem.path)).toEqual(['holes[0].gravityWells[1]']);
+    });
+  });
+
+  describe('surface zones', () => {
+    const lane = [
+      [-4, -5],
+      [4, -5],
+      [4, -6],
+      [-4, -6]
+    ];
+
+    test('should accept known surfaces on zones and bumpers', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            surfaceZones: [{ surface: 'ice', polygon: lane }],
+            bumpers: [
+              {
+                position: [3, 0.25, 0],
+                size: [2, 0.5, 0.3],
+                rotation: [0, 0, 0],
+                material: 'rubber'
+              }
+            ]
+          })
+        ])
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should reject unknown surfaces and bad polygons', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            surfaceZones: [
+              { surface: 'lava', polygon: lane },
+              {
+                surface: 'ice',
+                polygon: [
+                  [0, 0],
+                  [1, 1]
+                ]
+              },
+              {
+                surface: 'sticky',
+                polygon: [
+                  [0, 0],
+                  [1, 'a'],
+                  [1, 1]
+                ]
+              }
+            ],
+            bumpers: [
+              {
+                position: [3, 0.25, 0],
+                size: [2, 0.5, 0.3],
+                rotation: [0, 0, 0],
+                material: 'jelly'
+              }
+            ]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].bumpers[0].material',
+        'holes[0].surfaceZones[0].surface',
+        'holes[0].surfaceZones[1].polygon',
+        'holes[0].surfaceZones[2].polygon'
+      ]);
+    });
+
+    test('should warn about a zone reaching outside the boundary', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            surfaceZones: [
+              {
+                surface: 'rough',
+                polygon: [
+                  [4, 0],
+                  [6, 0],
+                  [4, 2]
+                ]
+              }
+            ]
+          })
+        ])
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings.map(problem => problem.path)).toEqual([
+        'holes[0].surfaceZones[0].polygon'
+      ]);
+    });
+  });
+
+  describe('boost pads and conveyors', () => {
+    test('should accept strips beside the tee and cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            boostPads: [{ position: [-2, 0, 0], rotation: 90, boost: 4 }],
+            conveyors: [{ position: [2, 0, 0], size: [2, 6], speed: 1.5 }]
+          })
+        ])
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should reject bad strip fields', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            boostPads: [
+              { position: [0, 0, 0], size: [1, 1, 1] },
+              { position: [0, 0, 0], boost: 0 }
+            ],
+            conveyors: [{ position: [0, 0, 0], rotation: 'upstream', speed: -1 }]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual([
+        'holes[0].boostPads[0].size',
+        'holes[0].boostPads[1].boost',
+        'holes[0].conveyors[0].rotation',
+        'holes[0].conveyors[0].speed'
+      ]);
+    });
+
+    test('should reject strips over the tee or cup', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            boostPads: [{ position: [0, 0, 7.5] }],
+            conveyors: [{ position: [0, 0, -4], size: [2, 6] }]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].boostPads[0]', 'holes[0].conveyors[0]']);
+      expect(result.errors[0].message).toMatch(/boost pad overlaps the tee/);
+      expect(result.errors[1].message).toMatch(/conveyor overlaps the cup/);
+    });
+  });
+
+  describe('reachability', () => {
+    test('should reject a cup walled off by bumpers', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            bumpers: [{ position: [0, 0.25, 0], size: [10, 0.5, 0.5], rotation: [0, 0, 0] }]
+          })
+        ])
+      );
+
+      expect(paths(result)).toEqual(['holes[0].holePosition']);
+      expect(result.errors[0].message).toMatch(/cannot be reached/);
+    });
+
+    test('should reject a cup cut off by water', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            hazards: [
+              {
+                type: 'water',
+                shape: 'rectangle',
+                position: [0, 0, 0],
+                size: { width: 10, length: 2 }
+              }
+            ]
+          })
+        ])
+      );
+
+      expect(result.errors[0].message).toMatch(/cannot be reached/);
+    });
+
+    test('should allow a cup reachable around a partial wall', () => {
+      const result = validateCourse(
+        makeCourse([
+          makeHole({
+            bumpers: [{ position: [-1, 0.25, 0], size: [8, 0.5, 0.5], rotation: [0, 0, 0] }]
+          })
+        ])
+      );
+
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('helpers', () => {
+    test('isPointInPolygon should detect inside and outside points', () => {
+      const polygon = square.map(([x, z]) => ({ x, z }));
+
+      expect(isPointInPolygon(0, 0, polygon)).toBe(true);
+      expect(isPointInPolygon(6, 0, polygon)).toBe(false);
+    });
+
+    test('formatProblem should include hole number and path', () => {
+      expect(
+        formatProblem({ holeIndex: 2, path: 'holes[2].par', message: 'par must be an integer' })
+      ).toBe('Hole 3 (holes[2].par): par must be an integer');
+      expect(formatProblem({ holeIndex: null, path: 'id', message: 'id is required' })).toBe(
+        'Course (id): id is required'
+      );
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit tests for DailyChallenge
+ */
+
+import {
+  createDailyCourse,
+  DailyChallenge,
+  DAILY_HOLE_COUNT,
+  getDailyCourseId,
+  getDateKey,
+  parseDailyCourseId
+} from '../../courses/DailyChallenge';
+import { loadCourse } from '../../courses/CourseLoader';
+
+describe('DailyChallenge', () => {
+  let now;
+  let daily;
+
+  const setToday = (year, month, day) => {
+    now = new Date(year, month - 1, day, 12);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    window.localStorage.clear();
+    setToday(2026, 10, 19);
+    daily = new DailyChallenge(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('dates and ids', () => {
+    test('should key days by local calendar date', () => {
+      expect(getDateKey(new Date(2026, 0, 5, 23, 59))).toBe('2026-01-05');
+      expect(getDailyCourseId('2026-01-05')).toBe('daily-2026-01-05');
+    });
+
+    test('should only accept ids of real dates', () => {
+      expect(parseDailyCourseId('daily-2026-10-19')).toBe('2026-10-19');
+      expect(parseDailyCourseId('daily-2026-02-30')).toBeNull();
+      expect(parseDailyCourseId('space-nine')).toBeNull();
+      expect(parseDailyCourseId(undefined)).toBeNull();
+    });
+  });
+
+  describe('createDailyCourse', () => {
+    test('should build the same loadable nine holes for the same date', () => {
+      const course = createDailyCourse('2026-10-19');
+
+      expect(course.id).toBe('daily-2026-10-19');
+      expect(course.holes).toHaveLength(DAILY_HOLE_COUNT);
+      expect(createDailyCourse('2026-10-19')).toEqual(course);
+      expect(createDailyCourse('2026-10-20').holes).not.toEqual(course.holes);
+      expect(() => loadCourse(course)).not.toThrow();
+    });
+
+    test('should pick the difficulty from the day of the week', () => {
+      expect(createDailyCourse('2026-10-19').difficulty).toBe('easy'); // Monday
+      expect(createDailyCourse('2026-10-24').difficulty).toBe('hard'); // Saturday
+    });
+
+    test('should reject an invalid date', () => {
+      expect(() => createDailyCourse('tomorrow')).toThrow('Invalid date "tomorrow"');
+    });
+  });
+
+  describe('attempts', () => {
+    test('should score only the first attempt of the day', () => {
+      const courseId = daily.getTodayCourseId();
+
+      expect(daily.startAttempt(courseId)).toBe(true);
+      expect(daily.hasAttemptedToday()).toBe(true);
+      expect(daily.recordResult(courseId, 31)).toBe(true);
+
+      expect(daily.startAttempt(courseId)).toBe(false);
+      expect(daily.recordResult(courseId, 25)).toBe(false);
+      expect(daily.getHistory()[0]).toMatchObject({ dateKey: '2026-10-19', strokes: 31 });
+    });
+
+    test('should use up the attempt when a round is abandoned', () => {
+      const courseId = daily.getTodayCourseId();
+      daily.startAttempt(courseId);
+
+      const reloaded = new DailyChallenge(() => now);
+
+      expect(reloaded.startAttempt(courseId)).toBe(false);
+      expect(reloaded.recordResult(courseId, 20)).toBe(false);
+      expect(reloaded.getSummary()).toMatchObject({ attempted: true, strokes: null });
+    });
+
+    test('should not score other days', () => {
+      expect(daily.startAttempt('daily-2026-10-18')).toBe(false);
+      expect(daily.getHistory()).toEqual([]);
+    });
+
+    test('should resume an unfinished attempt of today', () => {
+      const courseId = daily.getTodayCourseId();
+      daily.startAttempt(courseId);
+      expect(daily.isScoredAttempt(courseId)).toBe(true);
+
+      const reloaded = new DailyChallenge(() => now);
+      expect(reloaded.isScoredAttempt(courseId)).toBe(false);
+
+      expect(reloaded.resumeAttempt(courseId)).toBe(true);
+      expect(reloaded.recordResult(courseId, 27)).toBe(true);
+      expect(reloaded.resumeAttempt(courseId)).toBe(false);
+    });
+
+    test('should not resume an attempt from another day', () => {
+      const courseId = daily.getTodayCourseId();
+      daily.startAttempt(courseId);
+      setToday(2026, 10, 20);
+
+      expect(daily.resumeAttempt(courseId)).toBe(false);
+      expect(daily.isScoredAttempt(courseId)).toBe(true);
+    });
+
+    test('should persist results across sessions', () => {
+      const courseId = daily.getTodayCourseId();
+      daily.startAttempt(courseId);
+      daily.recordResult(courseId, 28);
+
+      const summary = new DailyChallenge(() => now).getSummary();
+
+      expect(summary).toMatchObject({ dateKey: '2026-10-19', attempted: true, strokes: 28 });
+      expect(summary.totalPar).toBe(daily.getSummary().totalPar);
+    });
+  });
+
+  describe('streak', () => {
+    const play = (day, strokes = 30) => {
+      setToday(2026, 10, day);
+      const courseId = daily.getTodayCourseId();
+      daily.startAttempt(courseId);
+      if (strokes !== null) {
+        daily.recordResult(courseId, strokes);
+      }
+    };
+
+    test('should count consecutive finished days', () => {
+      play(15);
+      play(17);
+      play(18);
+      play(19);
+
+      expect(daily.getStreak()).toBe(3);
+    });
+
+    test("should keep yesterday's streak until today is over", () => {
+      play(17);
+      play(18);
+      setToday(2026, 10, 19);
+
+      expect(daily.getStreak()).toBe(2);
+
+      setToday(2026, 10, 20);
+
+      expect(daily.getStreak()).toBe(0);
+    });
+
+    test('should break the streak on an unfinished day', () => {
+      play(17);
+      play(18, null);
+      play(19);
+
+      expect(daily.getStreak()).toBe(1);
+      expect(daily.getHistory().map(day => day.strokes)).toEqual([30, null, 30]);
+    });
+
+    test('should count across month ends', () => {
+      setToday(2026, 9, 30);
+      daily.startAttempt(daily.getTodayCourseId());
+      daily.recordResult(daily.getTodayCourseId(), 30);
+      play(1);
+
+      expect(daily.getStreak()).toBe(2);
+    });
+  });
+});
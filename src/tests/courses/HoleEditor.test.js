@@ -0,0 +1,118 @@
+/**
+ * Unit tests for HoleEditor
+ */
+
+import { HoleEditor } from '../../courses/HoleEditor';
+
+describe('HoleEditor', () => {
+  const hole = {
+    description: '1. Test',
+    par: 3,
+    boundaryShape: [
+      [-5, -10],
+      [-5, 10],
+      [5, 10],
+      [5, -10],
+      [-5, -10]
+    ],
+    startPosition: [0, 0, 8],
+    holePosition: [0, 0, -7],
+    hazards: [
+      { type: 'sand', shape: 'circle', position: [-2, 0, 2], size: { radius: 1.5 }, depth: 0.1 }
+    ],
+    bumpers: [{ position: [2, 0.25, 0], size: [2, 0.5, 0.3], rotation: [0, 0, 0] }]
+  };
+
+  let editor;
+
+  beforeEach(() => {
+    editor = new HoleEditor(hole);
+  });
+
+  test('should edit a copy of the hole', () => {
+    editor.selectAt(0, 8);
+    editor.moveSelected(1, 7);
+
+    expect(hole.startPosition).toEqual([0, 0, 8]);
+    expect(editor.toJSON().startPosition).toEqual([1, 0, 7]);
+  });
+
+  test('should list the tee, cup, bumpers and hazards', () => {
+    expect(editor.getItems()).toEqual([
+      { kind: 'tee', index: 0, x: 0, z: 8 },
+      { kind: 'cup', index: 0, x: 0, z: -7 },
+      { kind: 'bumper', index: 0, x: 2, z: 0 },
+      { kind: 'hazard', index: 0, x: -2, z: 2 }
+    ]);
+  });
+
+  test('should select the closest item in reach', () => {
+    expect(editor.selectAt(2.8, 0.1)).toEqual({ kind: 'bumper', index: 0 });
+    expect(editor.selectAt(-1, 2.5)).toEqual({ kind: 'hazard', index: 0 });
+    expect(editor.selectAt(0.3, -7.2)).toEqual({ kind: 'cup', index: 0 });
+    expect(editor.selectAt(4, 6)).toBeNull();
+    expect(editor.selected).toBeNull();
+  });
+
+  test('should move the selection onto the editor grid', () => {
+    editor.selectAt(2, 0);
+
+    expect(editor.moveSelected(3.13, -0.1)).toBe(true);
+
+    expect(editor.toJSON().bumpers[0].position).toEqual([3.25, 0.25, 0]);
+  });
+
+  test('should rotate bumpers only', () => {
+    editor.selectAt(2, 0);
+    editor.rotateSelected(-15);
+
+    expect(editor.toJSON().bumpers[0].rotation).toEqual([0, 345, 0]);
+
+    editor.selectAt(0, 8);
+    expect(editor.rotateSelected(15)).toBe(false);
+  });
+
+  test('should resize the footprint of bumpers and hazards', () => {
+    editor.selectAt(2, 0);
+    editor.resizeSelected(1.5);
+    editor.selectAt(-2, 2);
+    editor.resizeSelected(2);
+
+    const { bumpers, hazards } = editor.toJSON();
+    expect(bumpers[0].size).toEqual([3, 0.5, 0.45]);
+    expect(hazards[0].size).toEqual({ radius: 3 });
+
+    editor.selectAt(0, -7);
+    expect(editor.resizeSelected(2)).toBe(false);
+  });
+
+  test('should add and delete bumpers and hazards but keep the tee and cup', () => {
+    editor.addBumper(0.1, 3);
+    editor.addHazard('water', -3, -3);
+
+    expect(editor.selected).toEqual({ kind: 'hazard', index: 1 });
+    expect(editor.toJSON().hazards[1]).toMatchObject({ type: 'water', position: [-3, 0, -3] });
+    expect(editor.toJSON().bumpers[1].position).toEqual([0, 0.25, 3]);
+
+    expect(editor.deleteSelected()).toBe(true);
+    expect(editor.toJSON().hazards).toHaveLength(1);
+
+    editor.selectAt(0, 8);
+    expect(editor.deleteSelected()).toBe(false);
+  });
+
+  test('should edit par and description and validate the result', () => {
+    editor.setPar('4');
+    editor.setDescription('1. Edited');
+
+    expect(editor.toJSON()).toMatchObject({ par: 4, description: '1. Edited' });
+    expect(editor.validate().valid).toBe(true);
+
+    editor.selectAt(0, -7);
+    editor.moveSelected(0, 20);
+
+    expect(editor.validate().errors.map(problem => problem.path)).toContain(
+      'holes[0].holePosition'
+    );
+  });
+});
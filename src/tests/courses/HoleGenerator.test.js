@@ -0,0 +1,152 @@
+/**
+ * Unit tests for HoleGenerator
+ */
+
+import {
+  createRandom,
+  estimatePar,
+  generateCourse,
+  generateHole,
+  generateHoleConfig,
+  GENERATOR_DIFFICULTIES
+} from '../../courses/HoleGenerator';
+import { loadCourse } from '../../courses/CourseLoader';
+import { validateCourse } from '../../courses/CourseValidator';
+
+describe('HoleGenerator', () => {
+  const SEEDS = Array.from({ length: 15 }, (_, i) => i * 7919);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRandom', () => {
+    test('should repeat the same sequence for the same seed', () => {
+      const a = createRandom('nebula');
+      const b = createRandom('nebula');
+      const sequence = Array.from({ length: 5 }, () => a.next());
+
+      expect(Array.from({ length: 5 }, () => b.next())).toEqual(sequence);
+      expect(createRandom('comet').next()).not.toBe(sequence[0]);
+      sequence.forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      });
+    });
+
+    test('should keep int() inside its inclusive bounds', () => {
+      const random = createRandom(42);
+      const values = new Set(Array.from({ length: 200 }, () => random.int(1, 3)));
+
+      expect([...values].sort()).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('generateHole', () => {
+    test('should rebuild the same hole from the same seed and options', () => {
+      const hole = generateHole(1234, { difficulty: 'hard' });
+
+      expect(generateHole(1234, { difficulty: 'hard' })).toEqual(hole);
+      expect(generateHole(1235, { difficulty: 'hard' })).not.toEqual(hole);
+      expect(hole.generator).toEqual({ seed: 1234, difficulty: 'hard' });
+    });
+
+    test.each(Object.keys(GENERATOR_DIFFICULTIES))(
+      'should only produce holes that pass CourseValidator (%s)',
+      difficulty => {
+        SEEDS.forEach(seed => {
+          const hole = generateHole(seed, { difficulty });
+          const result = validateCourse({ id: 'test', name: 'Test', holes: [hole] });
+
+          expect(result.errors).toEqual([]);
+          expect(hole.par).toBeGreaterThanOrEqual(2);
+          expect(hole.par).toBeLessThanOrEqual(6);
+        });
+      }
+    );
+
+    test('should close the boundary outline', () => {
+      SEEDS.forEach(seed => {
+        const { boundaryShape } = generateHole(seed, { difficulty: 'hard' });
+
+        expect(boundaryShape[boundaryShape.length - 1]).toEqual(boundaryShape[0]);
+      });
+    });
+
+    test('should keep easy holes straight and dry', () => {
+      SEEDS.forEach(seed => {
+        const hole = generateHole(seed, { difficulty: 'easy' });
+
+        expect(hole.boundaryShape).toHaveLength(5);
+        expect(hole.hazards.filter(hazard => hazard.type === 'water')).toEqual([]);
+        expect(hole.bumpers.length).toBeLessThanOrEqual(1);
+      });
+    });
+
+    test('should let options override the difficulty preset', () => {
+      SEEDS.forEach(seed => {
+        const hole = generateHole(seed, {
+          difficulty: 'hard',
+          doglegChance: 1,
+          water: [0, 0],
+          bumpers: [0, 0]
+        });
+
+        expect(hole.boundaryShape).toHaveLength(7);
+        expect(hole.bumpers).toEqual([]);
+        expect(hole.hazards.every(hazard => hazard.type === 'sand')).toBe(true);
+      });
+    });
+
+    test('should number the description from options.index', () => {
+      expect(generateHole(7, { index: 3 }).description).toMatch(/^4\. \w+ \w+$/);
+    });
+
+    test('should reject an unknown difficulty', () => {
+      expect(() => generateHole(1, { difficulty: 'brutal' })).toThrow(
+        'Unknown difficulty "brutal"'
+      );
+    });
+  });
+
+  describe('generateHoleConfig', () => {
+    test('should hydrate the generated hole for HoleEntity', () => {
+      const hole = generateHole(99, { index: 2 });
+      const config = generateHoleConfig(99, { index: 2 });
+
+      expect(config.index).toBe(2);
+      expect(config.startPosition.x).toBe(hole.startPosition[0]);
+      expect(config.holePosition.z).toBe(hole.holePosition[2]);
+      expect(config.boundaryShape).toHaveLength(hole.boundaryShape.length);
+      expect(config.boundaryShape[1].y).toBe(hole.boundaryShape[1][1]);
+    });
+  });
+
+  describe('generateCourse', () => {
+    test('should build a loadable course whose holes can be rebuilt from their own seeds', () => {
+      const data = generateCourse('weekly', { holeCount: 3, difficulty: 'easy' });
+
+      expect(data.id).toBe('generated-weekly');
+      expect(data.holes).toHaveLength(3);
+      expect(data.holes[2]).toEqual(generateHole('weekly:3', { difficulty: 'easy', index: 2 }));
+      expect(loadCourse(data).holeConfigs).toHaveLength(3);
+    });
+  });
+
+  describe('estimatePar', () => {
+    test('should grow with distance and water, within 2-6', () => {
+      const dry = { bumpers: [], hazards: [] };
+      const wet = { bumpers: [], hazards: [{ type: 'water' }] };
+
+      expect(estimatePar(6, dry)).toBe(2);
+      expect(estimatePar(24, dry)).toBe(3);
+      expect(estimatePar(24, wet)).toBe(4);
+      expect(estimatePar(200, wet)).toBe(6);
+    });
+  });
+});
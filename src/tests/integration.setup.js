@@ -102,6 +102,10 @@ jest.mock('../managers/StateManager', () => {
         this.state.holeCompleted = completed;
       });
       this.isHoleCompleted = jest.fn(() => this.state.holeCompleted);
+      this.setActivePlayer = jest.fn(index => {
+        this.state.activePlayerIndex = index;
+      });
+      this.getActivePlayerIndex = jest.fn(() => this.state.activePlayerIndex || 0);
       this.setResetBall = jest.fn(reset => {
         this.state.resetBall = reset;
       });
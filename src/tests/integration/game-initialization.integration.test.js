@@ -38,7 +38,8 @@ jest.mock('../../physics/PhysicsWorld', () => ({
     },
     update: jest.fn(),
     cleanup: jest.fn(),
-    setCollisionCallback: jest.fn()
+    setCollisionCallback: jest.fn(),
+    setDeterministic: jest.fn()
   }))
 }));
 
@@ -80,6 +81,8 @@ jest.mock('../../objects/NineHoleCourse', () => ({
       },
       holeNumber: 1,
       totalHoles: 9,
+      getTotalHoles: jest.fn(() => 9),
+      getHolePar: jest.fn(() => 3),
       getHoleStartPosition: jest.fn(() => ({ x: 0, y: 0.1, z: 0 })),
       getHolePosition: jest.fn(() => ({ x: 0, y: 0, z: -5 }))
     }))
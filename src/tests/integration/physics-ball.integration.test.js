@@ -26,6 +26,7 @@ jest.mock('../../physics/PhysicsWorld', () => {
           this.world.step(1 / 60, 1 / 60, 3);
         }),
         setCollisionCallback: jest.fn(),
+        setDeterministic: jest.fn(),
         materials: [],
         ballMaterial: {},
         groundMaterial: {},
@@ -0,0 +1,150 @@
+/**
+ * Unit tests for AchievementManager
+ */
+
+import { AchievementManager, ACHIEVEMENTS } from '../../managers/AchievementManager';
+import { EventTypes } from '../../events/EventTypes';
+import { GameEvent } from '../../events/GameEvent';
+import { loadData } from '../../utils/storage';
+
+describe('AchievementManager', () => {
+  let mockGame;
+  let achievementManager;
+  let holes;
+
+  const publish = (type, data = {}) => achievementManager.handleEvent(new GameEvent(type, data));
+  const unlockedIds = () =>
+    achievementManager
+      .getAchievements()
+      .filter(achievement => achievement.unlockedAt !== null)
+      .map(achievement => achievement.id);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    window.localStorage.clear();
+
+    holes = [];
+    mockGame = {
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn())
+      },
+      scoringSystem: {
+        getCurrentStrokes: jest.fn(() => 2),
+        getHoleHistory: jest.fn(() => holes)
+      },
+      isRecordedRound: jest.fn(() => true),
+      uiManager: { uiContainer: document.createElement('div') }
+    };
+    achievementManager = new AchievementManager(mockGame).init();
+    jest.spyOn(achievementManager.toast, 'show').mockImplementation();
+  });
+
+  afterEach(() => {
+    achievementManager.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('should subscribe once to each event the rules use', () => {
+    const events = mockGame.eventManager.subscribe.mock.calls.map(call => call[0]);
+
+    expect(events.sort()).toEqual(
+      [EventTypes.GAME_COMPLETED, EventTypes.HOLE_COMPLETED, EventTypes.BALL_IN_HOLE].sort()
+    );
+  });
+
+  test('should unlock a hole-in-one once and show a toast', () => {
+    mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(1);
+
+    publish(EventTypes.HOLE_COMPLETED);
+    publish(EventTypes.HOLE_COMPLETED);
+
+    expect(unlockedIds()).toEqual(['holeInOne']);
+    expect(achievementManager.toast.show).toHaveBeenCalledTimes(1);
+    expect(achievementManager.toast.show).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'Hole-in-One' })
+    );
+  });
+
+  test('should unlock a bank shot when the ball hit a wall on the way in', () => {
+    publish(EventTypes.BALL_IN_HOLE, { wallHits: 0 });
+    expect(unlockedIds()).toEqual([]);
+
+    publish(EventTypes.BALL_IN_HOLE, { wallHits: 2 });
+    expect(unlockedIds()).toEqual(['bankShot']);
+  });
+
+  test('should unlock an under-par round without hazards', () => {
+    holes = [
+      { strokes: 2, par: 3, hazards: 0 },
+      { strokes: 3, par: 3, hazards: 0 }
+    ];
+
+    publish(EventTypes.GAME_COMPLETED);
+
+    expect(unlockedIds()).toEqual(['underPar', 'cleanRound']);
+  });
+
+  test('should not unlock round achievements for a round with hazards over par', () => {
+    holes = [
+      { strokes: 5, par: 3, hazards: 1 },
+      { strokes: 3, par: null, hazards: 0 }
+    ];
+
+    publish(EventTypes.GAME_COMPLETED);
+
+    expect(unlockedIds()).toEqual([]);
+  });
+
+  test('should unlock after 10 completed rounds, counted across sessions', () => {
+    holes = [{ strokes: 4, par: 3, hazards: 1 }];
+    for (let i = 0; i < 9; i++) {
+      publish(EventTypes.GAME_COMPLETED);
+    }
+    expect(unlockedIds()).toEqual([]);
+
+    const reloaded = new AchievementManager(mockGame);
+    reloaded.handleEvent(new GameEvent(EventTypes.GAME_COMPLETED));
+
+    expect(reloaded.isUnlocked('tenRounds')).toBe(true);
+    expect(loadData('achievements')).toMatchObject({ roundsPlayed: 10 });
+  });
+
+  test('should ignore rounds that are not recorded', () => {
+    mockGame.isRecordedRound.mockReturnValue(false);
+    mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(1);
+
+    publish(EventTypes.HOLE_COMPLETED);
+    publish(EventTypes.GAME_COMPLETED);
+
+    expect(unlockedIds()).toEqual([]);
+    expect(achievementManager.state.roundsPlayed).toBe(0);
+  });
+
+  test('should list every achievement for the gallery', () => {
+    expect(achievementManager.getAchievements()).toHaveLength(ACHIEVEMENTS.length);
+    expect(achievementManager.getAchievements()[0]).toEqual({
+      id: 'holeInOne',
+      name: 'Hole-in-One',
+      description: expect.any(String),
+      unlockedAt: null
+    });
+  });
+
+  test('should check custom rules', () => {
+    const rule = {
+      id: 'anyHole',
+      name: 'Any Hole',
+      description: 'Complete a hole',
+      event: EventTypes.HOLE_COMPLETED,
+      test: jest.fn(() => true)
+    };
+    const custom = new AchievementManager(mockGame, [rule]);
+
+    custom.handleEvent(new GameEvent(EventTypes.HOLE_COMPLETED));
+
+    expect(rule.test).toHaveBeenCalledWith(
+      expect.objectContaining({ holeStrokes: 2, roundsPlayed: 0 })
+    );
+    expect(custom.isUnlocked('anyHole')).toBe(true);
+  });
+});
@@ -31,6 +31,14 @@ jest.mock('../../managers/debug/DebugCourseUI', () => ({
   }))
 }));
 
+jest.mock('../../managers/debug/DebugLevelEditor', () => ({
+  DebugLevelEditor: jest.fn(() => ({
+    init: jest.fn(),
+    exit: jest.fn(),
+    cleanup: jest.fn()
+  }))
+}));
+
 describe('DebugManager', () => {
   let debugManager;
   let mockGame;
@@ -178,6 +186,7 @@ describe('DebugManager', () => {
 
       expect(debugManager.errorOverlay).toBeDefined();
       expect(debugManager.courseDebugUI).toBeDefined();
+      expect(debugManager.levelEditor.init).toHaveBeenCalled();
       expect(result).toBe(debugManager); // Returns self for chaining
     });
 
@@ -196,6 +205,7 @@ describe('DebugManager', () => {
       debugManager.init();
 
       expect(debugManager.courseDebugUI).toBeNull();
+      expect(debugManager.levelEditor).toBeNull();
     });
   });
 
@@ -289,6 +299,15 @@ describe('DebugManager', () => {
 
       expect(mockGame.uiManager.updateDebugDisplay).toHaveBeenCalled();
     });
+
+    test('should close the level editor when debug mode is turned off', () => {
+      debugManager.init();
+      debugManager.enabled = true;
+
+      debugManager.toggleDebugMode();
+
+      expect(debugManager.levelEditor.exit).toHaveBeenCalled();
+    });
   });
 
   describe('setupDebugHelpers', () => {
@@ -750,12 +769,14 @@ describe('DebugManager', () => {
       const removeSpy = jest.spyOn(debugManager, 'removeDebugHelpers');
       const errorOverlay = debugManager.errorOverlay;
       const courseDebugUI = debugManager.courseDebugUI;
+      const levelEditor = debugManager.levelEditor;
 
       debugManager.cleanup();
 
       expect(debugManager.removeMainKeyListener).toBeDefined();
       expect(errorOverlay.cleanup).toHaveBeenCalled();
       expect(courseDebugUI.cleanup).toHaveBeenCalled();
+      expect(levelEditor.cleanup).toHaveBeenCalled();
       expect(removeSpy).toHaveBeenCalled();
       expect(debugManager.game).toBeNull();
       expect(debugManager.debugObjects).toEqual([]);
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for GhostManager
+ */
+
+import { GhostManager, SAMPLE_INTERVAL_MS, getTrackPosition } from '../../managers/GhostManager';
+import { EventTypes } from '../../events/EventTypes';
+import { GameEvent } from '../../events/GameEvent';
+import { loadData } from '../../utils/storage';
+
+describe('GhostManager', () => {
+  let mockGame;
+  let ghostManager;
+  let ballPosition;
+
+  const START = 1000;
+
+  const holeState = (holeIndex, state) =>
+    ghostManager.handleHoleStateUpdated(
+      new GameEvent(EventTypes.HOLE_STATE_UPDATED, { holeIndex, state })
+    );
+
+  // Play hole 1: the ball rolls 1 unit along x per sample and is holed at the end
+  const playHole = (strokes, samples, startTime = START) => {
+    mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(strokes);
+    holeState(0, { completed: false, startTime });
+    for (let i = 0; i < samples; i++) {
+      ballPosition.x = i;
+      ghostManager.update(startTime + i * SAMPLE_INTERVAL_MS);
+    }
+    holeState(0, {
+      completed: true,
+      startTime,
+      endTime: startTime + samples * SAMPLE_INTERVAL_MS
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    window.localStorage.clear();
+
+    ballPosition = { x: 0, y: 0.2, z: 0 };
+    mockGame = {
+      courseId: 'test-course',
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn())
+      },
+      scene: {
+        add: jest.fn(),
+        remove: jest.fn()
+      },
+      ballManager: {
+        ball: { radius: 0.2, mesh: { position: ballPosition } }
+      },
+      scoringSystem: {
+        getCurrentStrokes: jest.fn(() => 3)
+      },
+      isRecordedRound: jest.fn(() => true)
+    };
+    ghostManager = new GhostManager(mockGame).init();
+  });
+
+  afterEach(() => {
+    ghostManager.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  describe('getTrackPosition', () => {
+    const track = [
+      [0, 0, 0, 0],
+      [100, 1, 0, 2],
+      [300, 1, 0, 2]
+    ];
+
+    test('should interpolate between samples', () => {
+      expect(getTrackPosition(track, 50)).toEqual({ x: 0.5, y: 0, z: 1 });
+      expect(getTrackPosition(track, 200)).toEqual({ x: 1, y: 0, z: 2 });
+    });
+
+    test('should clamp to the ends of the track', () => {
+      expect(getTrackPosition(track, -10)).toEqual({ x: 0, y: 0, z: 0 });
+      expect(getTrackPosition(track, 5000)).toEqual({ x: 1, y: 0, z: 2 });
+      expect(getTrackPosition([], 0)).toBeNull();
+    });
+  });
+
+  describe('recording', () => {
+    test('should store the track of a completed hole', () => {
+      playHole(3, 4);
+
+      const best = ghostManager.getBestTrack('test-course', 1);
+      expect(best.strokes).toBe(3);
+      expect(best.durationMs).toBe(4 * SAMPLE_INTERVAL_MS);
+      expect(best.track[1]).toEqual([SAMPLE_INTERVAL_MS, 1, 0.2, 0]);
+      expect(loadData('ghostTracks')['test-course'].holes[1].strokes).toBe(3);
+    });
+
+    test('should sample at most every interval', () => {
+      holeState(0, { completed: false, startTime: START });
+
+      ghostManager.update(START);
+      ballPosition.x = 1;
+      ghostManager.update(START + SAMPLE_INTERVAL_MS / 2);
+
+      expect(ghostManager.recording.track).toHaveLength(1);
+    });
+
+    test('should keep only the ends of a stretch at rest', () => {
+      holeState(0, { completed: false, startTime: START });
+
+      for (let i = 0; i < 5; i++) {
+        ghostManager.update(START + i * SAMPLE_INTERVAL_MS);
+      }
+
+      expect(ghostManager.recording.track.map(sample => sample[0])).toEqual([
+        0,
+        4 * SAMPLE_INTERVAL_MS
+      ]);
+    });
+
+    test('should keep the best score per hole, then the fastest', () => {
+      playHole(3, 4);
+      playHole(4, 2);
+      expect(ghostManager.getBestTrack('test-course', 1).strokes).toBe(3);
+
+      playHole(3, 2);
+      expect(ghostManager.getBestTrack('test-course', 1).durationMs).toBe(2 * SAMPLE_INTERVAL_MS);
+
+      playHole(2, 6);
+      expect(ghostManager.getBestTrack('test-course', 1).strokes).toBe(2);
+    });
+
+    test('should leave the time the game was paused out of the track', () => {
+      holeState(0, { completed: false, startTime: START });
+      ghostManager.update(START);
+
+      ghostManager.handleGameResumed(new GameEvent(EventTypes.GAME_RESUMED, { pausedMs: 5000 }));
+      ballPosition.x = 1;
+      ghostManager.update(START + 5000 + SAMPLE_INTERVAL_MS);
+
+      expect(ghostManager.recording.startTime).toBe(START + 5000);
+      expect(ghostManager.recording.track[1]).toEqual([SAMPLE_INTERVAL_MS, 1, 0.2, 0]);
+    });
+
+    test('should not store a hole restored from a saved round', () => {
+      holeState(0, { completed: false, startTime: START });
+      ghostManager.update(START);
+
+      holeState(0, { completed: true, startTime: START - 60000, endTime: START + 500 });
+
+      expect(ghostManager.getBestTrack('test-course', 1)).toBeNull();
+    });
+
+    test('should not record rounds that are not recorded', () => {
+      mockGame.isRecordedRound.mockReturnValue(false);
+
+      playHole(3, 4);
+
+      expect(ghostManager.getBestTrack('test-course', 1)).toBeNull();
+    });
+  });
+
+  describe('ghost ball', () => {
+    test('should follow the best track on a replay', () => {
+      playHole(3, 4);
+      expect(mockGame.scene.add).not.toHaveBeenCalled();
+
+      holeState(0, { completed: false, startTime: 5000 });
+      expect(mockGame.scene.add).toHaveBeenCalledWith(ghostManager.ghostMesh);
+
+      ghostManager.update(5000 + 1.5 * SAMPLE_INTERVAL_MS);
+      expect(ghostManager.ghostMesh.position.set).toHaveBeenLastCalledWith(
+        expect.closeTo(1.5),
+        expect.closeTo(0.2),
+        0
+      );
+
+      holeState(0, { completed: true, startTime: 5000, endTime: 6000 });
+      expect(mockGame.scene.remove).toHaveBeenCalled();
+      expect(ghostManager.ghostMesh).toBeNull();
+    });
+
+    test('should stay hidden when switched off, across sessions', () => {
+      playHole(3, 4);
+      ghostManager.setShowGhost(false);
+
+      const reloaded = new GhostManager(mockGame);
+      reloaded.handleHoleStateUpdated(
+        new GameEvent(EventTypes.HOLE_STATE_UPDATED, {
+          holeIndex: 0,
+          state: { completed: false, startTime: 5000 }
+        })
+      );
+
+      expect(reloaded.showGhost).toBe(false);
+      expect(reloaded.ghostMesh).toBeNull();
+      expect(mockGame.scene.add).not.toHaveBeenCalled();
+    });
+
+    test('should remove the ghost when switched off mid-hole', () => {
+      playHole(3, 4);
+      holeState(0, { completed: false, startTime: 5000 });
+
+      ghostManager.setShowGhost(false);
+
+      expect(ghostManager.ghostMesh).toBeNull();
+      expect(mockGame.scene.remove).toHaveBeenCalled();
+    });
+  });
+});
@@ -10,6 +10,7 @@ import { GameState } from '../../states/GameState';
 jest.mock('../../events/EventTypes', () => ({
   EventTypes: {
     BALL_IN_HOLE: 'BALL_IN_HOLE',
+    BALL_STOPPED: 'BALL_STOPPED',
     HOLE_COMPLETED: 'HOLE_COMPLETED'
   }
 }));
@@ -163,6 +164,16 @@ describe('HoleCompletionManager', () => {
         holeCompletionManager
       );
     });
+
+    test('should subscribe to BALL_STOPPED event', () => {
+      holeCompletionManager.setupEventListeners();
+
+      expect(mockGame.eventManager.subscribe).toHaveBeenCalledWith(
+        EventTypes.BALL_STOPPED,
+        holeCompletionManager.handleBallStopped,
+        holeCompletionManager
+      );
+    });
   });
 
   describe('resetGracePeriod', () => {
@@ -286,6 +297,164 @@ describe('HoleCompletionManager', () => {
 
       updateScoreSpy.mockRestore();
     });
+
+    test('should record the hole and its par on the scorecard', () => {
+      mockGame.scoringSystem.completeHole = jest.fn();
+      mockGame.stateManager.getCurrentHoleNumber.mockReturnValue(4);
+
+      holeCompletionManager.handleBallInHole();
+
+      expect(mockGame.scoringSystem.completeHole).toHaveBeenCalledWith(4, 3);
+    });
+
+    test('should wait for every player to hole out in multiplayer', () => {
+      mockGame.scoringSystem.completeHole = jest.fn();
+      mockGame.turnManager = {
+        isMultiplayer: jest.fn(() => true),
+        finishActivePlayer: jest.fn().mockReturnValueOnce(false).mockReturnValueOnce(true)
+      };
+
+      holeCompletionManager.handleBallInHole();
+
+      expect(mockGame.stateManager.setHoleCompleted).not.toHaveBeenCalled();
+      expect(holeCompletionManager.isTransitioning).toBe(false);
+
+      holeCompletionManager.handleBallInHole();
+
+      expect(mockGame.turnManager.finishActivePlayer).toHaveBeenCalledTimes(2);
+      expect(mockGame.stateManager.setHoleCompleted).toHaveBeenCalledWith(true);
+      expect(mockGame.scoringSystem.completeHole).toHaveBeenCalledTimes(1);
+    });
+
+    test('should replay the hole in practice instead of moving on', () => {
+      mockGame.stateManager.getCurrentHoleNumber.mockReturnValue(18);
+      mockGame.practiceManager = {
+        isEnabled: jest.fn(() => true),
+        restartHole: jest.fn()
+      };
+
+      holeCompletionManager.handleBallInHole();
+      const restart = global.setTimeout.mock.calls.find(([, delay]) => delay === 1500)[0];
+      restart();
+
+      expect(mockGame.stateManager.setGameState).not.toHaveBeenCalled();
+      expect(mockGame.holeTransitionManager.transitionToNextHole).not.toHaveBeenCalled();
+      expect(mockGame.practiceManager.restartHole).toHaveBeenCalled();
+      expect(holeCompletionManager.isTransitioning).toBe(false);
+    });
+
+    test('should offer the replay and move on once it is done', () => {
+      const finished = [];
+      mockGame.replayManager = {
+        keepLastShot: jest.fn(),
+        offerReplay: jest.fn(),
+        onFinished: jest.fn(callback => finished.push(callback))
+      };
+      mockGame.stateManager.getCurrentHoleNumber.mockReturnValue(18);
+
+      holeCompletionManager.handleBallInHole();
+
+      expect(mockGame.replayManager.keepLastShot).toHaveBeenCalled();
+      expect(mockGame.replayManager.offerReplay).toHaveBeenCalled();
+      expect(mockGame.stateManager.setGameState).not.toHaveBeenCalled();
+
+      finished.forEach(callback => callback());
+
+      expect(mockGame.stateManager.setGameState).toHaveBeenCalledWith(GameState.GAME_COMPLETED);
+      expect(holeCompletionManager.isTransitioning).toBe(false);
+    });
+  });
+
+  describe('handleBallStopped', () => {
+    beforeEach(() => {
+      holeCompletionManager = new HoleCompletionManager(mockGame);
+      mockGame.course.getStrokeCap = jest.fn(() => 6);
+      mockGame.scoringSystem.getCurrentStrokes = jest.fn(() => 2);
+      mockGame.scoringSystem.capCurrentStrokes = jest.fn();
+      mockGame.scoringSystem.completeHole = jest.fn();
+    });
+
+    test('should keep playing below the stroke cap', () => {
+      holeCompletionManager.handleBallStopped();
+
+      expect(mockGame.scoringSystem.capCurrentStrokes).not.toHaveBeenCalled();
+      expect(mockGame.stateManager.setHoleCompleted).not.toHaveBeenCalled();
+    });
+
+    test('should pick up at the stroke cap and move on', () => {
+      mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(7);
+
+      holeCompletionManager.handleBallStopped();
+
+      expect(mockGame.scoringSystem.capCurrentStrokes).toHaveBeenCalledWith(6);
+      expect(mockGame.uiManager.showMessage).toHaveBeenCalledWith('Picked up at 6 strokes', 2000);
+      expect(mockGame.stateManager.setHoleCompleted).toHaveBeenCalledWith(true);
+      expect(mockGame.scoringSystem.completeHole).toHaveBeenCalled();
+      expect(global.setTimeout).toHaveBeenCalledWith(expect.any(Function), 1500);
+    });
+
+    test('should fall back to the default cap without a course setting', () => {
+      delete mockGame.course.getStrokeCap;
+      mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(10);
+
+      holeCompletionManager.handleBallStopped();
+
+      expect(mockGame.scoringSystem.capCurrentStrokes).toHaveBeenCalledWith(10);
+    });
+
+    test('should ignore stopped balls once the hole is completed', () => {
+      mockGame.stateManager.isHoleCompleted.mockReturnValue(true);
+      mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(9);
+
+      holeCompletionManager.handleBallStopped();
+
+      expect(mockGame.scoringSystem.capCurrentStrokes).not.toHaveBeenCalled();
+    });
+
+    test('should pass the turn on in multiplayer', () => {
+      mockGame.turnManager = {
+        isMultiplayer: jest.fn(() => true),
+        isWaitingForTurn: jest.fn(() => false),
+        advanceTurn: jest.fn()
+      };
+
+      holeCompletionManager.handleBallStopped();
+
+      expect(mockGame.turnManager.advanceTurn).toHaveBeenCalled();
+    });
+
+    test('should take a capped player out and wait for the others in multiplayer', () => {
+      mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(6);
+      mockGame.turnManager = {
+        isMultiplayer: jest.fn(() => true),
+        isWaitingForTurn: jest.fn(() => false),
+        getActivePlayer: jest.fn(() => ({ name: 'Ada' })),
+        finishActivePlayer: jest.fn(() => false),
+        advanceTurn: jest.fn()
+      };
+
+      holeCompletionManager.handleBallStopped();
+
+      expect(mockGame.uiManager.showMessage).toHaveBeenCalledWith(
+        'Ada picks up at 6 strokes',
+        2000
+      );
+      expect(mockGame.turnManager.finishActivePlayer).toHaveBeenCalled();
+      expect(mockGame.turnManager.advanceTurn).not.toHaveBeenCalled();
+      expect(mockGame.stateManager.setHoleCompleted).not.toHaveBeenCalled();
+    });
+
+    test('should ignore stopped balls while the next turn is pending', () => {
+      mockGame.turnManager = {
+        isMultiplayer: jest.fn(() => true),
+        isWaitingForTurn: jest.fn(() => true),
+        advanceTurn: jest.fn()
+      };
+
+      holeCompletionManager.handleBallStopped();
+
+      expect(mockGame.turnManager.advanceTurn).not.toHaveBeenCalled();
+    });
   });
 
   describe('showCompletionEffects', () => {
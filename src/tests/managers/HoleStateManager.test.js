@@ -9,8 +9,10 @@ import { EventTypes } from '../../events/EventTypes';
 jest.mock('../../events/EventTypes', () => ({
   EventTypes: {
     HOLE_STARTED: 'hole:started',
+    GAME_STARTED: 'game:started',
     HOLE_COMPLETED: 'hole:completed',
-    HOLE_STATE_UPDATED: 'hole:state_updated'
+    HOLE_STATE_UPDATED: 'hole:state_updated',
+    GAME_RESUMED: 'game:resumed'
   }
 }));
 
@@ -104,7 +106,7 @@ describe('HoleStateManager', () => {
   });
 
   describe('setupEventListeners', () => {
-    test('should subscribe to hole started and completed events', () => {
+    test('should subscribe to game started, hole started, completed and resumed events', () => {
       holeStateManager.setupEventListeners();
 
       expect(mockEventManager.subscribe).toHaveBeenCalledWith(
@@ -119,7 +121,19 @@ describe('HoleStateManager', () => {
         holeStateManager
       );
 
-      expect(mockEventManager.subscribe).toHaveBeenCalledTimes(2);
+      expect(mockEventManager.subscribe).toHaveBeenCalledWith(
+        EventTypes.GAME_STARTED,
+        holeStateManager.handleHoleStarted,
+        holeStateManager
+      );
+
+      expect(mockEventManager.subscribe).toHaveBeenCalledWith(
+        EventTypes.GAME_RESUMED,
+        holeStateManager.handleGameResumed,
+        holeStateManager
+      );
+
+      expect(mockEventManager.subscribe).toHaveBeenCalledTimes(4);
     });
   });
 
@@ -400,6 +414,29 @@ describe('HoleStateManager', () => {
     });
   });
 
+  describe('handleGameResumed', () => {
+    const resumedAfter = pausedMs => ({ get: key => (key === 'pausedMs' ? pausedMs : undefined) });
+
+    test('should leave the paused time out of the running hole', () => {
+      holeStateManager.holeStates.set(0, { completed: false, startTime: 1000 });
+
+      holeStateManager.handleGameResumed(resumedAfter(4000));
+
+      expect(holeStateManager.getHoleState(0).startTime).toBe(5000);
+      expect(mockEventManager.publish).not.toHaveBeenCalled();
+    });
+
+    test('should leave completed and unstarted holes alone', () => {
+      holeStateManager.holeStates.set(0, { completed: true, startTime: 1000 });
+      holeStateManager.handleGameResumed(resumedAfter(4000));
+      expect(holeStateManager.getHoleState(0).startTime).toBe(1000);
+
+      holeStateManager.holeStates.set(0, { completed: false, startTime: null });
+      holeStateManager.handleGameResumed(resumedAfter(4000));
+      expect(holeStateManager.getHoleState(0).startTime).toBeNull();
+    });
+  });
+
   describe('reset', () => {
     test('should reinitialize hole states', () => {
       // Set up some initial state
@@ -413,6 +450,20 @@ describe('HoleStateManager', () => {
     });
   });
 
+  describe('snapshots', () => {
+    test('should restore saved states of known holes', () => {
+      holeStateManager.holeStates.set(0, { completed: true, strokes: 3 });
+      const snapshot = holeStateManager.getSnapshot();
+      expect(snapshot).toEqual([{ holeIndex: 0, completed: true, strokes: 3 }]);
+
+      holeStateManager.holeStates.set(0, { completed: false, strokes: 0, par: 3 });
+      holeStateManager.restoreSnapshot([...snapshot, { holeIndex: 7, completed: true }]);
+
+      expect(holeStateManager.getHoleState(0)).toEqual({ completed: true, strokes: 3, par: 3 });
+      expect(holeStateManager.holeStates.has(7)).toBe(false);
+    });
+  });
+
   describe('cleanup', () => {
     test('should clear all hole states', () => {
       holeStateManager.holeStates.set(0, { completed: true });
@@ -424,6 +475,17 @@ describe('HoleStateManager', () => {
 
       expect(holeStateManager.holeStates.size).toBe(0);
     });
+
+    test('should unsubscribe from its events', () => {
+      const unsubscribe = jest.fn();
+      mockEventManager.subscribe.mockReturnValue(unsubscribe);
+      holeStateManager.setupEventListeners();
+
+      holeStateManager.cleanup();
+
+      expect(unsubscribe).toHaveBeenCalledTimes(4);
+      expect(holeStateManager.eventSubscriptions).toEqual([]);
+    });
   });
 
   describe('integration scenarios', () => {
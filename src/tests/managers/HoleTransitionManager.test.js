@@ -34,7 +34,7 @@ describe('HoleTransitionManager', () => {
       },
       stateManager: {
         getCurrentHoleNumber: jest.fn(() => 1),
-        resetForNextHole: jest.fn(),
+        resetForHole: jest.fn(),
         state: { debugMode: false }
       },
       course: {
@@ -219,7 +219,7 @@ describe('HoleTransitionManager', () => {
         expect(unloadSpy).toHaveBeenCalled();
         expect(mockGame.physicsManager.resetWorld).toHaveBeenCalled();
         expect(loadSpy).toHaveBeenCalledWith(3);
-        expect(mockGame.stateManager.resetForNextHole).toHaveBeenCalled();
+        expect(mockGame.stateManager.resetForHole).toHaveBeenCalledWith(3);
         expect(mockGame.ballManager.createBall).toHaveBeenCalled();
         expect(mockGame.inputController.enableInput).toHaveBeenCalled();
       });
@@ -292,6 +292,20 @@ describe('HoleTransitionManager', () => {
       });
     });
 
+    describe('transitionToHole', () => {
+      test('should load any hole of the course', async () => {
+        mockGame.stateManager.getCurrentHoleNumber.mockReturnValue(5);
+        jest.spyOn(holeTransitionManager, 'unloadCurrentHole').mockResolvedValue();
+        const loadSpy = jest.spyOn(holeTransitionManager, 'loadNewHole').mockResolvedValue(true);
+
+        const result = await holeTransitionManager.transitionToHole(2);
+
+        expect(result).toBe(true);
+        expect(loadSpy).toHaveBeenCalledWith(2);
+        expect(mockGame.stateManager.resetForHole).toHaveBeenCalledWith(2);
+      });
+    });
+
     describe('error handling', () => {
       test('should handle transition errors gracefully', async () => {
         const error = new Error('Transition failed');
@@ -745,7 +759,7 @@ describe('HoleTransitionManager', () => {
       expect(mockGame.course.clearCurrentHole).toHaveBeenCalled();
       expect(mockGame.physicsManager.resetWorld).toHaveBeenCalled();
       expect(mockGame.course.createCourse).toHaveBeenCalledWith(3);
-      expect(mockGame.stateManager.resetForNextHole).toHaveBeenCalled();
+      expect(mockGame.stateManager.resetForHole).toHaveBeenCalledWith(3);
       expect(mockGame.ballManager.createBall).toHaveBeenCalled();
       expect(mockGame.inputController.enableInput).toHaveBeenCalled();
     });
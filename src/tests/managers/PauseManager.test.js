@@ -0,0 +1,190 @@
+/**
+ * Unit tests for PauseManager
+ */
+
+import { PauseManager } from '../../managers/PauseManager';
+import { EventTypes } from '../../events/EventTypes';
+import { GameState } from '../../states/GameState';
+
+describe('PauseManager', () => {
+  let mockGame;
+  let pauseManager;
+  let gameState;
+  let now;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    now = 10000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    gameState = GameState.AIMING;
+    mockGame = {
+      courseId: 'test-course',
+      eventManager: { publish: jest.fn() },
+      stateManager: {
+        getGameState: jest.fn(() => gameState),
+        setGameState: jest.fn(state => {
+          gameState = state;
+        }),
+        isInState: jest.fn(state => gameState === state),
+        isHoleCompleted: jest.fn(() => false),
+        getCurrentHoleNumber: jest.fn(() => 3)
+      },
+      inputController: {
+        isInputEnabled: true,
+        disableInput: jest.fn(),
+        enableInput: jest.fn()
+      },
+      replayManager: { isActive: jest.fn(() => false) },
+      roundRecordManager: { isVerifying: jest.fn(() => false) },
+      dailyChallenge: { isScoredAttempt: jest.fn(() => false) },
+      timeAttackManager: { isEnabled: jest.fn(() => false) },
+      isRestarting: false,
+      canRestartHole: jest.fn(() => true),
+      restartHole: jest.fn(() => Promise.resolve(true)),
+      restartRound: jest.fn(() => Promise.resolve(true)),
+      uiManager: { uiContainer: document.createElement('div') }
+    };
+    pauseManager = new PauseManager(mockGame).init();
+  });
+
+  afterEach(() => {
+    pauseManager.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('should add the pause button to the UI container', () => {
+    expect(mockGame.uiManager.uiContainer.children[0].textContent).toBe('Pause');
+  });
+
+  describe('pause and resume', () => {
+    test('should enter GameState.PAUSED with input off and the menu shown', () => {
+      expect(pauseManager.pause()).toBe(true);
+
+      expect(pauseManager.isPaused()).toBe(true);
+      expect(gameState).toBe(GameState.PAUSED);
+      expect(mockGame.inputController.disableInput).toHaveBeenCalled();
+      expect(pauseManager.menu.menuElement).not.toBeNull();
+      expect(mockGame.eventManager.publish).toHaveBeenCalledWith(
+        EventTypes.GAME_PAUSED,
+        {},
+        pauseManager
+      );
+    });
+
+    test('should restore the state and input and report the paused time', () => {
+      pauseManager.pause();
+      now += 4000;
+
+      expect(pauseManager.resume()).toBe(true);
+
+      expect(pauseManager.isPaused()).toBe(false);
+      expect(gameState).toBe(GameState.AIMING);
+      expect(mockGame.inputController.enableInput).toHaveBeenCalled();
+      expect(pauseManager.menu.menuElement).toBeNull();
+      expect(mockGame.eventManager.publish).toHaveBeenCalledWith(
+        EventTypes.GAME_RESUMED,
+        { pausedMs: 4000 },
+        pauseManager
+      );
+    });
+
+    test('should leave input off on resuming if it was off when paused', () => {
+      mockGame.inputController.isInputEnabled = false;
+      gameState = GameState.PLAYING;
+
+      pauseManager.pause();
+      pauseManager.resume();
+
+      expect(gameState).toBe(GameState.PLAYING);
+      expect(mockGame.inputController.enableInput).not.toHaveBeenCalled();
+    });
+
+    test('should toggle between paused and playing', () => {
+      pauseManager.togglePause();
+      expect(pauseManager.isPaused()).toBe(true);
+
+      pauseManager.togglePause();
+      expect(pauseManager.isPaused()).toBe(false);
+    });
+
+    test('should not pause while a hole is finished, replayed or between holes', () => {
+      mockGame.stateManager.isHoleCompleted.mockReturnValue(true);
+      expect(pauseManager.pause()).toBe(false);
+
+      mockGame.stateManager.isHoleCompleted.mockReturnValue(false);
+      mockGame.replayManager.isActive.mockReturnValue(true);
+      expect(pauseManager.pause()).toBe(false);
+
+      mockGame.replayManager.isActive.mockReturnValue(false);
+      gameState = GameState.HOLE_TRANSITION;
+      expect(pauseManager.pause()).toBe(false);
+
+      expect(mockGame.eventManager.publish).not.toHaveBeenCalled();
+    });
+
+    test('should pause when the tab is hidden', () => {
+      jest.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+
+      document.dispatchEvent(new Event('visibilitychange'));
+
+      expect(pauseManager.isPaused()).toBe(true);
+    });
+
+    test('should stop listening for the tab being hidden on cleanup', () => {
+      jest.spyOn(document, 'hidden', 'get').mockReturnValue(true);
+
+      pauseManager.cleanup();
+      document.dispatchEvent(new Event('visibilitychange'));
+
+      expect(pauseManager.isPaused()).toBe(false);
+    });
+  });
+
+  describe('restarts', () => {
+    test('should resume and start the hole over', async () => {
+      pauseManager.pause();
+
+      await expect(pauseManager.restartHole()).resolves.toBe(true);
+
+      expect(pauseManager.isPaused()).toBe(false);
+      expect(mockGame.restartHole).toHaveBeenCalled();
+    });
+
+    test('should resume and start the round over', async () => {
+      pauseManager.pause();
+
+      await expect(pauseManager.restartRound()).resolves.toBe(true);
+
+      expect(pauseManager.isPaused()).toBe(false);
+      expect(mockGame.restartRound).toHaveBeenCalled();
+    });
+
+    test('should not pause while a restart is loading', () => {
+      mockGame.isRestarting = true;
+
+      expect(pauseManager.pause()).toBe(false);
+    });
+
+    test('should not offer restarts on a scored daily challenge or a verified round', async () => {
+      mockGame.dailyChallenge.isScoredAttempt.mockReturnValue(true);
+      expect(pauseManager.canRestartRound()).toBe(false);
+      await expect(pauseManager.restartRound()).resolves.toBe(false);
+
+      mockGame.dailyChallenge.isScoredAttempt.mockReturnValue(false);
+      mockGame.roundRecordManager.isVerifying.mockReturnValue(true);
+      expect(pauseManager.canRestartHole()).toBe(false);
+      await expect(pauseManager.restartHole()).resolves.toBe(false);
+
+      expect(mockGame.restartRound).not.toHaveBeenCalled();
+      expect(mockGame.restartHole).not.toHaveBeenCalled();
+    });
+
+    test('should leave hole restarts to the game but still allow the round', () => {
+      mockGame.canRestartHole.mockReturnValue(false);
+
+      expect(pauseManager.canRestartHole()).toBe(false);
+      expect(pauseManager.canRestartRound()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for PracticeManager
+ */
+
+import * as THREE from 'three';
+import { PracticeManager } from '../../managers/PracticeManager';
+import { EventTypes } from '../../events/EventTypes';
+
+describe('PracticeManager', () => {
+  let mockGame;
+  let practiceManager;
+  let holeCompleted;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+
+    holeCompleted = false;
+    mockGame = {
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn())
+      },
+      turnManager: {
+        isMultiplayer: jest.fn(() => false)
+      },
+      course: {
+        getTotalHoles: jest.fn(() => 3),
+        holeConfigs: [{ description: 'One' }, { description: 'Two' }, { description: 'Three' }]
+      },
+      stateManager: {
+        getCurrentHoleNumber: jest.fn(() => 2),
+        isHoleCompleted: jest.fn(() => holeCompleted),
+        setBallInMotion: jest.fn()
+      },
+      holeTransitionManager: {
+        transitionToHole: jest.fn(() => Promise.resolve(true))
+      },
+      ballManager: {
+        ball: {},
+        resetBall: jest.fn(),
+        resetBallToTee: jest.fn()
+      },
+      inputController: {
+        enableInput: jest.fn()
+      }
+    };
+    practiceManager = new PracticeManager(mockGame);
+  });
+
+  afterEach(() => {
+    practiceManager.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  const hitFrom = position => ({
+    get: key => (key === 'position' ? new THREE.Vector3(...position) : undefined)
+  });
+
+  describe('setup', () => {
+    test('should be off by default', () => {
+      practiceManager.setup();
+
+      expect(practiceManager.isEnabled()).toBe(false);
+    });
+
+    test('should not practice in a multiplayer round', () => {
+      mockGame.turnManager.isMultiplayer.mockReturnValue(true);
+
+      practiceManager.setup({ enabled: true });
+
+      expect(practiceManager.isEnabled()).toBe(false);
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('init', () => {
+    test('should listen for the course, shots and new holes', () => {
+      practiceManager.init();
+
+      [EventTypes.COURSE_CREATED, EventTypes.BALL_HIT, EventTypes.HOLE_STARTED].forEach(type => {
+        expect(mockGame.eventManager.subscribe).toHaveBeenCalledWith(
+          type,
+          expect.any(Function),
+          practiceManager
+        );
+      });
+    });
+
+    test('should show the practice panel once the course is created', () => {
+      const uiContainer = document.createElement('div');
+      mockGame.uiManager = { uiContainer };
+      mockGame.practiceManager = practiceManager;
+      practiceManager.setup({ enabled: true });
+      practiceManager.handleCourseCreated();
+
+      expect(uiContainer.children).toHaveLength(1);
+
+      practiceManager.cleanup();
+      expect(uiContainer.children).toHaveLength(0);
+    });
+
+    test('should not show the panel outside practice', () => {
+      practiceManager.setup();
+      practiceManager.handleCourseCreated();
+
+      expect(practiceManager.panel).toBeNull();
+    });
+  });
+
+  describe('goToHole', () => {
+    beforeEach(() => {
+      practiceManager.setup({ enabled: true });
+    });
+
+    test('should load the chosen hole', async () => {
+      await expect(practiceManager.goToHole(3)).resolves.toBe(true);
+
+      expect(mockGame.holeTransitionManager.transitionToHole).toHaveBeenCalledWith(3);
+      expect(practiceManager.isChangingHole).toBe(false);
+    });
+
+    test('should ignore holes outside the course', async () => {
+      await expect(practiceManager.goToHole(0)).resolves.toBe(false);
+      await expect(practiceManager.goToHole(4)).resolves.toBe(false);
+
+      expect(mockGame.holeTransitionManager.transitionToHole).not.toHaveBeenCalled();
+    });
+
+    test('should ignore hole changes outside practice', async () => {
+      practiceManager.setup();
+
+      await expect(practiceManager.goToHole(1)).resolves.toBe(false);
+    });
+
+    test('should restart the current hole', async () => {
+      await practiceManager.restartHole();
+
+      expect(mockGame.holeTransitionManager.transitionToHole).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe('free resets', () => {
+    beforeEach(() => {
+      practiceManager.setup({ enabled: true });
+    });
+
+    test('should put the ball back on the tee and allow a new shot', () => {
+      practiceManager.resetBallToTee();
+
+      expect(mockGame.ballManager.resetBallToTee).toHaveBeenCalled();
+      expect(mockGame.stateManager.setBallInMotion).toHaveBeenCalledWith(false);
+      expect(mockGame.inputController.enableInput).toHaveBeenCalled();
+    });
+
+    test('should replay from where the last shot was played', () => {
+      expect(practiceManager.canReplayLastShot()).toBe(false);
+      practiceManager.replayLastShot();
+      expect(mockGame.ballManager.resetBall).not.toHaveBeenCalled();
+
+      practiceManager.handleBallHit(hitFrom([1, 0.2, -3]));
+      practiceManager.replayLastShot();
+
+      expect(mockGame.ballManager.resetBall).toHaveBeenCalledWith(
+        expect.objectContaining({ x: 1, y: 0.2, z: -3 })
+      );
+      expect(mockGame.inputController.enableInput).toHaveBeenCalled();
+    });
+
+    test('should forget the last shot on a new hole', () => {
+      practiceManager.handleBallHit(hitFrom([1, 0.2, -3]));
+      practiceManager.handleHoleStarted();
+
+      expect(practiceManager.canReplayLastShot()).toBe(false);
+    });
+
+    test('should not move the ball once the hole is completed', () => {
+      holeCompleted = true;
+
+      practiceManager.resetBallToTee();
+
+      expect(mockGame.ballManager.resetBallToTee).not.toHaveBeenCalled();
+    });
+  });
+});
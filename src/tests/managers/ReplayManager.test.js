@@ -0,0 +1,206 @@
+/**
+ * Unit tests for ReplayManager
+ */
+
+import { ReplayManager, SLOW_MOTION_SPEED } from '../../managers/ReplayManager';
+import { REPLAY_VIEW } from '../../controls/CameraController';
+
+describe('ReplayManager', () => {
+  let mockGame;
+  let replayManager;
+  let ballMesh;
+
+  const START = 1000;
+  const FRAME_MS = 100;
+
+  // Hit the ball and roll it 1 unit along -z per frame until it drops
+  const playShot = frames => {
+    replayManager.handleBallHit();
+    for (let i = 0; i < frames; i++) {
+      ballMesh.position.z = -i;
+      replayManager.update(START + i * FRAME_MS);
+    }
+    jest.setSystemTime(START + frames * FRAME_MS);
+    replayManager.keepLastShot();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation();
+
+    ballMesh = {
+      position: { x: 0, y: 0.2, z: 0 },
+      quaternion: { x: 0, y: 0, z: 0, w: 1 },
+      geometry: {},
+      visible: true
+    };
+    mockGame = {
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn())
+      },
+      scene: {
+        add: jest.fn(),
+        remove: jest.fn()
+      },
+      ballManager: {
+        ball: { mesh: ballMesh, defaultMaterial: {} }
+      },
+      scoringSystem: {
+        getCurrentStrokes: jest.fn(() => 2)
+      },
+      cameraController: {
+        startReplay: jest.fn(),
+        updateReplayView: jest.fn(),
+        endReplay: jest.fn()
+      },
+      uiManager: { uiContainer: document.createElement('div') }
+    };
+    replayManager = new ReplayManager(mockGame).init();
+    jest.spyOn(replayManager.viewer, 'showOffer');
+    jest.spyOn(replayManager.viewer, 'showPlaying');
+  });
+
+  afterEach(() => {
+    replayManager.cleanup();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('recording', () => {
+    test('should buffer every frame of the shot that holed the ball', () => {
+      playShot(4);
+
+      expect(replayManager.lastShot.frames).toHaveLength(5);
+      expect(replayManager.lastShot.frames[1]).toEqual([FRAME_MS, 0, 0.2, -1, 0, 0, 0, 1]);
+      expect(replayManager.recording).toBeNull();
+    });
+
+    test('should drop the oldest frames of a long shot', () => {
+      playShot(2000);
+
+      expect(replayManager.lastShot.frames).toHaveLength(1800);
+      expect(replayManager.lastShot.frames[0][0]).toBe(201 * FRAME_MS);
+    });
+
+    test('should leave the time the game was paused out of the shot', () => {
+      replayManager.handleBallHit();
+      replayManager.update(START);
+
+      replayManager.handleGameResumed({ get: () => 5000 });
+      ballMesh.position.z = -1;
+      replayManager.update(START + 5000 + FRAME_MS);
+
+      expect(replayManager.recording.frames[1]).toEqual([FRAME_MS, 0, 0.2, -1, 0, 0, 0, 1]);
+    });
+
+    test('should forget the shot on the next hit or hole', () => {
+      playShot(4);
+      replayManager.handleHoleStarted();
+      expect(replayManager.lastShot).toBeNull();
+
+      playShot(4);
+      replayManager.handleBallHit();
+      expect(replayManager.lastShot).toBeNull();
+    });
+  });
+
+  describe('offer', () => {
+    test('should offer the replay and move on when it runs out', () => {
+      const onFinished = jest.fn();
+      playShot(4);
+
+      replayManager.offerReplay();
+      replayManager.onFinished(onFinished);
+
+      expect(replayManager.viewer.showOffer).toHaveBeenCalled();
+      expect(replayManager.isActive()).toBe(true);
+      expect(onFinished).not.toHaveBeenCalled();
+
+      jest.runOnlyPendingTimers();
+
+      expect(onFinished).toHaveBeenCalled();
+      expect(replayManager.isActive()).toBe(false);
+    });
+
+    test('should not offer a replay without a holed shot', () => {
+      const onFinished = jest.fn();
+
+      replayManager.offerReplay();
+      replayManager.onFinished(onFinished);
+
+      expect(replayManager.viewer.showOffer).not.toHaveBeenCalled();
+      expect(onFinished).toHaveBeenCalled();
+    });
+
+    test('should play a hole-in-one straight away in slow motion', () => {
+      mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(1);
+      playShot(4);
+
+      replayManager.offerReplay();
+
+      expect(replayManager.viewer.showOffer).not.toHaveBeenCalled();
+      expect(replayManager.isPlaying()).toBe(true);
+      expect(replayManager.playback.speed).toBe(SLOW_MOTION_SPEED);
+      expect(replayManager.viewer.showPlaying).toHaveBeenCalledWith(true);
+    });
+  });
+
+  describe('playback', () => {
+    test('should play the shot with a copy of the ball and the replay camera', () => {
+      const onFinished = jest.fn();
+      playShot(20);
+      replayManager.offerReplay();
+      replayManager.onFinished(onFinished);
+
+      replayManager.play();
+
+      expect(mockGame.scene.add).toHaveBeenCalledWith(replayManager.replayMesh);
+      expect(ballMesh.visible).toBe(false);
+      expect(mockGame.cameraController.startReplay).toHaveBeenCalled();
+
+      const PLAY_START = 50000;
+      replayManager.update(PLAY_START);
+      replayManager.update(PLAY_START + 2.5 * FRAME_MS);
+
+      expect(replayManager.replayMesh.position.set).toHaveBeenLastCalledWith(
+        0,
+        0.2,
+        expect.closeTo(-2.5)
+      );
+      expect(mockGame.cameraController.updateReplayView).toHaveBeenLastCalledWith(
+        expect.objectContaining({ z: expect.closeTo(-2.5) }),
+        { x: 0, z: -1 },
+        REPLAY_VIEW.CHASE
+      );
+
+      replayManager.update(PLAY_START + 18 * FRAME_MS);
+      expect(mockGame.cameraController.updateReplayView).toHaveBeenLastCalledWith(
+        expect.anything(),
+        { x: 0, z: -1 },
+        REPLAY_VIEW.SIDE
+      );
+      expect(onFinished).not.toHaveBeenCalled();
+
+      replayManager.update(PLAY_START + 30 * FRAME_MS);
+
+      expect(onFinished).toHaveBeenCalled();
+      expect(ballMesh.visible).toBe(true);
+      expect(mockGame.scene.remove).toHaveBeenCalled();
+      expect(mockGame.cameraController.endReplay).toHaveBeenCalled();
+      expect(replayManager.isActive()).toBe(false);
+    });
+
+    test('should hand back straight away when skipped', () => {
+      const onFinished = jest.fn();
+      playShot(20);
+      replayManager.play(true);
+      replayManager.onFinished(onFinished);
+
+      replayManager.skip();
+
+      expect(onFinished).toHaveBeenCalled();
+      expect(ballMesh.visible).toBe(true);
+      expect(mockGame.cameraController.endReplay).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Unit tests for RoundRecordManager
+ */
+
+import * as THREE from 'three';
+import {
+  RoundRecordManager,
+  parseRoundFile,
+  ROUND_FILE_VERSION
+} from '../../managers/RoundRecordManager';
+import { EventTypes } from '../../events/EventTypes';
+import { GameEvent } from '../../events/GameEvent';
+import { loadData } from '../../utils/storage';
+
+describe('RoundRecordManager', () => {
+  let mockGame;
+  let roundRecordManager;
+  let holeNumber;
+  let stepCount;
+  let currentStrokes;
+  let ballInMotion;
+
+  const FIXED_STEP = 1 / 60;
+
+  const hitBall = (direction, power) =>
+    roundRecordManager.handleBallHit(
+      new GameEvent(EventTypes.BALL_HIT, { direction: new THREE.Vector3(...direction), power })
+    );
+  const completeHole = () =>
+    roundRecordManager.handleHoleCompleted(
+      new GameEvent(EventTypes.HOLE_COMPLETED, { holeNumber })
+    );
+  const roundFile = holes => ({
+    version: ROUND_FILE_VERSION,
+    courseId: 'test-course',
+    fixedTimeStep: FIXED_STEP,
+    recordedAt: 0,
+    totalStrokes: 3,
+    holes
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    window.localStorage.clear();
+
+    holeNumber = 1;
+    stepCount = 0;
+    currentStrokes = 1;
+    ballInMotion = false;
+    mockGame = {
+      courseId: 'test-course',
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn())
+      },
+      course: {
+        getTotalHoles: jest.fn(() => 2)
+      },
+      physicsManager: {
+        deterministic: false,
+        setDeterministic: jest.fn(function (enabled) {
+          this.deterministic = enabled;
+          return this;
+        }),
+        isDeterministic: jest.fn(function () {
+          return this.deterministic;
+        }),
+        getFixedTimeStep: jest.fn(() => FIXED_STEP),
+        getStepCount: jest.fn(() => stepCount)
+      },
+      stateManager: {
+        getCurrentHoleNumber: jest.fn(() => holeNumber),
+        isHoleCompleted: jest.fn(() => false),
+        isBallInMotion: jest.fn(() => ballInMotion)
+      },
+      scoringSystem: {
+        getCurrentStrokes: jest.fn(() => currentStrokes),
+        getTotalStrokes: jest.fn(() => 3)
+      },
+      ballManager: {
+        hitBall: jest.fn()
+      },
+      timeAttackManager: { isEnabled: jest.fn(() => false) },
+      isRecordedRound: jest.fn(() => true),
+      uiManager: {
+        showMessage: jest.fn()
+      }
+    };
+    roundRecordManager = new RoundRecordManager(mockGame);
+  });
+
+  afterEach(() => {
+    roundRecordManager.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  describe('parseRoundFile', () => {
+    test('should accept a valid round file', () => {
+      const file = roundFile([
+        { holeNumber: 1, strokes: 1, hits: [{ tick: 10, direction: [0, 0, -1], power: 0.5 }] }
+      ]);
+
+      expect(parseRoundFile(JSON.stringify(file))).toEqual(file);
+    });
+
+    test('should reject anything else', () => {
+      expect(parseRoundFile('not json')).toBeNull();
+      expect(parseRoundFile(JSON.stringify({ ...roundFile([]), version: 99 }))).toBeNull();
+      expect(
+        parseRoundFile(
+          JSON.stringify(
+            roundFile([{ holeNumber: 1, strokes: 1, hits: [{ tick: 10, direction: [0, 0] }] }])
+          )
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe('recording', () => {
+    beforeEach(() => {
+      roundRecordManager.setDeterministic(true);
+      roundRecordManager.setup().init();
+    });
+
+    test('should run the physics in deterministic mode and remember the setting', () => {
+      expect(mockGame.physicsManager.setDeterministic).toHaveBeenCalledWith(true);
+      expect(loadData('deterministicPhysics')).toBe(true);
+      expect(mockGame.eventManager.subscribe).toHaveBeenCalledWith(
+        EventTypes.BALL_HIT,
+        roundRecordManager.handleBallHit,
+        roundRecordManager
+      );
+    });
+
+    test('should keep a round file of every shot once the round is complete', () => {
+      stepCount = 42;
+      hitBall([0, 0, -1], 0.6);
+      currentStrokes = 1;
+      completeHole();
+
+      holeNumber = 2;
+      stepCount = 7;
+      hitBall([1, 0, 0], 0.3);
+      stepCount = 300;
+      hitBall([0, 0, 1], 0.2);
+      currentStrokes = 2;
+      completeHole();
+
+      roundRecordManager.handleGameCompleted();
+
+      const file = roundRecordManager.getLastRoundFile();
+      expect(file).toMatchObject({
+        version: ROUND_FILE_VERSION,
+        courseId: 'test-course',
+        fixedTimeStep: FIXED_STEP,
+        totalStrokes: 3
+      });
+      expect(file.holes).toEqual([
+        { holeNumber: 1, strokes: 1, hits: [{ tick: 42, direction: [0, 0, -1], power: 0.6 }] },
+        {
+          holeNumber: 2,
+          strokes: 2,
+          hits: [
+            { tick: 7, direction: [1, 0, 0], power: 0.3 },
+            { tick: 300, direction: [0, 0, 1], power: 0.2 }
+          ]
+        }
+      ]);
+      expect(parseRoundFile(JSON.stringify(file))).toEqual(file);
+    });
+
+    test('should release the round file URL only after the download has started', () => {
+      jest.useFakeTimers();
+      URL.createObjectURL = jest.fn(() => 'blob:round');
+      URL.revokeObjectURL = jest.fn();
+      hitBall([0, 0, -1], 0.6);
+      completeHole();
+      holeNumber = 2;
+      hitBall([0, 0, 1], 0.2);
+      completeHole();
+      roundRecordManager.handleGameCompleted();
+
+      roundRecordManager.downloadRoundFile();
+      expect(URL.createObjectURL).toHaveBeenCalled();
+      expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+      jest.runAllTimers();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:round');
+
+      delete URL.createObjectURL;
+      delete URL.revokeObjectURL;
+      jest.useRealTimers();
+    });
+
+    test('should not keep a round that was discarded or not played in full', () => {
+      hitBall([0, 0, -1], 0.6);
+      completeHole();
+      roundRecordManager.handleGameCompleted();
+      expect(roundRecordManager.getLastRoundFile()).toBeNull();
+
+      roundRecordManager.setup();
+      roundRecordManager.discardRound();
+      hitBall([0, 0, -1], 0.6);
+      expect(roundRecordManager.round).toBeNull();
+    });
+
+    test('should not record rounds without verifiable rounds switched on', () => {
+      roundRecordManager.setDeterministic(false);
+      roundRecordManager.setup();
+
+      hitBall([0, 0, -1], 0.6);
+
+      expect(mockGame.physicsManager.setDeterministic).toHaveBeenLastCalledWith(false);
+      expect(roundRecordManager.round).toBeNull();
+    });
+  });
+
+  describe('verification', () => {
+    const verify = holes => roundRecordManager.setup({ verifyRoundFile: roundFile(holes) }).init();
+
+    test('should play the recorded shots on their steps', () => {
+      verify([
+        {
+          holeNumber: 1,
+          strokes: 2,
+          hits: [
+            { tick: 2, direction: [0, 0, -1], power: 0.6 },
+            { tick: 5, direction: [1, 0, 0], power: 0.2 }
+          ]
+        }
+      ]);
+      expect(mockGame.physicsManager.setDeterministic).toHaveBeenCalledWith(true);
+      expect(roundRecordManager.isVerifying()).toBe(true);
+
+      roundRecordManager.beforeStep();
+      stepCount = 2;
+      roundRecordManager.beforeStep();
+
+      expect(mockGame.ballManager.hitBall).toHaveBeenCalledTimes(1);
+      expect(mockGame.ballManager.hitBall).toHaveBeenCalledWith(
+        expect.objectContaining({ x: 0, y: 0, z: -1 }),
+        0.6
+      );
+
+      stepCount = 5;
+      roundRecordManager.beforeStep();
+      roundRecordManager.beforeStep();
+
+      expect(mockGame.ballManager.hitBall).toHaveBeenCalledTimes(2);
+    });
+
+    test('should confirm a round whose strokes match', () => {
+      verify([{ holeNumber: 1, strokes: 1, hits: [] }]);
+
+      completeHole();
+      roundRecordManager.handleGameCompleted();
+
+      expect(roundRecordManager.getVerification()).toEqual({
+        matches: true,
+        done: true,
+        failure: null,
+        holes: [{ holeNumber: 1, expected: 1, strokes: 1 }]
+      });
+      expect(mockGame.uiManager.showMessage).toHaveBeenCalledWith(
+        'Round file verified: all 1 strokes match',
+        5000
+      );
+      expect(roundRecordManager.getLastRoundFile()).toBeNull();
+    });
+
+    test('should report a hole whose strokes differ', () => {
+      verify([{ holeNumber: 1, strokes: 2, hits: [] }]);
+
+      completeHole();
+      roundRecordManager.handleGameCompleted();
+
+      expect(roundRecordManager.getVerification().matches).toBe(false);
+      expect(mockGame.uiManager.showMessage).toHaveBeenCalledWith(
+        'Round file does not match: Hole 1 took 1 strokes, the round file has 2',
+        5000
+      );
+    });
+
+    test('should give up on a hole that never finishes', () => {
+      verify([{ holeNumber: 1, strokes: 1, hits: [] }]);
+
+      for (let step = 0; step <= 300; step++) {
+        roundRecordManager.beforeStep();
+      }
+
+      const verification = roundRecordManager.getVerification();
+      expect(verification.done).toBe(true);
+      expect(verification.failure).toBe('Hole 1 did not finish after the recorded shots');
+    });
+
+    test('should not wait while the ball is rolling', () => {
+      verify([{ holeNumber: 1, strokes: 1, hits: [] }]);
+      ballInMotion = true;
+
+      for (let step = 0; step <= 300; step++) {
+        roundRecordManager.beforeStep();
+      }
+
+      expect(roundRecordManager.getVerification().done).toBe(false);
+    });
+
+    test('should stop on a round file recorded with another physics step', () => {
+      roundRecordManager.setup({ verifyRoundFile: { ...roundFile([]), fixedTimeStep: 1 / 120 } });
+
+      expect(roundRecordManager.getVerification()).toMatchObject({
+        done: true,
+        matches: false,
+        failure: 'The round file was recorded with a different physics step'
+      });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for RoundSaveManager
+ */
+
+import * as THREE from 'three';
+import { RoundSaveManager } from '../../managers/RoundSaveManager';
+import { EventTypes } from '../../events/EventTypes';
+import { GameEvent } from '../../events/GameEvent';
+import { loadData } from '../../utils/storage';
+
+describe('RoundSaveManager', () => {
+  let mockGame;
+  let roundSaveManager;
+  let holeCompleted;
+
+  const ballStopped = (x, y, z) =>
+    roundSaveManager.handleBallStopped(
+      new GameEvent(EventTypes.BALL_STOPPED, { position: new THREE.Vector3(x, y, z) })
+    );
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    window.localStorage.clear();
+
+    holeCompleted = false;
+    mockGame = {
+      courseId: 'test-course',
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn())
+      },
+      course: {
+        getTotalHoles: jest.fn(() => 9)
+      },
+      stateManager: {
+        getCurrentHoleNumber: jest.fn(() => 3),
+        isHoleCompleted: jest.fn(() => holeCompleted),
+        setBallInMotion: jest.fn()
+      },
+      scoringSystem: {
+        getCurrentStrokes: jest.fn(() => 2),
+        getTotalStrokes: jest.fn(() => 9),
+        getSnapshot: jest.fn(() => ({ players: [{ totalStrokes: 9 }], activePlayerIndex: 0 })),
+        restoreSnapshot: jest.fn(() => true),
+        resetCurrentStrokes: jest.fn()
+      },
+      holeStateManager: {
+        getSnapshot: jest.fn(() => [{ holeIndex: 0, completed: true }]),
+        restoreSnapshot: jest.fn()
+      },
+      holeTransitionManager: {
+        transitionToHole: jest.fn(() => Promise.resolve(true))
+      },
+      ballManager: {
+        resetBall: jest.fn()
+      },
+      dailyChallenge: {
+        isScoredAttempt: jest.fn(() => false),
+        resumeAttempt: jest.fn(() => true)
+      },
+      turnManager: { isMultiplayer: jest.fn(() => false) },
+      timeAttackManager: { isEnabled: jest.fn(() => false) },
+      practiceManager: { isEnabled: jest.fn(() => false) },
+      inputController: { enableInput: jest.fn() },
+      uiManager: {
+        updateHoleInfo: jest.fn(),
+        updateScore: jest.fn(),
+        updateStrokes: jest.fn(),
+        showMessage: jest.fn()
+      }
+    };
+    roundSaveManager = new RoundSaveManager(mockGame).init();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('saving', () => {
+    test('should subscribe to strokes, completed holes and the end of the game', () => {
+      const events = mockGame.eventManager.subscribe.mock.calls.map(call => call[0]);
+
+      expect(events).toEqual([
+        EventTypes.BALL_STOPPED,
+        EventTypes.HOLE_COMPLETED,
+        EventTypes.GAME_COMPLETED
+      ]);
+    });
+
+    test('should save the ball where it came to rest', () => {
+      ballStopped(1, 0.2, -4);
+
+      const saved = loadData('savedRound');
+      expect(saved).toMatchObject({
+        courseId: 'test-course',
+        holeNumber: 3,
+        holeStrokes: 2,
+        totalStrokes: 9,
+        scores: { players: [{ totalStrokes: 9 }], activePlayerIndex: 0 },
+        holeStates: [{ holeIndex: 0, completed: true }],
+        ballPosition: { x: 1, y: 0.2, z: -4 },
+        dailyAttempt: false
+      });
+      expect(new RoundSaveManager(mockGame).getSavedRound()).toEqual(saved);
+    });
+
+    test('should save a completed hole as the start of the next one', () => {
+      holeCompleted = true;
+      ballStopped(0, 0, 0);
+      expect(roundSaveManager.getSavedRound()).toBeNull();
+
+      roundSaveManager.handleHoleCompleted();
+
+      expect(roundSaveManager.getSavedRound()).toMatchObject({
+        holeNumber: 4,
+        holeStrokes: 0,
+        ballPosition: null
+      });
+    });
+
+    test('should only save solo stroke play rounds', () => {
+      mockGame.practiceManager.isEnabled.mockReturnValue(true);
+      ballStopped(1, 0, 1);
+      mockGame.practiceManager.isEnabled.mockReturnValue(false);
+      mockGame.turnManager.isMultiplayer.mockReturnValue(true);
+      ballStopped(1, 0, 1);
+
+      expect(loadData('savedRound')).toBeNull();
+    });
+
+    test('should remove the save when the game is completed', () => {
+      ballStopped(1, 0, 1);
+
+      roundSaveManager.clearSavedRound();
+
+      expect(roundSaveManager.getSavedRound()).toBeNull();
+      expect(loadData('savedRound')).toBeNull();
+    });
+
+    test('should keep the save when an unsaved round is completed', () => {
+      ballStopped(1, 0, 1);
+      mockGame.timeAttackManager.isEnabled.mockReturnValue(true);
+
+      roundSaveManager.clearSavedRound();
+
+      expect(loadData('savedRound')).not.toBeNull();
+    });
+  });
+
+  describe('resuming', () => {
+    test('should restore the scores, hole states and ball position', async () => {
+      ballStopped(1, 0.2, -4);
+      const saved = roundSaveManager.getSavedRound();
+      mockGame.stateManager.getCurrentHoleNumber.mockReturnValue(1);
+
+      await expect(roundSaveManager.resumeRound(saved)).resolves.toBe(true);
+
+      expect(mockGame.holeTransitionManager.transitionToHole).toHaveBeenCalledWith(3);
+      expect(mockGame.scoringSystem.restoreSnapshot).toHaveBeenCalledWith(saved.scores);
+      expect(mockGame.scoringSystem.resetCurrentStrokes).not.toHaveBeenCalled();
+      expect(mockGame.holeStateManager.restoreSnapshot).toHaveBeenCalledWith(saved.holeStates);
+      expect(mockGame.ballManager.resetBall).toHaveBeenCalledWith(
+        expect.objectContaining({ x: 1, y: 0.2, z: -4 })
+      );
+      expect(mockGame.stateManager.setBallInMotion).toHaveBeenCalledWith(false);
+      expect(mockGame.inputController.enableInput).toHaveBeenCalled();
+      expect(mockGame.uiManager.updateScore).toHaveBeenCalled();
+    });
+
+    test('should start a hole saved on completion from the tee', async () => {
+      roundSaveManager.handleHoleCompleted();
+      mockGame.stateManager.getCurrentHoleNumber.mockReturnValue(1);
+
+      await roundSaveManager.resumeRound(roundSaveManager.getSavedRound());
+
+      expect(mockGame.holeTransitionManager.transitionToHole).toHaveBeenCalledWith(4);
+      expect(mockGame.scoringSystem.resetCurrentStrokes).toHaveBeenCalled();
+      expect(mockGame.ballManager.resetBall).not.toHaveBeenCalled();
+    });
+
+    test('should continue the scored daily challenge attempt', async () => {
+      mockGame.courseId = 'daily-2026-10-19';
+      mockGame.dailyChallenge.isScoredAttempt.mockReturnValue(true);
+      ballStopped(1, 0, 1);
+
+      await roundSaveManager.resumeRound(roundSaveManager.getSavedRound());
+
+      expect(mockGame.dailyChallenge.resumeAttempt).toHaveBeenCalledWith('daily-2026-10-19');
+    });
+
+    test('should refuse a save of another course', async () => {
+      ballStopped(1, 0, 1);
+      mockGame.courseId = 'other-course';
+
+      await expect(roundSaveManager.resumeRound(roundSaveManager.getSavedRound())).resolves.toBe(
+        false
+      );
+      expect(mockGame.scoringSystem.restoreSnapshot).not.toHaveBeenCalled();
+    });
+
+    test('should ignore a save from an unknown version', () => {
+      window.localStorage.setItem(
+        'miniGolfBreak.savedRound',
+        JSON.stringify({ version: 99, courseId: 'test-course' })
+      );
+
+      expect(new RoundSaveManager(mockGame).getSavedRound()).toBeNull();
+    });
+  });
+});
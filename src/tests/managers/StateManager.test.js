@@ -71,6 +71,7 @@ describe('StateManager', () => {
         ballInMotion: false,
         holeCompleted: false,
         currentHoleNumber: 1,
+        activePlayerIndex: 0,
         resetBall: false,
         gameOver: false,
         gameStarted: false,
@@ -365,6 +366,29 @@ describe('StateManager', () => {
     });
   });
 
+  describe('resetForHole', () => {
+    beforeEach(() => {
+      stateManager = new StateManager(mockGame);
+    });
+
+    test('should start the given hole', () => {
+      stateManager.state.currentHoleNumber = 5;
+      stateManager.state.holeCompleted = true;
+
+      stateManager.resetForHole(2);
+
+      expect(stateManager.state.currentHoleNumber).toBe(2);
+      expect(stateManager.state.holeCompleted).toBe(false);
+      expect(stateManager.state.currentGameState).toBe(GameState.AIMING);
+      expect(mockGame.scoringSystem.resetCurrentStrokes).toHaveBeenCalled();
+      expect(mockGame.eventManager.publish).toHaveBeenCalledWith(
+        EventTypes.HOLE_STARTED,
+        expect.objectContaining({ holeNumber: 2 }),
+        stateManager
+      );
+    });
+  });
+
   describe('resetState', () => {
     beforeEach(() => {
       stateManager = new StateManager(mockGame);
@@ -375,6 +399,7 @@ describe('StateManager', () => {
       stateManager.state.ballInMotion = true;
       stateManager.state.holeCompleted = true;
       stateManager.state.currentHoleNumber = 5;
+      stateManager.state.activePlayerIndex = 2;
       stateManager.state.resetBall = true;
       stateManager.state.gameOver = true;
       stateManager.state.gameStarted = true;
@@ -387,6 +412,7 @@ describe('StateManager', () => {
         ballInMotion: false,
         holeCompleted: false,
         currentHoleNumber: 1,
+        activePlayerIndex: 0,
         resetBall: false,
         gameOver: false,
         gameStarted: false,
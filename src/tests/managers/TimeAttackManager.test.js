@@ -0,0 +1,226 @@
+/**
+ * Unit tests for TimeAttackManager
+ */
+
+import {
+  TimeAttackManager,
+  STROKE_PENALTY_MS,
+  formatTime,
+  formatTimeDelta
+} from '../../managers/TimeAttackManager';
+import { EventTypes } from '../../events/EventTypes';
+import { GameEvent } from '../../events/GameEvent';
+import { loadData } from '../../utils/storage';
+
+describe('TimeAttackManager', () => {
+  let mockGame;
+  let timeAttackManager;
+  let holeStates;
+
+  const completeHole = (holeIndex, startTime, endTime) => {
+    holeStates[holeIndex] = { completed: true, startTime, endTime };
+    timeAttackManager.handleHoleStateUpdated(
+      new GameEvent(EventTypes.HOLE_STATE_UPDATED, { holeIndex, state: holeStates[holeIndex] })
+    );
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    window.localStorage.clear();
+
+    holeStates = [];
+    mockGame = {
+      courseId: 'test-course',
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn())
+      },
+      stateManager: {
+        getCurrentHoleNumber: jest.fn(() => 1)
+      },
+      holeStateManager: {
+        getHoleState: jest.fn(index => holeStates[index])
+      },
+      scoringSystem: {
+        getCurrentStrokes: jest.fn(() => 2)
+      },
+      turnManager: {
+        isMultiplayer: jest.fn(() => false)
+      },
+      uiManager: {
+        showMessage: jest.fn(),
+        updateTimer: jest.fn()
+      }
+    };
+    timeAttackManager = new TimeAttackManager(mockGame).setup({ enabled: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('formatting', () => {
+    test('should format times as m:ss.t', () => {
+      expect(formatTime(0)).toBe('0:00.0');
+      expect(formatTime(65340)).toBe('1:05.3');
+    });
+
+    test('should sign the difference to a best time', () => {
+      expect(formatTimeDelta(-1250)).toBe('-1.3s');
+      expect(formatTimeDelta(800)).toBe('+0.8s');
+    });
+  });
+
+  describe('setup', () => {
+    test('should stay off for stroke play', () => {
+      expect(new TimeAttackManager(mockGame).setup().isEnabled()).toBe(false);
+    });
+
+    test('should refuse a hot-seat round', () => {
+      mockGame.turnManager.isMultiplayer.mockReturnValue(true);
+
+      expect(new TimeAttackManager(mockGame).setup({ enabled: true }).isEnabled()).toBe(false);
+    });
+  });
+
+  describe('init', () => {
+    test('should listen for hole state updates and the end of the game', () => {
+      timeAttackManager.init();
+
+      expect(mockGame.eventManager.subscribe).toHaveBeenCalledWith(
+        EventTypes.HOLE_STATE_UPDATED,
+        timeAttackManager.handleHoleStateUpdated,
+        timeAttackManager
+      );
+      expect(mockGame.eventManager.subscribe).toHaveBeenCalledWith(
+        EventTypes.GAME_COMPLETED,
+        timeAttackManager.handleGameCompleted,
+        timeAttackManager
+      );
+    });
+  });
+
+  describe('timer', () => {
+    test('should add the running hole and its stroke penalty to the completed splits', () => {
+      completeHole(0, 1000, 11000);
+      mockGame.stateManager.getCurrentHoleNumber.mockReturnValue(2);
+      holeStates[1] = { completed: false, startTime: 20000, endTime: null };
+
+      expect(timeAttackManager.getElapsedMs(23000)).toBe(
+        10000 + 2 * STROKE_PENALTY_MS + 3000 + 2 * STROKE_PENALTY_MS
+      );
+    });
+
+    test('should only count completed splits between holes', () => {
+      completeHole(0, 1000, 11000);
+
+      expect(timeAttackManager.getElapsedMs(99000)).toBe(10000 + 2 * STROKE_PENALTY_MS);
+    });
+
+    test('should update the HUD timer only in time attack', () => {
+      timeAttackManager.update();
+      expect(mockGame.uiManager.updateTimer).toHaveBeenCalledTimes(1);
+
+      timeAttackManager.setup({ enabled: false }).update();
+      expect(mockGame.uiManager.updateTimer).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('splits', () => {
+    test('should record each completed hole once', () => {
+      completeHole(0, 1000, 4000);
+      completeHole(0, 1000, 4000);
+
+      expect(timeAttackManager.getSplits()).toEqual([
+        {
+          holeNumber: 1,
+          timeMs: 3000,
+          strokes: 2,
+          penaltyMs: 2 * STROKE_PENALTY_MS,
+          totalMs: 3000 + 2 * STROKE_PENALTY_MS,
+          bestMs: null
+        }
+      ]);
+      expect(mockGame.uiManager.showMessage).toHaveBeenCalledWith('Hole 1: 0:13.0', 3000);
+    });
+
+    test('should ignore hole states that are not finished', () => {
+      timeAttackManager.handleHoleStateUpdated(
+        new GameEvent(EventTypes.HOLE_STATE_UPDATED, {
+          holeIndex: 0,
+          state: { completed: false, startTime: 1000, endTime: null }
+        })
+      );
+
+      expect(timeAttackManager.getSplits()).toEqual([]);
+    });
+
+    test('should compare each split with the best split for the hole', () => {
+      completeHole(0, 0, 5000);
+      completeHole(1, 0, 8000);
+      timeAttackManager.handleGameCompleted();
+
+      const nextRound = new TimeAttackManager(mockGame).setup({ enabled: true });
+      holeStates[0] = { completed: true, startTime: 0, endTime: 3500 };
+      nextRound.handleHoleStateUpdated(
+        new GameEvent(EventTypes.HOLE_STATE_UPDATED, { holeIndex: 0, state: holeStates[0] })
+      );
+
+      expect(nextRound.getSplits()[0].bestMs).toBe(15000);
+      expect(mockGame.uiManager.showMessage).toHaveBeenLastCalledWith(
+        'Hole 1: 0:13.5 (-1.5s)',
+        3000
+      );
+    });
+  });
+
+  describe('results', () => {
+    test('should store the first round as the best', () => {
+      completeHole(0, 0, 5000);
+      completeHole(1, 0, 8000);
+
+      timeAttackManager.handleGameCompleted();
+
+      expect(timeAttackManager.getResults()).toMatchObject({
+        totalMs: 33000,
+        bestTotalMs: null,
+        isNewBest: true
+      });
+      expect(loadData('timeAttackBests')).toEqual({
+        'test-course': { totalMs: 33000, splits: [15000, 18000] }
+      });
+    });
+
+    test('should keep the best total and the best split of every hole', () => {
+      completeHole(0, 0, 5000);
+      completeHole(1, 0, 8000);
+      timeAttackManager.handleGameCompleted();
+
+      const slowerRound = new TimeAttackManager(mockGame).setup({ enabled: true });
+      holeStates = [];
+      [
+        [0, 9000],
+        [1, 6000]
+      ].forEach(([holeIndex, endTime]) => {
+        holeStates[holeIndex] = { completed: true, startTime: 0, endTime };
+        slowerRound.handleHoleStateUpdated(
+          new GameEvent(EventTypes.HOLE_STATE_UPDATED, { holeIndex, state: holeStates[holeIndex] })
+        );
+      });
+      slowerRound.handleGameCompleted();
+
+      expect(slowerRound.getResults()).toMatchObject({
+        totalMs: 35000,
+        bestTotalMs: 33000,
+        isNewBest: false
+      });
+      expect(slowerRound.getBestTimes()).toEqual({ totalMs: 33000, splits: [15000, 16000] });
+    });
+
+    test('should not record stroke-play rounds', () => {
+      timeAttackManager.setup({ enabled: false }).handleGameCompleted();
+
+      expect(timeAttackManager.getBestTimes()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for TurnManager
+ */
+
+import { TurnManager, PLAYER_COLORS } from '../../managers/TurnManager';
+import { EventTypes } from '../../events/EventTypes';
+
+describe('TurnManager', () => {
+  let mockGame;
+  let turnManager;
+  let distances;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+
+    distances = [0, 0, 0];
+    mockGame = {
+      eventManager: {
+        subscribe: jest.fn(() => jest.fn()),
+        publish: jest.fn()
+      },
+      scoringSystem: {
+        setPlayerCount: jest.fn(),
+        setActivePlayer: jest.fn()
+      },
+      stateManager: {
+        setActivePlayer: jest.fn()
+      },
+      ballManager: {
+        setActiveBall: jest.fn(),
+        getDistanceToHole: jest.fn(index => distances[index])
+      },
+      uiManager: {
+        showMessage: jest.fn(),
+        updateStrokes: jest.fn()
+      },
+      inputController: {
+        enableInput: jest.fn()
+      }
+    };
+    turnManager = new TurnManager(mockGame);
+  });
+
+  afterEach(() => {
+    turnManager.cleanup();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('setup', () => {
+    test('should default to a single player', () => {
+      turnManager.setup();
+
+      expect(turnManager.getPlayerCount()).toBe(1);
+      expect(turnManager.isMultiplayer()).toBe(false);
+      expect(mockGame.scoringSystem.setPlayerCount).toHaveBeenCalledWith(1);
+    });
+
+    test('should name, color and limit the players', () => {
+      turnManager.setup(['Ada', '  ', { name: 'Cy' }, 'Di', 'Ed'], { turnOrder: 'rotation' });
+
+      expect(turnManager.getPlayers().map(player => player.name)).toEqual([
+        'Ada',
+        'Player 2',
+        'Cy',
+        'Di'
+      ]);
+      expect(turnManager.getPlayers()[3].color).toBe(PLAYER_COLORS[3]);
+      expect(turnManager.turnOrder).toBe('rotation');
+      expect(mockGame.scoringSystem.setPlayerCount).toHaveBeenCalledWith(4);
+    });
+
+    test('should fall back to farthest-from-the-cup for an unknown turn order', () => {
+      turnManager.setup(['Ada', 'Bo'], { turnOrder: 'random' });
+
+      expect(turnManager.turnOrder).toBe('farthest');
+    });
+  });
+
+  describe('init', () => {
+    test('should listen for new holes', () => {
+      turnManager.init();
+
+      expect(mockGame.eventManager.subscribe).toHaveBeenCalledWith(
+        EventTypes.HOLE_STARTED,
+        turnManager.handleHoleStarted,
+        turnManager
+      );
+    });
+  });
+
+  describe('turn order', () => {
+    test('should rotate through the players in order', () => {
+      turnManager.setup(['Ada', 'Bo', 'Cy'], { turnOrder: 'rotation' });
+
+      turnManager.advanceTurn();
+      expect(turnManager.activePlayerIndex).toBe(1);
+
+      turnManager.advanceTurn();
+      turnManager.advanceTurn();
+      expect(turnManager.activePlayerIndex).toBe(0);
+    });
+
+    test('should give the turn to the ball farthest from the cup', () => {
+      turnManager.setup(['Ada', 'Bo', 'Cy']);
+      distances = [2, 6, 9];
+      turnManager.finishedPlayers[2] = true;
+
+      turnManager.advanceTurn();
+
+      expect(turnManager.activePlayerIndex).toBe(1);
+    });
+
+    test('should switch ball, score sheet and state and announce the turn', () => {
+      turnManager.setup(['Ada', 'Bo'], { turnOrder: 'rotation' });
+
+      turnManager.advanceTurn();
+
+      expect(mockGame.ballManager.setActiveBall).toHaveBeenCalledWith(1);
+      expect(mockGame.scoringSystem.setActivePlayer).toHaveBeenCalledWith(1);
+      expect(mockGame.stateManager.setActivePlayer).toHaveBeenCalledWith(1);
+      expect(mockGame.uiManager.showMessage).toHaveBeenCalledWith("Bo's turn", 1500);
+      expect(mockGame.inputController.enableInput).toHaveBeenCalled();
+      expect(mockGame.eventManager.publish).toHaveBeenCalledWith(
+        EventTypes.TURN_CHANGED,
+        { playerIndex: 1, name: 'Bo' },
+        turnManager
+      );
+    });
+
+    test('should keep the turn with a lone player', () => {
+      turnManager.setup(['Ada']);
+
+      expect(turnManager.advanceTurn()).toBe(0);
+      expect(turnManager.activePlayerIndex).toBe(0);
+    });
+  });
+
+  describe('finishing a hole', () => {
+    test('should pass the turn on after a delay when a player is done', () => {
+      turnManager.setup(['Ada', 'Bo'], { turnOrder: 'rotation' });
+
+      expect(turnManager.finishActivePlayer()).toBe(false);
+      expect(turnManager.isWaitingForTurn()).toBe(true);
+      expect(mockGame.ballManager.setActiveBall).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(turnManager.turnDelay);
+
+      expect(turnManager.isWaitingForTurn()).toBe(false);
+      expect(turnManager.activePlayerIndex).toBe(1);
+      expect(turnManager.finishActivePlayer()).toBe(true);
+      expect(turnManager.isHoleFinished()).toBe(true);
+    });
+
+    test('should reset turns when the next hole starts', () => {
+      turnManager.setup(['Ada', 'Bo'], { turnOrder: 'rotation' });
+      turnManager.finishActivePlayer();
+      turnManager.handleHoleStarted();
+
+      jest.advanceTimersByTime(turnManager.turnDelay);
+
+      expect(turnManager.isPlayerFinished(0)).toBe(false);
+      expect(turnManager.activePlayerIndex).toBe(0);
+      expect(mockGame.ballManager.setActiveBall).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -245,6 +245,18 @@ describe('UIManager', () => {
       expect(uiManager.eventSubscriptions.length).toBe(8);
     });
 
+    test('should restart the round in place when asked', () => {
+      mockGame.restartRound = jest.fn();
+      uiManager.setupEventListeners();
+
+      const [, handler, context] = mockGame.eventManager.subscribe.mock.calls.find(
+        ([type]) => type === 'UI_REQUEST_RESTART_GAME'
+      );
+      handler.call(context);
+
+      expect(mockGame.restartRound).toHaveBeenCalled();
+    });
+
     test('should handle missing event manager gracefully', () => {
       mockGame.eventManager = null;
 
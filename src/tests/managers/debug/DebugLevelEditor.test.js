@@ -0,0 +1,219 @@
+/**
+ * Unit tests for DebugLevelEditor
+ */
+
+import { DebugLevelEditor } from '../../../managers/debug/DebugLevelEditor';
+import { hydrateHoleConfig } from '../../../courses/CourseLoader';
+
+// Pointer picking is checked against a real camera and raycaster
+jest.mock('three', () => jest.requireActual('three'));
+
+jest.mock('../../../managers/DebugManager', () => ({
+  DEBUG_CONFIG: {
+    courseDebug: { enabled: true, levelEditorKey: 'e' }
+  }
+}));
+
+const THREE = jest.requireActual('three');
+
+describe('DebugLevelEditor', () => {
+  const hole = {
+    description: '1. Test',
+    par: 3,
+    boundaryShape: [
+      [-5, -10],
+      [-5, 10],
+      [5, 10],
+      [5, -10],
+      [-5, -10]
+    ],
+    startPosition: [0, 0, 8],
+    holePosition: [0, 0, -7],
+    hazards: [],
+    bumpers: [{ position: [0, 0.25, 0], size: [2, 0.5, 0.3], rotation: [0, 0, 0] }]
+  };
+
+  let debugManager;
+  let game;
+  let levelEditor;
+  let canvas;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    document.body.innerHTML = '';
+
+    canvas = document.createElement('canvas');
+    canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 200 });
+
+    // Looking straight down on the origin, so the canvas centre is (0, 0) on the green
+    const camera = new THREE.PerspectiveCamera(60, 1, 0.1, 100);
+    camera.position.set(0, 20, 0);
+    camera.up.set(0, 0, -1);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+
+    game = {
+      scene: new THREE.Scene(),
+      camera,
+      renderer: { domElement: canvas },
+      course: {
+        courseId: 'test',
+        courseName: 'Test Course',
+        currentHoleIndex: 0,
+        holeConfigs: [hydrateHoleConfig(hole, 0)],
+        startPosition: new THREE.Vector3(0, 0, 8),
+        getCurrentHoleConfig() {
+          return this.holeConfigs[this.currentHoleIndex];
+        },
+        createCourse: jest.fn(() => Promise.resolve(true))
+      },
+      ballManager: { resetBall: jest.fn() },
+      inputController: { enableInput: jest.fn(), disableInput: jest.fn() },
+      cameraController: { controls: { enabled: true } },
+      uiManager: { updateHoleInfo: jest.fn() }
+    };
+    debugManager = { enabled: true, game, warn: jest.fn() };
+
+    levelEditor = new DebugLevelEditor(debugManager);
+    levelEditor.init();
+  });
+
+  afterEach(() => {
+    levelEditor.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  const pressKey = key => window.dispatchEvent(new KeyboardEvent('keydown', { key }));
+  const pointer = (type, x, y, target = canvas) =>
+    target.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, button: 0 }));
+
+  test('should open on the editor key in debug mode and take over the green', () => {
+    pressKey('e');
+
+    expect(levelEditor.isActive()).toBe(true);
+    expect(game.inputController.disableInput).toHaveBeenCalled();
+    expect(document.getElementById('level-editor-panel')).not.toBeNull();
+    expect(levelEditor.handles.children).toHaveLength(3); // Tee, cup and bumper
+
+    pressKey('e');
+
+    expect(levelEditor.isActive()).toBe(false);
+    expect(game.inputController.enableInput).toHaveBeenCalled();
+    expect(document.getElementById('level-editor-panel')).toBeNull();
+    expect(game.scene.children).toHaveLength(0);
+  });
+
+  test('should stay closed while debug mode is off', () => {
+    debugManager.enabled = false;
+
+    pressKey('e');
+
+    expect(levelEditor.isActive()).toBe(false);
+  });
+
+  test('should drag an item across the green and rebuild the hole when dropped', async () => {
+    levelEditor.enter();
+
+    pointer('pointerdown', 100, 100);
+
+    expect(levelEditor.editor.selected).toEqual({ kind: 'bumper', index: 0 });
+    expect(game.cameraController.controls.enabled).toBe(false);
+
+    jest.spyOn(levelEditor, 'getGroundPoint').mockReturnValue(new THREE.Vector3(1.1, 0.2, -2));
+    pointer('pointermove', 120, 110);
+    const handle = levelEditor.handles.children.find(({ userData }) => userData.kind === 'bumper');
+
+    expect(handle.position.x).toBeCloseTo(1);
+    expect(game.course.createCourse).not.toHaveBeenCalled();
+
+    pointer('pointerup', 120, 110, window);
+    await Promise.resolve();
+
+    const { bumpers } = game.course.holeConfigs[0];
+    expect(bumpers[0].position).toMatchObject({ x: 1, y: 0.25, z: -2 });
+    expect(game.course.createCourse).toHaveBeenCalledWith(1);
+    expect(game.cameraController.controls.enabled).toBe(true);
+  });
+
+  test('should leave the camera alone when clicking empty green', () => {
+    levelEditor.enter();
+
+    pointer('pointerdown', 20, 100);
+
+    expect(levelEditor.editor.selected).toBeNull();
+    expect(levelEditor.isDragging).toBe(false);
+    expect(game.cameraController.controls.enabled).toBe(true);
+  });
+
+  test('should rotate the selection from the keyboard', () => {
+    levelEditor.enter();
+    levelEditor.editor.selectAt(0, 0);
+
+    pressKey(']');
+
+    expect(game.course.holeConfigs[0].bumpers[0].rotation.y).toBeCloseTo(Math.PI / 12);
+    expect(game.course.createCourse).toHaveBeenCalled();
+  });
+
+  test('should edit par from the panel without rebuilding the hole', () => {
+    levelEditor.enter();
+
+    levelEditor.parInput.value = '4';
+    levelEditor.parInput.dispatchEvent(new Event('change'));
+
+    expect(game.course.holeConfigs[0].par).toBe(4);
+    expect(game.course.createCourse).not.toHaveBeenCalled();
+    expect(game.uiManager.updateHoleInfo).toHaveBeenCalled();
+  });
+
+  test('should list validation problems in the panel', () => {
+    levelEditor.enter();
+    levelEditor.editor.selectAt(0, -7);
+    levelEditor.editor.moveSelected(0, 30);
+
+    levelEditor.refresh();
+
+    expect(levelEditor.problemList.textContent).toMatch(/error: cup/);
+  });
+
+  test('should play-test the edited hole from the tee', async () => {
+    levelEditor.enter();
+    levelEditor.editor.addHazard('sand', 3, 3);
+
+    await levelEditor.playTest();
+
+    expect(game.course.holeConfigs[0].hazards).toHaveLength(1);
+    expect(game.ballManager.resetBall).toHaveBeenCalledWith(game.course.startPosition);
+    expect(levelEditor.isActive()).toBe(false);
+    expect(game.inputController.enableInput).toHaveBeenCalled();
+  });
+
+  test('should export the course with the edited hole as JSON', () => {
+    levelEditor.enter();
+    levelEditor.editor.setDescription('1. Edited');
+
+    const data = JSON.parse(levelEditor.exportCourse());
+
+    expect(data).toMatchObject({ formatVersion: 1, id: 'test', name: 'Test Course' });
+    expect(data.holes[0]).toEqual({ ...hole, description: '1. Edited' });
+    expect(levelEditor.statusLine.textContent).toBe('Exported 1 holes (0 errors, 0 warnings)');
+  });
+
+  test('should release the download URL only after the download has started', () => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => 'blob:course');
+    URL.revokeObjectURL = jest.fn();
+    levelEditor.enter();
+
+    levelEditor.exportCourse();
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:course');
+
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+    jest.useRealTimers();
+  });
+});
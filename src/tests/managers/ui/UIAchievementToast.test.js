@@ -0,0 +1,49 @@
+/**
+ * Unit tests for UIAchievementToast
+ */
+
+import { UIAchievementToast } from '../../../managers/ui/UIAchievementToast';
+
+describe('UIAchievementToast', () => {
+  let container;
+  let toast;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    container = document.createElement('div');
+    toast = new UIAchievementToast(container);
+  });
+
+  afterEach(() => {
+    toast.cleanup();
+    jest.useRealTimers();
+  });
+
+  test('should show one toast at a time in unlock order', () => {
+    toast.show({ name: 'Hole-in-One', description: 'First stroke' });
+    toast.show({ name: 'Bank Shot', description: 'Off the wall' });
+
+    expect(container.appendChild).toHaveBeenCalledTimes(1);
+    expect(toast.toastElement.children[0].textContent).toBe('Achievement unlocked: Hole-in-One');
+
+    jest.runOnlyPendingTimers();
+
+    expect(container.appendChild).toHaveBeenCalledTimes(2);
+    expect(toast.toastElement.children[0].textContent).toBe('Achievement unlocked: Bank Shot');
+
+    jest.runOnlyPendingTimers();
+
+    expect(toast.toastElement).toBeNull();
+  });
+
+  test('should drop queued toasts on cleanup', () => {
+    toast.show({ name: 'Hole-in-One', description: 'First stroke' });
+    toast.show({ name: 'Bank Shot', description: 'Off the wall' });
+
+    toast.cleanup();
+    jest.runOnlyPendingTimers();
+
+    expect(toast.toastElement).toBeNull();
+    expect(toast.queue).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for UIPauseMenu
+ */
+
+import { UIPauseMenu } from '../../../managers/ui/UIPauseMenu';
+
+describe('UIPauseMenu', () => {
+  let container;
+  let pauseManager;
+  let menu;
+
+  const panelChildren = () => menu.panelElement.children;
+  const findButton = label => panelChildren().find(child => child.textContent === label);
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    pauseManager = {
+      game: {
+        audioManager: { isMuted: false, mute: jest.fn(), unmute: jest.fn() },
+        ghostManager: { showGhost: true, setShowGhost: jest.fn() }
+      },
+      pause: jest.fn(),
+      resume: jest.fn(),
+      restartHole: jest.fn(),
+      restartRound: jest.fn(),
+      quitToMenu: jest.fn(),
+      canRestartHole: jest.fn(() => true),
+      canRestartRound: jest.fn(() => true)
+    };
+    menu = new UIPauseMenu(pauseManager, container);
+    menu.init();
+  });
+
+  afterEach(() => {
+    menu.cleanup();
+  });
+
+  test('should pause from the pause button', () => {
+    menu.pauseButton.click();
+
+    expect(pauseManager.pause).toHaveBeenCalled();
+  });
+
+  test('should show the pause actions', () => {
+    menu.show();
+
+    expect(panelChildren().map(child => child.textContent)).toEqual([
+      'Paused',
+      'Resume',
+      'Restart hole',
+      'Restart round',
+      'Settings',
+      'Quit to menu'
+    ]);
+
+    findButton('Resume').click();
+    findButton('Quit to menu').click();
+
+    expect(pauseManager.resume).toHaveBeenCalled();
+    expect(pauseManager.quitToMenu).toHaveBeenCalled();
+  });
+
+  test('should grey out the restarts that are not allowed', () => {
+    pauseManager.canRestartHole.mockReturnValue(false);
+
+    menu.show();
+
+    expect(findButton('Restart hole').disabled).toBe(true);
+    expect(findButton('Restart round').disabled).toBe(false);
+  });
+
+  test('should switch sound and the ghost ball from the settings', () => {
+    menu.show();
+    findButton('Settings').click();
+
+    const [sound, ghost] = panelChildren()
+      .slice(1, 3)
+      .map(row => row.children[0]);
+    expect(sound.checked).toBe(true);
+    expect(ghost.checked).toBe(true);
+
+    sound.checked = false;
+    sound.addEventListener.mock.calls[0][1]();
+    ghost.checked = false;
+    ghost.addEventListener.mock.calls[0][1]();
+
+    expect(pauseManager.game.audioManager.mute).toHaveBeenCalled();
+    expect(pauseManager.game.ghostManager.setShowGhost).toHaveBeenCalledWith(false);
+
+    findButton('Back').click();
+    expect(panelChildren()[0].textContent).toBe('Paused');
+  });
+
+  test('should remove the overlay and the pause button on cleanup', () => {
+    menu.show();
+
+    menu.cleanup();
+
+    expect(menu.menuElement).toBeNull();
+    expect(menu.pauseButton).toBeNull();
+    expect(container.children).toEqual([]);
+  });
+});
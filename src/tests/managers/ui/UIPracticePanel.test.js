@@ -0,0 +1,68 @@
+/**
+ * Unit tests for UIPracticePanel
+ */
+
+import { UIPracticePanel } from '../../../managers/ui/UIPracticePanel';
+
+describe('UIPracticePanel', () => {
+  let mockGame;
+  let container;
+  let panel;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    mockGame = {
+      course: {
+        holeConfigs: [{ description: '1. Straight' }, {}]
+      },
+      stateManager: {
+        getCurrentHoleNumber: jest.fn(() => 2)
+      },
+      practiceManager: {
+        goToHole: jest.fn(),
+        resetBallToTee: jest.fn(),
+        replayLastShot: jest.fn(),
+        canReplayLastShot: jest.fn(() => false)
+      }
+    };
+    panel = new UIPracticePanel(mockGame, container).init();
+  });
+
+  afterEach(() => {
+    panel.cleanup();
+  });
+
+  test('should list every hole and select the current one', () => {
+    const options = panel.holeSelect.children.map(option => option.textContent);
+
+    expect(options).toEqual(['1. Straight', 'Hole 2']);
+    expect(panel.holeSelect.value).toBe('2');
+  });
+
+  test('should load the picked hole', () => {
+    panel.holeSelect.value = '1';
+    panel.holeSelect.dispatchEvent({ type: 'change' });
+
+    expect(mockGame.practiceManager.goToHole).toHaveBeenCalledWith(1);
+  });
+
+  test('should reset and replay through the practice manager', () => {
+    panel.resetButton.click();
+    expect(mockGame.practiceManager.resetBallToTee).toHaveBeenCalled();
+
+    mockGame.practiceManager.canReplayLastShot.mockReturnValue(true);
+    panel.update();
+    panel.replayButton.click();
+    expect(mockGame.practiceManager.replayLastShot).toHaveBeenCalled();
+  });
+
+  test('should disable replay until a shot has been played', () => {
+    expect(panel.replayButton.disabled).toBe(true);
+  });
+
+  test('should remove the panel on cleanup', () => {
+    panel.cleanup();
+
+    expect(container.children).toHaveLength(0);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for UIReplayViewer
+ */
+
+import { UIReplayViewer } from '../../../managers/ui/UIReplayViewer';
+
+describe('UIReplayViewer', () => {
+  let container;
+  let replayManager;
+  let viewer;
+
+  const buttonLabels = () =>
+    viewer.viewerElement.children
+      .filter(child => child.type === 'button')
+      .map(button => button.textContent);
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    replayManager = { play: jest.fn(), skip: jest.fn() };
+    viewer = new UIReplayViewer(replayManager, container);
+  });
+
+  afterEach(() => {
+    viewer.cleanup();
+  });
+
+  test('should offer the replay at normal and slow speed', () => {
+    viewer.showOffer();
+
+    expect(container.appendChild).toHaveBeenCalledWith(viewer.viewerElement);
+    expect(buttonLabels()).toEqual(['Watch replay', 'Slow motion', 'Skip']);
+  });
+
+  test('should show a skip button while playing', () => {
+    viewer.showOffer();
+    const offer = viewer.viewerElement;
+
+    viewer.showPlaying(true);
+
+    expect(offer.remove).toHaveBeenCalled();
+    expect(viewer.viewerElement.children[0].textContent).toBe('Replay (slow motion)');
+    expect(buttonLabels()).toEqual(['Skip']);
+  });
+
+  test('should remove the viewer when hidden', () => {
+    viewer.showOffer();
+    const element = viewer.viewerElement;
+
+    viewer.hide();
+
+    expect(element.remove).toHaveBeenCalled();
+    expect(viewer.viewerElement).toBeNull();
+  });
+});
@@ -3,6 +3,7 @@
  */
 
 import { UIScoreOverlay } from '../../../managers/ui/UIScoreOverlay';
+import { EventTypes } from '../../../events/EventTypes';
 
 describe('UIScoreOverlay', () => {
   let mockGame;
@@ -220,6 +221,52 @@ describe('UIScoreOverlay', () => {
 
       expect(uiScoreOverlay.strokesElement.textContent).toBe('Strokes: 0');
     });
+
+    test('should show the stroke cap as the player approaches it', () => {
+      mockGame.course.getStrokeCap = jest.fn(() => 10);
+      mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(6);
+      uiScoreOverlay.updateStrokes();
+
+      expect(uiScoreOverlay.strokesElement.textContent).toBe('Strokes: 6');
+      expect(uiScoreOverlay.strokesElement.classList.toggle).toHaveBeenLastCalledWith(
+        'near-stroke-cap',
+        false
+      );
+
+      mockGame.scoringSystem.getCurrentStrokes.mockReturnValue(7);
+      uiScoreOverlay.updateStrokes();
+
+      expect(uiScoreOverlay.strokesElement.textContent).toBe('Strokes: 7 / 10');
+      expect(uiScoreOverlay.strokesElement.classList.toggle).toHaveBeenLastCalledWith(
+        'near-stroke-cap',
+        true
+      );
+    });
+  });
+
+  describe('updateTimer', () => {
+    beforeEach(() => {
+      uiScoreOverlay = new UIScoreOverlay(mockGame, mockParentContainer);
+      uiScoreOverlay.init();
+    });
+
+    test('should stay hidden until a time-attack round updates it', () => {
+      expect(uiScoreOverlay.timerElement.style.display).toBe('none');
+
+      uiScoreOverlay.updateTimer(65340);
+
+      expect(uiScoreOverlay.timerElement.textContent).toBe('Time: 1:05.3');
+      expect(uiScoreOverlay.timerElement.style.display).toBe('');
+    });
+
+    test('should only touch the DOM when the shown time changes', () => {
+      uiScoreOverlay.updateTimer(1210);
+      uiScoreOverlay.timerElement.textContent = 'untouched';
+
+      uiScoreOverlay.updateTimer(1290);
+
+      expect(uiScoreOverlay.timerElement.textContent).toBe('untouched');
+    });
   });
 
   describe('visibility', () => {
@@ -240,15 +287,175 @@ describe('UIScoreOverlay', () => {
 
       expect(uiScoreOverlay.scoreContainer.style.display).toBe('none');
     });
+  });
+
+  describe('scorecard', () => {
+    let rows;
+
+    beforeEach(() => {
+      rows = [];
+      // Elements that keep their children and classes, so the scorecard can be read back
+      document.createElement = jest.fn(tagName => {
+        const element = {
+          tagName,
+          style: {},
+          children: [],
+          innerHTML: '',
+          appendChild: jest.fn(child => element.children.push(child)),
+          insertBefore: jest.fn(child => element.children.splice(1, 0, child)),
+          get firstChild() {
+            return element.children[0];
+          },
+          addEventListener: jest.fn(),
+          remove: jest.fn(),
+          classList: {
+            add: jest.fn(),
+            remove: jest.fn(),
+            contains: jest.fn(() => false),
+            toggle: jest.fn()
+          }
+        };
+        if (tagName === 'tr') {
+          rows.push(element);
+        }
+        return element;
+      });
+      jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+      global.requestAnimationFrame = jest.fn();
+
+      mockGame.course.holeConfigs = [{ par: 2 }, { par: 3 }, { par: 4 }];
+      mockGame.scoringSystem.getHoleHistory = jest.fn(() => [
+        { holeNumber: 1, strokes: 1, par: 2, penalties: 0, hazards: 0 },
+        { holeNumber: 2, strokes: 5, par: 3, penalties: 1, hazards: 1 }
+      ]);
+      uiScoreOverlay = new UIScoreOverlay(mockGame, mockParentContainer);
+    });
+
+    afterEach(() => {
+      document.body.appendChild.mockRestore();
+    });
+
+    test('should list every hole with par, +/- to par and score name', () => {
+      uiScoreOverlay.showFinalScorecard();
+
+      const cells = rows.map(row => row.innerHTML);
+      expect(cells[1]).toBe(
+        '<td>1</td><td>2</td><td>1</td><td></td><td>-1</td><td>Hole-in-One</td>'
+      );
+      expect(cells[2]).toBe(
+        '<td>2</td><td>3</td><td>5</td><td>1</td><td>+2</td><td>Double Bogey</td>'
+      );
+      // Not played yet: only the par
+      expect(cells[3]).toBe('<td>3</td><td>4</td><td colspan="4"></td>');
+      expect(cells[4]).toBe('<td>Total</td><td>9</td><td>6</td><td>1</td><td>+1</td><td></td>');
+    });
+
+    test('should subtotal the front nine on longer courses', () => {
+      mockGame.course.holeConfigs = Array.from({ length: 12 }, () => ({ par: 3 }));
+
+      uiScoreOverlay.showFinalScorecard();
+
+      const labels = rows.map(row => row.innerHTML.match(/^<td>([^<]*)<\/td>/)?.[1]);
+      expect(labels.indexOf('Out')).toBe(10);
+      expect(rows[10].innerHTML).toBe(
+        '<td>Out</td><td>26</td><td>6</td><td>1</td><td>+1</td><td></td>'
+      );
+      expect(labels[labels.length - 1]).toBe('Total');
+    });
+
+    test('should show and hide the scorecard mid-round', () => {
+      uiScoreOverlay.toggle();
+
+      const roundScorecard = uiScoreOverlay.roundScorecardElement;
+      expect(roundScorecard).not.toBeNull();
+      expect(document.body.appendChild).toHaveBeenCalledWith(roundScorecard);
+
+      uiScoreOverlay.toggle();
+
+      expect(roundScorecard.remove).toHaveBeenCalled();
+      expect(uiScoreOverlay.roundScorecardElement).toBeNull();
+    });
+
+    test('should call out new personal bests on the final scorecard', () => {
+      uiScoreOverlay.showPersonalBests({
+        totalStrokes: 6,
+        previousBest: 8,
+        isNewBest: true,
+        newBestHoles: [2]
+      });
+      uiScoreOverlay.showFinalScorecard();
+
+      const content = uiScoreOverlay.scorecardElement.firstChild;
+      expect(content.children[1].textContent).toBe(
+        'New personal best! 6 strokes (was 8) · New best on hole 2'
+      );
+    });
+
+    test('should add the callout to a scorecard that is already shown', () => {
+      uiScoreOverlay.showFinalScorecard();
+      const content = uiScoreOverlay.scorecardElement.firstChild;
+
+      uiScoreOverlay.showPersonalBests({
+        totalStrokes: 9,
+        previousBest: 8,
+        isNewBest: false,
+        newBestHoles: [1, 3]
+      });
+
+      expect(content.insertBefore).toHaveBeenCalledTimes(1);
+      expect(content.children[1].textContent).toBe('New best on holes 1, 3');
+    });
+
+    test('should not call out a round without new bests', () => {
+      uiScoreOverlay.showFinalScorecard();
+      const content = uiScoreOverlay.scorecardElement.firstChild;
+
+      uiScoreOverlay.showPersonalBests({
+        totalStrokes: 9,
+        previousBest: 8,
+        isNewBest: false,
+        newBestHoles: []
+      });
+
+      expect(content.insertBefore).not.toHaveBeenCalled();
+    });
+
+    test('should ask for the round to be restarted from Play Again', () => {
+      mockGame.eventManager = { publish: jest.fn() };
+      uiScoreOverlay.showFinalScorecard();
+
+      const content = uiScoreOverlay.scorecardElement.firstChild;
+      const playAgainButton = content.children[content.children.length - 1].children[0];
+      playAgainButton.addEventListener.mock.calls[0][1]();
+
+      expect(mockGame.eventManager.publish).toHaveBeenCalledWith(
+        EventTypes.UI_REQUEST_RESTART_GAME,
+        {},
+        uiScoreOverlay
+      );
+    });
+
+    test('should remove the final scorecard straight away for a restarted round', () => {
+      uiScoreOverlay.showFinalScorecard();
+      const scorecard = uiScoreOverlay.scorecardElement;
+      uiScoreOverlay.personalBests = { isNewBest: true, newBestHoles: [] };
+
+      uiScoreOverlay.removeFinalScorecard();
+
+      expect(scorecard.remove).toHaveBeenCalled();
+      expect(uiScoreOverlay.scorecardElement).toBeNull();
+      expect(uiScoreOverlay.personalBests).toBeNull();
+    });
 
-    test('should toggle visibility', () => {
+    test('should replace the mid-round scorecard with the final one', () => {
       uiScoreOverlay.toggle();
-      const firstState = uiScoreOverlay.scoreContainer.style.display;
+      const roundScorecard = uiScoreOverlay.roundScorecardElement;
 
+      uiScoreOverlay.showFinalScorecard();
       uiScoreOverlay.toggle();
-      const secondState = uiScoreOverlay.scoreContainer.style.display;
 
-      expect(firstState).not.toBe(secondState);
+      expect(roundScorecard.remove).toHaveBeenCalled();
+      expect(uiScoreOverlay.roundScorecardElement).toBeNull();
     });
   });
 
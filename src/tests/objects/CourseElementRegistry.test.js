@@ -7,6 +7,14 @@ import { BaseElement } from '../../objects/BaseElement';
 import { HoleEntity } from '../../objects/HoleEntity';
 import { BunkerElement } from '../../objects/BunkerElement';
 import { WallElement } from '../../objects/WallElement';
+import { RotatingArmElement } from '../../objects/RotatingArmElement';
+import { SliderElement } from '../../objects/SliderElement';
+import { WindmillElement } from '../../objects/WindmillElement';
+import { TeleporterElement } from '../../objects/TeleporterElement';
+import { GravityWellElement } from '../../objects/GravityWellElement';
+import { BoostPadElement } from '../../objects/BoostPadElement';
+import { ConveyorElement } from '../../objects/ConveyorElement';
+import { SurfaceZoneElement } from '../../objects/SurfaceZoneElement';
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 
@@ -23,6 +31,37 @@ jest.mock('../../objects/WallElement', () => ({
   WallElement: jest.fn()
 }));
 
+jest.mock('../../objects/RotatingArmElement', () => ({
+  RotatingArmElement: jest.fn()
+}));
+
+jest.mock('../../objects/SliderElement', () => ({
+  SliderElement: jest.fn()
+}));
+
+jest.mock('../../objects/WindmillElement', () => ({
+  WindmillElement: jest.fn()
+}));
+
+jest.mock('../../objects/TeleporterElement', () => ({
+  TeleporterElement: jest.fn()
+}));
+
+jest.mock('../../objects/GravityWellElement', () => ({
+  GravityWellElement: jest.fn()
+}));
+
+jest.mock('../../objects/BoostPadElement', () => ({
+  BoostPadElement: jest.fn()
+}));
+
+jest.mock('../../objects/ConveyorElement', () => ({
+  ConveyorElement: jest.fn()
+}));
+jest.mock('../../objects/SurfaceZoneElement', () => ({
+  SurfaceZoneElement: jest.fn()
+}));
+
 jest.mock('../../objects/BaseElement', () => ({
   BaseElement: jest.fn()
 }));
@@ -87,6 +126,14 @@ describe('CourseElementRegistry', () => {
       expect(newRegistry.elementTypes.hole).toBe(HoleEntity);
       expect(newRegistry.elementTypes.bunker).toBe(BunkerElement);
       expect(newRegistry.elementTypes.wall).toBe(WallElement);
+      expect(newRegistry.elementTypes.rotatingArm).toBe(RotatingArmElement);
+      expect(newRegistry.elementTypes.slider).toBe(SliderElement);
+      expect(newRegistry.elementTypes.windmill).toBe(WindmillElement);
+      expect(newRegistry.elementTypes.teleporter).toBe(TeleporterElement);
+      expect(newRegistry.elementTypes.gravityWell).toBe(GravityWellElement);
+      expect(newRegistry.elementTypes.boostPad).toBe(BoostPadElement);
+      expect(newRegistry.elementTypes.conveyor).toBe(ConveyorElement);
+      expect(newRegistry.elementTypes.surfaceZone).toBe(SurfaceZoneElement);
     });
 
     test('should log registered types', () => {
@@ -94,7 +141,19 @@ describe('CourseElementRegistry', () => {
 
       expect(console.log).toHaveBeenCalledWith(
         '[CourseElementRegistry] Registered built-in element types:',
-        ['hole', 'bunker', 'wall']
+        [
+          'hole',
+          'bunker',
+          'wall',
+          'rotatingArm',
+          'slider',
+          'windmill',
+          'teleporter',
+          'gravityWell',
+          'boostPad',
+          'conveyor',
+          'surfaceZone'
+        ]
       );
     });
   });
@@ -167,7 +226,19 @@ describe('CourseElementRegistry', () => {
     test('should return array of all registered type names', () => {
       const types = registry.getRegisteredTypes();
 
-      expect(types).toEqual(['hole', 'bunker', 'wall']);
+      expect(types).toEqual([
+        'hole',
+        'bunker',
+        'wall',
+        'rotatingArm',
+        'slider',
+        'windmill',
+        'teleporter',
+        'gravityWell',
+        'boostPad',
+        'conveyor',
+        'surfaceZone'
+      ]);
     });
 
     test('should include newly registered types', () => {
@@ -177,7 +248,7 @@ describe('CourseElementRegistry', () => {
       const types = registry.getRegisteredTypes();
 
       expect(types).toContain('test');
-      expect(types).toHaveLength(4);
+      expect(types).toHaveLength(12);
     });
 
     test('should return empty array for new registry without built-ins', () => {
@@ -0,0 +1,136 @@
+/**
+ * Unit tests for GravityWellElement
+ */
+
+import { GravityWellElement } from '../../objects/GravityWellElement';
+import { PhysicsWorld } from '../../physics/PhysicsWorld';
+
+// The well is checked against a real physics world stepping at different frame rates
+jest.mock('three', () => jest.requireActual('three'));
+jest.mock('cannon-es', () => jest.requireActual('cannon-es'));
+
+const THREE = jest.requireActual('three');
+const CANNON = jest.requireActual('cannon-es');
+
+describe('GravityWellElement', () => {
+  let physicsWorld;
+  let scene;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+
+    physicsWorld = new PhysicsWorld();
+    physicsWorld.world.gravity.set(0, 0, 0); // Keep the ball level without a ground body
+    scene = new THREE.Group();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = (config = {}) => {
+    const well = new GravityWellElement(
+      physicsWorld,
+      { position: new THREE.Vector3(0, 0, 0), strength: 4, radius: 3, ...config },
+      scene
+    );
+    well.create();
+    return well;
+  };
+
+  const addBall = (x, z) => {
+    const ball = new CANNON.Body({ mass: 0.45, shape: new CANNON.Sphere(0.2) });
+    ball.position.set(x, 0.4, z);
+    ball.allowSleep = false;
+    physicsWorld.addBody(ball);
+    return ball;
+  };
+
+  test('should register with the physics world and lie on the green', () => {
+    const well = create({ position: new THREE.Vector3(2, 5, -1) });
+
+    expect(well.elementType).toBe('gravityWell');
+    expect(well.bodies).toEqual([]);
+    expect(physicsWorld.forceFields).toEqual([well]);
+    expect(well.group.position).toMatchObject({ x: 2, y: 0.2, z: -1 });
+  });
+
+  test('should pull towards the centre, weaker towards the edge', () => {
+    const well = create();
+    const near = addBall(1, 0);
+    const far = addBall(0, 2);
+
+    well.applyForce(near);
+    well.applyForce(far);
+
+    // Linear falloff: 4 m/s^2 * 0.45 kg * (1 - d / 3)
+    expect(near.force.x).toBeCloseTo(-1.2);
+    expect(far.force.z).toBeCloseTo(-0.6);
+    expect(near.force.y).toBe(0);
+  });
+
+  test('should push away when the strength is negative', () => {
+    const well = create({ strength: -4, falloff: 'none' });
+    const ball = addBall(0, -2);
+
+    well.applyForce(ball);
+
+    expect(ball.force.z).toBeCloseTo(-1.8);
+  });
+
+  test('should leave a ball outside the radius alone', () => {
+    const well = create();
+    const ball = addBall(3.5, 0);
+
+    expect(well.applyForce(ball)).toBe(false);
+    expect(ball.force.x).toBe(0);
+  });
+
+  test('should fade the pull out at the centre and with quadratic falloff', () => {
+    const well = create({ falloff: 'quadratic' });
+
+    expect(well.getFalloffAt(0)).toBe(0);
+    expect(well.getFalloffAt(0.15)).toBeCloseTo(0.5 * 0.95 * 0.95);
+    expect(well.getFalloffAt(1.5)).toBeCloseTo(0.25);
+    expect(well.getFalloffAt(3)).toBe(0);
+  });
+
+  test('should move the ball the same way at any frame rate', () => {
+    create();
+    const simulate = frameRate => {
+      const ball = addBall(2, 0);
+      for (let frame = 0; frame < frameRate; frame++) {
+        physicsWorld.step(1 / frameRate);
+      }
+      physicsWorld.removeBody(ball);
+      return ball.position.x;
+    };
+
+    const at30 = simulate(30);
+    const at144 = simulate(144);
+
+    expect(at30).toBeLessThan(1.5);
+    expect(at144).toBeCloseTo(at30, 1);
+  });
+
+  test('should flow its ripples inwards when attracting', () => {
+    const well = create();
+    const [ripple] = well.ripples;
+    const before = ripple.scale.x;
+
+    well.update(0.2);
+
+    expect(ripple.scale.x).toBeLessThan(before);
+    expect(ripple.material.opacity).toBeGreaterThan(0);
+  });
+
+  test('should unregister and remove its visuals on destroy', () => {
+    const well = create();
+
+    well.destroy();
+
+    expect(physicsWorld.forceFields).toEqual([]);
+    expect(scene.children).toHaveLength(0);
+    expect(well.meshes).toEqual([]);
+  });
+});
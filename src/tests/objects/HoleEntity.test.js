@@ -2,7 +2,11 @@
  * Unit tests for HoleEntity
  */
 
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
 import { HoleEntity } from '../../objects/HoleEntity';
+import { createTerrain } from '../../objects/terrain/TerrainFactory';
+import { CourseElementRegistry } from '../../objects/CourseElementRegistry';
 
 // Mock THREE.js
 jest.mock('three', () => {
@@ -38,6 +42,14 @@ jest.mock('three', () => {
     });
   });
 
+  const mockEuler = jest.fn(function (x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.order = 'XYZ';
+    this.clone = jest.fn(() => new mockEuler(this.x, this.y, this.z));
+  });
+
   const mockBox2 = jest.fn(function () {
     this.min = { x: -5, y: -5 };
     this.max = { x: 5, y: 5 };
@@ -68,7 +80,7 @@ jest.mock('three', () => {
 
   const mockMesh = jest.fn(function () {
     this.position = { x: 0, y: 0, z: 0, set: jest.fn(), copy: jest.fn() };
-    this.rotation = { x: 0, y: 0, z: 0 };
+    this.rotation = { x: 0, y: 0, z: 0, copy: jest.fn() };
     this.geometry = { dispose: jest.fn() };
     this.material = { dispose: jest.fn() };
     this.parent = null;
@@ -90,6 +102,7 @@ jest.mock('three', () => {
   return {
     Vector3: mockVector3,
     Vector2: mockVector2,
+    Euler: mockEuler,
     Box2: mockBox2,
     Shape: mockShape,
     ExtrudeGeometry: mockExtrudeGeometry,
@@ -139,7 +152,7 @@ jest.mock('three', () => {
 // Mock CANNON.js
 jest.mock('cannon-es', () => {
   const mockBody = jest.fn(() => ({
-    position: { x: 0, y: 0, z: 0, set: jest.fn() },
+    position: { x: 0, y: 0, z: 0, set: jest.fn(), copy: jest.fn() },
     quaternion: { x: 0, y: 0, z: 0, w: 1, set: jest.fn(), copy: jest.fn() },
     material: null,
     type: 'STATIC',
@@ -157,7 +170,8 @@ jest.mock('cannon-es', () => {
     Cylinder: jest.fn(),
     Trimesh: jest.fn(),
     Quaternion: jest.fn(() => ({
-      setFromAxisAngle: jest.fn(() => ({ x: 0, y: 0, z: 0, w: 1 }))
+      setFromAxisAngle: jest.fn(() => ({ x: 0, y: 0, z: 0, w: 1 })),
+      setFromEuler: jest.fn()
     })),
     BODY_TYPES: { STATIC: 'STATIC' }
   };
@@ -196,6 +210,27 @@ jest.mock('../../objects/hazards/HazardFactory', () => ({
   }))
 }));
 
+// Mock TerrainFactory
+jest.mock('../../objects/terrain/TerrainFactory', () => ({
+  createTerrain: jest.fn(() => ({
+    meshes: [{ geometry: { dispose: jest.fn() }, material: { dispose: jest.fn() } }],
+    bodies: [{ userData: { type: 'terrain_hill' } }]
+  }))
+}));
+
+// Mock CourseElementRegistry (moving obstacles)
+jest.mock('../../objects/CourseElementRegistry', () => ({
+  CourseElementRegistry: jest.fn(function () {
+    this.createAndInitializeElement = jest.fn((type, config) => ({
+      type,
+      config,
+      bodies: [{ userData: { type: 'movingObstacle', obstacleType: type } }],
+      update: jest.fn(),
+      destroy: jest.fn()
+    }));
+  })
+}));
+
 describe('HoleEntity', () => {
   let mockWorld;
   let mockScene;
@@ -455,6 +490,300 @@ describe('HoleEntity', () => {
         holeEntity.createBumpers();
       }).not.toThrow();
     });
+
+    test('should give bumpers the bounce material of their named surface', () => {
+      const rubberMaterial = { name: 'surface:rubber' };
+      mockWorld.bumperMaterial = { name: 'bumper' };
+      mockWorld.surfaceRegistry = {
+        get: jest.fn(name => (name === 'rubber' ? { color: 0xff3b6b } : null)),
+        getMaterial: jest.fn(() => rubberMaterial)
+      };
+      const size = { x: 4, y: 0.5, z: 0.3 };
+      const holeEntity = new HoleEntity(
+        mockWorld,
+        {
+          ...mockConfig,
+          bumpers: [
+            { position: { x: 2, y: 0.25, z: 0 }, size, material: 'rubber' },
+            { position: { x: -2, y: 0.25, z: 0 }, size }
+          ]
+        },
+        mockScene
+      );
+
+      holeEntity.createBumpers();
+
+      expect(mockWorld.surfaceRegistry.getMaterial).toHaveBeenCalledWith('rubber');
+      expect(CANNON.Body).toHaveBeenCalledWith(
+        expect.objectContaining({ material: rubberMaterial })
+      );
+      expect(CANNON.Body).toHaveBeenLastCalledWith(
+        expect.objectContaining({ material: mockWorld.bumperMaterial })
+      );
+      expect(holeEntity.bodies).toHaveLength(2);
+      holeEntity.bodies.forEach(body => {
+        expect(body.userData).toEqual(expect.objectContaining({ type: 'bumper' }));
+      });
+      expect(THREE.MeshStandardMaterial).toHaveBeenCalledWith(
+        expect.objectContaining({ color: 0xff3b6b })
+      );
+    });
+  });
+
+  describe('terrain', () => {
+    test('should create each terrain feature and track its meshes and bodies', () => {
+      const configWithTerrain = {
+        ...mockConfig,
+        terrain: [
+          { type: 'hill', position: { x: 0, y: 0, z: 0 }, radius: 2, height: 0.5 },
+          { type: 'plateau', position: { x: 1, y: 0, z: 1 }, size: [1, 1], height: 0.3 }
+        ]
+      };
+
+      const holeEntity = new HoleEntity(mockWorld, configWithTerrain, mockScene);
+      holeEntity.createTerrain();
+
+      expect(createTerrain).toHaveBeenCalledTimes(2);
+      expect(createTerrain).toHaveBeenCalledWith(
+        mockWorld,
+        holeEntity.group,
+        expect.objectContaining({ type: 'hill' }),
+        holeEntity.visualGreenY
+      );
+      expect(holeEntity.meshes).toHaveLength(2);
+      expect(holeEntity.bodies).toHaveLength(2);
+      expect(holeEntity.bodies[0].userData).toEqual({ type: 'terrain_hill', holeIndex: 0 });
+    });
+
+    test('should skip terrain creation when none is configured', () => {
+      const holeEntity = new HoleEntity(mockWorld, mockConfig, mockScene);
+
+      holeEntity.createTerrain();
+
+      expect(createTerrain).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('obstacles', () => {
+    const configWithObstacles = () => ({
+      ...mockConfig,
+      obstacles: [
+        { type: 'rotatingArm', position: { x: 1, y: 0.4, z: 2 }, rotationSpeed: 1 },
+        { type: 'slider', position: { x: 0, y: 0.45, z: -2 } }
+      ]
+    });
+
+    test('should create each obstacle through the element registry', () => {
+      const holeEntity = new HoleEntity(mockWorld, configWithObstacles(), mockScene);
+
+      holeEntity.createObstacles();
+
+      const registry = CourseElementRegistry.mock.instances[0];
+      expect(registry.createAndInitializeElement).toHaveBeenCalledTimes(2);
+      expect(registry.createAndInitializeElement).toHaveBeenCalledWith(
+        'rotatingArm',
+        expect.objectContaining({ rotationSpeed: 1, position: expect.objectContaining({ x: 1 }) }),
+        mockWorld,
+        holeEntity.group
+      );
+      expect(holeEntity.obstacles).toHaveLength(2);
+      expect(holeEntity.obstacles[0].bodies[0].userData).toEqual({
+        type: 'movingObstacle',
+        obstacleType: 'rotatingArm',
+        holeIndex: 0
+      });
+    });
+
+    test('should advance obstacles on update and destroy them with the hole', () => {
+      const holeEntity = new HoleEntity(mockWorld, configWithObstacles(), mockScene);
+      holeEntity.createObstacles();
+      const obstacles = [...holeEntity.obstacles];
+
+      holeEntity.update(0.016);
+      holeEntity.destroy();
+
+      obstacles.forEach(obstacle => {
+        expect(obstacle.update).toHaveBeenCalledWith(0.016);
+        expect(obstacle.destroy).toHaveBeenCalled();
+      });
+      expect(holeEntity.obstacles).toEqual([]);
+    });
+
+    test('should skip obstacles that fail to create', () => {
+      const holeEntity = new HoleEntity(mockWorld, configWithObstacles(), mockScene);
+      CourseElementRegistry.mockImplementationOnce(function () {
+        this.createAndInitializeElement = jest.fn(() => {
+          throw new Error('Unknown element type');
+        });
+      });
+
+      holeEntity.createObstacles();
+
+      expect(holeEntity.obstacles).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith(
+        '[HoleEntity] Failed to create obstacle 0:',
+        expect.any(Error),
+        expect.objectContaining({ type: 'rotatingArm' })
+      );
+    });
+  });
+
+  describe('teleporters', () => {
+    test('should create teleporters on the green surface through the element registry', () => {
+      const holeEntity = new HoleEntity(
+        mockWorld,
+        {
+          ...mockConfig,
+          teleporters: [
+            {
+              entry: { position: { x: -3, y: 0, z: 6 } },
+              exit: { position: { x: 3, y: 0, z: -6 } }
+            }
+          ]
+        },
+        mockScene
+      );
+
+      holeEntity.createTeleporters();
+
+      const registry = CourseElementRegistry.mock.instances[0];
+      expect(registry.createAndInitializeElement).toHaveBeenCalledWith(
+        'teleporter',
+        expect.objectContaining({
+          surfaceHeight: holeEntity.visualGreenY,
+          exit: { position: { x: 3, y: 0, z: -6 } }
+        }),
+        mockWorld,
+        holeEntity.group
+      );
+      expect(holeEntity.teleporters).toHaveLength(1);
+
+      holeEntity.update(0.016);
+      const [teleporter] = holeEntity.teleporters;
+      holeEntity.destroy();
+
+      expect(teleporter.update).toHaveBeenCalledWith(0.016);
+      expect(teleporter.destroy).toHaveBeenCalled();
+      expect(holeEntity.teleporters).toEqual([]);
+    });
+
+    test('should skip teleporter creation when none are configured', () => {
+      const holeEntity = new HoleEntity(mockWorld, mockConfig, mockScene);
+
+      holeEntity.createTeleporters();
+
+      expect(CourseElementRegistry).not.toHaveBeenCalled();
+      expect(holeEntity.teleporters).toEqual([]);
+    });
+  });
+
+  describe('gravity wells', () => {
+    test('should create gravity wells on the green surface through the element registry', () => {
+      const holeEntity = new HoleEntity(
+        mockWorld,
+        {
+          ...mockConfig,
+          gravityWells: [{ position: { x: -2, y: 0, z: 1 }, strength: 3, radius: 2 }]
+        },
+        mockScene
+      );
+
+      holeEntity.createGravityWells();
+
+      const registry = CourseElementRegistry.mock.instances[0];
+      expect(registry.createAndInitializeElement).toHaveBeenCalledWith(
+        'gravityWell',
+        expect.objectContaining({ surfaceHeight: holeEntity.visualGreenY, strength: 3 }),
+        mockWorld,
+        holeEntity.group
+      );
+      expect(holeEntity.gravityWells).toHaveLength(1);
+
+      holeEntity.update(0.016);
+      const [well] = holeEntity.gravityWells;
+      holeEntity.destroy();
+
+      expect(well.update).toHaveBeenCalledWith(0.016);
+      expect(well.destroy).toHaveBeenCalled();
+      expect(holeEntity.gravityWells).toEqual([]);
+    });
+  });
+
+  describe('surface zones', () => {
+    test('should paint surface zones on the green surface through the element registry', () => {
+      const polygon = [
+        { x: -4, y: -6 },
+        { x: 4, y: -6 },
+        { x: 4, y: -7 }
+      ];
+      const holeEntity = new HoleEntity(
+        mockWorld,
+        { ...mockConfig, surfaceZones: [{ surface: 'ice', polygon }] },
+        mockScene
+      );
+
+      holeEntity.createSurfaceZones();
+
+      const registry = CourseElementRegistry.mock.instances[0];
+      expect(registry.createAndInitializeElement).toHaveBeenCalledWith(
+        'surfaceZone',
+        expect.objectContaining({
+          surfaceHeight: holeEntity.visualGreenY,
+          surface: 'ice',
+          polygon
+        }),
+        mockWorld,
+        holeEntity.group
+      );
+      expect(holeEntity.getCourseElements()).toEqual(holeEntity.surfaceZones);
+
+      const [zone] = holeEntity.surfaceZones;
+      holeEntity.destroy();
+
+      expect(zone.destroy).toHaveBeenCalled();
+      expect(holeEntity.surfaceZones).toEqual([]);
+    });
+  });
+
+  describe('boost pads and conveyors', () => {
+    test('should create boost pads and conveyors on the green surface', () => {
+      const holeEntity = new HoleEntity(
+        mockWorld,
+        {
+          ...mockConfig,
+          boostPads: [{ position: { x: -1, y: 0, z: -9 }, boost: 4 }],
+          conveyors: [{ position: { x: 3, y: 0, z: 6 }, speed: 1.5 }]
+        },
+        mockScene
+      );
+
+      holeEntity.createBoostPads();
+      holeEntity.createConveyors();
+
+      const [padRegistry, conveyorRegistry] = CourseElementRegistry.mock.instances;
+      expect(padRegistry.createAndInitializeElement).toHaveBeenCalledWith(
+        'boostPad',
+        expect.objectContaining({ surfaceHeight: holeEntity.visualGreenY, boost: 4 }),
+        mockWorld,
+        holeEntity.group
+      );
+      expect(conveyorRegistry.createAndInitializeElement).toHaveBeenCalledWith(
+        'conveyor',
+        expect.objectContaining({ surfaceHeight: holeEntity.visualGreenY, speed: 1.5 }),
+        mockWorld,
+        holeEntity.group
+      );
+      expect(holeEntity.getCourseElements()).toHaveLength(2);
+
+      const [pad, conveyor] = holeEntity.getCourseElements();
+      holeEntity.update(0.016);
+      holeEntity.destroy();
+
+      expect(pad.update).toHaveBeenCalledWith(0.016);
+      expect(conveyor.destroy).toHaveBeenCalled();
+      expect(holeEntity.boostPads).toEqual([]);
+      expect(holeEntity.conveyors).toEqual([]);
+    });
   });
 
   describe('error handling and edge cases', () => {
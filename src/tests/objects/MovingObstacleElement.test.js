@@ -0,0 +1,202 @@
+/**
+ * Unit tests for the moving obstacle elements (rotating arm, slider, windmill)
+ */
+
+import { RotatingArmElement } from '../../objects/RotatingArmElement';
+import { SliderElement } from '../../objects/SliderElement';
+import { WindmillElement } from '../../objects/WindmillElement';
+
+// Kinematic motion is checked against real transforms and a real physics step
+jest.mock('three', () => jest.requireActual('three'));
+jest.mock('cannon-es', () => jest.requireActual('cannon-es'));
+
+const THREE = jest.requireActual('three');
+const CANNON = jest.requireActual('cannon-es');
+
+describe('Moving obstacle elements', () => {
+  let world;
+  let scene;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+
+    world = new CANNON.World();
+    world.bumperMaterial = new CANNON.Material('bumper');
+    scene = new THREE.Group();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = (ElementClass, config) => {
+    const element = new ElementClass(world, config, scene);
+    element.create();
+    return element;
+  };
+
+  describe('RotatingArmElement', () => {
+    test('should create a kinematic arm body at its position', () => {
+      const arm = create(RotatingArmElement, {
+        position: new THREE.Vector3(1, 0.4, -2),
+        size: new THREE.Vector3(4, 0.4, 0.3)
+      });
+
+      expect(arm.bodies).toEqual([arm.movingBody]);
+      expect(arm.movingBody.type).toBe(CANNON.Body.KINEMATIC);
+      expect(arm.movingBody.material).toBe(world.bumperMaterial);
+      expect(arm.movingBody.userData).toEqual({
+        type: 'movingObstacle',
+        obstacleType: 'rotatingArm'
+      });
+      expect(arm.movingBody.shapes[0].halfExtents.x).toBe(2);
+      expect(arm.movingBody.position).toMatchObject({ x: 1, y: 0.4, z: -2 });
+      expect(world.bodies).toContain(arm.movingBody);
+    });
+
+    test('should rotate at a constant speed from its phase', () => {
+      const arm = create(RotatingArmElement, {
+        position: new THREE.Vector3(0, 0.4, 0),
+        rotationSpeed: Math.PI / 2,
+        phase: 0.25
+      });
+
+      arm.update(1);
+
+      const euler = new THREE.Euler().setFromQuaternion(arm.movingGroup.quaternion);
+      expect(arm.getMotionAt(1).angle).toBeCloseTo(Math.PI);
+      expect(Math.abs(euler.y) + Math.abs(euler.x)).toBeCloseTo(Math.PI);
+      expect(arm.movingBody.angularVelocity.y).toBeCloseTo(Math.PI / 2);
+    });
+
+    test('should give the same pose for the same hole time', () => {
+      const config = { position: new THREE.Vector3(0, 0.4, 0), rotationSpeed: 1, phase: 0.1 };
+      const steady = create(RotatingArmElement, config);
+      const choppy = create(RotatingArmElement, config);
+
+      steady.update(0.5);
+      steady.update(0.5);
+      [0.1, 0.3, 0.05, 0.55].forEach(dt => choppy.update(dt));
+
+      expect(choppy.movingBody.quaternion.y).toBeCloseTo(steady.movingBody.quaternion.y);
+      expect(choppy.movingBody.quaternion.w).toBeCloseTo(steady.movingBody.quaternion.w);
+    });
+
+    test('should push a resting ball it sweeps into', () => {
+      const arm = create(RotatingArmElement, {
+        position: new THREE.Vector3(0, 0.4, 0),
+        size: new THREE.Vector3(3, 0.4, 0.3),
+        rotationSpeed: Math.PI
+      });
+      const ball = new CANNON.Body({ mass: 0.45, shape: new CANNON.Sphere(0.2) });
+      ball.position.set(1, 0.4, -0.4);
+      world.addBody(ball);
+
+      for (let i = 0; i < 30; i++) {
+        arm.update(1 / 60);
+        world.step(1 / 60);
+      }
+
+      expect(ball.velocity.length()).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('SliderElement', () => {
+    const config = {
+      position: new THREE.Vector3(0, 0.45, 0),
+      travel: new THREE.Vector3(2, 0, 0),
+      period: 4
+    };
+
+    test('should ping-pong between its start and travel end', () => {
+      const slider = create(SliderElement, config);
+
+      expect(slider.getMotionAt(0).offset.x).toBeCloseTo(0);
+      expect(slider.getMotionAt(1).offset.x).toBeCloseTo(1);
+      expect(slider.getMotionAt(2).offset.x).toBeCloseTo(2);
+      expect(slider.getMotionAt(3).offset.x).toBeCloseTo(1);
+      expect(slider.getMotionAt(4).offset.x).toBeCloseTo(0);
+      expect(slider.getMotionAt(1).velocity.x).toBeCloseTo(1);
+      expect(slider.getMotionAt(3).velocity.x).toBeCloseTo(-1);
+    });
+
+    test('should start part way through the cycle with a phase offset', () => {
+      const slider = create(SliderElement, { ...config, phase: 0.5 });
+
+      expect(slider.movingBody.position.x).toBeCloseTo(2);
+      expect(slider.movingGroup.position.x).toBeCloseTo(2);
+    });
+
+    test('should move the body and set its velocity on update', () => {
+      const slider = create(SliderElement, config);
+
+      slider.update(1);
+
+      expect(slider.movingBody.position).toMatchObject({ x: 1, y: 0.45, z: 0 });
+      expect(slider.movingBody.velocity.x).toBeCloseTo(1);
+    });
+
+    test('should return to the start on reset', () => {
+      const slider = create(SliderElement, config);
+
+      slider.update(1.5);
+      slider.reset();
+
+      expect(slider.elapsedTime).toBe(0);
+      expect(slider.movingBody.position.x).toBeCloseTo(0);
+    });
+
+    test('should ignore invalid time steps', () => {
+      const slider = create(SliderElement, config);
+
+      slider.update(NaN);
+      slider.update(-1);
+
+      expect(slider.elapsedTime).toBe(0);
+    });
+  });
+
+  describe('WindmillElement', () => {
+    test('should add one blade shape per blade and two static posts', () => {
+      const windmill = create(WindmillElement, {
+        position: new THREE.Vector3(0, 1.25, 3),
+        bladeLength: 1,
+        bladeCount: 3
+      });
+      const posts = windmill.bodies.filter(body => body !== windmill.movingBody);
+
+      expect(windmill.movingBody.shapes).toHaveLength(3);
+      expect(posts).toHaveLength(2);
+      posts.forEach(post => {
+        expect(post.type).toBe(CANNON.Body.STATIC);
+        expect(Math.abs(post.position.x)).toBeCloseTo(1.35);
+        // Posts stand on the ground and reach just above the hub
+        expect(post.position.y - post.shapes[0].halfExtents.y).toBeCloseTo(0);
+        expect(post.position.y + post.shapes[0].halfExtents.y).toBeCloseTo(1.55);
+      });
+    });
+
+    test('should spin around the lane direction, turned with the element', () => {
+      const windmill = create(WindmillElement, {
+        position: new THREE.Vector3(0, 1.25, 0),
+        rotation: Math.PI / 2,
+        rotationSpeed: 2
+      });
+
+      windmill.update(0.5);
+
+      expect(windmill.movingBody.angularVelocity.x).toBeCloseTo(2);
+      expect(windmill.movingBody.angularVelocity.z).toBeCloseTo(0);
+      expect(windmill.getMotionAt(0.5).angle).toBeCloseTo(1);
+    });
+  });
+
+  test('should remove every body from the world on destroy', () => {
+    const windmill = create(WindmillElement, { position: new THREE.Vector3(0, 1.25, 0) });
+
+    windmill.destroy();
+
+    expect(world.bodies).toHaveLength(0);
+    expect(scene.children).toHaveLength(0);
+  });
+});
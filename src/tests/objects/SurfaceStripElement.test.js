@@ -0,0 +1,168 @@
+/**
+ * Unit tests for the surface strip elements (boost pads, conveyors)
+ */
+
+import { BoostPadElement } from '../../objects/BoostPadElement';
+import { ConveyorElement } from '../../objects/ConveyorElement';
+import { PhysicsWorld } from '../../physics/PhysicsWorld';
+
+// Strips are checked against real transforms and a real physics world
+jest.mock('three', () => jest.requireActual('three'));
+jest.mock('cannon-es', () => jest.requireActual('cannon-es'));
+
+const THREE = jest.requireActual('three');
+const CANNON = jest.requireActual('cannon-es');
+
+describe('Surface strip elements', () => {
+  let physicsWorld;
+  let scene;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+
+    physicsWorld = new PhysicsWorld();
+    physicsWorld.world.gravity.set(0, 0, 0); // Keep the ball level without a ground body
+    scene = new THREE.Group();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = (ElementClass, config) => {
+    const element = new ElementClass(physicsWorld, config, scene);
+    element.create();
+    return element;
+  };
+
+  const addBall = (x, z) => {
+    const ball = new CANNON.Body({ mass: 0.45, shape: new CANNON.Sphere(0.2) });
+    ball.position.set(x, 0.4, z);
+    ball.allowSleep = false;
+    physicsWorld.addBody(ball);
+    return ball;
+  };
+
+  describe('BoostPadElement', () => {
+    const config = {
+      position: new THREE.Vector3(0, 0, 0),
+      size: [1, 2],
+      rotation: Math.PI / 2,
+      boost: 3
+    };
+
+    test('should lie on the green, turned to its rotation, without physics bodies', () => {
+      const pad = create(BoostPadElement, config);
+
+      expect(pad.elementType).toBe('boostPad');
+      expect(pad.bodies).toEqual([]);
+      expect(pad.group.position.y).toBeCloseTo(0.2);
+      expect(pad.group.rotation.y).toBeCloseTo(Math.PI / 2);
+      expect(pad.chevrons.length).toBeGreaterThan(1);
+    });
+
+    test('should only count a ball over the rotated pad and near its surface', () => {
+      const pad = create(BoostPadElement, config);
+
+      // Rotated a quarter turn, the pad is 2 long along x and 1 wide along z
+      expect(pad.containsPoint({ x: 0.9, y: 0.4, z: 0 })).toBe(true);
+      expect(pad.containsPoint({ x: 0, y: 0.4, z: 0.9 })).toBe(false);
+      expect(pad.containsPoint({ x: 0, y: 2, z: 0 })).toBe(false);
+    });
+
+    test('should boost the ball along its direction once per crossing', () => {
+      const pad = create(BoostPadElement, config);
+      const ball = addBall(0.5, 0);
+      ball.velocity.set(0, 0, -1);
+
+      const added = pad.tryBoost(ball);
+      const again = pad.tryBoost(ball);
+
+      expect(added.x).toBeCloseTo(-3);
+      expect(ball.velocity.x).toBeCloseTo(-3);
+      expect(ball.velocity.z).toBeCloseTo(-1);
+      expect(again).toBeNull();
+
+      ball.position.set(5, 0.4, 0);
+      pad.tryBoost(ball);
+      ball.position.set(0, 0.4, 0);
+
+      expect(pad.tryBoost(ball)).not.toBeNull();
+      expect(ball.velocity.x).toBeCloseTo(-6);
+    });
+
+    test('should glow after a boost and fade back', () => {
+      const pad = create(BoostPadElement, config);
+      pad.tryBoost(addBall(0, 0));
+
+      pad.update(0.1);
+      const glowing = pad.surface.material.emissiveIntensity;
+      pad.update(1);
+
+      expect(glowing).toBeGreaterThan(0.5);
+      expect(pad.surface.material.emissiveIntensity).toBeCloseTo(0.15);
+    });
+  });
+
+  describe('ConveyorElement', () => {
+    const config = { position: new THREE.Vector3(0, 0, 0), size: [2, 20], speed: 1.5 };
+
+    test('should register with the physics world and unregister on destroy', () => {
+      const conveyor = create(ConveyorElement, config);
+
+      expect(physicsWorld.forceFields).toEqual([conveyor]);
+
+      conveyor.destroy();
+
+      expect(physicsWorld.forceFields).toEqual([]);
+      expect(scene.children).toHaveLength(0);
+    });
+
+    test('should carry a resting ball towards the belt speed', () => {
+      create(ConveyorElement, config);
+      const ball = addBall(0, 5);
+
+      for (let i = 0; i < 120; i++) {
+        physicsWorld.step(1 / 60);
+      }
+
+      expect(ball.velocity.z).toBeCloseTo(-1.5, 1);
+      expect(ball.velocity.x).toBeCloseTo(0);
+    });
+
+    test('should leave speed across the belt alone', () => {
+      const conveyor = create(ConveyorElement, config);
+      const ball = addBall(0, 0);
+      ball.velocity.set(2, 0, -1.5);
+
+      expect(conveyor.applyForce(ball)).toBe(true);
+      expect(ball.force.x).toBe(0);
+      expect(ball.force.z).toBeCloseTo(0);
+    });
+
+    test('should ignore a ball off the belt', () => {
+      const conveyor = create(ConveyorElement, config);
+      const ball = addBall(3, 0);
+
+      expect(conveyor.applyForce(ball)).toBe(false);
+      expect(ball.force.z).toBe(0);
+    });
+
+    test('should scroll its chevrons with the belt and wrap them around', () => {
+      const conveyor = create(ConveyorElement, config);
+      const [chevron] = conveyor.chevrons;
+      const start = chevron.position.z;
+
+      conveyor.update(1);
+
+      expect(chevron.position.z).toBeCloseTo(start - 1.5);
+
+      conveyor.update(20 / 1.5);
+
+      expect(chevron.position.z).toBeCloseTo(start - 1.5);
+      conveyor.chevrons.forEach(({ position }) => {
+        expect(Math.abs(position.z)).toBeLessThanOrEqual(10);
+      });
+    });
+  });
+});
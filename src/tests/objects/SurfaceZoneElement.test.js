@@ -0,0 +1,105 @@
+/**
+ * Unit tests for SurfaceZoneElement
+ */
+
+import { SurfaceZoneElement } from '../../objects/SurfaceZoneElement';
+import { PhysicsWorld } from '../../physics/PhysicsWorld';
+
+// Zones are checked against real geometry and the real surface registry
+jest.mock('three', () => jest.requireActual('three'));
+jest.mock('cannon-es', () => jest.requireActual('cannon-es'));
+
+const THREE = jest.requireActual('three');
+
+describe('SurfaceZoneElement', () => {
+  let physicsWorld;
+  let scene;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+
+    physicsWorld = new PhysicsWorld();
+    scene = new THREE.Group();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // An L-shaped zone, in world x/z
+  const polygon = [
+    [0, 0],
+    [4, 0],
+    [4, 1],
+    [1, 1],
+    [1, 3],
+    [0, 3]
+  ];
+
+  const create = (config = {}) => {
+    const zone = new SurfaceZoneElement(
+      physicsWorld,
+      { surface: 'ice', polygon, surfaceHeight: 0.2, ...config },
+      scene
+    );
+    zone.create();
+    return zone;
+  };
+
+  test('should tint the green with its surface colour, without physics bodies', () => {
+    const zone = create({ position: new THREE.Vector3(5, 0, 5) });
+
+    expect(zone.elementType).toBe('surfaceZone');
+    expect(zone.bodies).toEqual([]);
+    expect(zone.group.position).toMatchObject({ x: 0, y: 0, z: 0 });
+    expect(zone.tint.material.color.getHex()).toBe(physicsWorld.surfaceRegistry.get('ice').color);
+  });
+
+  test('should lay its tint over the polygon at the same world x/z', () => {
+    const zone = create();
+    zone.tint.geometry.computeBoundingBox();
+    const { min, max } = zone.tint.geometry.boundingBox;
+
+    expect(min.x).toBeCloseTo(0);
+    expect(max.x).toBeCloseTo(4);
+    expect(min.z).toBeCloseTo(0);
+    expect(max.z).toBeCloseTo(3);
+  });
+
+  test('should only contain points inside the outline and near the green', () => {
+    const zone = create();
+
+    expect(zone.containsPoint({ x: 3, y: 0.4, z: 0.5 })).toBe(true);
+    expect(zone.containsPoint({ x: 0.5, y: 0.4, z: 2.5 })).toBe(true);
+    expect(zone.containsPoint({ x: 3, y: 0.4, z: 2 })).toBe(false);
+    expect(zone.containsPoint({ x: 3, y: 2, z: 0.5 })).toBe(false);
+  });
+
+  test('should accept Vector2 points as loaded from course files', () => {
+    const zone = create({ polygon: polygon.map(([x, z]) => new THREE.Vector2(x, z)) });
+
+    expect(zone.containsPoint({ x: 0.5, y: 0.4, z: 2.5 })).toBe(true);
+  });
+
+  test('should skip a zone with fewer than 3 points', () => {
+    const zone = create({
+      polygon: [
+        [0, 0],
+        [1, 1]
+      ]
+    });
+
+    expect(zone.tint).toBeUndefined();
+    expect(zone.containsPoint({ x: 0.5, y: 0.4, z: 0.5 })).toBe(false);
+  });
+
+  test('should remove its tint on destroy', () => {
+    const zone = create();
+
+    zone.destroy();
+
+    expect(scene.children).toHaveLength(0);
+    expect(zone.meshes).toEqual([]);
+  });
+});
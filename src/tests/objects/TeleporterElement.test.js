@@ -0,0 +1,128 @@
+/**
+ * Unit tests for TeleporterElement
+ */
+
+import { TeleporterElement } from '../../objects/TeleporterElement';
+
+// Teleports are checked against real transforms and a real physics body
+jest.mock('three', () => jest.requireActual('three'));
+jest.mock('cannon-es', () => jest.requireActual('cannon-es'));
+
+const THREE = jest.requireActual('three');
+const CANNON = jest.requireActual('cannon-es');
+
+describe('TeleporterElement', () => {
+  let world;
+  let scene;
+  let ball;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+
+    world = new CANNON.World();
+    scene = new THREE.Group();
+    ball = new CANNON.Body({ mass: 0.45, shape: new CANNON.Sphere(0.2) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = (config = {}) => {
+    const teleporter = new TeleporterElement(
+      world,
+      {
+        entry: { position: new THREE.Vector3(-3, 0, 6) },
+        exit: { position: new THREE.Vector3(3, 0, -6) },
+        radius: 0.5,
+        ...config
+      },
+      scene
+    );
+    teleporter.create();
+    return teleporter;
+  };
+
+  test('should place both portals on the green without physics bodies', () => {
+    const teleporter = create();
+    const [entryPortal, exitPortal] = teleporter.group.children;
+
+    expect(teleporter.elementType).toBe('teleporter');
+    expect(teleporter.bodies).toEqual([]);
+    expect(world.bodies).toHaveLength(0);
+    expect(entryPortal.position).toMatchObject({ x: -3, y: 0.2, z: 6 });
+    expect(exitPortal.position).toMatchObject({ x: 3, y: 0.2, z: -6 });
+  });
+
+  test('should leave a ball outside the entry alone', () => {
+    const teleporter = create();
+    ball.position.set(-3, 0.4, 5.4);
+
+    expect(teleporter.tryTeleport(ball)).toBeNull();
+    expect(ball.position.z).toBe(5.4);
+  });
+
+  test('should move a ball in the entry to the exit with the same velocity', () => {
+    const teleporter = create();
+    ball.position.set(-2.8, 0.4, 6.1);
+    ball.velocity.set(0.5, 0, -3);
+
+    const teleport = teleporter.tryTeleport(ball);
+
+    expect(teleport.entryPosition).toMatchObject({ x: -2.8, y: 0.4, z: 6.1 });
+    expect(teleport.exitPosition).toMatchObject({ x: 3, y: 0.4, z: -6 });
+    expect(ball.position).toMatchObject({ x: 3, y: 0.4, z: -6 });
+    expect(ball.previousPosition).toMatchObject({ x: 3, y: 0.4, z: -6 });
+    expect(ball.velocity.x).toBeCloseTo(0.5);
+    expect(ball.velocity.z).toBeCloseTo(-3);
+  });
+
+  test('should turn the ball by the difference between exit and entry rotation', () => {
+    const teleporter = create({
+      entry: { position: new THREE.Vector3(0, 0, 0), rotation: Math.PI / 2 },
+      exit: { position: new THREE.Vector3(0, 0.3, -5), rotation: Math.PI }
+    });
+    ball.position.set(0, 0.4, 0);
+    ball.velocity.set(0, 0, -2);
+
+    teleporter.tryTeleport(ball);
+
+    // A quarter turn to the left: heading -z becomes heading -x, speed unchanged
+    expect(ball.velocity.x).toBeCloseTo(-2);
+    expect(ball.velocity.z).toBeCloseTo(0);
+    expect(ball.velocity.length()).toBeCloseTo(2);
+    // Height is kept relative to the portal
+    expect(ball.position.y).toBeCloseTo(0.7);
+  });
+
+  test('should point the exit arrow along the exit rotation', () => {
+    const teleporter = create({
+      exit: { position: new THREE.Vector3(3, 0, -6), rotation: Math.PI / 2 }
+    });
+    const arrow = teleporter.meshes[teleporter.meshes.length - 1];
+    arrow.updateWorldMatrix(true, false);
+    const tip = new THREE.Vector3(0, 1, 0).transformDirection(arrow.matrixWorld);
+
+    expect(tip.x).toBeCloseTo(-1);
+    expect(tip.z).toBeCloseTo(0);
+  });
+
+  test('should pulse the rings on update', () => {
+    const teleporter = create();
+
+    teleporter.update(0.25);
+
+    teleporter.rings.forEach(ring => {
+      expect(ring.scale.x).toBeCloseTo(1 + Math.sin(1) * 0.06);
+    });
+  });
+
+  test('should remove its visuals on destroy', () => {
+    const teleporter = create();
+
+    teleporter.destroy();
+
+    expect(scene.children).toHaveLength(0);
+    expect(teleporter.meshes).toEqual([]);
+  });
+});
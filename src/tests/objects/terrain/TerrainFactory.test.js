@@ -0,0 +1,151 @@
+/**
+ * Unit tests for TerrainFactory
+ */
+
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { createTerrain, getHillHeight } from '../../../objects/terrain/TerrainFactory';
+
+jest.mock('cannon-es', () => {
+  const mockBody = jest.fn(function (options) {
+    this.options = options;
+    this.shapes = [];
+    this.position = { x: 0, y: 0, z: 0 };
+    this.position.set = jest.fn((x, y, z) => Object.assign(this.position, { x, y, z }));
+    this.quaternion = { setFromEuler: jest.fn() };
+    this.addShape = jest.fn(shape => this.shapes.push(shape));
+  });
+  mockBody.STATIC = 'STATIC';
+
+  return {
+    Body: mockBody,
+    Box: jest.fn(function (halfExtents) {
+      this.halfExtents = halfExtents;
+    }),
+    Heightfield: jest.fn(function (data, options) {
+      this.data = data;
+      this.elementSize = options.elementSize;
+    }),
+    Vec3: jest.fn((x, y, z) => ({ x, y, z }))
+  };
+});
+
+describe('TerrainFactory', () => {
+  const greenY = 0.2;
+  let mockWorld;
+  let mockGroup;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+
+    mockWorld = { addBody: jest.fn(), groundMaterial: { name: 'ground' } };
+    mockGroup = { add: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getHillHeight', () => {
+    test('should peak at the centre and reach zero at the rim', () => {
+      expect(getHillHeight(0, 2, 0.5)).toBeCloseTo(0.5);
+      expect(getHillHeight(1, 2, 0.5)).toBeCloseTo(0.25);
+      expect(getHillHeight(2, 2, 0.5)).toBe(0);
+      expect(getHillHeight(3, 2, 0.5)).toBe(0);
+    });
+  });
+
+  describe('createTerrain', () => {
+    test('should build a ramp slab tilted up along its local +z', () => {
+      const { meshes, bodies } = createTerrain(
+        mockWorld,
+        mockGroup,
+        { type: 'ramp', position: new THREE.Vector3(0, 0, 0), size: [2, 4], rise: 1 },
+        greenY
+      );
+      const slopeAngle = Math.atan2(1, 4);
+
+      expect(meshes).toHaveLength(1);
+      expect(bodies).toHaveLength(1);
+      expect(mockGroup.add).toHaveBeenCalledWith(meshes[0]);
+      expect(mockWorld.addBody).toHaveBeenCalledWith(bodies[0]);
+
+      const body = bodies[0];
+      expect(body.options.material).toBe(mockWorld.groundMaterial);
+      expect(body.userData.type).toBe('terrain_ramp');
+      expect(body.shapes[0].halfExtents.x).toBe(1);
+      expect(body.shapes[0].halfExtents.z).toBeCloseTo(Math.hypot(4, 1) / 2);
+      expect(body.quaternion.setFromEuler).toHaveBeenCalledWith(-slopeAngle, 0, 0, 'YXZ');
+      // The rolling surface centre sits halfway up the rise
+      expect(body.position.y + (Math.cos(slopeAngle) * 0.1) / 2).toBeCloseTo(greenY + 0.5);
+    });
+
+    test('should start a ramp at its base height', () => {
+      const { bodies } = createTerrain(
+        mockWorld,
+        mockGroup,
+        {
+          type: 'ramp',
+          position: new THREE.Vector3(0, 0, 0),
+          size: [2, 4],
+          rise: -0.5,
+          baseHeight: 0.5,
+          rotation: Math.PI
+        },
+        greenY
+      );
+      const slopeAngle = Math.atan2(-0.5, 4);
+
+      expect(bodies[0].position.y + (Math.cos(slopeAngle) * 0.1) / 2).toBeCloseTo(greenY + 0.25);
+      expect(bodies[0].quaternion.setFromEuler).toHaveBeenCalledWith(
+        -slopeAngle,
+        Math.PI,
+        0,
+        'YXZ'
+      );
+    });
+
+    test('should build a plateau box standing on the green', () => {
+      const { bodies } = createTerrain(
+        mockWorld,
+        mockGroup,
+        { type: 'plateau', position: new THREE.Vector3(1, 0, -2), size: [2, 3], height: 0.4 },
+        greenY
+      );
+
+      expect(CANNON.Box).toHaveBeenCalledWith({ x: 1, y: 0.2, z: 1.5 });
+      expect(bodies[0].position).toMatchObject({ x: 1, y: greenY + 0.2, z: -2 });
+      expect(bodies[0].userData.type).toBe('terrain_plateau');
+    });
+
+    test('should build a hill heightfield anchored at its min x / max z corner', () => {
+      const { meshes, bodies } = createTerrain(
+        mockWorld,
+        mockGroup,
+        { type: 'hill', position: new THREE.Vector3(3, 0, 4), radius: 2, height: 0.6 },
+        greenY
+      );
+      const heightfield = bodies[0].shapes[0];
+      const middle = (heightfield.data.length - 1) / 2;
+
+      expect(meshes).toHaveLength(1);
+      expect(heightfield).toBeInstanceOf(CANNON.Heightfield);
+      expect(heightfield.data).toHaveLength(heightfield.data[0].length);
+      expect(heightfield.elementSize * (heightfield.data.length - 1)).toBeCloseTo(4);
+      expect(heightfield.data[middle][middle]).toBeCloseTo(0.6);
+      expect(heightfield.data[0][0]).toBe(0);
+      expect(bodies[0].position).toMatchObject({ x: 1, y: greenY, z: 6 });
+      expect(bodies[0].quaternion.setFromEuler).toHaveBeenCalledWith(-Math.PI / 2, 0, 0);
+    });
+
+    test('should warn and create nothing for unknown terrain types', () => {
+      const result = createTerrain(mockWorld, mockGroup, { type: 'crater' }, greenY);
+
+      expect(result).toEqual({ meshes: [], bodies: [] });
+      expect(console.warn).toHaveBeenCalledWith('[TerrainFactory] Unknown terrain type:', 'crater');
+      expect(mockWorld.addBody).not.toHaveBeenCalled();
+    });
+  });
+});
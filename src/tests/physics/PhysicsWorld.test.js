@@ -149,6 +149,17 @@ describe('PhysicsWorld', () => {
       );
     });
 
+    test('should take exactly one counted fixed step per update in deterministic mode', () => {
+      physicsWorld.setDeterministic(true);
+
+      physicsWorld.update();
+      physicsWorld.update();
+
+      expect(physicsWorld.world.step).toHaveBeenCalledTimes(2);
+      expect(physicsWorld.world.step).toHaveBeenCalledWith(physicsWorld.fixedTimeStep);
+      expect(physicsWorld.stepCount).toBe(2);
+    });
+
     test('should track last call time', () => {
       const initialTime = physicsWorld.lastCallTime;
       physicsWorld.step(0.016);
@@ -215,6 +226,20 @@ describe('PhysicsWorld', () => {
     });
   });
 
+  describe('surfaces', () => {
+    test('should create a surface registry for the ball', () => {
+      expect(physicsWorld.surfaceRegistry.has('ice')).toBe(true);
+      expect(physicsWorld.surfaceRegistry.ballMaterial).toBe(physicsWorld.ballMaterial);
+    });
+
+    test('should retune the ball/ground contact to a surface', () => {
+      physicsWorld.setBallGroundSurface(physicsWorld.surfaceRegistry.get('rubber'));
+
+      expect(physicsWorld.ballGroundContact.friction).toBe(0.6);
+      expect(physicsWorld.ballGroundContact.restitution).toBe(0.95);
+    });
+  });
+
   describe('gravity', () => {
     test('should update gravity', () => {
       physicsWorld.setGravity(0, -20, 0);
@@ -230,6 +255,53 @@ describe('PhysicsWorld', () => {
     });
   });
 
+  describe('force fields', () => {
+    const field = { applyForce: jest.fn() };
+
+    test('should apply force fields before every sub-step', () => {
+      expect(physicsWorld.world.addEventListener).toHaveBeenCalledWith(
+        'preStep',
+        physicsWorld._preStepCallback
+      );
+    });
+
+    test('should push dynamic bodies only', () => {
+      const ball = { mass: 0.45 };
+      const wall = { mass: 0 };
+      physicsWorld.world.bodies.push(ball, wall);
+      physicsWorld.addForceField(field);
+      physicsWorld.addForceField(field);
+
+      physicsWorld._preStepCallback();
+
+      expect(physicsWorld.forceFields).toEqual([field]);
+      expect(field.applyForce).toHaveBeenCalledTimes(1);
+      expect(field.applyForce).toHaveBeenCalledWith(ball);
+    });
+
+    test('should stop applying a removed force field', () => {
+      physicsWorld.world.bodies.push({ mass: 0.45 });
+      physicsWorld.addForceField(field);
+      physicsWorld.removeForceField(field);
+
+      physicsWorld.applyForceFields();
+
+      expect(field.applyForce).not.toHaveBeenCalled();
+    });
+
+    test('should drop force fields and the sub-step listener on cleanup', () => {
+      physicsWorld.addForceField(field);
+
+      physicsWorld.cleanup();
+
+      expect(physicsWorld.world.removeEventListener).toHaveBeenCalledWith(
+        'preStep',
+        expect.any(Function)
+      );
+      expect(physicsWorld.forceFields).toEqual([]);
+    });
+  });
+
   describe('cleanup', () => {
     test('should remove event listeners on cleanup', () => {
       physicsWorld.cleanup();
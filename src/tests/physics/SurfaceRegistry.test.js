@@ -0,0 +1,62 @@
+/**
+ * Unit tests for SurfaceRegistry
+ */
+
+import { BUILT_IN_SURFACES, SurfaceRegistry } from '../../physics/SurfaceRegistry';
+
+// Bounce materials are checked against real cannon contact materials
+jest.mock('cannon-es', () => jest.requireActual('cannon-es'));
+
+const CANNON = jest.requireActual('cannon-es');
+
+describe('SurfaceRegistry', () => {
+  let world;
+  let ballMaterial;
+  let registry;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+
+    world = new CANNON.World();
+    ballMaterial = new CANNON.Material('ball');
+    registry = new SurfaceRegistry(world, ballMaterial);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should register the built-in surfaces', () => {
+    expect(registry.getNames()).toEqual(Object.keys(BUILT_IN_SURFACES));
+    expect(registry.get('ice')).toMatchObject({ name: 'ice', friction: 0.05 });
+    expect(registry.get('lava')).toBeNull();
+  });
+
+  test('should accept custom surfaces and replace existing ones', () => {
+    registry.register('mud', { friction: 1.5, restitution: 0, rollingDamping: 0.99 });
+    registry.register('ice', { friction: 0.01, restitution: 0.1 });
+
+    expect(registry.has('mud')).toBe(true);
+    expect(registry.get('ice').friction).toBe(0.01);
+  });
+
+  test('should create one bounce material per surface with a matching ball contact', () => {
+    const rubber = registry.getMaterial('rubber');
+
+    expect(registry.getMaterial('rubber')).toBe(rubber);
+    const contact = world.getContactMaterial(ballMaterial, rubber);
+    expect(contact.restitution).toBe(0.95);
+    expect(contact.friction).toBe(0.6);
+    expect(registry.getMaterial('lava')).toBeNull();
+  });
+
+  test('should rebuild the bounce material after a surface is replaced', () => {
+    const before = registry.getMaterial('rubber');
+
+    registry.register('rubber', { friction: 0.6, restitution: 0.5 });
+    const after = registry.getMaterial('rubber');
+
+    expect(after).not.toBe(before);
+    expect(world.getContactMaterial(ballMaterial, after).restitution).toBe(0.5);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the storage helper
+ */
+
+import { loadData, removeData, saveData } from '../../utils/storage';
+
+describe('storage', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    jest.restoreAllMocks();
+  });
+
+  test('should save and load JSON values from localStorage', () => {
+    expect(saveData('test', { best: 12 })).toBe(true);
+
+    expect(window.localStorage.getItem('miniGolfBreak.test')).toBe('{"best":12}');
+    expect(loadData('test')).toEqual({ best: 12 });
+  });
+
+  test('should return the fallback when nothing is stored', () => {
+    expect(loadData('missing', 'fallback')).toBe('fallback');
+    expect(loadData('missing')).toBeNull();
+  });
+
+  test('should return the fallback for corrupt data', () => {
+    window.localStorage.setItem('miniGolfBreak.corrupt', '{not json');
+
+    expect(loadData('corrupt', [])).toEqual([]);
+  });
+
+  test('should remove values', () => {
+    saveData('removable', 1);
+    removeData('removable');
+
+    expect(loadData('removable', null)).toBeNull();
+  });
+
+  test('should fall back to memory when localStorage throws', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    expect(saveData('memoryOnly', [1, 2])).toBe(false);
+    expect(loadData('memoryOnly')).toEqual([1, 2]);
+  });
+
+  test('should still load stored values when the quota is full', () => {
+    saveData('stored', { best: 12 });
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    expect(loadData('stored')).toEqual({ best: 12 });
+  });
+
+  test('should load a value kept in memory over the older stored one', () => {
+    saveData('newer', 1);
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    saveData('newer', 2);
+
+    expect(window.localStorage.getItem('miniGolfBreak.newer')).toBe('1');
+    expect(loadData('newer')).toBe(2);
+    removeData('newer');
+  });
+});
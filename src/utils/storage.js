@@ -0,0 +1,97 @@
+/**
+ * Small persistence helper around localStorage.
+ *
+ * Values are stored as JSON under a `miniGolfBreak.` prefix. When localStorage is
+ * unavailable (private browsing, storage disabled, quota exceeded, tests) values are kept
+ * in memory for the rest of the session instead, so callers never have to special-case it.
+ */
+
+const KEY_PREFIX = 'miniGolfBreak.';
+const memoryStore = new Map();
+
+/**
+ * Get the localStorage instance, or null if it cannot be accessed. There is no test write:
+ * a full quota must not hide what is already stored, and failed writes are caught anyway.
+ * @returns {Storage|null} The storage or null
+ */
+function getLocalStorage() {
+  try {
+    if (typeof window === 'undefined' || !window.localStorage) {
+      return null;
+    }
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load a stored value. A value kept in memory after a failed save is newer than the one in
+ * localStorage, so it wins.
+ * @param {string} key - Storage key (without prefix)
+ * @param {*} fallback - Value returned when nothing (valid) is stored
+ * @returns {*} The stored value or the fallback
+ */
+export function loadData(key, fallback = null) {
+  const fullKey = KEY_PREFIX + key;
+  if (memoryStore.has(fullKey)) {
+    return memoryStore.get(fullKey);
+  }
+
+  const storage = getLocalStorage();
+  if (storage) {
+    try {
+      const raw = storage.getItem(fullKey);
+      if (raw !== null) {
+        return JSON.parse(raw);
+      }
+    } catch (error) {
+      console.warn(`[storage] Failed to read "${key}", using fallback:`, error);
+      return fallback;
+    }
+  }
+
+  return fallback;
+}
+
+/**
+ * Store a value
+ * @param {string} key - Storage key (without prefix)
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} True if the value was persisted to localStorage, false if kept in memory
+ */
+export function saveData(key, value) {
+  const fullKey = KEY_PREFIX + key;
+  const storage = getLocalStorage();
+
+  if (storage) {
+    try {
+      storage.setItem(fullKey, JSON.stringify(value));
+      memoryStore.delete(fullKey);
+      return true;
+    } catch (error) {
+      console.warn(`[storage] Failed to persist "${key}", keeping it in memory:`, error);
+    }
+  }
+
+  memoryStore.set(fullKey, value);
+  return false;
+}
+
+/**
+ * Remove a stored value
+ * @param {string} key - Storage key (without prefix)
+ */
+export function removeData(key) {
+  const fullKey = KEY_PREFIX + key;
+  memoryStore.delete(fullKey);
+
+  const storage = getLocalStorage();
+  if (storage) {
+    try {
+      storage.removeItem(fullKey);
+    } catch (error) {
+      console.warn(`[storage] Failed to remove "${key}":`, error);
+    }
+  }
+}